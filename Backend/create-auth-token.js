@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+
+// Script to issue a signed actor token (needs AUTH_TOKEN_SECRET in .env)
+// Usage: node create-auth-token.js ACTOR_NAME
+// Send it as "Authorization: Bearer <token>"; actors listed in ADMIN_ACTORS become admins.
+
+import { signActorToken } from './src/utils/authToken.js';
+
+const actor = process.argv[2];
+
+if (!actor) {
+  console.error('❌ Please provide an actor name');
+  console.log('Usage: node create-auth-token.js ACTOR_NAME');
+  process.exit(1);
+}
+
+try {
+  console.log(signActorToken(actor));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
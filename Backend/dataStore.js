@@ -1,6 +1,46 @@
-// In-memory data store for the application
-class DataStore {
-    constructor() {
+import { createStorageAdapter, listStoredWorkspaceIds } from './src/services/storage.service.js';
+import { DEFAULT_WORKSPACE_ID, getCurrentWorkspaceId } from './src/utils/requestContext.js';
+import { INITIAL_VERSION, getRecordVersion, getRuleVersion } from './src/utils/versioning.js';
+import { RecordIndex, canonicalKey } from './src/utils/recordIndex.js';
+import config from './src/config/config.js';
+
+// Operations the batch endpoint accepts; 'insert' and 'replace' are kept for undo/redo replays
+export const BATCH_OPERATIONS = ['create', 'update', 'delete'];
+
+// Copy of a record stamped with the given version
+const withRecordVersion = (record, version) => ({
+  ...record,
+  _metadata: { ...record._metadata, version }
+});
+
+// Copy of a rule stamped with the given version
+const withRuleVersion = (rule, version) => ({
+  ...rule,
+  metadata: { ...rule.metadata, version }
+});
+
+// Data store for a single workspace, backed by a pluggable storage adapter
+export class DataStore {
+    constructor(storage = createStorageAdapter(), workspace = {}) {
+      this.storage = storage;
+
+      // Set while a batch is applied so it is written to storage once, on commit
+      this.batching = false;
+
+      // Separately stored sections (snapshots, journal) changed since the last save
+      this.changedSections = new Set();
+
+      // Moved on by every write, so cached results derived from the state can tell they are stale
+      this.revision = 0;
+
+      this.workspace = {
+        id: DEFAULT_WORKSPACE_ID,
+        name: 'Default',
+        description: '',
+        createdAt: new Date().toISOString(),
+        ...workspace
+      };
+
       this.data = {
         clients: [],
         workers: [],
@@ -8,6 +48,13 @@ class DataStore {
       };
       
       this.rules = [];
+
+      // User-defined field constraints checked by validation
+      this.constraints = [];
+
+      // Write policy per entity ('off' | 'warn' | 'reject'); entities left out use the configured default
+      this.writePolicies = {};
+
       this.priorities = {
         priorityLevelWeight: 0.4,
         fairnessWeight: 0.3,
@@ -21,15 +68,209 @@ class DataStore {
       };
       
       this.enhancedValidationResults = null;
+
+      // Custom entity types registered at runtime, keyed by entity id
+      this.entityTypes = {};
+
+      this.snapshots = [];
+
+      // Saved header-mapping profiles, one per recurring data source
+      this.mappingProfiles = [];
+
+      // Uploads parsed but awaiting mapping confirmation; kept in memory only
+      this.stagedUploads = [];
+
+      // Rejected and coerced rows of recent uploads, keyed by upload id; kept in memory only
+      this.ingestionReports = [];
+
+      // Undo/redo stacks of journaled operations
+      this.journal = {
+        undo: [],
+        redo: []
+      };
       
       this.metadata = {
         clients: { lastUpdated: null, fileName: null, rowCount: 0 },
         workers: { lastUpdated: null, fileName: null, rowCount: 0 },
         tasks: { lastUpdated: null, fileName: null, rowCount: 0 }
       };
+
+      if (!this.restore()) {
+        this.rebuildIndexes();
+      }
+    }
+
+    // Index operations: every write to this.data must keep these in step
+    rebuildIndexes(entity = null) {
+      if (!this.indexes) this.indexes = {};
+
+      const entities = entity ? [entity] : this.getEntityIds();
+      entities.forEach(name => {
+        const indexedFields = config.indexes[name] || this.getEntityType(name).indexedFields || [];
+        const index = new RecordIndex(this.getIdField(name), indexedFields);
+        index.rebuild(this.data[name]);
+        this.indexes[name] = index;
+      });
+    }
+
+    getIndexedFields(entity) {
+      return this.indexes[entity]?.indexedFields || [];
+    }
+
+    /**
+     * Records whose field equals the value; indexed fields skip the scan
+     */
+    findByField(entity, field, value) {
+      if (!this.isValidEntity(entity)) {
+        throw new Error(`Invalid entity: ${entity}`);
+      }
+
+      const index = this.indexes[entity];
+      if (index.isIndexed(field)) {
+        return index.findBy(field, value);
+      }
+      return this.data[entity].filter(record => String(record[field] ?? '').trim() === String(value).trim());
+    }
+
+    // Persistence operations
+    serialize() {
+      return {
+        workspace: this.workspace,
+        revision: this.revision,
+        data: this.data,
+        rules: this.rules,
+        constraints: this.constraints,
+        writePolicies: this.writePolicies,
+        priorities: this.priorities,
+        validationResults: this.validationResults,
+        enhancedValidationResults: this.enhancedValidationResults,
+        metadata: this.metadata,
+        entityTypes: this.entityTypes,
+        snapshots: this.snapshots,
+        mappingProfiles: this.mappingProfiles,
+        journal: this.journal
+      };
+    }
+
+    // sections: which separately stored sections (see storage.service SEPARATE_SECTIONS) the change touched
+    persist(...sections) {
+      this.revision++;
+      sections.forEach(section => this.changedSections.add(section));
+      if (this.batching) return;
+
+      try {
+        this.storage.save(this.serialize(), [...this.changedSections]);
+        this.changedSections.clear();
+      } catch (error) {
+        // Keep serving from memory; the next successful write catches storage up
+        console.error(`❌ DataStore: Failed to persist state (${this.storage.name}):`, error.message);
+      }
+    }
+
+    restore() {
+      const saved = this.storage.load();
+      if (!saved) return false;
+
+      this.workspace = { ...this.workspace, ...saved.workspace };
+      this.revision = saved.revision || 0;
+      this.data = { ...this.data, ...saved.data };
+      this.rules = saved.rules || [];
+      this.constraints = saved.constraints || [];
+      this.writePolicies = saved.writePolicies || {};
+      this.priorities = { ...this.priorities, ...saved.priorities };
+      this.validationResults = { ...this.validationResults, ...saved.validationResults };
+      this.enhancedValidationResults = saved.enhancedValidationResults || null;
+      this.metadata = { ...this.metadata, ...saved.metadata };
+      this.snapshots = saved.snapshots || [];
+      this.mappingProfiles = saved.mappingProfiles || [];
+      this.journal = { ...this.journal, ...saved.journal };
+      this.entityTypes = saved.entityTypes || {};
+      Object.keys(this.entityTypes).forEach(entity => this.ensureEntityCollections(entity));
+      this.rebuildIndexes();
+      return true;
+    }
+
+    // Entity type operations
+    getEntityTypes() {
+      const builtIn = Object.entries(config.entities.builtIn)
+        .map(([id, type]) => ({ id, ...type, builtIn: true }));
+      return [...builtIn, ...Object.values(this.entityTypes)];
+    }
+
+    getEntityType(entity) {
+      if (Object.hasOwn(config.entities.builtIn, entity)) {
+        return { id: entity, ...config.entities.builtIn[entity], builtIn: true };
+      }
+      return Object.hasOwn(this.entityTypes, entity) ? this.entityTypes[entity] : null;
+    }
+
+    getEntityIds() {
+      return this.getEntityTypes().map(type => type.id);
+    }
+
+    addEntityType(definition) {
+      if (this.getEntityType(definition.id)) {
+        throw new Error(`Entity type ${definition.id} already exists`);
+      }
+
+      this.entityTypes[definition.id] = definition;
+      this.ensureEntityCollections(definition.id);
+      this.rebuildIndexes(definition.id);
+      this.persist();
+      return definition;
+    }
+
+    // Removing a custom type drops its records, metadata and validation results
+    removeEntityType(entity) {
+      const definition = Object.hasOwn(this.entityTypes, entity) ? this.entityTypes[entity] : null;
+      if (!definition) {
+        throw new Error(`Custom entity type ${entity} not found`);
+      }
+
+      delete this.entityTypes[entity];
+      delete this.data[entity];
+      delete this.metadata[entity];
+      delete this.validationResults[entity];
+      delete this.indexes[entity];
+      this.persist();
+      return definition;
+    }
+
+    ensureEntityCollections(entity) {
+      if (!this.data[entity]) this.data[entity] = [];
+      if (!this.validationResults[entity]) this.validationResults[entity] = [];
+      if (!this.metadata[entity]) {
+        this.metadata[entity] = { lastUpdated: null, fileName: null, rowCount: 0 };
+      }
+    }
+
+    getStorageDriver() {
+      return this.storage.name;
+    }
+
+    // Audit log lives beside the state in storage and is only ever appended to
+    appendAudit(entries) {
+      try {
+        this.storage.appendAudit(entries);
+      } catch (error) {
+        console.error(`❌ DataStore: Failed to append audit entries (${this.storage.name}):`, error.message);
+      }
+    }
+
+    readAudit() {
+      return this.storage.readAudit();
+    }
+
+    getWorkspaceInfo() {
+      return {
+        ...this.workspace,
+        storage: this.getStorageDriver(),
+        stats: this.getStats()
+      };
     }
   
     // Data operations
+    // Replacing an entity's data wholesale (uploads) is not journaled, so it clears the journal
     setData(entity, data, fileName = null) {
       if (!this.isValidEntity(entity)) {
         throw new Error(`Invalid entity: ${entity}`);
@@ -41,6 +282,9 @@ class DataStore {
         fileName,
         rowCount: data.length
       };
+      this.rebuildIndexes(entity);
+      this.clearJournal();
+      this.persist();
     }
   
     getData(entity) {
@@ -50,20 +294,57 @@ class DataStore {
       return this.data[entity];
     }
   
-        updateRecord(entity, id, updates) {
+    getIdField(entity) {
+      return this.getEntityType(entity)?.idField || 'id';
+    }
+
+    /**
+     * Exact lookup through the primary index (entity ID, then internal id)
+     * Pass { fuzzy: true } to fall back to the legacy scan that also
+     * matches number-coerced IDs, so "7" finds "007".
+     */
+    getRecord(entity, id, { fuzzy = false } = {}) {
+      const recordIndex = this.findRecordIndex(entity, id, { fuzzy });
+      return recordIndex === -1 ? null : this.data[entity][recordIndex];
+    }
+
+    findRecordIndex(entity, id, { fuzzy = false } = {}) {
       if (!this.isValidEntity(entity)) {
         throw new Error(`Invalid entity: ${entity}`);
       }
-  
-      const records = this.data[entity];
-      const idField = entity === 'clients' ? 'ClientID' : 
-                     entity === 'workers' ? 'WorkerID' : 'TaskID';
-      const recordIndex = records.findIndex(record => 
+
+      const index = this.indexes[entity];
+      const record = index.get(id);
+      if (record) {
+        const position = index.positionOf(record);
+        if (this.data[entity][position] === record) {
+          return position;
+        }
+        // The array was changed without telling the index: resync once
+        this.rebuildIndexes(entity);
+        return this.indexes[entity].positionOf(this.indexes[entity].get(id));
+      }
+      if (!fuzzy) {
+        return -1;
+      }
+
+      const idField = this.getIdField(entity);
+      return this.data[entity].findIndex(record => 
         record.id === id || 
         record[idField] === id || 
         String(record[idField]) === String(id) ||
         Number(record[idField]) === Number(id)
       );
+    }
+
+    updateRecord(entity, id, updates, options = {}) {
+      if (!this.isValidEntity(entity)) {
+        throw new Error(`Invalid entity: ${entity}`);
+      }
+  
+      const records = this.data[entity];
+      const idField = this.getIdField(entity);
+      const recordIndex = this.findRecordIndex(entity, id, options);
       
       if (recordIndex === -1) {
         // Enhanced error message with debugging info
@@ -74,46 +355,273 @@ class DataStore {
         throw new Error(`Record with id "${id}" not found in ${entity}. Available IDs (first 5): ${JSON.stringify(availableIds)}`);
       }
 
-      records[recordIndex] = { ...records[recordIndex], ...updates };
+      // _metadata is server-owned, so a client echoing it back cannot rewind the version
+      const current = records[recordIndex];
+      records[recordIndex] = withRecordVersion(
+        { ...current, ...updates, _metadata: current._metadata },
+        getRecordVersion(current) + 1
+      );
+      this.indexes[entity].replace(current, records[recordIndex]);
       this.metadata[entity].lastUpdated = new Date().toISOString();
+      this.persist();
       
       return records[recordIndex];
     }
   
-    deleteRecord(entity, id) {
+    deleteRecord(entity, id, options = {}) {
       if (!this.isValidEntity(entity)) {
         throw new Error(`Invalid entity: ${entity}`);
       }
   
       const records = this.data[entity];
-      const idField = entity === 'clients' ? 'ClientID' : 
-                     entity === 'workers' ? 'WorkerID' : 'TaskID';
-      const recordIndex = records.findIndex(record => 
-        record.id === id || 
-        record[idField] === id || 
-        String(record[idField]) === String(id) ||
-        Number(record[idField]) === Number(id)
-      );
+      const recordIndex = this.findRecordIndex(entity, id, options);
       
       if (recordIndex === -1) {
         throw new Error(`Record with id ${id} not found in ${entity}`);
       }
   
       const deletedRecord = records.splice(recordIndex, 1)[0];
+      this.indexes[entity].remove(deletedRecord);
+      this.indexes[entity].reindexFrom(records, recordIndex);
       this.metadata[entity].lastUpdated = new Date().toISOString();
       this.metadata[entity].rowCount--;
+      this.persist();
       
       return deletedRecord;
     }
   
+    // Append a new record at the end of its entity
+    addRecord(entity, record) {
+      if (!this.isValidEntity(entity)) {
+        throw new Error(`Invalid entity: ${entity}`);
+      }
+
+      const records = this.data[entity];
+      records.push(record);
+      this.indexes[entity].add(record, records.length - 1);
+      this.metadata[entity].lastUpdated = new Date().toISOString();
+      this.metadata[entity].rowCount = records.length;
+      this.persist();
+
+      return records.length - 1;
+    }
+
+    // Next free entity ID, e.g. CLIENT042 after CLIENT041
+    generateRecordId(entity) {
+      const idField = this.getIdField(entity);
+      const maxId = this.data[entity].reduce((max, record) => {
+        const currentId = parseInt(String(record[idField]).replace(/\D/g, '')) || 0;
+        return Math.max(max, currentId);
+      }, 0);
+
+      const prefix = this.getEntityType(entity).idPrefix;
+      return `${prefix}${String(maxId + 1).padStart(3, '0')}`;
+    }
+
+    // Batch operations
+    // `version`, when given on an update or delete, must match the stored record version
+    // A repeated ID resolves to its first record unless the operation pins one by recordIndex
+    findBatchRecordIndex(entity, id, recordIndex) {
+      if (recordIndex === undefined || recordIndex === null) {
+        return this.findRecordIndex(entity, id);
+      }
+
+      const record = this.data[entity][recordIndex];
+      return record && canonicalKey(record[this.getIdField(entity)]) === canonicalKey(id) ? recordIndex : -1;
+    }
+
+    applyBatchOperation({ op, entity, id, data = {}, version, recordIndex: pinnedIndex }) {
+      if (!this.isValidEntity(entity)) {
+        throw new Error(`Invalid entity: ${entity}`);
+      }
+
+      const idField = this.getIdField(entity);
+      const records = this.data[entity];
+
+      switch (op) {
+        case 'create': {
+          const recordId = data[idField] || this.generateRecordId(entity);
+          if (this.findRecordIndex(entity, recordId) !== -1) {
+            throw new Error(`Record with id ${recordId} already exists in ${entity}`);
+          }
+
+          const record = {
+            ...data,
+            [idField]: recordId,
+            id: this.generateId(entity),
+            _metadata: {
+              processedAt: new Date().toISOString(),
+              source: 'batch',
+              entity,
+              version: INITIAL_VERSION
+            }
+          };
+          records.push(record);
+          this.indexes[entity].add(record, records.length - 1);
+          this.metadata[entity].rowCount = records.length;
+          this.metadata[entity].lastUpdated = new Date().toISOString();
+          return { op, entity, id: recordId, before: null, after: record, index: records.length - 1 };
+        }
+        case 'update': {
+          const recordIndex = this.findBatchRecordIndex(entity, id, pinnedIndex);
+          if (recordIndex === -1) {
+            throw new Error(`Record with id ${id} not found in ${entity}`);
+          }
+
+          const before = records[recordIndex];
+          this.assertRecordVersion(entity, before, version);
+          const after = withRecordVersion(
+            { ...before, ...data, _metadata: before._metadata },
+            getRecordVersion(before) + 1
+          );
+          records[recordIndex] = after;
+          this.indexes[entity].replace(before, after);
+          this.metadata[entity].lastUpdated = new Date().toISOString();
+          return { op, entity, id, before, after, index: recordIndex };
+        }
+        case 'delete': {
+          const recordIndex = this.findBatchRecordIndex(entity, id, pinnedIndex);
+          if (recordIndex === -1) {
+            throw new Error(`Record with id ${id} not found in ${entity}`);
+          }
+
+          this.assertRecordVersion(entity, records[recordIndex], version);
+          const [before] = records.splice(recordIndex, 1);
+          this.indexes[entity].remove(before);
+          this.indexes[entity].reindexFrom(records, recordIndex);
+          this.metadata[entity].rowCount = records.length;
+          this.metadata[entity].lastUpdated = new Date().toISOString();
+          return { op, entity, id, before, after: null, index: recordIndex };
+        }
+        // Journal replays: a whole journaled record goes back at its old position (insert) or over
+        // the current one (replace); the version still moves forward so stale ETags keep failing
+        case 'insert': {
+          const position = pinnedIndex === undefined || pinnedIndex === null
+            ? records.length
+            : Math.min(pinnedIndex, records.length);
+          const after = withRecordVersion(data, getRecordVersion(data) + 1);
+          records.splice(position, 0, after);
+          this.indexes[entity].add(after, position);
+          this.indexes[entity].reindexFrom(records, position + 1);
+          this.metadata[entity].rowCount = records.length;
+          this.metadata[entity].lastUpdated = new Date().toISOString();
+          return { op, entity, id: after[idField] ?? null, before: null, after, index: position };
+        }
+        case 'replace': {
+          const recordIndex = this.findBatchRecordIndex(entity, id, pinnedIndex);
+          if (recordIndex === -1) {
+            throw new Error(`Record with id ${id} not found in ${entity}`);
+          }
+
+          const before = records[recordIndex];
+          const after = withRecordVersion(data, getRecordVersion(before) + 1);
+          records[recordIndex] = after;
+          this.indexes[entity].replace(before, after);
+          this.metadata[entity].lastUpdated = new Date().toISOString();
+          return { op, entity, id, before, after, index: recordIndex };
+        }
+        default:
+          throw new Error(`Invalid operation: ${op}. Supported operations: create, update, delete`);
+      }
+    }
+
+    assertRecordVersion(entity, record, expectedVersion) {
+      if (expectedVersion === undefined || expectedVersion === null) return;
+
+      const currentVersion = getRecordVersion(record);
+      if (Number(expectedVersion) !== currentVersion) {
+        throw new Error(`Version conflict: ${entity} record ${record[this.getIdField(entity)]} is at version ${currentVersion}, expected ${expectedVersion}`);
+      }
+    }
+
+    // Apply every operation or none: any failure restores the pre-batch data
+    // afterOperation(result, operation), when given, runs once each operation is applied; throwing fails
+    // the operation, and what it returns is added to the operation's result
+    applyBatch(operations, { afterOperation = null } = {}) {
+      const backup = JSON.parse(JSON.stringify({ data: this.data, metadata: this.metadata }));
+      const results = [];
+
+      this.batching = true;
+      try {
+        operations.forEach((operation, index) => {
+          try {
+            const { index: recordIndex, ...result } = this.applyBatchOperation(operation);
+            const extra = afterOperation ? afterOperation({ ...result, recordIndex }, operation) : null;
+            results.push({ index, success: true, ...result, recordIndex, ...extra });
+          } catch (error) {
+            results.push({
+              index,
+              success: false,
+              op: operation.op,
+              entity: operation.entity,
+              id: operation.id ?? null,
+              error: error.message,
+              details: error.details
+            });
+          }
+        });
+      } finally {
+        this.batching = false;
+      }
+
+      const committed = results.every(result => result.success);
+      if (committed) {
+        this.persist();
+      } else {
+        this.data = backup.data;
+        this.metadata = backup.metadata;
+        this.rebuildIndexes();
+      }
+
+      return { committed, results };
+    }
+
+    // Replace a whole record (PUT, and reverting journaled edits)
+    replaceRecord(entity, id, record, options = {}) {
+      const recordIndex = this.findRecordIndex(entity, id, options);
+      if (recordIndex === -1) {
+        throw new Error(`Record with id ${id} not found in ${entity}`);
+      }
+
+      // Reverting content still moves the version forward so stale ETags keep failing
+      const current = this.data[entity][recordIndex];
+      const versionedRecord = withRecordVersion(record, getRecordVersion(current) + 1);
+      this.data[entity][recordIndex] = versionedRecord;
+      this.indexes[entity].replace(current, versionedRecord);
+      this.metadata[entity].lastUpdated = new Date().toISOString();
+      this.persist();
+
+      return versionedRecord;
+    }
+
+    insertRecord(entity, record, index = null) {
+      if (!this.isValidEntity(entity)) {
+        throw new Error(`Invalid entity: ${entity}`);
+      }
+
+      const records = this.data[entity];
+      const position = index === null ? records.length : Math.min(index, records.length);
+      const versionedRecord = withRecordVersion(record, getRecordVersion(record) + 1);
+      records.splice(position, 0, versionedRecord);
+      this.indexes[entity].add(versionedRecord, position);
+      this.indexes[entity].reindexFrom(records, position + 1);
+      this.metadata[entity].lastUpdated = new Date().toISOString();
+      this.metadata[entity].rowCount = records.length;
+      this.persist();
+
+      return versionedRecord;
+    }
+  
     // Rules operations
     addRule(rule) {
       const newRule = {
         id: this.generateId('rule'),
         ...rule,
-        createdAt: new Date().toISOString()
+        createdAt: new Date().toISOString(),
+        metadata: { ...rule.metadata, version: INITIAL_VERSION }
       };
       this.rules.push(newRule);
+      this.persist();
       return newRule;
     }
   
@@ -123,6 +631,7 @@ class DataStore {
   
     setRules(rules) {
       this.rules = rules;
+      this.persist();
       return this.rules;
     }
   
@@ -132,11 +641,13 @@ class DataStore {
         throw new Error(`Rule with id ${ruleId} not found`);
       }
   
-      this.rules[ruleIndex] = { 
-        ...this.rules[ruleIndex], 
+      const current = this.rules[ruleIndex];
+      this.rules[ruleIndex] = withRuleVersion({ 
+        ...current, 
         ...updates,
         updatedAt: new Date().toISOString()
-      };
+      }, getRuleVersion(current) + 1);
+      this.persist();
       
       return this.rules[ruleIndex];
     }
@@ -147,9 +658,88 @@ class DataStore {
         throw new Error(`Rule with id ${ruleId} not found`);
       }
   
-      return this.rules.splice(ruleIndex, 1)[0];
+      const deletedRule = this.rules.splice(ruleIndex, 1)[0];
+      this.persist();
+      return deletedRule;
+    }
+  
+    replaceRule(ruleId, rule) {
+      const ruleIndex = this.rules.findIndex(existing => existing.id === ruleId);
+      if (ruleIndex === -1) {
+        throw new Error(`Rule with id ${ruleId} not found`);
+      }
+
+      const versionedRule = withRuleVersion(rule, getRuleVersion(this.rules[ruleIndex]) + 1);
+      this.rules[ruleIndex] = versionedRule;
+      this.persist();
+      return versionedRule;
+    }
+
+    insertRule(rule, index = null) {
+      const position = index === null ? this.rules.length : Math.min(index, this.rules.length);
+      const versionedRule = withRuleVersion(rule, getRuleVersion(rule) + 1);
+      this.rules.splice(position, 0, versionedRule);
+      this.persist();
+      return versionedRule;
+    }
+  
+    // Constraint operations
+    getConstraints() {
+      return this.constraints;
+    }
+
+    getConstraint(constraintId) {
+      return this.constraints.find(constraint => constraint.id === constraintId) || null;
+    }
+
+    addConstraint(constraint) {
+      const newConstraint = withRuleVersion(constraint, INITIAL_VERSION);
+      this.constraints.push(newConstraint);
+      this.persist();
+      return newConstraint;
+    }
+
+    updateConstraint(constraintId, updates) {
+      const constraintIndex = this.constraints.findIndex(constraint => constraint.id === constraintId);
+      if (constraintIndex === -1) {
+        throw new Error(`Constraint with id ${constraintId} not found`);
+      }
+
+      const current = this.constraints[constraintIndex];
+      this.constraints[constraintIndex] = withRuleVersion({ ...current, ...updates }, getRuleVersion(current) + 1);
+      this.persist();
+      return this.constraints[constraintIndex];
+    }
+
+    deleteConstraint(constraintId) {
+      const constraintIndex = this.constraints.findIndex(constraint => constraint.id === constraintId);
+      if (constraintIndex === -1) {
+        throw new Error(`Constraint with id ${constraintId} not found`);
+      }
+
+      const deletedConstraint = this.constraints.splice(constraintIndex, 1)[0];
+      this.persist();
+      return deletedConstraint;
     }
   
+    // Write policy operations
+    getWritePolicies() {
+      return this.writePolicies;
+    }
+
+    // A null policy drops the entity's override
+    setWritePolicies(policies) {
+      Object.entries(policies).forEach(([entity, policy]) => {
+        if (policy === null) {
+          delete this.writePolicies[entity];
+        } else {
+          this.writePolicies[entity] = policy;
+        }
+      });
+      this.persist();
+      return this.writePolicies;
+    }
+
     // Priorities operations
     setPriorities(priorities) {
       // Ensure all required priority fields are present
@@ -159,6 +749,7 @@ class DataStore {
         costWeight: 0.3
       };
       this.priorities = { ...defaultPriorities, ...this.priorities, ...priorities };
+      this.persist();
       return this.priorities;
     }
   
@@ -179,6 +770,7 @@ class DataStore {
       throw new Error(`Invalid entity: ${entity}`);
     }
     this.validationResults[entity] = results;
+    this.persist();
   }
 
   getValidationResults(entity) {
@@ -193,26 +785,196 @@ class DataStore {
   }
 
   // Enhanced validation caching
+  // The result is derived from the current state, so caching it is not a write of its own: it is
+  // stamped with the current revision and saved along with the next write.
   setEnhancedValidationResults(results) {
     this.enhancedValidationResults = {
       ...results,
-      cachedAt: new Date().toISOString()
+      cachedAt: new Date().toISOString(),
+      revision: this.revision
     };
   }
 
+  // Cached result, or null when any write happened since it was cached
   getEnhancedValidationResults() {
-    return this.enhancedValidationResults || null;
+    const cached = this.enhancedValidationResults;
+    return cached && cached.revision === this.revision ? cached : null;
   }
 
   clearValidationCache() {
-    this.validationResults = {
-      clients: [],
-      workers: [],
-      tasks: []
-    };
+    this.validationResults = Object.fromEntries(this.getEntityIds().map(entity => [entity, []]));
     this.enhancedValidationResults = null;
+    this.persist();
   }
   
+    // Snapshot operations
+    captureState() {
+      // Deep copy so later mutations never leak into a snapshot
+      return JSON.parse(JSON.stringify({
+        data: this.data,
+        rules: this.rules,
+        constraints: this.constraints,
+        priorities: this.priorities,
+        metadata: this.metadata
+      }));
+    }
+
+    applyState(state) {
+      const copy = JSON.parse(JSON.stringify(state));
+      // Data of entity types deleted since the snapshot was taken is not brought back
+      Object.entries(copy.data || {}).forEach(([entity, records]) => {
+        if (this.isValidEntity(entity)) this.data[entity] = records;
+      });
+      this.rules = copy.rules || [];
+      // Snapshots taken before constraints existed leave the current ones in place
+      this.constraints = copy.constraints || this.constraints;
+      this.priorities = { ...this.priorities, ...copy.priorities };
+      this.metadata = { ...this.metadata, ...copy.metadata };
+      this.rebuildIndexes();
+      this.clearJournal();
+      // Cached validation results describe the replaced data
+      this.clearValidationCache();
+    }
+
+    // Over the limit the oldest snapshots go first, except those listed in keepIds
+    addSnapshot(snapshot, maxSnapshots = Infinity, keepIds = []) {
+      this.snapshots.push(snapshot);
+      while (this.snapshots.length > maxSnapshots) {
+        const oldest = this.snapshots.findIndex(({ id }) => !keepIds.includes(id) && id !== snapshot.id);
+        if (oldest === -1) break;
+        this.snapshots.splice(oldest, 1);
+      }
+      this.persist('snapshots');
+      return snapshot;
+    }
+
+    getSnapshots() {
+      return this.snapshots;
+    }
+
+    getSnapshot(snapshotId) {
+      return this.snapshots.find(snapshot => snapshot.id === snapshotId) || null;
+    }
+
+    deleteSnapshot(snapshotId) {
+      const snapshotIndex = this.snapshots.findIndex(snapshot => snapshot.id === snapshotId);
+      if (snapshotIndex === -1) {
+        throw new Error(`Snapshot with id ${snapshotId} not found`);
+      }
+
+      const deletedSnapshot = this.snapshots.splice(snapshotIndex, 1)[0];
+      this.persist('snapshots');
+      return deletedSnapshot;
+    }
+  
+    // Mapping profile operations
+    getMappingProfiles() {
+      return this.mappingProfiles;
+    }
+
+    getMappingProfile(profileId) {
+      return this.mappingProfiles.find(profile => profile.id === profileId) || null;
+    }
+
+    addMappingProfile(profile) {
+      this.mappingProfiles.push(profile);
+      this.persist();
+      return profile;
+    }
+
+    updateMappingProfile(profileId, updates) {
+      const profileIndex = this.mappingProfiles.findIndex(profile => profile.id === profileId);
+      if (profileIndex === -1) {
+        throw new Error(`Mapping profile with id ${profileId} not found`);
+      }
+
+      this.mappingProfiles[profileIndex] = { ...this.mappingProfiles[profileIndex], ...updates };
+      this.persist();
+      return this.mappingProfiles[profileIndex];
+    }
+
+    deleteMappingProfile(profileId) {
+      const profileIndex = this.mappingProfiles.findIndex(profile => profile.id === profileId);
+      if (profileIndex === -1) {
+        throw new Error(`Mapping profile with id ${profileId} not found`);
+      }
+
+      const deletedProfile = this.mappingProfiles.splice(profileIndex, 1)[0];
+      this.persist();
+      return deletedProfile;
+    }
+
+    // Staged upload operations
+    addStagedUpload(stagedUpload, maxStaged = Infinity) {
+      this.stagedUploads.push(stagedUpload);
+      while (this.stagedUploads.length > maxStaged) {
+        this.stagedUploads.shift();
+      }
+      return stagedUpload;
+    }
+
+    getStagedUploads() {
+      return this.stagedUploads;
+    }
+
+    getStagedUpload(stagingId) {
+      return this.stagedUploads.find(stagedUpload => stagedUpload.id === stagingId) || null;
+    }
+
+    removeStagedUpload(stagingId) {
+      const stagedIndex = this.stagedUploads.findIndex(stagedUpload => stagedUpload.id === stagingId);
+      return stagedIndex === -1 ? null : this.stagedUploads.splice(stagedIndex, 1)[0];
+    }
+
+    // Ingestion report operations
+    addIngestionReport(report, maxReports = Infinity) {
+      this.ingestionReports.push(report);
+      while (this.ingestionReports.length > maxReports) {
+        this.ingestionReports.shift();
+      }
+      return report;
+    }
+
+    getIngestionReport(uploadId) {
+      return this.ingestionReports.find(report => report.uploadId === uploadId) || null;
+    }
+
+    // Journal operations
+    getJournal() {
+      return this.journal;
+    }
+
+    addJournalEntry(entry, maxEntries = Infinity) {
+      this.journal.undo.push(entry);
+      while (this.journal.undo.length > maxEntries) {
+        this.journal.undo.shift();
+      }
+      // A new operation invalidates everything that was undone before it
+      this.journal.redo = [];
+      this.persist('journal');
+      return entry;
+    }
+
+    // Journaled operations refer to records that may no longer exist once data is replaced wholesale
+    clearJournal() {
+      this.journal = { undo: [], redo: [] };
+      this.changedSections.add('journal');
+    }
+
+    peekJournalEntry(stack) {
+      const entries = this.journal[stack];
+      return entries.length > 0 ? entries[entries.length - 1] : null;
+    }
+
+    moveJournalEntry(fromStack, toStack) {
+      const entry = this.journal[fromStack].pop();
+      if (entry) {
+        this.journal[toStack].push(entry);
+        this.persist('journal');
+      }
+      return entry || null;
+    }
+  
     // Metadata operations
     getMetadata(entity = null) {
       if (entity) {
@@ -226,7 +988,7 @@ class DataStore {
   
     // Utility methods
     isValidEntity(entity) {
-      return ['clients', 'workers', 'tasks'].includes(entity);
+      return Boolean(this.getEntityType(entity));
     }
   
     generateId(prefix = 'item') {
@@ -234,22 +996,18 @@ class DataStore {
     }
   
     clearAll() {
-      this.data = {
-        clients: [],
-        workers: [],
-        tasks: []
-      };
+      // Registered custom entity types stay, only their records are cleared
+      const entities = this.getEntityIds();
+      this.data = Object.fromEntries(entities.map(entity => [entity, []]));
       this.rules = [];
-      this.validationResults = {
-        clients: [],
-        workers: [],
-        tasks: []
-      };
-      this.metadata = {
-        clients: { lastUpdated: null, fileName: null, rowCount: 0 },
-        workers: { lastUpdated: null, fileName: null, rowCount: 0 },
-        tasks: { lastUpdated: null, fileName: null, rowCount: 0 }
-      };
+      this.validationResults = Object.fromEntries(entities.map(entity => [entity, []]));
+      this.metadata = Object.fromEntries(entities.map(entity => [
+        entity,
+        { lastUpdated: null, fileName: null, rowCount: 0 }
+      ]));
+      this.rebuildIndexes();
+      this.clearJournal();
+      this.persist();
     }
   
     clearEntity(entity) {
@@ -260,6 +1018,9 @@ class DataStore {
       this.data[entity] = [];
       this.validationResults[entity] = [];
       this.metadata[entity] = { lastUpdated: null, fileName: null, rowCount: 0 };
+      this.rebuildIndexes(entity);
+      this.clearJournal();
+      this.persist();
     }
   
     // Search and filter methods
@@ -291,11 +1052,9 @@ class DataStore {
     getStats() {
       return {
         totalRecords: Object.values(this.data).reduce((sum, records) => sum + records.length, 0),
-        recordCounts: {
-          clients: this.data.clients.length,
-          workers: this.data.workers.length,
-          tasks: this.data.tasks.length
-        },
+        recordCounts: Object.fromEntries(
+          this.getEntityIds().map(entity => [entity, this.data[entity].length])
+        ),
         rulesCount: this.rules.length,
         lastUpdated: Math.max(
           ...Object.values(this.metadata)
@@ -313,9 +1072,131 @@ class DataStore {
       this.data[entity] = [];
       this.validationResults[entity] = [];
       this.metadata[entity] = { lastUpdated: null, fileName: null, rowCount: 0 };
+      this.rebuildIndexes(entity);
+      this.clearJournal();
+      this.persist();
     }
   }
   
-  // Create and export singleton instance
-  const dataStore = new DataStore();
-  export default dataStore;
\ No newline at end of file
+/**
+ * Registry of named workspaces, each with its own DataStore
+ * (entity data, rules, priorities and validation cache)
+ */
+export class WorkspaceManager {
+  constructor() {
+    this.stores = new Map();
+
+    listStoredWorkspaceIds().forEach(id => {
+      this.stores.set(id, new DataStore(createStorageAdapter(id), { id }));
+    });
+
+    if (!this.stores.has(DEFAULT_WORKSPACE_ID)) {
+      this.stores.set(DEFAULT_WORKSPACE_ID, new DataStore(createStorageAdapter(DEFAULT_WORKSPACE_ID)));
+    }
+  }
+
+  list() {
+    return Array.from(this.stores.values()).map(store => store.getWorkspaceInfo());
+  }
+
+  has(id) {
+    return this.stores.has(id);
+  }
+
+  get(id) {
+    const store = this.stores.get(id);
+    return store ? store.getWorkspaceInfo() : null;
+  }
+
+  getStore(id) {
+    const store = this.stores.get(id);
+    if (!store) {
+      throw new Error(`Workspace ${id} not found`);
+    }
+    return store;
+  }
+
+  // Store for the workspace the current request is scoped to
+  getCurrentStore() {
+    return this.stores.get(getCurrentWorkspaceId()) || this.stores.get(DEFAULT_WORKSPACE_ID);
+  }
+
+  create({ name, description = '' } = {}) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Workspace name is required');
+    }
+
+    const id = this.generateWorkspaceId(name);
+    const store = new DataStore(createStorageAdapter(id), {
+      id,
+      name: String(name).trim(),
+      description
+    });
+    store.persist();
+    this.stores.set(id, store);
+    return store.getWorkspaceInfo();
+  }
+
+  clone(sourceId, { name, description } = {}) {
+    const source = this.getStore(sourceId);
+    const cloned = this.create({
+      name: name || `${source.workspace.name} (copy)`,
+      description: description ?? source.workspace.description
+    });
+
+    const store = this.stores.get(cloned.id);
+    const { workspace, ...state } = JSON.parse(JSON.stringify(source.serialize()));
+    store.storage.save({ ...state, workspace: store.workspace });
+    if (!store.restore()) {
+      throw new Error(`Failed to clone workspace ${sourceId}`);
+    }
+    return store.getWorkspaceInfo();
+  }
+
+  // auditEntries are the last entries of the workspace's audit log, written once its state is
+  // removed and before the log is archived
+  delete(id, { auditEntries = [] } = {}) {
+    if (id === DEFAULT_WORKSPACE_ID) {
+      throw new Error('The default workspace cannot be deleted');
+    }
+
+    const store = this.getStore(id);
+    store.storage.remove();
+    this.stores.delete(id);
+    store.appendAudit(auditEntries);
+    store.storage.archiveAudit();
+    return store.workspace;
+  }
+
+  generateWorkspaceId(name) {
+    const base = String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'workspace';
+
+    let id = base;
+    let suffix = 2;
+    while (this.stores.has(id)) {
+      id = `${base}-${suffix++}`;
+    }
+    return id;
+  }
+}
+
+export const workspaces = new WorkspaceManager();
+
+// The default export keeps the original singleton API: every call is routed
+// to the DataStore of the workspace the current request is scoped to
+const dataStore = new Proxy({}, {
+  get(target, prop) {
+    const store = workspaces.getCurrentStore();
+    const value = store[prop];
+    return typeof value === 'function' ? value.bind(store) : value;
+  },
+  set(target, prop, value) {
+    workspaces.getCurrentStore()[prop] = value;
+    return true;
+  }
+});
+
+export default dataStore;
\ No newline at end of file
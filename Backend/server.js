@@ -12,16 +12,27 @@ import uploadRoutes from './src/routes/upload.routes.js';
 import dataRoutes from './src/routes/data.routes.js';
 import rulesRoutes from './src/routes/rules.routes.js';
 import aiRoutes from './src/routes/ai.routes.js';
+import workspaceRoutes from './src/routes/workspace.routes.js';
+import snapshotRoutes from './src/routes/snapshot.routes.js';
+import historyRoutes from './src/routes/history.routes.js';
+import auditRoutes from './src/routes/audit.routes.js';
+import entityTypeRoutes from './src/routes/entityType.routes.js';
+import schemaRoutes from './src/routes/schema.routes.js';
+import mappingProfileRoutes from './src/routes/mappingProfile.routes.js';
+import constraintRoutes from './src/routes/constraint.routes.js';
 
 // Import middleware
 import errorHandler from './src/middlewares/errorHandler.js';
+import workspaceScope from './src/middlewares/workspaceScope.js';
+import requestContext from './src/middlewares/requestContext.js';
 
 // Import Redis service for initialization
 import redisService from './src/services/redis.service.js';
 
 // Import dataStore for test data loading
-import dataStore from './dataStore.js';
+import dataStore, { workspaces } from './dataStore.js';
 import Papa from 'papaparse';
+import { processUploadedData } from './src/services/parser.service.js';
 
 // Environment setup
 dotenv.config();
@@ -42,13 +53,15 @@ app.use(cors({
     'https://digitalyze-rb7o.onrender.com'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Workspace-Id', 'X-Actor', 'X-Request-Id', 'If-Match'],
+  exposedHeaders: ['X-Workspace-Id', 'X-Request-Id', 'ETag']
 }));
 app.use(helmet());
 app.use(morgan('dev'));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+app.use(requestContext);
 
 // Ensure required directories exist
 const requiredDirs = ['src/uploads', 'src/export'];
@@ -63,10 +76,28 @@ requiredDirs.forEach(dir => {
 app.options('*', cors());
 
 // Routes
-app.use('/api/upload', uploadRoutes);
-app.use('/api/data', dataRoutes);
-app.use('/api/rules', rulesRoutes);
-app.use('/api/ai', aiRoutes);
+// Workspace-scoped routes are reachable with the X-Workspace-Id header (or ?workspace=)
+// on the plain paths, or under /api/workspaces/:workspaceId/...
+const scopedRoutes = {
+  upload: uploadRoutes,
+  data: dataRoutes,
+  rules: rulesRoutes,
+  ai: aiRoutes,
+  snapshots: snapshotRoutes,
+  history: historyRoutes,
+  audit: auditRoutes,
+  'entity-types': entityTypeRoutes,
+  schema: schemaRoutes,
+  'mapping-profiles': mappingProfileRoutes,
+  constraints: constraintRoutes
+};
+
+Object.entries(scopedRoutes).forEach(([prefix, routes]) => {
+  app.use(`/api/workspaces/:workspaceId/${prefix}`, workspaceScope, routes);
+  app.use(`/api/${prefix}`, workspaceScope, routes);
+});
+
+app.use('/api/workspaces', workspaceRoutes);
 
 // Health check endpoint with Redis status
 app.get('/api/health', async (req, res) => {
@@ -86,7 +117,9 @@ app.get('/api/health', async (req, res) => {
         },
         dataStore: {
           status: 'active',
-          message: 'In-memory dataStore operational'
+          storage: dataStore.getStorageDriver(),
+          workspaces: workspaces.list().length,
+          message: `dataStore operational (${dataStore.getStorageDriver()} storage)`
         }
       }
     });
@@ -129,7 +162,14 @@ process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 // Function to load test data on startup
 async function loadTestDataOnStartup() {
   try {
+    // Persistent storage already restored the previous dataset, don't clobber it
+    if (dataStore.getStats().totalRecords > 0) {
+      console.log(`💾 Restored data from ${dataStore.getStorageDriver()} storage, skipping test data loading`);
+      return;
+    }
+
     console.log('🔄 Loading test data into dataStore...');
+    // Test data goes through the same schema-driven normalization as uploads
     
     const uploadsDir = path.join(__dirname, 'src', 'uploads');
     
@@ -151,7 +191,7 @@ async function loadTestDataOnStartup() {
       const clientsPath = path.join(uploadsDir, clientsFile);
       const clientsData = fs.readFileSync(clientsPath, 'utf8');
       const clientsResult = Papa.parse(clientsData, { header: true, skipEmptyLines: true });
-      dataStore.setData('clients', clientsResult.data, clientsFile);
+      dataStore.setData('clients', await processUploadedData(clientsResult.data, 'clients'), clientsFile);
       console.log(`✅ Loaded ${clientsResult.data.length} clients`);
       loadedCount += clientsResult.data.length;
     }
@@ -161,7 +201,7 @@ async function loadTestDataOnStartup() {
       const workersPath = path.join(uploadsDir, workersFile);
       const workersData = fs.readFileSync(workersPath, 'utf8');
       const workersResult = Papa.parse(workersData, { header: true, skipEmptyLines: true });
-      dataStore.setData('workers', workersResult.data, workersFile);
+      dataStore.setData('workers', await processUploadedData(workersResult.data, 'workers'), workersFile);
       console.log(`✅ Loaded ${workersResult.data.length} workers`);
       loadedCount += workersResult.data.length;
     }
@@ -171,7 +211,7 @@ async function loadTestDataOnStartup() {
       const tasksPath = path.join(uploadsDir, tasksFile);
       const tasksData = fs.readFileSync(tasksPath, 'utf8');
       const tasksResult = Papa.parse(tasksData, { header: true, skipEmptyLines: true });
-      dataStore.setData('tasks', tasksResult.data, tasksFile);
+      dataStore.setData('tasks', await processUploadedData(tasksResult.data, 'tasks'), tasksFile);
       console.log(`✅ Loaded ${tasksResult.data.length} tasks`);
       loadedCount += tasksResult.data.length;
     }
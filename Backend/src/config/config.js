@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import entitySchemas from './schemas.js';
 
 dotenv.config();
 
@@ -11,10 +12,77 @@ const config = {
   upload: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760, // 10MB
     maxFiles: parseInt(process.env.MAX_FILES) || 10,
-    allowedTypes: ['.csv', '.xlsx', '.xls'],
+    allowedTypes: ['.csv', '.tsv', '.xlsx', '.xls', '.json', '.ndjson', '.jsonl', '.zip'],
+    maxArchiveEntries: parseInt(process.env.MAX_ARCHIVE_ENTRIES) || 20, // files read from one .zip upload
     uploadDir: 'uploads',
     exportDir: 'export'
   },
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'memory', // 'memory' | 'file'
+    dir: process.env.STORAGE_DIR || 'data' // relative to src/, one file per workspace
+  },
+  snapshots: {
+    maxSnapshots: parseInt(process.env.MAX_SNAPSHOTS) || 20 // oldest are dropped first
+  },
+  staging: {
+    ttlMinutes: parseInt(process.env.STAGING_TTL_MINUTES) || 30, // staged uploads expire unconfirmed
+    maxStaged: parseInt(process.env.MAX_STAGED_UPLOADS) || 20, // per workspace, oldest are dropped first
+    sampleSize: 5 // sample values shown per column
+  },
+  ingestion: {
+    chunkSize: parseInt(process.env.INGEST_CHUNK_ROWS) || 500, // rows parsed, normalized and validated per step
+    progressTtlSeconds: parseInt(process.env.UPLOAD_PROGRESS_TTL_SECONDS) || 300, // finished progress kept for late subscribers
+    heartbeatSeconds: 15, // keeps idle progress streams open through proxies
+    maxReports: parseInt(process.env.MAX_INGESTION_REPORTS) || 20, // per workspace, oldest are dropped first
+    maxReportEntries: parseInt(process.env.INGEST_REPORT_MAX_ENTRIES) || 5000 // rows listed per report, counts stay exact
+  },
+  headerMatching: {
+    minScore: parseFloat(process.env.HEADER_MATCH_MIN_SCORE) || 0.6, // fuzzy matches below this are only suggested
+    suggestionScore: 0.3, // lowest score listed as a candidate
+    maxCandidates: 3, // candidates listed per column
+    sampleSize: 20 // values per column used to sniff its shape
+  },
+  mappingProfiles: {
+    // Share of headers an upload must have in common with a profile for it to be auto-selected
+    matchThreshold: parseFloat(process.env.PROFILE_MATCH_THRESHOLD) || 0.8
+  },
+  batch: {
+    maxOperations: parseInt(process.env.MAX_BATCH_OPERATIONS) || 1000
+  },
+  dedup: {
+    minScore: parseFloat(process.env.DEDUP_MIN_SCORE) || 0.8, // pairs scoring below this are not duplicates
+    maxBlockSize: 200 // records sharing a blocking key beyond which the key is ignored
+  },
+  entities: {
+    // Built-in entity types (fields live in schemas.js); more can be registered per workspace via /api/entity-types
+    builtIn: Object.fromEntries(
+      Object.entries(entitySchemas).map(([id, { label, idField, idPrefix }]) => [id, { label, idField, idPrefix }])
+    ),
+    maxCustomTypes: parseInt(process.env.MAX_CUSTOM_ENTITY_TYPES) || 20
+  },
+  indexes: {
+    // Secondary indexes kept in step with every write, per entity
+    clients: ['GroupTag'],
+    workers: ['WorkerGroup'],
+    tasks: ['Category']
+  },
+  constraints: {
+    maxPatternLength: parseInt(process.env.MAX_CONSTRAINT_PATTERN_LENGTH) || 200, // characters per regular expression
+    patternCacheSize: 500 // compiled patterns kept, least recently used are dropped first
+  },
+  writePolicy: {
+    // What record creates and updates do with field and reference errors: 'off' | 'warn' | 'reject'
+    default: process.env.WRITE_POLICY || 'warn'
+  },
+  auth: {
+    // Key signing actor tokens (Authorization: Bearer); without it nobody authenticates
+    tokenSecret: process.env.AUTH_TOKEN_SECRET || null,
+    // Authenticated actors allowed to change write policies and force rejected writes
+    admins: (process.env.ADMIN_ACTORS || '').split(',').map(actor => actor.trim()).filter(Boolean)
+  },
+  history: {
+    maxEntries: parseInt(process.env.MAX_HISTORY_ENTRIES) || 100 // undo depth per workspace
+  },
   ai: {
     geminiApiKey: process.env.GEMINI_API_KEY,
     model: 'gemini-pro',
@@ -23,12 +91,7 @@ const config = {
   },
   validation: {
     maxRows: 10000,
-    maxColumns: 50,
-    requiredColumns: {
-      clients: ['ClientID', 'Name', 'Priority'],
-      workers: ['WorkerID', 'Name', 'Skills', 'AvailableSlots'],
-      tasks: ['TaskID', 'Name', 'RequiredSkills', 'Duration', 'PriorityLevel']
-    }
+    maxColumns: 50
   }
 };
 
@@ -0,0 +1,259 @@
+/**
+ * Built-in entity schemas
+ *
+ * The single source of truth for clients, workers and tasks fields. Parsing (header aliases
+ * and coercion), validation (required-ness, types, bounds, references), GET /api/schema and
+ * the frontend table columns are all driven from these declarations.
+ *
+ * Field options:
+ *   type       - 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'array' | 'json'
+ *   items      - element type of an array field ('string' | 'integer')
+ *   ranges     - array field accepts ranges such as "1-3"
+ *   required   - validation reports MissingField when empty
+ *   min / max  - bounds for numbers, or for each element of an integer array
+ *   minItems   - smallest allowed array length
+ *   clamp      - parser clamps to min/max and uses `default` for unparsable values
+ *   lowercase  - parser lowercases the value
+ *   references - entity whose ID field each value must match
+ *   aliases    - extra file headers (case-insensitive) mapped to this field
+ */
+
+const entitySchemas = {
+  clients: {
+    label: 'Clients',
+    idField: 'ClientID',
+    idPrefix: 'CLIENT',
+    nameField: 'ClientName',
+    fields: [
+      {
+        name: 'ClientID',
+        label: 'Client ID',
+        type: 'string',
+        required: true,
+        aliases: [
+          'client id', 'client_id', 'id', 'client identifier', 'customer id', 'customerid', 'customer_id',
+          'account id', 'accountid', 'account_id', 'user id', 'userid', 'user_id', 'reference', 'ref',
+          'code', 'client code', 'customer code', 'number', 'client number', 'customer number'
+        ]
+      },
+      {
+        name: 'ClientName',
+        label: 'Name',
+        type: 'string',
+        required: true,
+        aliases: [
+          'name', 'client name', 'client_name', 'customer name', 'customername', 'customer_name',
+          'account name', 'accountname', 'account_name', 'company', 'company name', 'companyname',
+          'company_name', 'organization', 'organisation', 'org', 'full name', 'fullname', 'full_name'
+        ]
+      },
+      {
+        name: 'PriorityLevel',
+        label: 'Priority',
+        type: 'integer',
+        required: true,
+        min: 1,
+        max: 5,
+        clamp: true,
+        default: 1,
+        aliases: [
+          'priority', 'priority level', 'priority_level', 'importance', 'urgency', 'level', 'rank',
+          'ranking', 'tier'
+        ]
+      },
+      {
+        name: 'RequestedTaskIDs',
+        label: 'Requested Tasks',
+        type: 'array',
+        items: 'string',
+        references: 'tasks',
+        aliases: ['requested tasks', 'requested_tasks', 'task_ids', 'tasks']
+      },
+      {
+        name: 'GroupTag',
+        label: 'Group',
+        type: 'string',
+        aliases: ['group', 'group_tag', 'tag']
+      },
+      {
+        name: 'AttributesJSON',
+        label: 'Attributes',
+        type: 'json',
+        aliases: ['attributes', 'attributes_json', 'metadata']
+      }
+    ]
+  },
+
+  workers: {
+    label: 'Workers',
+    idField: 'WorkerID',
+    idPrefix: 'WORKER',
+    nameField: 'WorkerName',
+    fields: [
+      {
+        name: 'WorkerID',
+        label: 'Worker ID',
+        type: 'string',
+        required: true,
+        aliases: [
+          'worker id', 'worker_id', 'id', 'employee id', 'employeeid', 'employee_id', 'staff id', 'staffid',
+          'staff_id', 'team member id', 'member id', 'memberid', 'member_id', 'resource id', 'resourceid',
+          'resource_id', 'person id', 'personid', 'person_id'
+        ]
+      },
+      {
+        name: 'WorkerName',
+        label: 'Name',
+        type: 'string',
+        required: true,
+        aliases: [
+          'name', 'worker name', 'worker_name', 'employee name', 'employeename', 'employee_name', 'staff name',
+          'staffname', 'staff_name', 'team member', 'teammember', 'team_member', 'member name', 'membername',
+          'member_name', 'resource name', 'resourcename', 'resource_name', 'person name', 'personname',
+          'person_name', 'full name', 'fullname', 'full_name'
+        ]
+      },
+      {
+        name: 'Skills',
+        label: 'Skills',
+        type: 'array',
+        items: 'string',
+        required: true,
+        minItems: 1,
+        aliases: [
+          'skill', 'skill set', 'skillset', 'skill_set', 'abilities', 'ability', 'capabilities', 'capability',
+          'competencies', 'competency', 'expertise', 'technologies', 'technology', 'tech'
+        ]
+      },
+      {
+        name: 'AvailableSlots',
+        label: 'Available Slots',
+        type: 'array',
+        items: 'integer',
+        ranges: true,
+        required: true,
+        min: 1,
+        aliases: [
+          'available slots', 'available_slots', 'slots', 'time slots', 'timeslots', 'time_slots',
+          'availability', 'available', 'periods', 'shifts'
+        ]
+      },
+      {
+        name: 'MaxLoadPerPhase',
+        label: 'Max Load / Phase',
+        type: 'integer',
+        required: true,
+        min: 1,
+        clamp: true,
+        default: 1,
+        aliases: [
+          'max load per phase', 'max_load_per_phase', 'max load', 'maxload', 'max_load', 'capacity',
+          'maximum capacity', 'max capacity', 'maxcapacity', 'max_capacity', 'workload', 'work load',
+          'work_load', 'bandwidth'
+        ]
+      },
+      {
+        name: 'WorkerGroup',
+        label: 'Group',
+        type: 'string',
+        aliases: ['group', 'worker group', 'worker_group', 'team']
+      },
+      {
+        name: 'QualificationLevel',
+        label: 'Qualification',
+        type: 'string',
+        lowercase: true,
+        aliases: ['qualification', 'qualification level', 'qualification_level', 'level']
+      }
+    ]
+  },
+
+  tasks: {
+    label: 'Tasks',
+    idField: 'TaskID',
+    idPrefix: 'TASK',
+    nameField: 'TaskName',
+    fields: [
+      {
+        name: 'TaskID',
+        label: 'Task ID',
+        type: 'string',
+        required: true,
+        aliases: [
+          'task id', 'task_id', 'id', 'job id', 'jobid', 'job_id', 'work id', 'workid', 'work_id',
+          'assignment id', 'assignmentid', 'assignment_id', 'item id', 'itemid', 'item_id'
+        ]
+      },
+      {
+        name: 'TaskName',
+        label: 'Name',
+        type: 'string',
+        required: true,
+        aliases: [
+          'name', 'task name', 'task_name', 'title', 'task title', 'tasktitle', 'task_title', 'job name',
+          'jobname', 'job_name', 'work name', 'workname', 'work_name', 'assignment', 'assignment name',
+          'assignmentname', 'assignment_name', 'summary', 'subject'
+        ]
+      },
+      {
+        name: 'Category',
+        label: 'Category',
+        type: 'string',
+        aliases: ['type', 'task type', 'task_type']
+      },
+      {
+        name: 'Duration',
+        label: 'Duration',
+        type: 'integer',
+        required: true,
+        min: 1,
+        clamp: true,
+        default: 1,
+        aliases: [
+          'time', 'estimated_duration', 'estimated duration', 'expected duration', 'expected_duration',
+          'effort', 'work effort', 'workeffort', 'work_effort', 'time required', 'timerequired',
+          'time_required', 'length', 'timeframe', 'time frame', 'time_frame'
+        ]
+      },
+      {
+        name: 'RequiredSkills',
+        label: 'Required Skills',
+        type: 'array',
+        items: 'string',
+        required: true,
+        minItems: 1,
+        aliases: [
+          'required skills', 'required_skills', 'skills_needed', 'skills', 'needed skills', 'neededskills',
+          'needed_skills', 'skill requirements', 'skill_requirements', 'requirements', 'prerequisites',
+          'pre-requisites', 'must have skills', 'essential skills', 'core skills', 'key skills',
+          'technical requirements', 'tech requirements', 'competencies required', 'expertise needed'
+        ]
+      },
+      {
+        name: 'PreferredPhases',
+        label: 'Preferred Phases',
+        type: 'array',
+        items: 'integer',
+        ranges: true,
+        min: 1,
+        aliases: [
+          'preferred phases', 'preferred_phases', 'phases', 'phase', 'stage', 'stages', 'sprint', 'sprints'
+        ]
+      },
+      {
+        name: 'MaxConcurrent',
+        label: 'Max Concurrent',
+        type: 'integer',
+        min: 1,
+        clamp: true,
+        default: 1,
+        aliases: [
+          'max concurrent', 'max_concurrent', 'concurrency', 'concurrent', 'parallel', 'parallelism',
+          'simultaneous'
+        ]
+      }
+    ]
+  }
+};
+
+export default entitySchemas;
@@ -0,0 +1,69 @@
+// controllers/audit.controller.js
+
+import ResponseBuilder from '../utils/responseBuilder.js';
+import { queryAudit, auditToCSV } from '../services/audit.service.js';
+
+// Query parameters accepted as audit filters
+const AUDIT_FILTERS = ['actor', 'action', 'entity', 'recordId', 'field', 'requestId', 'from', 'to'];
+
+const getFilters = (query) => {
+  return Object.fromEntries(
+    AUDIT_FILTERS
+      .filter(key => query[key])
+      .map(key => [key, query[key]])
+  );
+};
+
+/**
+ * Get audit entries (newest first) with filters and pagination
+ */
+export const getAuditLog = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const filters = getFilters(req.query);
+
+    const entries = queryAudit(filters);
+
+    const startIndex = (page - 1) * limit;
+    const endIndex = startIndex + parseInt(limit);
+
+    res.json(ResponseBuilder.paginated(
+      entries.slice(startIndex, endIndex),
+      {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: entries.length,
+        totalPages: Math.ceil(entries.length / limit),
+        hasNext: endIndex < entries.length,
+        hasPrev: page > 1
+      }
+    ));
+
+  } catch (error) {
+    console.error('Error getting audit log:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve audit log', error.message)
+    );
+  }
+};
+
+/**
+ * Export filtered audit entries as CSV, one row per changed field
+ */
+export const exportAuditLog = async (req, res) => {
+  try {
+    const entries = queryAudit(getFilters(req.query));
+    const csvContent = auditToCSV(entries);
+    const fileName = `audit-${req.workspaceId || 'default'}-${Date.now()}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(csvContent);
+
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to export audit log', error.message)
+    );
+  }
+};
@@ -0,0 +1,199 @@
+// controllers/constraint.controller.js
+
+import ResponseBuilder from '../utils/responseBuilder.js';
+import {
+  listConstraints as listConstraintsService,
+  getConstraint as getConstraintService,
+  createConstraint as createConstraintService,
+  updateConstraint as updateConstraintService,
+  deleteConstraint as deleteConstraintService,
+  previewConstraint as previewConstraintService,
+  CONDITION_OPERATORS,
+  CONSTRAINT_SEVERITIES
+} from '../services/constraint.service.js';
+import dataStore from '../../dataStore.js';
+import { getRuleVersion, toETag, ifMatchSatisfied } from '../utils/versioning.js';
+
+/**
+ * List field constraints of the workspace
+ * Query: entity - only constraints on this entity
+ */
+export const listConstraints = async (req, res) => {
+  try {
+    const constraints = listConstraintsService(req.query.entity);
+
+    res.json(ResponseBuilder.success(
+      constraints,
+      'Constraints retrieved successfully',
+      { count: constraints.length, operators: CONDITION_OPERATORS, severities: CONSTRAINT_SEVERITIES }
+    ));
+
+  } catch (error) {
+    console.error('Error listing constraints:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve constraints', error.message)
+    );
+  }
+};
+
+/**
+ * Get a single constraint (returns its version as ETag)
+ */
+export const getConstraint = async (req, res) => {
+  try {
+    const constraint = getConstraintService(req.params.id);
+
+    res.set('ETag', toETag(getRuleVersion(constraint)));
+    res.json(ResponseBuilder.success(
+      constraint,
+      'Constraint retrieved successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error getting constraint:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Constraint', req.params.id)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve constraint', error.message)
+    );
+  }
+};
+
+/**
+ * Save a constraint
+ * Body: { name, entity, field?, check?, when?, assert?, severity?, message?, description?, isActive? }
+ */
+export const createConstraint = async (req, res) => {
+  try {
+    const constraint = createConstraintService(req.body);
+
+    res.set('ETag', toETag(getRuleVersion(constraint)));
+    res.status(201).json(ResponseBuilder.success(
+      constraint,
+      'Constraint saved successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error saving constraint:', error);
+
+    if (error.message.includes('Invalid constraint')) {
+      return res.status(400).json(
+        ResponseBuilder.validationError(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to save constraint', error.message)
+    );
+  }
+};
+
+/**
+ * Check a constraint definition against the stored records without saving it
+ */
+export const previewConstraint = async (req, res) => {
+  try {
+    const preview = previewConstraintService(req.body);
+
+    res.json(ResponseBuilder.success(
+      preview,
+      `${preview.violations.length} of ${preview.recordsChecked} record(s) break the constraint`
+    ));
+
+  } catch (error) {
+    console.error('Error previewing constraint:', error);
+
+    if (error.message.includes('Invalid constraint')) {
+      return res.status(400).json(
+        ResponseBuilder.validationError(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to preview constraint', error.message)
+    );
+  }
+};
+
+/**
+ * Update a constraint
+ * Honours If-Match like rules do: a stale version gets a 409 with the current constraint.
+ */
+export const updateConstraint = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const ifMatch = req.get('If-Match');
+    const current = dataStore.getConstraint(id);
+    if (ifMatch && current && !ifMatchSatisfied(ifMatch, getRuleVersion(current))) {
+      res.set('ETag', toETag(getRuleVersion(current)));
+      return res.status(409).json(
+        ResponseBuilder.conflict(`Constraint ${id} was modified by someone else`, current)
+      );
+    }
+
+    const constraint = updateConstraintService(id, req.body, ifMatch && current ? getRuleVersion(current) : null);
+
+    res.set('ETag', toETag(getRuleVersion(constraint)));
+    res.json(ResponseBuilder.success(
+      constraint,
+      'Constraint updated successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error updating constraint:', error);
+
+    if (error.message.includes('Version conflict')) {
+      return res.status(409).json(
+        ResponseBuilder.conflict(`Constraint ${req.params.id} was modified by someone else`, dataStore.getConstraint(req.params.id))
+      );
+    }
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Constraint', req.params.id)
+      );
+    }
+
+    if (error.message.includes('Invalid constraint')) {
+      return res.status(400).json(
+        ResponseBuilder.validationError(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to update constraint', error.message)
+    );
+  }
+};
+
+/**
+ * Delete a constraint
+ */
+export const deleteConstraint = async (req, res) => {
+  try {
+    const constraint = deleteConstraintService(req.params.id);
+
+    res.json(ResponseBuilder.success(
+      constraint,
+      'Constraint deleted successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error deleting constraint:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Constraint', req.params.id)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to delete constraint', error.message)
+    );
+  }
+};
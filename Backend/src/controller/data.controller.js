@@ -3,18 +3,117 @@
 import ResponseBuilder from '../utils/responseBuilder.js';
 import { convertToCSV } from '../utils/csvUtils.js';
 import { createZipArchive, writeJsonFile } from '../utils/fileUtils.js';
-import { validateRecords } from '../services/validation.service.js';
+import { validateRecords, getValidationContext } from '../services/validation.service.js';
 import { EnhancedValidationService } from '../services/enhanced-validation.service.js';
-import dataStore from '../../dataStore.js';
+import dataStore, { BATCH_OPERATIONS } from '../../dataStore.js';
+import { createSnapshot } from '../services/snapshot.service.js';
+import { recordOperation } from '../services/history.service.js';
+import { recordAudit } from '../services/audit.service.js';
+import { findDuplicates, mergeDuplicates } from '../services/dedup.service.js';
+import { applyFixes as applyFixesService, FIX_MODES } from '../services/autofix.service.js';
+import { getActiveConstraints } from '../services/constraint.service.js';
+import {
+  enforceWrite,
+  batchWritePolicy,
+  forcedWriteDetails,
+  getWritePolicies as getWritePoliciesService,
+  setWritePolicies as setWritePoliciesService,
+  WRITE_POLICIES
+} from '../services/writePolicy.service.js';
 import redisService from '../services/redis.service.js';
+import config from '../config/config.js';
+import { INITIAL_VERSION, getRecordVersion, toETag, ifMatchSatisfied } from '../utils/versioning.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs-extra';
-import crypto from 'crypto';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// IDs match exactly unless the caller opts into the legacy coercing lookup with ?match=fuzzy
+const getLookupOptions = (req) => ({ fuzzy: req.query.match === 'fuzzy' });
+
+// Admins may push a write the 'reject' write policy refuses with ?force=true
+const getPolicyOptions = (req) => ({ force: req.query.force === 'true' });
+
+/**
+ * Invalidate cached data for several entities and the validation caches in one pass
+ * @param {Array<string>} entities - Entities whose data changed
+ */
+const invalidateEntityCaches = async (entities) => {
+  if (!redisService.isAvailable() || entities.length === 0) return;
+
+  try {
+    for (const entity of entities) {
+      await redisService.delCache(`entity_data_${entity}`);
+    }
+    await redisService.clearCachePattern('validate:*');
+    console.log(`[Data Controller] ✅ Invalidated Redis caches for entities: ${entities.join(', ')}`);
+  } catch (cacheError) {
+    console.warn(`[Data Controller] ⚠️ Failed to invalidate Redis cache:`, cacheError.message);
+  }
+};
+
+/**
+ * Re-run validation for entities whose data changed and store the results
+ * @param {Array<string>} entities - Entities to validate
+ * @returns {Promise<Object>} Entity -> { totalRecords, errorCount, errors }
+ */
+const revalidateEntities = async (entities) => {
+  const validation = {};
+  const context = getValidationContext();
+  for (const entity of entities) {
+    const validationResults = await validateRecords(dataStore.getData(entity), entity, context);
+    dataStore.setValidationResults(entity, validationResults);
+    validation[entity] = {
+      totalRecords: dataStore.getData(entity).length,
+      errorCount: validationResults.length,
+      errors: validationResults
+    };
+  }
+  return validation;
+};
+
+/**
+ * Bring the cached enhanced validation up to date after a single-record edit
+ * @param {Object|null} cached - Cached result from before the edit (null when there was none or it went stale)
+ * @param {Object} change - { entity, type, index, fields } as taken by EnhancedValidationService.revalidateRecord
+ * @returns {Object|null} { resolved, introduced, totalErrors, totalWarnings, checks }, null without a cached result
+ */
+const revalidateEdit = (cached, change) => {
+  if (!cached) return null;
+
+  try {
+    const data = {
+      clients: dataStore.getData('clients'),
+      workers: dataStore.getData('workers'),
+      tasks: dataStore.getData('tasks')
+    };
+    const { result, delta, checks } = EnhancedValidationService.revalidateRecord(cached, change, data, dataStore.getRules());
+
+    dataStore.setEnhancedValidationResults({
+      ...result,
+      metadata: {
+        ...cached.metadata,
+        totalRecords: data.clients.length + data.workers.length + data.tasks.length,
+        validatedAt: new Date().toISOString()
+      }
+    });
+    console.log(`[Data Controller] ✅ Re-validated ${change.entity} ${change.type} with ${checks.length} check(s)`);
+
+    return {
+      resolved: delta.resolved,
+      introduced: delta.introduced,
+      totalErrors: result.summary.totalErrors,
+      totalWarnings: result.summary.totalWarnings,
+      checks
+    };
+  } catch (error) {
+    console.warn(`[Data Controller] ⚠️ Incremental validation failed:`, error.message);
+    return null;
+  }
+};
+
 /**
  * Get data for a specific entity with Redis-first strategy
  */
@@ -55,6 +154,15 @@ export const getData = async (req, res) => {
       data = dataStore.getData(entity);
     }
 
+    // Filter on indexed fields (e.g. ?WorkerGroup=GroupA) through the secondary indexes
+    const indexedFilters = dataStore.getIndexedFields(entity).filter(field => req.query[field] !== undefined);
+    if (indexedFilters.length > 0) {
+      const [firstField, ...otherFields] = indexedFilters;
+      data = dataStore.findByField(entity, firstField, req.query[firstField]).filter(record =>
+        otherFields.every(field => String(record[field] ?? '').trim() === String(req.query[field]).trim())
+      );
+    }
+
     const totalRecords = data.length;
 
     // Apply field filtering if requested
@@ -109,18 +217,8 @@ export const getRecord = async (req, res) => {
       );
     }
 
-    // Get all records for the entity
-    const records = dataStore.getData(entity);
-    const idField = entity === 'clients' ? 'ClientID' : 
-                   entity === 'workers' ? 'WorkerID' : 'TaskID';
-    
-    // Find the record by ID
-    const record = records.find(record => 
-      record.id === id || 
-      record[idField] === id || 
-      String(record[idField]) === String(id) ||
-      Number(record[idField]) === Number(id)
-    );
+    // Find the record by ID through the primary index
+    const record = dataStore.getRecord(entity, id, getLookupOptions(req));
 
     if (!record) {
       return res.status(404).json(
@@ -128,6 +226,7 @@ export const getRecord = async (req, res) => {
       );
     }
 
+    res.set('ETag', toETag(getRecordVersion(record)));
     res.json(ResponseBuilder.success(
       record,
       'Record retrieved successfully'
@@ -157,22 +256,24 @@ export const createRecord = async (req, res) => {
     }
 
     // Generate ID if not provided
-    const idField = entity === 'clients' ? 'ClientID' : 
-                   entity === 'workers' ? 'WorkerID' : 'TaskID';
+    const idField = dataStore.getIdField(entity);
     
     if (!recordData[idField]) {
       // Generate a unique ID
-      const existingRecords = dataStore.getData(entity);
-      const maxId = existingRecords.reduce((max, record) => {
-        const currentId = parseInt(String(record[idField]).replace(/\D/g, '')) || 0;
-        return Math.max(max, currentId);
-      }, 0);
-      
-      const prefix = entity === 'clients' ? 'CLIENT' : 
-                    entity === 'workers' ? 'WORKER' : 'TASK';
-      recordData[idField] = `${prefix}${String(maxId + 1).padStart(3, '0')}`;
+      recordData[idField] = dataStore.generateRecordId(entity);
     }
 
+    // A supplied ID must be free: IDs are unique per entity
+    const existingRecord = dataStore.getRecord(entity, recordData[idField]);
+    if (existingRecord) {
+      return res.status(409).json(
+        ResponseBuilder.conflict(`${entity} record ${recordData[idField]} already exists`, existingRecord)
+      );
+    }
+
+    // Validation cached before the edit, patched below
+    const cachedValidation = dataStore.getEnhancedValidationResults();
+
     // Add metadata
     const newRecord = {
       ...recordData,
@@ -180,14 +281,33 @@ export const createRecord = async (req, res) => {
       _metadata: {
         processedAt: new Date().toISOString(),
         source: 'manual_entry',
-        entity: entity
+        entity: entity,
+        version: INITIAL_VERSION
       }
     };
 
+    const writeValidation = enforceWrite(entity, newRecord, {}, getPolicyOptions(req));
+
     // Add to existing data
-    const existingData = dataStore.getData(entity);
-    existingData.push(newRecord);
-    dataStore.setData(entity, existingData, 'manual_entry');
+    const recordIndex = dataStore.addRecord(entity, newRecord);
+
+    recordOperation({
+      type: 'record.create',
+      entity,
+      after: newRecord,
+      index: recordIndex,
+      description: `Created ${entity} record ${newRecord[idField]}`
+    });
+
+    recordAudit({
+      action: 'record.create',
+      entity,
+      recordId: newRecord[idField],
+      after: newRecord,
+      details: forcedWriteDetails(writeValidation)
+    });
+
+    const validation = revalidateEdit(cachedValidation, { entity, type: 'create', index: recordIndex });
 
     // Invalidate Redis cache for this entity
     if (redisService.isAvailable()) {
@@ -200,14 +320,29 @@ export const createRecord = async (req, res) => {
       }
     }
 
+    res.set('ETag', toETag(INITIAL_VERSION));
     res.status(201).json(ResponseBuilder.success(
       newRecord,
-      'Record created successfully'
+      'Record created successfully',
+      { validation, writeValidation }
     ));
 
   } catch (error) {
     console.error(`Error creating record [Entity: ${req.params.entity}]:`, error);
     console.error('Create payload:', JSON.stringify(req.body, null, 2));
+
+    if (error.message.includes('Write rejected')) {
+      return res.status(400).json(
+        ResponseBuilder.validationError(error.details, error.message)
+      );
+    }
+
+    if (error.message.includes('Only admins can force')) {
+      return res.status(403).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+
     res.status(500).json(
       ResponseBuilder.error('Failed to create record', error.message)
     );
@@ -229,8 +364,45 @@ export const updateRecord = async (req, res) => {
       );
     }
 
+    // Keep the previous version for the undo journal
+    const previousRecord = dataStore.getRecord(entity, id, getLookupOptions(req));
+
+    // Reject stale writes: If-Match must name the version the client last read
+    if (previousRecord && !ifMatchSatisfied(req.get('If-Match'), getRecordVersion(previousRecord))) {
+      res.set('ETag', toETag(getRecordVersion(previousRecord)));
+      return res.status(409).json(
+        ResponseBuilder.conflict(`${entity} record ${id} was modified by someone else`, previousRecord)
+      );
+    }
+
+    const cachedValidation = dataStore.getEnhancedValidationResults();
+    const recordIndex = dataStore.findRecordIndex(entity, id, getLookupOptions(req));
+
+    const writeValidation = previousRecord
+      ? enforceWrite(entity, { ...previousRecord, ...updates }, { fields: Object.keys(updates), index: recordIndex }, getPolicyOptions(req))
+      : null;
+
     // Update record in dataStore (authoritative source)
-    const updatedRecord = dataStore.updateRecord(entity, id, updates);
+    const updatedRecord = dataStore.updateRecord(entity, id, updates, getLookupOptions(req));
+
+    recordOperation({
+      type: 'record.update',
+      entity,
+      before: previousRecord,
+      after: updatedRecord,
+      description: `Updated ${entity} record ${id} (${Object.keys(updates).join(', ')})`
+    });
+
+    recordAudit({
+      action: 'record.update',
+      entity,
+      recordId: id,
+      before: previousRecord,
+      after: updatedRecord,
+      details: forcedWriteDetails(writeValidation)
+    });
+
+    const validation = revalidateEdit(cachedValidation, { entity, type: 'update', index: recordIndex, fields: Object.keys(updates) });
 
     // Invalidate Redis cache for this entity
     if (redisService.isAvailable()) {
@@ -243,14 +415,16 @@ export const updateRecord = async (req, res) => {
       }
     }
 
+    res.set('ETag', toETag(getRecordVersion(updatedRecord)));
     res.json(ResponseBuilder.success(
       updatedRecord,
-      'Record updated successfully'
+      'Record updated successfully',
+      { validation, writeValidation }
     ));
 
   } catch (error) {
-    console.error(`Error updating record [Entity: ${entity}, ID: ${id}]:`, error);
-    console.error('Update payload:', JSON.stringify(updates, null, 2));
+    console.error(`Error updating record [Entity: ${req.params.entity}, ID: ${req.params.id}]:`, error);
+    console.error('Update payload:', JSON.stringify(req.body, null, 2));
    
     if (error.message.includes('not found')) {
       return res.status(404).json(
@@ -258,12 +432,146 @@ export const updateRecord = async (req, res) => {
       );
     }
 
+    if (error.message.includes('Write rejected')) {
+      return res.status(400).json(
+        ResponseBuilder.validationError(error.details, error.message)
+      );
+    }
+
+    if (error.message.includes('Only admins can force')) {
+      return res.status(403).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+
     res.status(500).json(
       ResponseBuilder.error('Failed to update record', error.message)
     );
   }
 };
 
+/**
+ * Replace a specific record with Redis cache invalidation
+ * The body is the whole record: fields it leaves out are removed. The ID, internal id and
+ * _metadata stay the server's.
+ */
+export const replaceRecord = async (req, res) => {
+  try {
+    const { entity, id } = req.params;
+    const recordData = req.body;
+
+    // Validate entity
+    if (!dataStore.isValidEntity(entity)) {
+      return res.status(400).json(
+        ResponseBuilder.error(`Invalid entity: ${entity}`)
+      );
+    }
+
+    // Keep the previous version for the undo journal
+    const previousRecord = dataStore.getRecord(entity, id, getLookupOptions(req));
+    if (!previousRecord) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Record', id)
+      );
+    }
+
+    // Reject stale writes: If-Match must name the version the client last read
+    if (!ifMatchSatisfied(req.get('If-Match'), getRecordVersion(previousRecord))) {
+      res.set('ETag', toETag(getRecordVersion(previousRecord)));
+      return res.status(409).json(
+        ResponseBuilder.conflict(`${entity} record ${id} was modified by someone else`, previousRecord)
+      );
+    }
+
+    // The URL names the record, so the body cannot move it to another ID
+    const idField = dataStore.getIdField(entity);
+    if (recordData[idField] !== undefined && String(recordData[idField]) !== String(previousRecord[idField])) {
+      return res.status(400).json(
+        ResponseBuilder.error(`Invalid ${idField}: ${recordData[idField]} does not match record ${previousRecord[idField]}`)
+      );
+    }
+
+    const cachedValidation = dataStore.getEnhancedValidationResults();
+    const recordIndex = dataStore.findRecordIndex(entity, id, getLookupOptions(req));
+
+    const replacement = {
+      ...recordData,
+      [idField]: previousRecord[idField],
+      id: previousRecord.id,
+      _metadata: previousRecord._metadata
+    };
+
+    const writeValidation = enforceWrite(entity, replacement, { index: recordIndex }, getPolicyOptions(req));
+
+    // Replace record in dataStore (authoritative source)
+    const replacedRecord = dataStore.replaceRecord(entity, id, replacement, getLookupOptions(req));
+
+    recordOperation({
+      type: 'record.update',
+      entity,
+      before: previousRecord,
+      after: replacedRecord,
+      description: `Replaced ${entity} record ${id}`
+    });
+
+    recordAudit({
+      action: 'record.update',
+      entity,
+      recordId: id,
+      before: previousRecord,
+      after: replacedRecord,
+      details: { replace: true, ...forcedWriteDetails(writeValidation) }
+    });
+
+    // Any field may have changed, so every check runs again
+    const validation = revalidateEdit(cachedValidation, { entity, type: 'update', index: recordIndex, fields: ['*'] });
+
+    // Invalidate Redis cache for this entity
+    if (redisService.isAvailable()) {
+      try {
+        const cacheKey = `entity_data_${entity}`;
+        await redisService.delCache(cacheKey);
+        console.log(`[Data Controller] ✅ Invalidated Redis cache for entity: ${entity}`);
+      } catch (cacheError) {
+        console.warn(`[Data Controller] ⚠️ Failed to invalidate Redis cache:`, cacheError.message);
+      }
+    }
+
+    res.set('ETag', toETag(getRecordVersion(replacedRecord)));
+    res.json(ResponseBuilder.success(
+      replacedRecord,
+      'Record replaced successfully',
+      { validation, writeValidation }
+    ));
+
+  } catch (error) {
+    console.error(`Error replacing record [Entity: ${req.params.entity}, ID: ${req.params.id}]:`, error);
+    console.error('Replace payload:', JSON.stringify(req.body, null, 2));
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Record', req.params.id)
+      );
+    }
+
+    if (error.message.includes('Write rejected')) {
+      return res.status(400).json(
+        ResponseBuilder.validationError(error.details, error.message)
+      );
+    }
+
+    if (error.message.includes('Only admins can force')) {
+      return res.status(403).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to replace record', error.message)
+    );
+  }
+};
+
 /**
  * Delete a specific record with Redis cache invalidation
  */
@@ -278,8 +586,28 @@ export const deleteRecord = async (req, res) => {
       );
     }
 
+    const cachedValidation = dataStore.getEnhancedValidationResults();
+
     // Delete record from dataStore (authoritative source)
-    const deletedRecord = dataStore.deleteRecord(entity, id);
+    const recordIndex = dataStore.findRecordIndex(entity, id, getLookupOptions(req));
+    const deletedRecord = dataStore.deleteRecord(entity, id, getLookupOptions(req));
+
+    recordOperation({
+      type: 'record.delete',
+      entity,
+      before: deletedRecord,
+      index: recordIndex,
+      description: `Deleted ${entity} record ${id}`
+    });
+
+    recordAudit({
+      action: 'record.delete',
+      entity,
+      recordId: id,
+      before: deletedRecord
+    });
+
+    const validation = revalidateEdit(cachedValidation, { entity, type: 'delete', index: recordIndex });
 
     // Invalidate Redis cache for this entity
     if (redisService.isAvailable()) {
@@ -294,7 +622,8 @@ export const deleteRecord = async (req, res) => {
 
     res.json(ResponseBuilder.success(
       { deletedRecord },
-      'Record deleted successfully'
+      'Record deleted successfully',
+      { validation }
     ));
 
   } catch (error) {
@@ -312,6 +641,194 @@ export const deleteRecord = async (req, res) => {
   }
 };
 
+/**
+ * Apply a mixed list of create/update/delete operations atomically
+ * Body: { operations: [{ op, entity, id?, data?, version? }], validate = true }
+ * Creates and updates are held to their entity's write policy; one rejected record rolls back the
+ * batch unless an admin forces it with ?force=true.
+ */
+export const batchMutate = async (req, res) => {
+  try {
+    const { operations, validate = true } = req.body;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json(
+        ResponseBuilder.error('Operations array is required')
+      );
+    }
+
+    if (operations.length > config.batch.maxOperations) {
+      return res.status(400).json(
+        ResponseBuilder.error(`A batch may contain at most ${config.batch.maxOperations} operations`)
+      );
+    }
+
+    const unsupported = operations.find(operation => !BATCH_OPERATIONS.includes(operation?.op));
+    if (unsupported) {
+      return res.status(400).json(
+        ResponseBuilder.error(`Invalid operation: ${unsupported?.op}. Supported operations: ${BATCH_OPERATIONS.join(', ')}`)
+      );
+    }
+
+    const { committed, results } = dataStore.applyBatch(operations, {
+      afterOperation: batchWritePolicy(getPolicyOptions(req))
+    });
+
+    // Per-operation results without the full before/after records
+    const operationResults = results.map(({ before, after, recordIndex, ...result }) => (
+      result.success ? { ...result, record: after } : result
+    ));
+
+    if (!committed) {
+      // A non-admin forcing the policy is refused as it is for single writes, and a stale version
+      // conflicts as it does for single writes
+      const failures = results.filter(result => !result.success);
+      const forbidden = failures.some(result => result.error.includes('Only admins can force'));
+      const conflict = failures.some(result => result.error.includes('Version conflict'));
+      return res.status(forbidden ? 403 : conflict ? 409 : 400).json(
+        ResponseBuilder.error('Batch rolled back, no operations were applied', {
+          results: operationResults,
+          failed: failures.length
+        })
+      );
+    }
+
+    const entities = [...new Set(results.map(result => result.entity))];
+
+    recordOperation({
+      type: 'batch',
+      operations: results.map(result => ({
+        type: `record.${result.op}`,
+        entity: result.entity,
+        before: result.before,
+        after: result.after,
+        index: result.recordIndex
+      })),
+      description: `Batch of ${results.length} operation(s) on ${entities.join(', ')}`
+    });
+
+    results.forEach(result => {
+      recordAudit({
+        action: `record.${result.op}`,
+        entity: result.entity,
+        recordId: result.id,
+        before: result.before,
+        after: result.after,
+        details: { batch: true, operationIndex: result.index, ...forcedWriteDetails(result.writeValidation) }
+      });
+    });
+
+    // Validate each touched entity once, after every operation is applied
+    const validation = validate ? await revalidateEntities(entities) : {};
+
+    await invalidateEntityCaches(entities);
+
+    res.json(ResponseBuilder.success(
+      {
+        committed,
+        results: operationResults,
+        validation: validate ? validation : undefined
+      },
+      'Batch applied successfully',
+      { totalOperations: results.length, entities }
+    ));
+
+  } catch (error) {
+    console.error('Error applying batch:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to apply batch', error.message)
+    );
+  }
+};
+
+/**
+ * Find clusters of near-duplicate records in an entity
+ */
+export const findDuplicateRecords = async (req, res) => {
+  try {
+    const { entity } = req.params;
+
+    if (!dataStore.isValidEntity(entity)) {
+      return res.status(400).json(
+        ResponseBuilder.error(`Invalid entity: ${entity}`)
+      );
+    }
+
+    const result = findDuplicates(entity, { minScore: req.query.minScore ?? config.dedup.minScore });
+
+    res.json(ResponseBuilder.success(
+      result,
+      `Found ${result.clusters.length} duplicate cluster(s) in ${entity}`,
+      { clusters: result.clusters.length, records: result.recordsCompared }
+    ));
+
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+    res.status(500).json(
+      ResponseBuilder.error('Failed to find duplicates', error.message)
+    );
+  }
+};
+
+/**
+ * Merge near-duplicate records into a survivor and rewrite references to them
+ */
+export const mergeDuplicateRecords = async (req, res) => {
+  try {
+    const { entity } = req.params;
+    const { validate = true, ...request } = req.body || {};
+
+    if (!dataStore.isValidEntity(entity)) {
+      return res.status(400).json(
+        ResponseBuilder.error(`Invalid entity: ${entity}`)
+      );
+    }
+
+    const result = mergeDuplicates(entity, request, getPolicyOptions(req));
+    const entities = [...new Set([entity, ...result.references.map(reference => reference.entity)])];
+
+    const validation = validate ? await revalidateEntities(entities) : undefined;
+    await invalidateEntityCaches(entities);
+
+    res.json(ResponseBuilder.success(
+      { ...result, validation },
+      `Merged ${result.removedIds.length} record(s) into ${request.survivorId}`,
+      { removed: result.removedIds.length, referencesRewritten: result.references.length }
+    ));
+
+  } catch (error) {
+    console.error('Error merging duplicates:', error);
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+    if (error.message.includes('Write rejected')) {
+      return res.status(400).json(
+        ResponseBuilder.validationError(error.details, error.message)
+      );
+    }
+    if (error.message.includes('Only admins can force')) {
+      return res.status(403).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+    res.status(500).json(
+      ResponseBuilder.error('Failed to merge duplicates', error.message)
+    );
+  }
+};
+
 /**
  * Search records
  */
@@ -397,8 +914,8 @@ export const validateData = async (req, res) => {
       ));
     }
 
-    // Perform validation (this will use Redis caching internally)
-    const validationResults = await validateRecords(data, entity);
+    // Perform validation (this will use Redis caching internally), rules included
+    const validationResults = await validateRecords(data, entity, getValidationContext());
 
     // Store validation results in dataStore for backup
     dataStore.setValidationResults(entity, validationResults);
@@ -546,6 +1063,20 @@ export const getDataStats = async (req, res) => {
         }, {});
         entitySpecificStats.regionDistribution = clientRegions;
         break;
+
+      default:
+        // Custom entity types: value distribution of each indexed field
+        entitySpecificStats.fieldDistributions = Object.fromEntries(
+          dataStore.getIndexedFields(entity).map(field => [
+            field,
+            data.reduce((acc, record) => {
+              const value = record[field] || 'Unknown';
+              acc[value] = (acc[value] || 0) + 1;
+              return acc;
+            }, {})
+          ])
+        );
+        break;
     }
 
     // Calculate entity-specific counts for frontend
@@ -609,6 +1140,12 @@ export const resetEntityData = async (req, res) => {
     // Reset the entity data
     dataStore.resetData(entity);
 
+    recordAudit({
+      action: 'entity.clear',
+      entity,
+      details: { recordsRemoved: recordCount }
+    });
+
     res.json(ResponseBuilder.success(
       {
         entity,
@@ -631,7 +1168,7 @@ export const resetEntityData = async (req, res) => {
  */
 export const exportData = async (req, res) => {
   try {
-    const { entities = ['clients', 'workers', 'tasks'], format = 'csv', downloadType = 'zip' } = req.body;
+    const { entities = dataStore.getEntityIds(), format = 'csv', downloadType = 'zip' } = req.body;
     
     // Validate entities
     for (const entity of entities) {
@@ -773,6 +1310,12 @@ export const clearData = async (req, res) => {
     // Clear the entity data
     dataStore.clearEntity(entity);
 
+    recordAudit({
+      action: 'entity.clear',
+      entity,
+      details: { recordsRemoved: recordCount }
+    });
+
     res.json(ResponseBuilder.success(
       {
         entity,
@@ -802,6 +1345,7 @@ export const validateEnhanced = async (req, res) => {
     const workersData = dataStore.getData('workers');
     const tasksData = dataStore.getData('tasks');
     const rules = dataStore.getRules();
+    const constraints = getActiveConstraints();
 
     // Check if we have any data to validate
     const totalRecords = clientsData.length + workersData.length + tasksData.length;
@@ -820,26 +1364,14 @@ export const validateEnhanced = async (req, res) => {
       }, 'No data to validate'));
     }
 
-    // Try Redis cache first if enabled
-    let cacheKey = null;
-    if (cacheResults && redisService.isAvailable()) {
-      const dataHash = crypto.createHash('md5')
-        .update(JSON.stringify({ clientsData, workersData, tasksData, rules }))
-        .digest('hex');
-      cacheKey = `enhanced_validation_${dataHash}`;
-      
-      try {
-        const cachedResult = await redisService.getCache(cacheKey);
-        if (cachedResult) {
-          console.log(`[Data Controller] ✅ Enhanced validation cache hit`);
-          return res.json(ResponseBuilder.success(
-            { ...cachedResult, fromCache: true },
-            'Enhanced validation completed (cached)'
-          ));
-        }
-      } catch (cacheError) {
-        console.warn(`[Data Controller] ⚠️ Enhanced validation cache error:`, cacheError.message);
-      }
+    // The workspace keeps the last result until a write makes it stale; single-record edits patch it
+    const cachedResult = cacheResults ? dataStore.getEnhancedValidationResults() : null;
+    if (cachedResult) {
+      console.log(`[Data Controller] ✅ Enhanced validation cache hit`);
+      return res.json(ResponseBuilder.success(
+        { ...cachedResult, fromCache: true },
+        'Enhanced validation completed (cached)'
+      ));
     }
 
     // Run enhanced validation
@@ -847,7 +1379,8 @@ export const validateEnhanced = async (req, res) => {
       clientsData, 
       workersData, 
       tasksData, 
-      rules
+      rules,
+      constraints
     );
 
     // Add metadata
@@ -857,19 +1390,15 @@ export const validateEnhanced = async (req, res) => {
         totalRecords,
         entitiesValidated: ['clients', 'workers', 'tasks'],
         rulesApplied: rules.length,
+        constraintsApplied: constraints.length,
         validatedAt: new Date().toISOString(),
         fromCache: false
       }
     };
 
     // Cache the result if enabled
-    if (cacheResults && cacheKey && redisService.isAvailable()) {
-      try {
-        await redisService.setCache(cacheKey, enhancedResult, 1800); // 30 minutes
-        console.log(`[Data Controller] ✅ Enhanced validation result cached`);
-      } catch (cacheError) {
-        console.warn(`[Data Controller] ⚠️ Failed to cache validation result:`, cacheError.message);
-      }
+    if (cacheResults) {
+      dataStore.setEnhancedValidationResults(enhancedResult);
     }
 
     res.json(ResponseBuilder.success(
@@ -915,35 +1444,113 @@ export const getValidationSummary = async (req, res) => {
 };
 
 /**
- * Apply suggested fixes (placeholder for future auto-fix functionality)
+ * Get the write policy of every entity
+ */
+export const getWritePolicy = async (req, res) => {
+  try {
+    res.json(ResponseBuilder.success(
+      getWritePoliciesService(),
+      'Write policies retrieved successfully',
+      { policies: WRITE_POLICIES }
+    ));
+
+  } catch (error) {
+    console.error('Error getting write policies:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve write policies', error.message)
+    );
+  }
+};
+
+/**
+ * Set the write policy of some entities
+ * Body: { [entity]: 'off' | 'warn' | 'reject' | null }, null going back to the default
+ * Admins only (routes put requireAdmin in front); the change is audited as writePolicy.set.
+ */
+export const setWritePolicy = async (req, res) => {
+  try {
+    res.json(ResponseBuilder.success(
+      setWritePoliciesService(req.body),
+      'Write policies updated successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error setting write policies:', error);
+
+    if (error.message.includes('Invalid write policy')) {
+      return res.status(400).json(
+        ResponseBuilder.validationError(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to update write policies', error.message)
+    );
+  }
+};
+
+/**
+ * Preview or apply deterministic fixes for enhanced validation errors
  */
 export const applyFixes = async (req, res) => {
   try {
-    const { fixes } = req.body;
+    const { fixes, mode = 'apply' } = req.body;
 
     if (!fixes || !Array.isArray(fixes)) {
       return res.status(400).json(
         ResponseBuilder.error('Fixes array is required')
       );
     }
+    if (!FIX_MODES.includes(mode)) {
+      return res.status(400).json(
+        ResponseBuilder.error(`Invalid mode: ${mode}. Supported modes: ${FIX_MODES.join(', ')}`)
+      );
+    }
+
+    // Snapshot before the bulk fix so it can be rolled back
+    const snapshot = mode === 'apply'
+      ? createSnapshot({ reason: 'apply-fixes', label: `Before applying ${fixes.length} fix(es)` })
+      : null;
 
-    const results = [];
-    for (const fix of fixes) {
-      const result = await EnhancedValidationService.applyFix(fix);
-      results.push(result);
+    const result = await applyFixesService(fixes, { mode, snapshotId: snapshot?.id ?? null, ...getPolicyOptions(req) });
+
+    if (result.operationId) {
+      await revalidateEntities(result.entities);
+      await invalidateEntityCaches(result.entities);
     }
 
+    const successCount = result.fixes.filter(fix => fix.success).length;
     res.json(ResponseBuilder.success(
       {
-        appliedFixes: results,
+        mode,
+        appliedFixes: result.fixes,
         totalAttempted: fixes.length,
-        successCount: results.filter(r => r.success).length
+        successCount,
+        operationId: result.operationId,
+        snapshotId: snapshot?.id ?? null,
+        validation: result.validation
       },
-      'Fix application completed'
+      mode === 'preview' ? 'Fix preview completed' : 'Fix application completed',
+      { resolved: result.validation.resolved.length, introduced: result.validation.introduced.length }
     ));
 
   } catch (error) {
     console.error('Error applying fixes:', error);
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+    if (error.message.includes('Write rejected')) {
+      return res.status(400).json(
+        ResponseBuilder.validationError(error.details, error.message)
+      );
+    }
+    if (error.message.includes('Only admins can force')) {
+      return res.status(403).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
     res.status(500).json(
       ResponseBuilder.error('Failed to apply fixes', error.message)
     );
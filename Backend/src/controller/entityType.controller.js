@@ -0,0 +1,148 @@
+// controllers/entityType.controller.js
+
+import ResponseBuilder from '../utils/responseBuilder.js';
+import {
+  listEntityTypes as listEntityTypesService,
+  getEntityType as getEntityTypeService,
+  registerEntityType as registerEntityTypeService,
+  deleteEntityType as deleteEntityTypeService,
+  COLUMN_TYPES
+} from '../services/entityType.service.js';
+import redisService from '../services/redis.service.js';
+
+/**
+ * List built-in and custom entity types of the workspace
+ */
+export const listEntityTypes = async (req, res) => {
+  try {
+    const entityTypes = listEntityTypesService();
+
+    res.json(ResponseBuilder.success(
+      entityTypes,
+      'Entity types retrieved successfully',
+      { count: entityTypes.length, columnTypes: COLUMN_TYPES }
+    ));
+
+  } catch (error) {
+    console.error('Error listing entity types:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve entity types', error.message)
+    );
+  }
+};
+
+/**
+ * Get a single entity type definition
+ */
+export const getEntityType = async (req, res) => {
+  try {
+    const entityType = getEntityTypeService(req.params.id);
+
+    res.json(ResponseBuilder.success(
+      entityType,
+      'Entity type retrieved successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error getting entity type:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Entity type', req.params.id)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve entity type', error.message)
+    );
+  }
+};
+
+/**
+ * Register a custom entity type
+ * Body: { id, label?, idField, idPrefix?, columns?, headerAliases?, indexedFields? }
+ */
+export const registerEntityType = async (req, res) => {
+  try {
+    const entityType = registerEntityTypeService(req.body);
+    console.log(`[Entity Type Controller] ✅ Registered entity type: ${entityType.id}`);
+
+    // Upload status lists every entity type
+    if (redisService.isAvailable()) {
+      try {
+        await redisService.delCache('upload_status_metadata');
+      } catch (cacheError) {
+        console.warn(`[Entity Type Controller] ⚠️ Failed to invalidate Redis cache:`, cacheError.message);
+      }
+    }
+
+    res.status(201).json(ResponseBuilder.success(
+      entityType,
+      'Entity type registered successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error registering entity type:', error);
+
+    if (error.message.includes('already exists')) {
+      return res.status(409).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+
+    if (error.message.includes('Invalid entity type')) {
+      return res.status(400).json(
+        ResponseBuilder.validationError(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to register entity type', error.message)
+    );
+  }
+};
+
+/**
+ * Delete a custom entity type and its records
+ */
+export const deleteEntityType = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = deleteEntityTypeService(id);
+
+    if (redisService.isAvailable()) {
+      try {
+        await redisService.delCache(`entity_data_${id}`);
+        await redisService.delCache('upload_status_metadata');
+        await redisService.clearCachePattern('validate:*');
+        console.log(`[Entity Type Controller] ✅ Invalidated Redis caches for entity type: ${id}`);
+      } catch (cacheError) {
+        console.warn(`[Entity Type Controller] ⚠️ Failed to invalidate Redis cache:`, cacheError.message);
+      }
+    }
+
+    res.json(ResponseBuilder.success(
+      result,
+      'Entity type deleted successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error deleting entity type:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Entity type', req.params.id)
+      );
+    }
+
+    if (error.message.includes('cannot be deleted')) {
+      return res.status(400).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to delete entity type', error.message)
+    );
+  }
+};
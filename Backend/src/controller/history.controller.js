@@ -0,0 +1,125 @@
+// controllers/history.controller.js
+
+import ResponseBuilder from '../utils/responseBuilder.js';
+import {
+  getHistory as getHistoryService,
+  undo as undoService,
+  redo as redoService
+} from '../services/history.service.js';
+import redisService from '../services/redis.service.js';
+
+/**
+ * Invalidate the Redis caches touched by a reverted or replayed operation
+ * @param {Object} entry - Journal entry summary
+ */
+const invalidateCachesForEntry = async (entry) => {
+  if (!redisService.isAvailable()) return;
+
+  try {
+    if (entry.type.startsWith('record.') || entry.type === 'batch') {
+      for (const entity of entry.entities || [entry.entity]) {
+        await redisService.delCache(`entity_data_${entity}`);
+      }
+      await redisService.clearCachePattern('validate:*');
+    } else if (entry.type.startsWith('rule.')) {
+      await redisService.delCache('all_rules');
+      await redisService.clearCachePattern('ai:rules:*');
+    } else if (entry.type === 'priorities.set') {
+      await redisService.delCache('priority_settings');
+    }
+    console.log(`[History Controller] ✅ Invalidated Redis caches for ${entry.type}`);
+  } catch (cacheError) {
+    console.warn(`[History Controller] ⚠️ Failed to invalidate Redis cache:`, cacheError.message);
+  }
+};
+
+/**
+ * Get the undo/redo journal of the current workspace
+ */
+export const getHistory = async (req, res) => {
+  try {
+    const history = getHistoryService();
+
+    res.json(ResponseBuilder.success(
+      history,
+      'History retrieved successfully',
+      { undoCount: history.undo.length, redoCount: history.redo.length }
+    ));
+
+  } catch (error) {
+    console.error('Error getting history:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve history', error.message)
+    );
+  }
+};
+
+/**
+ * Revert the most recent operation
+ */
+export const undo = async (req, res) => {
+  try {
+    const entry = undoService();
+
+    if (!entry) {
+      return res.status(400).json(
+        ResponseBuilder.error('Nothing to undo')
+      );
+    }
+
+    await invalidateCachesForEntry(entry);
+
+    res.json(ResponseBuilder.success(
+      { operation: entry, ...getHistoryService() },
+      `Undid: ${entry.description}`
+    ));
+
+  } catch (error) {
+    console.error('Error undoing operation:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(409).json(
+        ResponseBuilder.error('Operation can no longer be undone', error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to undo operation', error.message)
+    );
+  }
+};
+
+/**
+ * Replay the most recently undone operation
+ */
+export const redo = async (req, res) => {
+  try {
+    const entry = redoService();
+
+    if (!entry) {
+      return res.status(400).json(
+        ResponseBuilder.error('Nothing to redo')
+      );
+    }
+
+    await invalidateCachesForEntry(entry);
+
+    res.json(ResponseBuilder.success(
+      { operation: entry, ...getHistoryService() },
+      `Redid: ${entry.description}`
+    ));
+
+  } catch (error) {
+    console.error('Error redoing operation:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(409).json(
+        ResponseBuilder.error('Operation can no longer be redone', error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to redo operation', error.message)
+    );
+  }
+};
@@ -0,0 +1,179 @@
+// controllers/mappingProfile.controller.js
+
+import ResponseBuilder from '../utils/responseBuilder.js';
+import {
+  listMappingProfiles as listMappingProfilesService,
+  getMappingProfile as getMappingProfileService,
+  createMappingProfile as createMappingProfileService,
+  updateMappingProfile as updateMappingProfileService,
+  deleteMappingProfile as deleteMappingProfileService,
+  findMatchingProfile,
+  TRANSFORM_TYPES
+} from '../services/mappingProfile.service.js';
+
+/**
+ * List mapping profiles of the workspace
+ * Query: entity - only profiles of this entity
+ */
+export const listMappingProfiles = async (req, res) => {
+  try {
+    const profiles = listMappingProfilesService(req.query.entity);
+
+    res.json(ResponseBuilder.success(
+      profiles,
+      'Mapping profiles retrieved successfully',
+      { count: profiles.length, transformTypes: TRANSFORM_TYPES }
+    ));
+
+  } catch (error) {
+    console.error('Error listing mapping profiles:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve mapping profiles', error.message)
+    );
+  }
+};
+
+/**
+ * Get a single mapping profile
+ */
+export const getMappingProfile = async (req, res) => {
+  try {
+    const profile = getMappingProfileService(req.params.id);
+
+    res.json(ResponseBuilder.success(
+      profile,
+      'Mapping profile retrieved successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error getting mapping profile:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Mapping profile', req.params.id)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve mapping profile', error.message)
+    );
+  }
+};
+
+/**
+ * Save a mapping profile
+ * Body: { name, entity, mapping, headers?, aliases?, transforms?, defaults?, description? }
+ */
+export const createMappingProfile = async (req, res) => {
+  try {
+    const profile = createMappingProfileService(req.body);
+    console.log(`[Mapping Profile Controller] ✅ Saved mapping profile: ${profile.name}`);
+
+    res.status(201).json(ResponseBuilder.success(
+      profile,
+      'Mapping profile saved successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error saving mapping profile:', error);
+
+    if (error.message.includes('Invalid mapping profile')) {
+      return res.status(400).json(
+        ResponseBuilder.validationError(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to save mapping profile', error.message)
+    );
+  }
+};
+
+/**
+ * Update a mapping profile
+ */
+export const updateMappingProfile = async (req, res) => {
+  try {
+    const profile = updateMappingProfileService(req.params.id, req.body);
+
+    res.json(ResponseBuilder.success(
+      profile,
+      'Mapping profile updated successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error updating mapping profile:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Mapping profile', req.params.id)
+      );
+    }
+
+    if (error.message.includes('Invalid mapping profile')) {
+      return res.status(400).json(
+        ResponseBuilder.validationError(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to update mapping profile', error.message)
+    );
+  }
+};
+
+/**
+ * Delete a mapping profile
+ */
+export const deleteMappingProfile = async (req, res) => {
+  try {
+    const profile = deleteMappingProfileService(req.params.id);
+
+    res.json(ResponseBuilder.success(
+      profile,
+      'Mapping profile deleted successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error deleting mapping profile:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Mapping profile', req.params.id)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to delete mapping profile', error.message)
+    );
+  }
+};
+
+/**
+ * Find the profile an upload with these headers would pick up
+ * Body: { headers, entity }
+ */
+export const matchMappingProfile = async (req, res) => {
+  try {
+    const { headers, entity } = req.body;
+
+    if (!Array.isArray(headers)) {
+      return res.status(400).json(
+        ResponseBuilder.error('headers must be an array')
+      );
+    }
+
+    const match = findMatchingProfile(headers, entity);
+
+    res.json(ResponseBuilder.success(
+      match,
+      match ? `Matched mapping profile ${match.profile.name}` : 'No mapping profile matches these headers'
+    ));
+
+  } catch (error) {
+    console.error('Error matching mapping profile:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to match mapping profile', error.message)
+    );
+  }
+};
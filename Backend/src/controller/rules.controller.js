@@ -7,10 +7,14 @@ import {
   validateRule,
   detectRuleConflicts,
   parseNaturalLanguageRule,
+  getRuleContext,
   SUPPORTED_RULE_TYPES
 } from '../services/rule.service.js';
 import dataStore from '../../dataStore.js';
 import redisService from '../services/redis.service.js';
+import { recordOperation } from '../services/history.service.js';
+import { recordAudit } from '../services/audit.service.js';
+import { getRuleVersion, toETag, ifMatchSatisfied } from '../utils/versioning.js';
 
 /**
  * Get all rules with Redis-first strategy
@@ -123,8 +127,18 @@ export const updateRule = async (req, res) => {
       );
     }
 
+    // Reject stale writes: If-Match must name the version the client last read
+    const ifMatch = req.get('If-Match');
+    const currentRule = dataStore.getRules().find(rule => rule.id === id);
+    if (ifMatch && currentRule && !ifMatchSatisfied(ifMatch, getRuleVersion(currentRule))) {
+      res.set('ETag', toETag(getRuleVersion(currentRule)));
+      return res.status(409).json(
+        ResponseBuilder.conflict(`Rule ${id} was modified by someone else`, currentRule)
+      );
+    }
+
     // Update the rule in dataStore (authoritative source)
-    const updatedRule = await updateRuleService(id, updates);
+    const updatedRule = await updateRuleService(id, updates, ifMatch && currentRule ? getRuleVersion(currentRule) : null);
 
     // Invalidate Redis cache for rules
     if (redisService.isAvailable()) {
@@ -137,6 +151,7 @@ export const updateRule = async (req, res) => {
       }
     }
 
+    res.set('ETag', toETag(getRuleVersion(updatedRule)));
     res.json(ResponseBuilder.success(
       updatedRule,
       'Rule updated successfully'
@@ -144,6 +159,13 @@ export const updateRule = async (req, res) => {
 
   } catch (error) {
     console.error('Error updating rule:', error);
+
+    if (error.message.includes('Version conflict')) {
+      const currentRule = dataStore.getRules().find(rule => rule.id === req.params.id);
+      return res.status(409).json(
+        ResponseBuilder.conflict(`Rule ${req.params.id} was modified by someone else`, currentRule)
+      );
+    }
     
     if (error.message.includes('not found')) {
       return res.status(404).json(
@@ -224,14 +246,7 @@ export const validateRules = async (req, res) => {
     }
 
     // Get full data store for validation context
-    const fullDataStore = {
-      clients: dataStore.getData('clients'),
-      workers: dataStore.getData('workers'),
-      tasks: dataStore.getData('tasks'),
-      getTasks: () => dataStore.getData('tasks'),
-      getWorkers: () => dataStore.getData('workers'),
-      getClients: () => dataStore.getData('clients')
-    };
+    const fullDataStore = getRuleContext();
 
     // Detect conflicts
     const conflicts = await detectRuleConflicts(rules, fullDataStore);
@@ -352,8 +367,23 @@ export const setPriorities = async (req, res) => {
     }
 
     // Set priorities in dataStore (authoritative source)
+    const previousPriorities = { ...dataStore.getPriorities() };
     const updatedPriorities = dataStore.setPriorities(priorities);
 
+    recordOperation({
+      type: 'priorities.set',
+      before: previousPriorities,
+      after: updatedPriorities,
+      description: 'Updated priority weights'
+    });
+
+    recordAudit({
+      action: 'priorities.set',
+      entity: 'priorities',
+      before: previousPriorities,
+      after: updatedPriorities
+    });
+
     // Invalidate Redis cache for priorities
     if (redisService.isAvailable()) {
       try {
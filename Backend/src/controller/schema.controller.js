@@ -0,0 +1,51 @@
+// controllers/schema.controller.js
+
+import ResponseBuilder from '../utils/responseBuilder.js';
+import { listSchemas, getSchema as getSchemaService, FIELD_TYPES } from '../services/schema.service.js';
+
+/**
+ * List the schemas of every entity in the workspace (built-in and custom)
+ */
+export const listSchema = async (req, res) => {
+  try {
+    const schemas = listSchemas();
+
+    res.json(ResponseBuilder.success(
+      schemas,
+      'Schemas retrieved successfully',
+      { count: schemas.length, fieldTypes: FIELD_TYPES }
+    ));
+
+  } catch (error) {
+    console.error('Error listing schemas:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve schemas', error.message)
+    );
+  }
+};
+
+/**
+ * Get the schema of a single entity
+ */
+export const getSchema = async (req, res) => {
+  try {
+    const schema = getSchemaService(req.params.entity);
+
+    if (!schema) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Schema', req.params.entity)
+      );
+    }
+
+    res.json(ResponseBuilder.success(
+      schema,
+      'Schema retrieved successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error getting schema:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve schema', error.message)
+    );
+  }
+};
@@ -0,0 +1,193 @@
+// controllers/snapshot.controller.js
+
+import ResponseBuilder from '../utils/responseBuilder.js';
+import {
+  createSnapshot as createSnapshotService,
+  listSnapshots as listSnapshotsService,
+  getSnapshot as getSnapshotService,
+  diffSnapshots as diffSnapshotsService,
+  restoreSnapshot as restoreSnapshotService,
+  deleteSnapshot as deleteSnapshotService
+} from '../services/snapshot.service.js';
+import redisService from '../services/redis.service.js';
+import dataStore from '../../dataStore.js';
+
+/**
+ * List snapshots (newest first, without captured data)
+ */
+export const listSnapshots = async (req, res) => {
+  try {
+    const snapshots = listSnapshotsService();
+
+    res.json(ResponseBuilder.success(
+      snapshots,
+      'Snapshots retrieved successfully',
+      { count: snapshots.length }
+    ));
+
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve snapshots', error.message)
+    );
+  }
+};
+
+/**
+ * Take a manual snapshot
+ */
+export const createSnapshot = async (req, res) => {
+  try {
+    const { label } = req.body;
+
+    const snapshot = createSnapshotService({ reason: 'manual', label });
+
+    res.status(201).json(ResponseBuilder.success(
+      snapshot,
+      'Snapshot created successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error creating snapshot:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to create snapshot', error.message)
+    );
+  }
+};
+
+/**
+ * Get a snapshot including its captured data
+ */
+export const getSnapshot = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const snapshot = getSnapshotService(id);
+
+    if (!snapshot) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Snapshot', id)
+      );
+    }
+
+    res.json(ResponseBuilder.success(
+      snapshot,
+      'Snapshot retrieved successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error getting snapshot:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve snapshot', error.message)
+    );
+  }
+};
+
+/**
+ * Record-level diff between two snapshots (?from=<id>&to=<id|current>)
+ */
+export const diffSnapshots = async (req, res) => {
+  try {
+    const { from, to = 'current' } = req.query;
+
+    if (!from) {
+      return res.status(400).json(
+        ResponseBuilder.error('Query parameter "from" is required')
+      );
+    }
+
+    const diff = diffSnapshotsService(from, to);
+
+    res.json(ResponseBuilder.success(
+      diff,
+      'Snapshot diff generated successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error diffing snapshots:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to diff snapshots', error.message)
+    );
+  }
+};
+
+/**
+ * Roll back to a snapshot with Redis cache invalidation
+ */
+export const restoreSnapshot = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = restoreSnapshotService(id);
+
+    // Every cached view of data, rules and priorities is stale after a rollback
+    if (redisService.isAvailable()) {
+      try {
+        for (const entity of dataStore.getEntityIds()) {
+          await redisService.delCache(`entity_data_${entity}`);
+        }
+        await redisService.delCache('all_rules');
+        await redisService.delCache('priority_settings');
+        await redisService.delCache('upload_status_metadata');
+        await redisService.clearCachePattern('validate:*');
+        await redisService.clearCachePattern('ai:rules:*');
+        console.log(`[Snapshot Controller] ✅ Invalidated Redis caches after restore`);
+      } catch (cacheError) {
+        console.warn(`[Snapshot Controller] ⚠️ Failed to invalidate Redis cache:`, cacheError.message);
+      }
+    }
+
+    res.json(ResponseBuilder.success(
+      result,
+      'Snapshot restored successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error restoring snapshot:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Snapshot', req.params.id)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to restore snapshot', error.message)
+    );
+  }
+};
+
+/**
+ * Delete a snapshot
+ */
+export const deleteSnapshot = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    deleteSnapshotService(id);
+
+    res.json(ResponseBuilder.success(
+      { deletedSnapshotId: id },
+      'Snapshot deleted successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error deleting snapshot:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Snapshot', req.params.id)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to delete snapshot', error.message)
+    );
+  }
+};
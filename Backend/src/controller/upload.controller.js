@@ -2,26 +2,132 @@
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs-extra';
+import { v4 as uuidv4 } from 'uuid';
 import ResponseBuilder from '../utils/responseBuilder.js';
-import { parseCSV, parseExcel, validateDataStructure } from '../utils/csvUtils.js';
+import { parseUploadSources, validateDataStructure } from '../utils/csvUtils.js';
+import { normalizeDialectOptions } from '../utils/csvDialect.js';
 import { getFileExtension, cleanupFiles, getFileStats } from '../utils/fileUtils.js';
-import { processUploadedData } from '../services/parser.service.js';
+import {
+  startProgress,
+  finishProgress,
+  getProgress,
+  subscribeProgress,
+  isFinished,
+  ingestUpload,
+  readUploadedTable
+} from '../services/ingestion.service.js';
+import { toColumnMapping } from '../services/schema.service.js';
+import {
+  findMatchingProfile,
+  proposeProfileMapping,
+  markProfileUsed
+} from '../services/mappingProfile.service.js';
+import { findDuplicates } from '../services/dedup.service.js';
+import { UPLOAD_MODES, planUpload, applyUpload, recordUploadAudit } from '../services/uploadMerge.service.js';
+import { createSnapshot } from '../services/snapshot.service.js';
+import {
+  stageUpload,
+  stageUploadSources,
+  getStagedUpload as getStagedUploadService,
+  listStagedUploads as listStagedUploadsService,
+  discardStagedUpload as discardStagedUploadService,
+  previewStagedCommit,
+  commitStagedUpload as commitStagedUploadService
+} from '../services/staging.service.js';
+import { getReport, reportToCSV } from '../services/ingestionReport.service.js';
 import dataStore from '../../dataStore.js';
 import redisService from '../services/redis.service.js';
+import config from '../config/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Reject files that hold more than one table before streaming them
+ */
+const checkUploadFormat = (file) => {
+  if (getFileExtension(file.originalname) === '.zip') {
+    throw new Error('Unsupported file format: .zip archives are only accepted by POST /api/upload/auto');
+  }
+};
+
+/**
+ * Upload id progress is published under: the client's own (so it can subscribe before
+ * posting the files) or a generated one
+ */
+const resolveUploadId = (req) => {
+  return String(req.body?.uploadId || req.query.uploadId || uuidv4());
+};
+
+/**
+ * CSV dialect overrides from the body or query; what is left out is detected per file
+ * @throws {Error} 'Invalid ...' for an unsupported encoding, delimiter, quote or decimal separator
+ */
+const resolveDialectOptions = (req) => {
+  const option = (name) => req.body?.[name] || req.query[name];
+  return normalizeDialectOptions({
+    encoding: option('encoding'),
+    delimiter: option('delimiter'),
+    quoteChar: option('quoteChar'),
+    decimalSeparator: option('decimalSeparator')
+  });
+};
+
+/**
+ * Invalidate entity and validation caches after entity data was replaced
+ */
+const invalidateUploadCaches = async (entities) => {
+  if (!redisService.isAvailable() || entities.length === 0) return;
+
+  try {
+    for (const entity of entities) {
+      const cacheKey = `entity_data_${entity}`;
+      await redisService.delCache(cacheKey);
+      console.log(`[Upload Controller] ✅ Invalidated Redis cache for uploaded entity: ${entity}`);
+    }
+    
+    // Also clear validation caches since data changed
+    await redisService.clearCachePattern('validate:*');
+    console.log(`[Upload Controller] ✅ Cleared validation caches after data upload`);
+  } catch (cacheError) {
+    console.warn(`[Upload Controller] ⚠️ Failed to invalidate caches after upload:`, cacheError.message);
+  }
+};
+
 /**
  * Upload and process files with Redis cache management
+ * Files are streamed: rows are normalized and validated a chunk at a time, with progress
+ * published under the upload id (see streamUploadProgress).
+ * Body/query: mode - replace (default) | upsert | append | sync
+ *             force - 'true' to load rows the write policy rejects (admins only)
+ *             preview - 'true' to return the change summary without writing anything
+ *             uploadId - id to follow the progress with
+ *             encoding, delimiter, quoteChar, decimalSeparator - CSV dialect overrides (detected otherwise)
  */
 export const uploadFiles = async (req, res) => {
   const uploadedFiles = [];
   const processingResults = {};
   const errors = [];
   const entitiesToInvalidate = new Set();
+  const mode = req.body?.mode || req.query.mode || 'replace';
+  const previewOnly = String(req.body?.preview ?? req.query.preview) === 'true';
+  const force = String(req.body?.force ?? req.query.force) === 'true';
+  const uploadId = resolveUploadId(req);
 
   try {
+    if (!UPLOAD_MODES.includes(mode)) {
+      return res.status(400).json(
+        ResponseBuilder.error(`Invalid upload mode: ${mode}`, `Supported modes: ${UPLOAD_MODES.join(', ')}`)
+      );
+    }
+
+    let dialect;
+    try {
+      dialect = resolveDialectOptions(req);
+    } catch (error) {
+      return res.status(400).json(ResponseBuilder.error(error.message));
+    }
+
     console.log('[Upload Controller] Request received');
     console.log('[Upload Controller] Files in request:', req.files ? Object.keys(req.files) : 'none');
     console.log('[Upload Controller] Body:', req.body);
@@ -34,6 +140,15 @@ export const uploadFiles = async (req, res) => {
       );
     }
 
+    startProgress(uploadId, Object.values(req.files).flat());
+
+    // Snapshot the current dataset so the upload can be rolled back
+    const uploadNames = Object.values(req.files).flat().map(file => file.originalname);
+    const snapshot = previewOnly ? null : createSnapshot({
+      reason: 'upload',
+      label: `Before upload of ${uploadNames.join(', ')}`
+    });
+
     // Process each entity type
     for (const [entity, files] of Object.entries(req.files)) {
       console.log(`[Upload Controller] Processing entity: ${entity}, files:`, files?.length || 0);
@@ -55,29 +170,41 @@ export const uploadFiles = async (req, res) => {
 
           uploadedFiles.push(fileInfo);
 
-          // Parse the file based on extension (this will use Redis caching internally)
-          const extension = getFileExtension(file.originalname);
-          let parseResult;
+          checkUploadFormat(file);
 
-          if (extension === '.csv') {
-            parseResult = await parseCSV(file.path);
-          } else if (extension === '.xlsx' || extension === '.xls') {
-            parseResult = await parseExcel(file.path);
-          } else {
-            throw new Error(`Unsupported file format: ${extension}`);
-          }
-
-          // Validate data structure with smart entity detection
-          console.log(`[Upload Controller] Validating data structure for ${entity}`);
-          console.log(`[Upload Controller] First row keys:`, Object.keys(parseResult.data[0] || {}));
-          
-          const structureErrors = validateDataStructure(parseResult.data, entity);
+          // Stream the file; the first chunk settles the column mapping for the rest
+          let profileMatch = null;
+          let structureErrors = [];
+          const ingested = await ingestUpload({
+            uploadId,
+            file,
+            entity,
+            dialect,
+            prepare: (headers, rows) => {
+              // A saved mapping profile for this source replaces the guessed header mapping
+              profileMatch = findMatchingProfile(headers, entity);
+              if (profileMatch) {
+                console.log(`[Upload Controller] Using mapping profile "${profileMatch.profile.name}" for ${entity}`);
+                return {
+                  mapping: toColumnMapping(proposeProfileMapping(headers, entity, profileMatch.profile, profileMatch.score)),
+                  profile: profileMatch.profile
+                };
+              }
+
+              // Validate data structure with smart entity detection
+              // Profiles always map the identifier column, so only guessed mappings are checked
+              console.log(`[Upload Controller] Validating data structure for ${entity}`);
+              console.log(`[Upload Controller] First row keys:`, Object.keys(rows[0] || {}));
+              structureErrors = validateDataStructure(rows, entity);
+              return structureErrors.some(err => err.type !== 'suggestion') ? null : {};
+            }
+          });
           
           // Separate critical errors from suggestions
           const criticalErrors = structureErrors.filter(err => err.type !== 'suggestion');
           const suggestions = structureErrors.filter(err => err.type === 'suggestion');
           
-          if (criticalErrors.length > 0) {
+          if (!ingested) {
             console.log(`[Upload Controller] Critical validation errors:`, criticalErrors);
             errors.push({
               entity,
@@ -93,11 +220,46 @@ export const uploadFiles = async (req, res) => {
             console.log(`[Upload Controller] Suggestions for ${entity}:`, suggestions);
           }
 
-          // Process and normalize data (this will use Redis caching internally)
-          const processedData = await processUploadedData(parseResult.data, entity);
+          const processedData = ingested.records;
+          const profileInfo = profileMatch
+            ? { id: profileMatch.profile.id, name: profileMatch.profile.name, score: profileMatch.score }
+            : null;
+
+          // Near-duplicates the file brings in, left for review (see /api/data/:entity/duplicates)
+          const { clusters: duplicates } = findDuplicates(entity, { incoming: processedData, mode });
+
+          if (previewOnly) {
+            processingResults[entity] = {
+              filename: file.originalname,
+              recordCount: processedData.length,
+              parseErrors: ingested.parseErrors,
+              rowsRejected: ingested.rejected,
+              rowsCoerced: ingested.coerced,
+              fieldIssues: ingested.fieldIssues,
+              dialect: ingested.dialect,
+              profile: profileInfo,
+              changes: planUpload(entity, processedData, mode).summary,
+              duplicates,
+              processed: false
+            };
+            await cleanupFiles([file.path]);
+            continue;
+          }
+
+          if (profileMatch) markProfileUsed(profileMatch.profile.id);
+
+          // Store in data store (authoritative source), combined with the stored records per mode
+          const previousCount = dataStore.getData(entity).length;
+          const upload = applyUpload(entity, processedData, mode, file.originalname, { force });
+          const { changes, writeValidation } = upload;
 
-          // Store in data store (authoritative source)
-          dataStore.setData(entity, processedData, file.originalname);
+          recordUploadAudit(entity, upload, {
+            fileName: file.originalname,
+            mode,
+            previousCount,
+            snapshotId: snapshot.id,
+            profileId: profileMatch?.profile.id || null
+          });
           
           // Mark entity for cache invalidation
           entitiesToInvalidate.add(entity);
@@ -106,7 +268,15 @@ export const uploadFiles = async (req, res) => {
           processingResults[entity] = {
             filename: file.originalname,
             recordCount: processedData.length,
-            parseErrors: parseResult.errors,
+            parseErrors: ingested.parseErrors,
+            rowsRejected: ingested.rejected,
+            rowsCoerced: ingested.coerced,
+            fieldIssues: ingested.fieldIssues,
+            dialect: ingested.dialect,
+            profile: profileInfo,
+            changes,
+            writeValidation,
+            duplicates,
             processed: true
           };
 
@@ -115,51 +285,44 @@ export const uploadFiles = async (req, res) => {
           errors.push({
             entity,
             file: file.originalname,
-            error: error.message
+            error: error.message,
+            details: error.details
           });
         }
       }
     }
 
     // Invalidate Redis caches for updated entities
-    if (redisService.isAvailable() && entitiesToInvalidate.size > 0) {
-      try {
-        for (const entity of entitiesToInvalidate) {
-          const cacheKey = `entity_data_${entity}`;
-          await redisService.delCache(cacheKey);
-          console.log(`[Upload Controller] ✅ Invalidated Redis cache for uploaded entity: ${entity}`);
-        }
-        
-        // Also clear validation caches since data changed
-        await redisService.clearCachePattern('validate:*');
-        console.log(`[Upload Controller] ✅ Cleared validation caches after data upload`);
-      } catch (cacheError) {
-        console.warn(`[Upload Controller] ⚠️ Failed to invalidate caches after upload:`, cacheError.message);
-      }
-    }
+    await invalidateUploadCaches(Array.from(entitiesToInvalidate));
 
     // Response based on results
     if (errors.length > 0 && Object.keys(processingResults).length === 0) {
       // All files failed
+      finishProgress(uploadId, { failed: true, message: 'File processing failed' });
       return res.status(400).json(
         ResponseBuilder.error('File processing failed', errors)
       );
     }
 
     // At least some files processed successfully
+    finishProgress(uploadId, { message: errors.length > 0 ? `${errors.length} file(s) failed` : null });
     const response = ResponseBuilder.success(
       {
+        uploadId,
         processed: processingResults,
         files: uploadedFiles.map(f => ({
           entity: f.entity,
           originalName: f.originalName,
           size: f.size,
-          status: processingResults[f.entity] ? 'processed' : 'failed'
+          status: processingResults[f.entity] ? (previewOnly ? 'previewed' : 'processed') : 'failed'
         })),
-        cacheInvalidated: Array.from(entitiesToInvalidate)
+        cacheInvalidated: Array.from(entitiesToInvalidate),
+        snapshotId: snapshot?.id || null
       },
-      'Files uploaded and processed',
+      previewOnly ? 'Upload previewed, nothing was changed' : 'Files uploaded and processed',
       {
+        mode,
+        preview: previewOnly,
         totalFiles: uploadedFiles.length,
         successfulProcessing: Object.keys(processingResults).length,
         errors: errors.length > 0 ? errors : undefined
@@ -170,6 +333,7 @@ export const uploadFiles = async (req, res) => {
 
   } catch (error) {
     console.error('Upload error:', error);
+    finishProgress(uploadId, { failed: true, message: error.message });
     
     // Cleanup uploaded files on error
     const filePaths = uploadedFiles.map(f => f.path);
@@ -181,6 +345,467 @@ export const uploadFiles = async (req, res) => {
   }
 };
 
+/**
+ * Stage files for mapping review without touching the entity data
+ * Same multipart fields as a direct upload (uploadId and CSV dialect overrides included); each
+ * file gets a staging ID, the detected CSV dialect and a proposed column mapping with confidence
+ * scores and sample values.
+ */
+export const stageFiles = async (req, res) => {
+  const staged = [];
+  const errors = [];
+  const uploadId = resolveUploadId(req);
+
+  try {
+    if (!req.files || Object.keys(req.files).length === 0) {
+      return res.status(400).json(
+        ResponseBuilder.error('No files uploaded', 'Please select files to upload')
+      );
+    }
+
+    let dialect;
+    try {
+      dialect = resolveDialectOptions(req);
+    } catch (error) {
+      return res.status(400).json(ResponseBuilder.error(error.message));
+    }
+
+    startProgress(uploadId, Object.values(req.files).flat());
+
+    for (const [entity, files] of Object.entries(req.files)) {
+      const file = files?.[0];
+      if (!file) continue;
+
+      try {
+        checkUploadFormat(file);
+        const parseResult = await readUploadedTable({ uploadId, file, entity, dialect });
+
+        // Structure problems are reported, not blocking: the mapping may still fix them
+        const structureErrors = validateDataStructure(parseResult.data, entity);
+
+        staged.push(stageUpload({
+          entity,
+          file: { originalName: file.originalname, filename: file.filename, size: file.size },
+          parseResult,
+          structureErrors,
+          uploadId
+        }));
+      } catch (error) {
+        console.error(`[Upload Controller] Error staging ${entity} file:`, error);
+        errors.push({ entity, file: file.originalname, error: error.message });
+      }
+    }
+
+    if (staged.length === 0) {
+      finishProgress(uploadId, { failed: true, message: 'File processing failed' });
+      return res.status(400).json(
+        ResponseBuilder.error('File processing failed', errors)
+      );
+    }
+
+    finishProgress(uploadId, { message: errors.length > 0 ? `${errors.length} file(s) failed` : null });
+    res.status(201).json(ResponseBuilder.success(
+      staged,
+      'Files staged for mapping review',
+      {
+        count: staged.length,
+        uploadId,
+        expiresInMinutes: config.staging.ttlMinutes,
+        errors: errors.length > 0 ? errors : undefined
+      }
+    ));
+
+  } catch (error) {
+    console.error('Staging error:', error);
+    finishProgress(uploadId, { failed: true, message: error.message });
+    res.status(500).json(
+      ResponseBuilder.error('Upload staging failed', error.message)
+    );
+  }
+};
+
+/**
+ * Stage a single file whose entities are detected: each sheet of a workbook, each array of
+ * records of a JSON object, or each table file inside a .zip, becomes its own staged upload
+ * routed to the entity its columns fit best
+ * Multipart field: file; body/query may carry CSV dialect overrides as for a direct upload
+ */
+export const stageDetectedFile = async (req, res) => {
+  const uploadId = resolveUploadId(req);
+
+  try {
+    if (!req.file) {
+      return res.status(400).json(
+        ResponseBuilder.error('No file uploaded', 'Send the workbook, CSV, JSON or .zip in the "file" field')
+      );
+    }
+
+    const sources = await parseUploadSources(req.file.path, req.file.originalname, {
+      maxEntries: config.upload.maxArchiveEntries,
+      dialect: resolveDialectOptions(req)
+    });
+    const { batchId, staged, skipped } = stageUploadSources({
+      file: { originalName: req.file.originalname, filename: req.file.filename, size: req.file.size },
+      sources,
+      uploadId
+    });
+
+    if (staged.length === 0) {
+      return res.status(400).json(
+        ResponseBuilder.error('No data found', skipped.length > 0 ? skipped : 'The file holds no sheets, records or table files')
+      );
+    }
+
+    console.log(`[Upload Controller] ✅ Staged ${staged.length} table(s) of ${req.file.originalname} as batch ${batchId}`);
+
+    res.status(201).json(ResponseBuilder.success(
+      staged,
+      'Tables detected and staged for mapping review',
+      {
+        count: staged.length,
+        batchId,
+        uploadId,
+        classifications: staged.map(({ id, fileName, entity, classification }) => ({
+          stagingId: id,
+          fileName,
+          entity,
+          confidence: classification.confidence
+        })),
+        expiresInMinutes: config.staging.ttlMinutes,
+        errors: skipped.length > 0 ? skipped : undefined
+      }
+    ));
+
+  } catch (error) {
+    console.error('Detected staging error:', error);
+
+    if (
+      error.message.includes('Unsupported file format') ||
+      error.message.includes('ZIP archive') ||
+      error.message.startsWith('Invalid')
+    ) {
+      return res.status(400).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Upload staging failed', error.message)
+    );
+  }
+};
+
+/**
+ * Stream the progress of an upload as server-sent events
+ * The stream can be opened before the files are posted; it sends the current progress (status
+ * 'pending' until parsing starts), then every update, and ends once the upload is done or failed.
+ */
+export const streamUploadProgress = async (req, res) => {
+  const { uploadId } = req.params;
+  const current = getProgress(uploadId);
+
+  if (current && current.workspaceId !== req.workspaceId) {
+    return res.status(404).json(
+      ResponseBuilder.error('Upload not found', `No upload ${uploadId} in this workspace`)
+    );
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let closed = false;
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.ingestion.heartbeatSeconds * 1000);
+  // An upload that never starts (unknown id, request rejected early) does not hold the stream open
+  const pendingTimeout = setTimeout(() => {
+    if (!getProgress(uploadId)) close();
+  }, config.ingestion.progressTtlSeconds * 1000);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(pendingTimeout);
+    unsubscribe();
+    res.end();
+  };
+  const send = (progress) => {
+    if (closed) return;
+    res.write(`data: ${JSON.stringify(progress)}\n\n`);
+    if (isFinished(progress)) close();
+  };
+
+  unsubscribe = subscribeProgress(uploadId, (progress) => {
+    if (progress.workspaceId === req.workspaceId) send(progress);
+  });
+  req.on('close', close);
+  send(current || { uploadId, status: 'pending' });
+};
+
+/**
+ * Get the ingestion report of an upload: every parse error, rejected row and coerced row with
+ * its source file, sheet, line and raw values
+ * Query: kind - parse_error | rejected | coerced
+ *        fileName - entries of one file only
+ */
+export const getIngestionReport = async (req, res) => {
+  try {
+    const report = getReport(req.params.uploadId, req.query);
+
+    res.json(ResponseBuilder.success(
+      report,
+      'Ingestion report retrieved successfully',
+      { count: report.entries.length, truncated: report.truncated }
+    ));
+
+  } catch (error) {
+    console.error('Error getting ingestion report:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Ingestion report', req.params.uploadId)
+      );
+    }
+
+    if (error.message.includes('Invalid report kind')) {
+      return res.status(400).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve ingestion report', error.message)
+    );
+  }
+};
+
+/**
+ * Download the ingestion report of an upload as CSV, one row per entry
+ * Query: same filters as getIngestionReport
+ */
+export const exportIngestionReport = async (req, res) => {
+  try {
+    const report = getReport(req.params.uploadId, req.query);
+    const fileName = `ingestion-report-${req.params.uploadId}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(reportToCSV(report));
+
+  } catch (error) {
+    console.error('Error exporting ingestion report:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Ingestion report', req.params.uploadId)
+      );
+    }
+
+    if (error.message.includes('Invalid report kind')) {
+      return res.status(400).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to export ingestion report', error.message)
+    );
+  }
+};
+
+/**
+ * List staged uploads awaiting confirmation
+ */
+export const listStagedUploads = async (req, res) => {
+  try {
+    const stagedUploads = listStagedUploadsService();
+
+    res.json(ResponseBuilder.success(
+      stagedUploads,
+      'Staged uploads retrieved successfully',
+      { count: stagedUploads.length }
+    ));
+
+  } catch (error) {
+    console.error('Error listing staged uploads:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve staged uploads', error.message)
+    );
+  }
+};
+
+/**
+ * Get a staged upload and its mapping proposal
+ * Query: entity - propose the mapping for another entity than the one uploaded as
+ *        profile - mapping profile to apply, or 'none' (defaults to the best match)
+ */
+export const getStagedUpload = async (req, res) => {
+  try {
+    const stagedUpload = getStagedUploadService(req.params.stagingId, req.query.entity, req.query.profile);
+
+    res.json(ResponseBuilder.success(
+      stagedUpload,
+      'Staged upload retrieved successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error getting staged upload:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Staged upload', req.params.stagingId)
+      );
+    }
+
+    if (error.message.includes('Invalid entity') || error.message.includes('Invalid mapping profile')) {
+      return res.status(400).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve staged upload', error.message)
+    );
+  }
+};
+
+/**
+ * Preview what committing a staged upload would change
+ * Body: same as the commit; nothing is written and the upload stays staged
+ */
+export const previewStagedUpload = async (req, res) => {
+  try {
+    const result = await previewStagedCommit(req.params.stagingId, req.body || {});
+
+    res.json(ResponseBuilder.success(
+      result,
+      'Staged upload previewed, nothing was changed'
+    ));
+
+  } catch (error) {
+    console.error('Error previewing staged upload:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Staged upload', req.params.stagingId)
+      );
+    }
+
+    if (error.message.includes('Invalid mapping')) {
+      return res.status(400).json(
+        ResponseBuilder.validationError(error.message)
+      );
+    }
+
+    if (
+      error.message.includes('Invalid entity') ||
+      error.message.includes('Invalid upload mode') ||
+      error.message.includes('Invalid decimal separator')
+    ) {
+      return res.status(400).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to preview staged upload', error.message)
+    );
+  }
+};
+
+/**
+ * Commit a staged upload with the confirmed column mapping
+ * Body: { entity?, mapping?: { [column]: field | column | null }, profileId?, saveProfile?: { name, description? },
+ *         mode?: 'replace' | 'upsert' | 'append' | 'sync', decimalSeparator?: '.' | ',' }
+ * Query: force - 'true' to load rows the write policy rejects (admins only)
+ */
+export const commitStagedUpload = async (req, res) => {
+  try {
+    const { stagingId } = req.params;
+    const result = await commitStagedUploadService(stagingId, { ...req.body, force: req.query.force === 'true' });
+    console.log(`[Upload Controller] ✅ Committed staged upload ${stagingId} into ${result.entity} (${result.changes.mode})`);
+
+    await invalidateUploadCaches([result.entity]);
+
+    res.json(ResponseBuilder.success(
+      result,
+      'Staged upload committed'
+    ));
+
+  } catch (error) {
+    console.error('Error committing staged upload:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Staged upload', req.params.stagingId)
+      );
+    }
+
+    if (error.message.includes('Invalid mapping')) {
+      return res.status(400).json(
+        ResponseBuilder.validationError(error.message)
+      );
+    }
+
+    if (error.message.includes('Write rejected')) {
+      return res.status(400).json(
+        ResponseBuilder.validationError(error.details, error.message)
+      );
+    }
+
+    if (error.message.includes('Only admins can force')) {
+      return res.status(403).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+
+    if (
+      error.message.includes('Invalid entity') ||
+      error.message.includes('Invalid upload mode') ||
+      error.message.includes('Invalid decimal separator')
+    ) {
+      return res.status(400).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to commit staged upload', error.message)
+    );
+  }
+};
+
+/**
+ * Discard a staged upload
+ */
+export const discardStagedUpload = async (req, res) => {
+  try {
+    const stagedUpload = discardStagedUploadService(req.params.stagingId);
+
+    res.json(ResponseBuilder.success(
+      stagedUpload,
+      'Staged upload discarded'
+    ));
+
+  } catch (error) {
+    console.error('Error discarding staged upload:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Staged upload', req.params.stagingId)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to discard staged upload', error.message)
+    );
+  }
+};
+
 /**
  * Get upload status and statistics with Redis-first strategy
  */
@@ -219,7 +844,7 @@ export const getUploadStatus = async (req, res) => {
     };
 
     // Build entity status
-    ['clients', 'workers', 'tasks'].forEach(entity => {
+    dataStore.getEntityIds().forEach(entity => {
       uploadStatus.entities[entity] = {
         hasData: stats.recordCounts[entity] > 0,
         recordCount: stats.recordCounts[entity],
@@ -0,0 +1,158 @@
+// controllers/workspace.controller.js
+
+import ResponseBuilder from '../utils/responseBuilder.js';
+import { workspaces } from '../../dataStore.js';
+import redisService from '../services/redis.service.js';
+import { runWithContext } from '../utils/requestContext.js';
+import { createAuditEntry } from '../services/audit.service.js';
+
+/**
+ * List all workspaces
+ */
+export const listWorkspaces = async (req, res) => {
+  try {
+    const list = workspaces.list();
+
+    res.json(ResponseBuilder.success(
+      list,
+      'Workspaces retrieved successfully',
+      { count: list.length }
+    ));
+
+  } catch (error) {
+    console.error('Error listing workspaces:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve workspaces', error.message)
+    );
+  }
+};
+
+/**
+ * Get a single workspace
+ */
+export const getWorkspace = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const workspace = workspaces.get(workspaceId);
+
+    if (!workspace) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Workspace', workspaceId)
+      );
+    }
+
+    res.json(ResponseBuilder.success(
+      workspace,
+      'Workspace retrieved successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error getting workspace:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to retrieve workspace', error.message)
+    );
+  }
+};
+
+/**
+ * Create a new, empty workspace
+ */
+export const createWorkspace = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const workspace = workspaces.create({ name, description });
+    console.log(`[Workspace Controller] ✅ Created workspace: ${workspace.id}`);
+
+    res.status(201).json(ResponseBuilder.success(
+      workspace,
+      'Workspace created successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to create workspace', error.message)
+    );
+  }
+};
+
+/**
+ * Clone a workspace including its data, rules, priorities and validation cache
+ */
+export const cloneWorkspace = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const { name, description } = req.body;
+
+    if (!workspaces.has(workspaceId)) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Workspace', workspaceId)
+      );
+    }
+
+    const workspace = workspaces.clone(workspaceId, { name, description });
+    console.log(`[Workspace Controller] ✅ Cloned workspace ${workspaceId} into ${workspace.id}`);
+
+    res.status(201).json(ResponseBuilder.success(
+      workspace,
+      'Workspace cloned successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error cloning workspace:', error);
+    res.status(500).json(
+      ResponseBuilder.error('Failed to clone workspace', error.message)
+    );
+  }
+};
+
+/**
+ * Delete a workspace and its cached entries
+ * The deletion is the last entry of the workspace's audit log, which is archived rather than deleted.
+ */
+export const deleteWorkspace = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    if (!workspaces.has(workspaceId)) {
+      return res.status(404).json(
+        ResponseBuilder.notFound('Workspace', workspaceId)
+      );
+    }
+
+    const deletion = runWithContext({ workspaceId }, () => createAuditEntry({
+      action: 'workspace.delete',
+      details: { name: workspaces.getStore(workspaceId).workspace.name }
+    }));
+    const deleted = workspaces.delete(workspaceId, { auditEntries: [deletion] });
+
+    // Drop every Redis key namespaced to the deleted workspace
+    if (redisService.isAvailable()) {
+      try {
+        await runWithContext({ workspaceId }, () => redisService.clearCachePattern('*'));
+        console.log(`[Workspace Controller] ✅ Cleared Redis cache for workspace: ${workspaceId}`);
+      } catch (cacheError) {
+        console.warn(`[Workspace Controller] ⚠️ Failed to clear Redis cache:`, cacheError.message);
+      }
+    }
+
+    res.json(ResponseBuilder.success(
+      { deletedWorkspaceId: deleted.id },
+      'Workspace deleted successfully'
+    ));
+
+  } catch (error) {
+    console.error('Error deleting workspace:', error);
+
+    if (error.message.includes('cannot be deleted')) {
+      return res.status(400).json(
+        ResponseBuilder.error(error.message)
+      );
+    }
+
+    res.status(500).json(
+      ResponseBuilder.error('Failed to delete workspace', error.message)
+    );
+  }
+};
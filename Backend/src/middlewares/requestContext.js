@@ -0,0 +1,28 @@
+import { v4 as uuidv4 } from 'uuid';
+import { runWithContext } from '../utils/requestContext.js';
+import { verifyActorToken } from '../utils/authToken.js';
+
+// Actor recorded when a caller does not identify itself
+const ANONYMOUS_ACTOR = 'anonymous';
+
+/**
+ * Attach the actor and request id to every request
+ * A valid signed token (Authorization: Bearer) sets req.authenticatedActor and is also the actor
+ * recorded; otherwise the actor comes from the X-Actor header, which is only a label and never
+ * authorizes anything. The request id is taken from X-Request-Id when the caller supplies one and
+ * echoed back on the response.
+ */
+export const requestContext = (req, res, next) => {
+  const [scheme, token] = String(req.get('Authorization') || '').split(' ');
+  const authenticatedActor = scheme === 'Bearer' ? verifyActorToken(token) : null;
+  const actor = authenticatedActor || String(req.get('X-Actor') || '').trim() || ANONYMOUS_ACTOR;
+  const requestId = String(req.get('X-Request-Id') || '').trim() || uuidv4();
+
+  req.authenticatedActor = authenticatedActor;
+  req.actor = actor;
+  req.requestId = requestId;
+  res.set('X-Request-Id', requestId);
+  runWithContext({ actor, authenticatedActor, requestId }, next);
+};
+
+export default requestContext;
@@ -0,0 +1,17 @@
+import ResponseBuilder from '../utils/responseBuilder.js';
+import { isAdmin } from '../utils/authToken.js';
+
+/**
+ * Let the request through only for an admin proven by a signed token
+ * (config.auth.admins); everyone else gets a 403.
+ */
+export const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.authenticatedActor)) {
+    return res.status(403).json(
+      ResponseBuilder.error('Admin access required', { actor: req.actor, authenticated: Boolean(req.authenticatedActor) })
+    );
+  }
+  next();
+};
+
+export default requireAdmin;
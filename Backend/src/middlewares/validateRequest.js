@@ -1,4 +1,5 @@
 import { validationResult } from 'express-validator';
+import dataStore from '../../dataStore.js';
 
 /**
  * Middleware to handle validation results from express-validator
@@ -23,7 +24,7 @@ export const handleValidationErrors = (req, res, next) => {
  */
 export const validateEntity = (entity) => {
   return (req, res, next) => {
-    const validEntities = ['clients', 'workers', 'tasks'];
+    const validEntities = dataStore.getEntityIds();
     
     if (!validEntities.includes(entity)) {
       return res.status(400).json({
@@ -0,0 +1,49 @@
+import { workspaces } from '../../dataStore.js';
+import { DEFAULT_WORKSPACE_ID, runWithContext } from '../utils/requestContext.js';
+
+/**
+ * Resolve the workspace a request targets
+ * Order: path prefix (/api/workspaces/:workspaceId/...), X-Workspace-Id header,
+ * ?workspace= query parameter, then the default workspace.
+ */
+const resolveWorkspaceId = (req) => {
+  return req.params.workspaceId ||
+    req.get('X-Workspace-Id') ||
+    req.query.workspace ||
+    DEFAULT_WORKSPACE_ID;
+};
+
+/**
+ * Scope the rest of the request to a workspace so dataStore and
+ * redisService calls resolve to that workspace's data and cache keys
+ */
+export const workspaceScope = (req, res, next) => {
+  const workspaceId = String(resolveWorkspaceId(req)).trim();
+
+  if (!workspaces.has(workspaceId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Workspace Not Found',
+      message: `Workspace ${workspaceId} not found`
+    });
+  }
+
+  req.workspaceId = workspaceId;
+  res.set('X-Workspace-Id', workspaceId);
+  runWithContext({ workspaceId }, next);
+};
+
+/**
+ * Re-enter the request context after middleware that may drop it
+ * (multer resumes the chain from stream callbacks outside the original context)
+ */
+export const restoreWorkspaceScope = (req, res, next) => {
+  runWithContext({
+    workspaceId: req.workspaceId || DEFAULT_WORKSPACE_ID,
+    actor: req.actor,
+    authenticatedActor: req.authenticatedActor,
+    requestId: req.requestId
+  }, next);
+};
+
+export default workspaceScope;
@@ -0,0 +1,14 @@
+import express from 'express';
+import asyncWrapper from '../middlewares/asyncWrapper.js';
+import {
+  getAuditLog,
+  exportAuditLog
+} from '../controller/audit.controller.js';
+
+const router = express.Router();
+
+// Audit trail (read-only)
+router.get('/', asyncWrapper(getAuditLog));
+router.get('/export', asyncWrapper(exportAuditLog));
+
+export default router;
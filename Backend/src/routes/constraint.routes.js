@@ -0,0 +1,23 @@
+import express from 'express';
+import asyncWrapper from '../middlewares/asyncWrapper.js';
+import { validateRequiredFields } from '../middlewares/validateRequest.js';
+import {
+  listConstraints,
+  getConstraint,
+  createConstraint,
+  previewConstraint,
+  updateConstraint,
+  deleteConstraint
+} from '../controller/constraint.controller.js';
+
+const router = express.Router();
+
+// User-defined field constraints of the workspace
+router.get('/', asyncWrapper(listConstraints));
+router.post('/', validateRequiredFields(['name', 'entity']), asyncWrapper(createConstraint));
+router.post('/preview', validateRequiredFields(['entity']), asyncWrapper(previewConstraint));
+router.get('/:id', asyncWrapper(getConstraint));
+router.put('/:id', asyncWrapper(updateConstraint));
+router.delete('/:id', asyncWrapper(deleteConstraint));
+
+export default router;
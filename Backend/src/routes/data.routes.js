@@ -2,11 +2,13 @@
 import express from 'express';
 import asyncWrapper from '../middlewares/asyncWrapper.js';
 import { validateEntity } from '../middlewares/validateRequest.js';
+import requireAdmin from '../middlewares/requireAdmin.js';
 import {
   getData,
   getRecord,
   createRecord,
   updateRecord,
+  replaceRecord,
   deleteRecord,
   searchRecords,
   validateData,
@@ -16,7 +18,12 @@ import {
   clearData,
   validateEnhanced,
   getValidationSummary,
-  applyFixes
+  applyFixes,
+  batchMutate,
+  findDuplicateRecords,
+  mergeDuplicateRecords,
+  getWritePolicy,
+  setWritePolicy
 } from '../controller/data.controller.js';
 
 const router = express.Router();
@@ -26,6 +33,16 @@ router.get('/validation-summary', asyncWrapper(getValidationSummary));
 router.post('/validate-enhanced', asyncWrapper(validateEnhanced));
 router.post('/apply-fixes', asyncWrapper(applyFixes));
 
+// Validate-on-write policy per entity (must come before /:entity)
+router.get('/write-policy', asyncWrapper(getWritePolicy));
+router.put('/write-policy', requireAdmin, asyncWrapper(setWritePolicy));
+
+// Atomic batch of create/update/delete operations (must come before /:entity)
+router.post('/batch', asyncWrapper(batchMutate));
+
+// Export data (must come before /:entity)
+router.post('/export', asyncWrapper(exportData));
+
 // Get all data for an entity
 router.get('/:entity', asyncWrapper(getData));
 
@@ -35,6 +52,10 @@ router.get('/:entity/search', asyncWrapper(searchRecords));
 // Get data statistics (must come before /:entity/:id)
 router.get('/:entity/stats', asyncWrapper(getDataStats));
 
+// Near-duplicate clusters and merging them (must come before /:entity/:id)
+router.get('/:entity/duplicates', asyncWrapper(findDuplicateRecords));
+router.post('/:entity/duplicates/merge', asyncWrapper(mergeDuplicateRecords));
+
 // Export single entity as CSV (must come before /:entity/:id)
 router.get('/:entity/export', asyncWrapper(exportSingleEntity));
 
@@ -50,12 +71,12 @@ router.post('/:entity', asyncWrapper(createRecord));
 // Update a specific record
 router.patch('/:entity/:id', asyncWrapper(updateRecord));
 
+// Replace a specific record
+router.put('/:entity/:id', asyncWrapper(replaceRecord));
+
 // Delete a specific record
 router.delete('/:entity/:id', asyncWrapper(deleteRecord));
 
-// Export data
-router.post('/export', asyncWrapper(exportData));
-
 // Clear all data for an entity
 router.delete('/:entity', asyncWrapper(clearData));
 
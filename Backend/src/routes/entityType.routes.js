@@ -0,0 +1,19 @@
+import express from 'express';
+import asyncWrapper from '../middlewares/asyncWrapper.js';
+import { validateRequiredFields } from '../middlewares/validateRequest.js';
+import {
+  listEntityTypes,
+  getEntityType,
+  registerEntityType,
+  deleteEntityType
+} from '../controller/entityType.controller.js';
+
+const router = express.Router();
+
+// Entity type registry (built-in and custom types of the workspace)
+router.get('/', asyncWrapper(listEntityTypes));
+router.post('/', validateRequiredFields(['id', 'idField']), asyncWrapper(registerEntityType));
+router.get('/:id', asyncWrapper(getEntityType));
+router.delete('/:id', asyncWrapper(deleteEntityType));
+
+export default router;
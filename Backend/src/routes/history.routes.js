@@ -0,0 +1,16 @@
+import express from 'express';
+import asyncWrapper from '../middlewares/asyncWrapper.js';
+import {
+  getHistory,
+  undo,
+  redo
+} from '../controller/history.controller.js';
+
+const router = express.Router();
+
+// Undo/redo journal
+router.get('/', asyncWrapper(getHistory));
+router.post('/undo', asyncWrapper(undo));
+router.post('/redo', asyncWrapper(redo));
+
+export default router;
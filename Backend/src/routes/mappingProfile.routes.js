@@ -0,0 +1,23 @@
+import express from 'express';
+import asyncWrapper from '../middlewares/asyncWrapper.js';
+import { validateRequiredFields } from '../middlewares/validateRequest.js';
+import {
+  listMappingProfiles,
+  getMappingProfile,
+  createMappingProfile,
+  updateMappingProfile,
+  deleteMappingProfile,
+  matchMappingProfile
+} from '../controller/mappingProfile.controller.js';
+
+const router = express.Router();
+
+// Saved header-mapping profiles of the workspace
+router.get('/', asyncWrapper(listMappingProfiles));
+router.post('/', validateRequiredFields(['name', 'entity', 'mapping']), asyncWrapper(createMappingProfile));
+router.post('/match', validateRequiredFields(['headers', 'entity']), asyncWrapper(matchMappingProfile));
+router.get('/:id', asyncWrapper(getMappingProfile));
+router.put('/:id', asyncWrapper(updateMappingProfile));
+router.delete('/:id', asyncWrapper(deleteMappingProfile));
+
+export default router;
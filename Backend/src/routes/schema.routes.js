@@ -0,0 +1,11 @@
+import express from 'express';
+import asyncWrapper from '../middlewares/asyncWrapper.js';
+import { listSchema, getSchema } from '../controller/schema.controller.js';
+
+const router = express.Router();
+
+// Entity schemas (fields, types, bounds, aliases, references) used by parsing, validation and the UI
+router.get('/', asyncWrapper(listSchema));
+router.get('/:entity', asyncWrapper(getSchema));
+
+export default router;
@@ -0,0 +1,25 @@
+import express from 'express';
+import asyncWrapper from '../middlewares/asyncWrapper.js';
+import {
+  listSnapshots,
+  createSnapshot,
+  getSnapshot,
+  diffSnapshots,
+  restoreSnapshot,
+  deleteSnapshot
+} from '../controller/snapshot.controller.js';
+
+const router = express.Router();
+
+// Snapshot management
+router.get('/', asyncWrapper(listSnapshots));
+router.post('/', asyncWrapper(createSnapshot));
+
+// Diff between two snapshots (must come before /:id)
+router.get('/diff', asyncWrapper(diffSnapshots));
+
+router.get('/:id', asyncWrapper(getSnapshot));
+router.post('/:id/restore', asyncWrapper(restoreSnapshot));
+router.delete('/:id', asyncWrapper(deleteSnapshot));
+
+export default router;
@@ -1,21 +1,32 @@
 // routes/upload.routes.js
 import express from 'express';
 import asyncWrapper from '../middlewares/asyncWrapper.js';
-import { uploadFields, validateUploadedFiles } from '../middlewares/validateFileUpload.js';
+import { uploadFields, uploadSingle, validateUploadedFiles } from '../middlewares/validateFileUpload.js';
+import { restoreWorkspaceScope } from '../middlewares/workspaceScope.js';
+import dataStore from '../../dataStore.js';
 import { 
   uploadFiles, 
+  stageFiles,
+  stageDetectedFile,
+  listStagedUploads,
+  getStagedUpload,
+  previewStagedUpload,
+  commitStagedUpload,
+  discardStagedUpload,
+  streamUploadProgress,
+  getIngestionReport,
+  exportIngestionReport,
   getUploadStatus, 
   deleteUploadedFile 
 } from '../controller/upload.controller.js';
 
 const router = express.Router();
 
-// Define upload fields for different file types
-const uploadFieldsConfig = [
-  { name: 'clients', maxCount: 1 },
-  { name: 'workers', maxCount: 1 },
-  { name: 'tasks', maxCount: 1 }
-];
+// One file field per entity type of the request's workspace, custom types included
+const uploadEntityFields = (req, res, next) => {
+  const fields = dataStore.getEntityIds().map(entity => ({ name: entity, maxCount: 1 }));
+  return uploadFields(fields)(req, res, next);
+};
 
 // Routes
 router.get('/', (req, res) => {
@@ -24,11 +35,41 @@ router.get('/', (req, res) => {
 
 router.post(
   '/',
-  uploadFields(uploadFieldsConfig),
+  uploadEntityFields,
+  restoreWorkspaceScope,
   validateUploadedFiles,
   asyncWrapper(uploadFiles)
 );
 
+// Two-phase upload: stage, review the column mapping, then commit or discard
+router.post(
+  '/stage',
+  uploadEntityFields,
+  restoreWorkspaceScope,
+  validateUploadedFiles,
+  asyncWrapper(stageFiles)
+);
+// One workbook, CSV, JSON or .zip whose sheets/files are routed to entities by their columns
+router.post(
+  '/auto',
+  uploadSingle('file'),
+  restoreWorkspaceScope,
+  validateUploadedFiles,
+  asyncWrapper(stageDetectedFile)
+);
+router.get('/staged', asyncWrapper(listStagedUploads));
+router.get('/staged/:stagingId', asyncWrapper(getStagedUpload));
+router.post('/staged/:stagingId/preview', asyncWrapper(previewStagedUpload));
+router.post('/staged/:stagingId/commit', asyncWrapper(commitStagedUpload));
+router.delete('/staged/:stagingId', asyncWrapper(discardStagedUpload));
+
+// Server-sent progress events of a direct or staged upload, keyed by the uploadId sent with the files
+router.get('/progress/:uploadId', asyncWrapper(streamUploadProgress));
+
+// Rejected, coerced and unparsable rows of an upload with their source lines
+router.get('/:uploadId/report', asyncWrapper(getIngestionReport));
+router.get('/:uploadId/report/export', asyncWrapper(exportIngestionReport));
+
 router.get('/status', asyncWrapper(getUploadStatus));
 
 router.delete('/:filename', asyncWrapper(deleteUploadedFile));
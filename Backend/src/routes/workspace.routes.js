@@ -0,0 +1,21 @@
+import express from 'express';
+import asyncWrapper from '../middlewares/asyncWrapper.js';
+import { validateRequiredFields } from '../middlewares/validateRequest.js';
+import {
+  listWorkspaces,
+  getWorkspace,
+  createWorkspace,
+  cloneWorkspace,
+  deleteWorkspace
+} from '../controller/workspace.controller.js';
+
+const router = express.Router();
+
+// Workspace management
+router.get('/', asyncWrapper(listWorkspaces));
+router.post('/', validateRequiredFields(['name']), asyncWrapper(createWorkspace));
+router.get('/:workspaceId', asyncWrapper(getWorkspace));
+router.post('/:workspaceId/clone', asyncWrapper(cloneWorkspace));
+router.delete('/:workspaceId', asyncWrapper(deleteWorkspace));
+
+export default router;
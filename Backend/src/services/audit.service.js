@@ -0,0 +1,196 @@
+import dataStore from '../../dataStore.js';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  getCurrentActor,
+  getCurrentRequestId,
+  getCurrentWorkspaceId
+} from '../utils/requestContext.js';
+import { convertToCSV } from '../utils/csvUtils.js';
+
+// Actions written to the audit log
+export const AUDIT_ACTIONS = [
+  'record.create',
+  'record.update',
+  'record.delete',
+  'entity.upload',
+  'entity.clear',
+  'entityType.register',
+  'entityType.delete',
+  'mappingProfile.create',
+  'mappingProfile.update',
+  'mappingProfile.delete',
+  'rule.add',
+  'rule.update',
+  'rule.delete',
+  'constraint.create',
+  'constraint.update',
+  'constraint.delete',
+  'priorities.set',
+  'writePolicy.set',
+  'fixes.apply',
+  'history.undo',
+  'history.redo',
+  'snapshot.restore',
+  'workspace.delete'
+];
+
+// Columns of the compliance CSV export, one row per changed field
+const CSV_HEADERS = [
+  'timestamp',
+  'actor',
+  'requestId',
+  'workspaceId',
+  'action',
+  'entity',
+  'recordId',
+  'field',
+  'before',
+  'after'
+];
+
+/**
+ * Field-level before/after for every field that differs
+ * @param {Object|null} before - Previous state (null for creates)
+ * @param {Object|null} after - New state (null for deletes)
+ * @returns {Array<Object>} Changes as { field, before, after }
+ */
+export function diffRecordFields(before, after) {
+  const previous = before || {};
+  const next = after || {};
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (JSON.stringify(previous[field]) !== JSON.stringify(next[field])) {
+      changes.push({ field, before: previous[field] ?? null, after: next[field] ?? null });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Build an audit entry without writing it
+ * Actor, request id and workspace are taken from the request context.
+ * @param {Object} change - What changed
+ * @param {string} change.action - One of AUDIT_ACTIONS
+ * @param {string} change.entity - Entity name (or 'rules' / 'priorities')
+ * @param {string} change.recordId - Record or rule ID
+ * @param {Object} change.before - State before the change
+ * @param {Object} change.after - State after the change
+ * @param {Object} change.details - Extra context for bulk changes (file name, counts, ...)
+ * @returns {Object} Audit entry
+ */
+export function createAuditEntry({ action, entity = null, recordId = null, before = null, after = null, details = null }) {
+  if (!AUDIT_ACTIONS.includes(action)) {
+    throw new Error(`Invalid audit action. Supported actions: ${AUDIT_ACTIONS.join(', ')}`);
+  }
+
+  return {
+    id: `audit-${uuidv4()}`,
+    timestamp: new Date().toISOString(),
+    actor: getCurrentActor(),
+    requestId: getCurrentRequestId(),
+    workspaceId: getCurrentWorkspaceId(),
+    action,
+    entity,
+    recordId: recordId !== null && recordId !== undefined ? String(recordId) : null,
+    changes: diffRecordFields(before, after),
+    details
+  };
+}
+
+/**
+ * Append an entry to the current workspace's audit log
+ * @param {Object} change - What changed (see createAuditEntry)
+ * @returns {Object} Audit entry
+ */
+export function recordAudit(change) {
+  const entry = createAuditEntry(change);
+  dataStore.appendAudit([entry]);
+  return entry;
+}
+
+/**
+ * Append several entries to the current workspace's audit log in one write
+ * @param {Array<Object>} changes - What changed (see createAuditEntry)
+ * @returns {Array<Object>} Audit entries
+ */
+export function recordAuditEntries(changes) {
+  const entries = changes.map(createAuditEntry);
+  if (entries.length > 0) dataStore.appendAudit(entries);
+  return entries;
+}
+
+/**
+ * Query the audit log, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.actor - Exact actor
+ * @param {string} filters.action - Exact action
+ * @param {string} filters.entity - Exact entity
+ * @param {string} filters.recordId - Exact record ID
+ * @param {string} filters.field - Only entries that changed this field
+ * @param {string} filters.requestId - Exact request ID
+ * @param {string} filters.from - ISO timestamp lower bound (inclusive)
+ * @param {string} filters.to - ISO timestamp upper bound (inclusive)
+ * @returns {Array<Object>} Matching entries
+ */
+export function queryAudit(filters = {}) {
+  const { actor, action, entity, recordId, field, requestId, from, to } = filters;
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+
+  return dataStore.readAudit()
+    .filter(entry => {
+      const time = new Date(entry.timestamp).getTime();
+      return (!actor || entry.actor === actor) &&
+        (!action || entry.action === action) &&
+        (!entity || entry.entity === entity) &&
+        (!recordId || entry.recordId === String(recordId)) &&
+        (!requestId || entry.requestId === requestId) &&
+        (!field || entry.changes.some(change => change.field === field)) &&
+        (fromTime === null || time >= fromTime) &&
+        (toTime === null || time <= toTime);
+    })
+    .reverse();
+}
+
+/**
+ * Flatten audit entries into CSV, one row per changed field
+ * @param {Array<Object>} entries - Audit entries
+ * @returns {string} CSV content
+ */
+export function auditToCSV(entries) {
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  };
+
+  const rows = entries.flatMap(entry => {
+    const base = {
+      timestamp: entry.timestamp,
+      actor: entry.actor,
+      requestId: entry.requestId || '',
+      workspaceId: entry.workspaceId,
+      action: entry.action,
+      entity: entry.entity || '',
+      recordId: entry.recordId || ''
+    };
+
+    if (entry.changes.length === 0) {
+      return [{ ...base, field: '', before: '', after: formatValue(entry.details) }];
+    }
+
+    return entry.changes.map(change => ({
+      ...base,
+      field: change.field,
+      before: formatValue(change.before),
+      after: formatValue(change.after)
+    }));
+  });
+
+  if (rows.length === 0) {
+    return CSV_HEADERS.join(',');
+  }
+  return convertToCSV(rows, CSV_HEADERS);
+}
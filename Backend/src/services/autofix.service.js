@@ -0,0 +1,323 @@
+import dataStore from '../../dataStore.js';
+import { getSchema, parseFieldValue, checkFieldValue, clampNumber } from './schema.service.js';
+import { EnhancedValidationService } from './enhanced-validation.service.js';
+import { recordOperation } from './history.service.js';
+import { recordAudit } from './audit.service.js';
+import { batchWritePolicy, forcedWriteDetails } from './writePolicy.service.js';
+import { canonicalKey } from '../utils/recordIndex.js';
+
+/**
+ * Auto-fix engine
+ *
+ * Turns enhanced validation errors into record edits that need no judgement: a repeated ID is
+ * re-keyed ("T7" -> "T7-2"), a malformed list or number is re-parsed, an out-of-range value is
+ * clamped into its field's bounds and an unknown reference is dropped or remapped. Fixes are
+ * planned against a working copy of the data, so several fixes on one record see each other's
+ * edits. A preview stops there; an apply runs the plan as one atomic batch, undoable as one
+ * operation. Either way validation is re-run on the result to report which errors the fixes
+ * resolve and which they introduce.
+ */
+
+export const FIX_MODES = ['preview', 'apply'];
+
+export const REFERENCE_ACTIONS = ['drop', 'remap'];
+
+/**
+ * Data being fixed: copies of the stored records, edited in place, and the batch operations
+ * that make the same edits to the store. The stored records are kept as loaded, since fixes
+ * name records by the IDs validation saw, which an earlier re-key may have changed.
+ */
+function createPlan() {
+  const data = {};
+  const stored = {};
+  return {
+    operations: [],
+    records(entity) {
+      if (!data[entity]) {
+        stored[entity] = dataStore.getData(entity);
+        data[entity] = stored[entity].map(record => ({ ...record }));
+      }
+      return data[entity];
+    },
+    stored(entity) {
+      this.records(entity);
+      return stored[entity];
+    },
+    loaded: () => Object.keys(data)
+  };
+}
+
+/**
+ * Change a planned record, returning { entity, recordId, field, from, to } per changed field
+ */
+function edit(plan, fix, entity, index, changes) {
+  const idField = getSchema(entity).idField;
+  const records = plan.records(entity);
+  const record = records[index];
+
+  plan.operations.push({ op: 'update', entity, id: record[idField], recordIndex: index, data: changes, fixId: fix.id });
+  records[index] = { ...record, ...changes };
+
+  return Object.entries(changes).map(([field, to]) => ({
+    entity,
+    recordId: record[idField],
+    field,
+    from: record[field],
+    to
+  }));
+}
+
+/**
+ * Planned record and schema field a fix is about
+ * The record is looked up by its stored ID, so a duplicate re-keyed earlier in the same request
+ * is not mistaken for it. The row reported by validation pins the record when its ID is repeated.
+ */
+function locate(plan, fix) {
+  const schema = getSchema(fix.entity);
+  if (!schema) {
+    throw new Error(`Invalid entity: ${fix.entity}`);
+  }
+  const field = schema.fields.find(candidate => candidate.name === fix.field);
+  if (!field) {
+    throw new Error(`Invalid field: ${fix.field} is not a ${fix.entity} field`);
+  }
+
+  const records = plan.records(fix.entity);
+  const stored = plan.stored(fix.entity);
+  const key = canonicalKey(fix.recordId);
+  const pinned = Number.isInteger(fix.row) ? fix.row - 1 : -1;
+  const index = stored[pinned] && canonicalKey(stored[pinned][schema.idField]) === key
+    ? pinned
+    : stored.findIndex(record => canonicalKey(record[schema.idField]) === key);
+  if (index === -1) {
+    throw new Error(`Record with id ${fix.recordId} not found in ${fix.entity}`);
+  }
+
+  return { index, record: records[index], field };
+}
+
+const formatValue = (value) => EnhancedValidationService.formatValue(value);
+
+/**
+ * duplicate_id: the first record keeps the ID (and the references to it), later ones get the
+ * first free "<ID>-<n>"
+ */
+function rekeyDuplicates(plan, fix) {
+  const schema = getSchema(fix.entity);
+  if (!schema) {
+    throw new Error(`Invalid entity: ${fix.entity}`);
+  }
+
+  const records = plan.records(fix.entity);
+  const key = canonicalKey(fix.recordId);
+  const positions = records
+    .map((record, index) => (canonicalKey(record[schema.idField]) === key ? index : -1))
+    .filter(index => index !== -1);
+  if (positions.length < 2) {
+    throw new Error(`${schema.idField} ${fix.recordId} is not repeated in ${fix.entity}`);
+  }
+
+  // New IDs build on the stored ID, not on however the fix spelled it
+  const base = canonicalKey(records[positions[0]][schema.idField]);
+  const taken = new Set(records.map(record => canonicalKey(record[schema.idField])));
+  return positions.slice(1).flatMap(index => {
+    let suffix = 2;
+    while (taken.has(`${base}-${suffix}`)) suffix++;
+    taken.add(`${base}-${suffix}`);
+    return edit(plan, fix, fix.entity, index, { [schema.idField]: `${base}-${suffix}` });
+  });
+}
+
+/**
+ * malformed_data: parse the value again the way uploads are parsed ("1;3;x" -> [1, 3],
+ * "12,5" -> 12.5); values that only parse by being replaced (bad JSON, text in a number
+ * field) are left for a person
+ */
+function reparseValue(plan, fix) {
+  const { index, record, field } = locate(plan, fix);
+  const value = record[field.name];
+  if (checkFieldValue(value, field)?.type !== 'TypeError') {
+    throw new Error(`${field.name} of ${fix.recordId} is no longer malformed`);
+  }
+
+  const coercions = [];
+  const decimalSeparator = /^\s*-?\d+,\d+\s*$/.test(String(value)) ? ',' : '.';
+  const parsed = parseFieldValue(value, field, { decimalSeparator, coercions });
+  const replaced = coercions.some(coercion => coercion.rule === 'default' || coercion.rule === 'invalid_json');
+  if (replaced || checkFieldValue(parsed, field)?.type === 'TypeError') {
+    throw new Error(`${field.name} '${formatValue(value)}' of ${fix.recordId} cannot be re-parsed as ${field.type === 'array' ? 'a list' : field.type}`);
+  }
+
+  return edit(plan, fix, fix.entity, index, { [field.name]: parsed });
+}
+
+/**
+ * out_of_range: clamp a number into the field's bounds; lists clamp each item and drop the
+ * repeats that leaves
+ */
+function clampValue(plan, fix) {
+  const { index, record, field } = locate(plan, fix);
+  const value = record[field.name];
+  if (checkFieldValue(value, field)?.type !== 'RangeError') {
+    throw new Error(`${field.name} of ${fix.recordId} is no longer out of range`);
+  }
+
+  const clamped = field.type === 'array'
+    ? [...new Set(parseFieldValue(value, field).map(item => clampNumber(item, field)))]
+    : clampNumber(Number(String(value).trim()), field);
+
+  return edit(plan, fix, fix.entity, index, { [field.name]: clamped });
+}
+
+/**
+ * unknown_reference: drop the references that match no record, or remap them to
+ * `fix.replacement` (which must exist); `fix.value` narrows the fix to one reference
+ */
+function fixReference(plan, fix) {
+  const { index, record, field } = locate(plan, fix);
+  if (!field.references) {
+    throw new Error(`Invalid field: ${field.name} does not reference another entity`);
+  }
+
+  const action = fix.action || (fix.replacement === undefined ? 'drop' : 'remap');
+  if (!REFERENCE_ACTIONS.includes(action)) {
+    throw new Error(`Invalid action: ${action}. Supported actions: ${REFERENCE_ACTIONS.join(', ')}`);
+  }
+
+  const target = getSchema(field.references);
+  const known = new Set(plan.records(field.references).map(referenced => canonicalKey(referenced[target.idField])));
+  if (action === 'remap' && !known.has(canonicalKey(fix.replacement))) {
+    throw new Error(`Record with id ${fix.replacement} not found in ${field.references}`);
+  }
+
+  const current = record[field.name];
+  const values = field.type === 'array' ? parseFieldValue(current ?? [], field) : [].concat(current ?? []);
+  const isTarget = (value) => !known.has(canonicalKey(value))
+    && (fix.value === undefined || canonicalKey(value) === canonicalKey(fix.value));
+  if (!values.some(isTarget)) {
+    throw new Error(`${field.name} of ${fix.recordId} has no unknown reference${fix.value === undefined ? '' : ` to ${fix.value}`}`);
+  }
+
+  const next = [...new Set(values.flatMap(value => {
+    if (!isTarget(value)) return [value];
+    return action === 'remap' ? [String(fix.replacement).trim()] : [];
+  }))];
+
+  return edit(plan, fix, fix.entity, index, { [field.name]: field.type === 'array' ? next : (next[0] ?? '') });
+}
+
+const FIX_HANDLERS = {
+  duplicate_id: rekeyDuplicates,
+  malformed_data: reparseValue,
+  out_of_range: clampValue,
+  unknown_reference: fixReference
+};
+
+export const FIXABLE_TYPES = Object.keys(FIX_HANDLERS);
+
+/**
+ * Enhanced validation of the given records (stored ones for entities left out)
+ */
+function validate(records = {}) {
+  const data = (entity) => records[entity] || dataStore.getData(entity);
+  return EnhancedValidationService.validateAllData(data('clients'), data('workers'), data('tasks'), dataStore.getRules());
+}
+
+/**
+ * Preview or apply fixes for enhanced validation errors
+ * @param {Array<Object>} fixes - Errors from validate-enhanced ({ id, type, entity, recordId,
+ *   row, field }); unknown_reference fixes also take `value` (the reference to fix), `action`
+ *   ('drop' or 'remap') and `replacement`
+ * @param {Object} options - Fix options
+ * @param {string} options.mode - 'preview' to only plan the fixes, 'apply' to commit them
+ * @param {boolean} options.force - Push fixes the write policy rejects through (admins only)
+ * @param {string} options.snapshotId - Snapshot taken before the fixes, noted in the fixes.apply audit entry
+ * @returns {Promise<Object>} { mode, fixes, operationId, entities, validation } where fixes holds
+ *   { fixId, type, entity, recordId, field, success, status, message, changes } per fix,
+ *   status being 'planned', 'applied' or 'skipped', entities lists the entities edited and
+ *   validation the errors resolved and introduced
+ */
+export async function applyFixes(fixes, { mode = 'apply', force = false, snapshotId = null } = {}) {
+  if (!Array.isArray(fixes)) {
+    throw new Error('Invalid fixes: expected an array');
+  }
+  if (!FIX_MODES.includes(mode)) {
+    throw new Error(`Invalid mode: ${mode}. Supported modes: ${FIX_MODES.join(', ')}`);
+  }
+
+  const plan = createPlan();
+  const results = fixes.map((fix, index) => {
+    const fixId = fix?.id ?? `fix-${index + 1}`;
+    const outcome = { fixId, type: fix?.type ?? null, entity: fix?.entity ?? null, recordId: fix?.recordId ?? null, field: fix?.field ?? null };
+    const handler = FIX_HANDLERS[fix?.type];
+    if (!handler) {
+      return { ...outcome, success: false, status: 'skipped', message: `Auto-fix not available for ${fix?.type} errors`, changes: [] };
+    }
+
+    try {
+      const changes = handler(plan, { ...fix, id: fixId });
+      return { ...outcome, success: true, status: 'planned', message: `${changes.length} value(s) changed`, changes };
+    } catch (error) {
+      return { ...outcome, success: false, status: 'skipped', message: error.message, changes: [] };
+    }
+  });
+
+  const before = await validate();
+  const entities = [...new Set(plan.operations.map(operation => operation.entity))];
+  const planned = Object.fromEntries(plan.loaded().map(entity => [entity, plan.records(entity)]));
+
+  if (mode === 'preview' || plan.operations.length === 0) {
+    const after = await validate(planned);
+    return { mode, fixes: results, operationId: null, entities, validation: EnhancedValidationService.compareResults(before, after) };
+  }
+
+  const { committed, results: operations } = dataStore.applyBatch(plan.operations, { afterOperation: batchWritePolicy({ force }) });
+  if (!committed) {
+    const failure = operations.find(result => !result.success);
+    const error = new Error(`Fixes rolled back: ${failure.error}`);
+    error.details = failure.details;
+    throw error;
+  }
+
+  const applied = results.filter(result => result.success);
+  const description = `Applied ${applied.length} fix(es)`;
+  const entry = recordOperation({
+    type: 'batch',
+    operations: operations.map(result => ({
+      type: `record.${result.op}`,
+      entity: result.entity,
+      before: result.before,
+      after: result.after,
+      index: result.recordIndex
+    })),
+    description
+  });
+
+  operations.forEach((result, index) => {
+    recordAudit({
+      action: `record.${result.op}`,
+      entity: result.entity,
+      recordId: result.id,
+      before: result.before,
+      after: result.after,
+      details: { autoFix: true, fixId: plan.operations[index].fixId, ...forcedWriteDetails(result.writeValidation) }
+    });
+  });
+
+  applied.forEach(result => {
+    result.status = 'applied';
+  });
+  recordAudit({
+    action: 'fixes.apply',
+    details: {
+      description,
+      snapshotId,
+      operationId: entry.id,
+      recordsChanged: operations.length,
+      fixes: results.map(({ fixId, type, entity, recordId, success, status, message }) => ({ fixId, type, entity, recordId, success, status, message }))
+    }
+  });
+
+  const after = await validate();
+  return { mode, fixes: results, operationId: entry.id, entities, validation: EnhancedValidationService.compareResults(before, after) };
+}
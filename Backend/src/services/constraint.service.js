@@ -0,0 +1,599 @@
+import dataStore from '../../dataStore.js';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import { recordAudit } from './audit.service.js';
+import { getCurrentActor } from '../utils/requestContext.js';
+import { getRuleVersion } from '../utils/versioning.js';
+import { getSchema, checkFieldValue, isEmptyValue, FIELD_TYPES } from './schema.service.js';
+
+/**
+ * Field constraints
+ *
+ * Business checks the entity schemas do not know about, such as "Budget must be > 0 for
+ * PriorityLevel 5 clients" or "TaskID matches ^T\d{3}$". A constraint checks one field of an
+ * entity's records (`required`, `type`, `enum`, `pattern`, `min`/`max`,
+ * `exclusiveMin`/`exclusiveMax`), may `assert` a condition across fields, and applies only to
+ * the records matching its `when` condition. Conditions are JSON, never code:
+ *
+ *   { field, op, value }             compare a field with a value
+ *   { field, op, valueField }        compare two fields of the record
+ *   { all: [...] }, { any: [...] }, { not: {...} }
+ *
+ * Constraints are stored per workspace like rules (versioned, part of snapshots) and both the
+ * record validator and enhanced validation report their violations. Patterns run against every
+ * record, so they are length-limited and refused when they could backtrack catastrophically.
+ */
+
+export const CONDITION_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'notIn', 'contains', 'matches', 'empty', 'notEmpty'];
+
+export const CONSTRAINT_SEVERITIES = ['error', 'warning'];
+
+const CHECK_KEYS = ['required', 'type', 'enum', 'pattern', 'min', 'max', 'exclusiveMin', 'exclusiveMax'];
+
+const BOUND_KEYS = ['min', 'max', 'exclusiveMin', 'exclusiveMax'];
+
+const OPERATOR_LABELS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  in: 'in',
+  notIn: 'not in',
+  contains: 'contains',
+  matches: 'matches'
+};
+
+/**
+ * Whether a quantifier allowing more than one repetition starts at an index ('*', '+', '{n,m}' with m > 1)
+ */
+function repeatsAt(source, index) {
+  if (source[index] === '*' || source[index] === '+') return true;
+  const braces = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+  if (!braces) return false;
+  const most = braces[2] === undefined ? Number(braces[1]) : braces[3] === '' ? Infinity : Number(braces[3]);
+  return most > 1;
+}
+
+/**
+ * Whether any quantifier starts at an index, optional ('?') included
+ */
+function quantifierAt(source, index) {
+  return repeatsAt(source, index) || source[index] === '?' || /^\{\d+(,\d*)?\}/.test(source.slice(index));
+}
+
+/**
+ * Why a pattern is unsafe to run against every record, or null when it is fine
+ * Besides length and syntax, two constructions that can backtrack exponentially are refused:
+ * backreferences and a repeated group that itself contains a quantifier, such as (a+)+ or (\w*)*.
+ * @param {string} source - Regular expression source
+ * @returns {string|null} Problem
+ */
+export function patternProblem(source) {
+  const pattern = String(source);
+  if (pattern.length > config.constraints.maxPatternLength) {
+    return `is longer than ${config.constraints.maxPatternLength} characters`;
+  }
+  try {
+    new RegExp(pattern);
+  } catch {
+    return 'is not a valid regular expression';
+  }
+
+  // Whether each open group (the pattern itself at the bottom) contains a quantifier
+  const groups = [false];
+  let inClass = false;
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '\\') {
+      if (!inClass && /[1-9k]/.test(pattern[index + 1])) return 'uses a backreference, which can backtrack exponentially';
+      index++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+      if (pattern[index + 1] === '?') index++; // (?:, (?=, (?<name> ... are not quantifiers
+    } else if (char === ')') {
+      const quantified = groups.length > 1 ? groups.pop() : false;
+      if (quantified && repeatsAt(pattern, index + 1)) {
+        return 'repeats a group that contains a quantifier, which can backtrack exponentially';
+      }
+      groups[groups.length - 1] ||= quantified || quantifierAt(pattern, index + 1);
+    } else if (quantifierAt(pattern, index)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return null;
+}
+
+// Compiled patterns, so each is built once rather than per record; least recently used go first
+const patterns = new Map();
+
+/**
+ * Compiled pattern, or null for a pattern refused by patternProblem (one stored before the check
+ * existed), which is then not checked
+ */
+const toRegExp = (pattern) => {
+  if (patterns.has(pattern)) {
+    const regExp = patterns.get(pattern);
+    patterns.delete(pattern);
+    patterns.set(pattern, regExp);
+    return regExp;
+  }
+
+  const problem = patternProblem(pattern);
+  if (problem) console.warn(`[Constraint Service] ⚠️ Skipping pattern /${pattern}/: ${problem}`);
+  const regExp = problem ? null : new RegExp(pattern);
+  patterns.set(pattern, regExp);
+  if (patterns.size > config.constraints.patternCacheSize) {
+    patterns.delete(patterns.keys().next().value);
+  }
+  return regExp;
+};
+
+const toText = (value) => String(value ?? '').trim();
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const text = toText(value);
+  return text === '' ? NaN : Number(text);
+};
+
+/**
+ * Order two values: as numbers when both are numeric, as trimmed text otherwise
+ * @returns {number} Negative, 0 or positive
+ */
+function compareValues(a, b) {
+  const x = toNumber(a);
+  const y = toNumber(b);
+  if (!isNaN(x) && !isNaN(y)) return x - y;
+
+  const left = toText(a);
+  const right = toText(b);
+  return left === right ? 0 : left < right ? -1 : 1;
+}
+
+const isSameValue = (a, b) => compareValues(a, b) === 0;
+
+/**
+ * Whether a record matches a condition
+ * @param {Object} condition - Condition tree
+ * @param {Object} record - Record
+ * @returns {boolean} True when the condition holds
+ */
+export function evaluateCondition(condition, record) {
+  if (condition.all) return condition.all.every(part => evaluateCondition(part, record));
+  if (condition.any) return condition.any.some(part => evaluateCondition(part, record));
+  if (condition.not) return !evaluateCondition(condition.not, record);
+
+  const actual = record[condition.field];
+  const expected = condition.valueField !== undefined ? record[condition.valueField] : condition.value;
+
+  switch (condition.op) {
+    case 'empty':
+      return isEmptyValue(actual);
+    case 'notEmpty':
+      return !isEmptyValue(actual);
+    case 'eq':
+      return !isEmptyValue(actual) && isSameValue(actual, expected);
+    case 'ne':
+      return isEmptyValue(actual) || !isSameValue(actual, expected);
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      if (isEmptyValue(actual) || isEmptyValue(expected)) return false;
+      const order = compareValues(actual, expected);
+      return { gt: order > 0, gte: order >= 0, lt: order < 0, lte: order <= 0 }[condition.op];
+    }
+    case 'in':
+      return [].concat(expected ?? []).some(value => isSameValue(actual, value));
+    case 'notIn':
+      return ![].concat(expected ?? []).some(value => isSameValue(actual, value));
+    case 'contains':
+      return Array.isArray(actual)
+        ? actual.some(item => isSameValue(item, expected))
+        : toText(actual).toLowerCase().includes(toText(expected).toLowerCase());
+    case 'matches': {
+      const regExp = toRegExp(expected);
+      return !isEmptyValue(actual) && regExp !== null && regExp.test(toText(actual));
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Readable form of a condition, e.g. "PriorityLevel = 5 and Budget is not empty"
+ * @param {Object} condition - Condition tree
+ * @returns {string} Description
+ */
+export function describeCondition(condition) {
+  const nested = (part) => (part.all || part.any ? `(${describeCondition(part)})` : describeCondition(part));
+  if (condition.all) return condition.all.map(nested).join(' and ');
+  if (condition.any) return condition.any.map(nested).join(' or ');
+  if (condition.not) return `not ${nested(condition.not)}`;
+
+  if (condition.op === 'empty') return `${condition.field} is empty`;
+  if (condition.op === 'notEmpty') return `${condition.field} is not empty`;
+
+  const operand = condition.valueField !== undefined
+    ? condition.valueField
+    : Array.isArray(condition.value) ? `{${condition.value.join(', ')}}` : condition.value;
+  return `${condition.field} ${OPERATOR_LABELS[condition.op]} ${condition.op === 'matches' ? `/${operand}/` : operand}`;
+}
+
+/**
+ * Readable bounds of a check, e.g. "> 0 and <= 100"
+ */
+function describeBounds(check) {
+  return [
+    check.min !== undefined && `>= ${check.min}`,
+    check.exclusiveMin !== undefined && `> ${check.exclusiveMin}`,
+    check.max !== undefined && `<= ${check.max}`,
+    check.exclusiveMax !== undefined && `< ${check.exclusiveMax}`
+  ].filter(Boolean).join(' and ');
+}
+
+function withinBounds(value, check) {
+  const number = toNumber(value);
+  if (isNaN(number)) return false;
+
+  return (check.min === undefined || number >= check.min)
+    && (check.exclusiveMin === undefined || number > check.exclusiveMin)
+    && (check.max === undefined || number <= check.max)
+    && (check.exclusiveMax === undefined || number < check.exclusiveMax);
+}
+
+/**
+ * What a record gets wrong about a constraint (list items are checked one by one)
+ * @returns {Array<string>} Problems, empty when the record satisfies the constraint
+ */
+function findProblems(constraint, record) {
+  const problems = [];
+  const { field, check = {} } = constraint;
+
+  if (field) {
+    const value = record[field];
+    if (isEmptyValue(value)) {
+      if (check.required) problems.push(`${field} is required`);
+    } else {
+      const items = Array.isArray(value) ? value : [value];
+      const typeProblem = check.type && checkFieldValue(value, { name: field, type: check.type });
+      if (typeProblem) {
+        problems.push(typeProblem.message);
+      }
+      if (check.enum && items.some(item => !check.enum.some(allowed => isSameValue(item, allowed)))) {
+        problems.push(`${field} must be one of ${check.enum.join(', ')}`);
+      }
+      const regExp = check.pattern && toRegExp(check.pattern);
+      if (regExp && items.some(item => !regExp.test(toText(item)))) {
+        problems.push(`${field} must match /${check.pattern}/`);
+      }
+      if (BOUND_KEYS.some(key => check[key] !== undefined) && items.some(item => !withinBounds(item, check))) {
+        problems.push(`${field} must be ${describeBounds(check)}`);
+      }
+    }
+  }
+
+  if (constraint.assert && !evaluateCondition(constraint.assert, record)) {
+    problems.push(`expected ${describeCondition(constraint.assert)}`);
+  }
+
+  return problems;
+}
+
+/**
+ * First field a condition looks at, to point a cross-field violation at a column
+ */
+function conditionField(condition) {
+  if (condition.all || condition.any) return conditionField((condition.all || condition.any)[0]);
+  if (condition.not) return conditionField(condition.not);
+  return condition.field;
+}
+
+/**
+ * Active constraints of the workspace
+ * @param {string} entity - Only constraints on this entity (optional)
+ * @returns {Array<Object>} Constraints
+ */
+export function getActiveConstraints(entity = null) {
+  return dataStore.getConstraints().filter(constraint =>
+    constraint.isActive !== false && (!entity || constraint.entity === entity)
+  );
+}
+
+/**
+ * Check records against constraints
+ * @param {Array<Object>} records - Records of one entity
+ * @param {string} entity - Entity id
+ * @param {Array<Object>} constraints - Constraints to check (the workspace's active ones by default)
+ * @returns {Array<Object>} { constraintId, constraintName, severity, entity, field, recordId, row,
+ *   value, message } per record breaking a constraint, row being 1-based
+ */
+export function evaluateConstraints(records, entity, constraints = getActiveConstraints(entity)) {
+  const idField = getSchema(entity)?.idField;
+  const violations = [];
+
+  constraints
+    .filter(constraint => constraint.entity === entity && constraint.isActive !== false)
+    .forEach(constraint => {
+      const field = constraint.field || conditionField(constraint.assert);
+      const scope = constraint.when ? ` when ${describeCondition(constraint.when)}` : '';
+
+      records.forEach((record, index) => {
+        if (constraint.when && !evaluateCondition(constraint.when, record)) return;
+
+        const problems = findProblems(constraint, record);
+        if (problems.length === 0) return;
+
+        const value = record[field];
+        const shown = value === undefined ? '' : ` (got '${typeof value === 'object' ? JSON.stringify(value) : value}')`;
+        violations.push({
+          constraintId: constraint.id,
+          constraintName: constraint.name,
+          severity: constraint.severity || 'error',
+          entity,
+          field,
+          recordId: idField ? record[idField] : undefined,
+          row: index + 1,
+          value,
+          message: `${constraint.message || `${constraint.name}: ${problems.join('; ')}`}${scope}${shown}`
+        });
+      });
+    });
+
+  return violations;
+}
+
+/**
+ * Check a condition tree, collecting problems under its path (e.g. "when.all[1]")
+ */
+function checkCondition(condition, path, errors) {
+  if (typeof condition !== 'object' || condition === null || Array.isArray(condition)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  const group = ['all', 'any'].find(key => key in condition);
+  if (group) {
+    if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+      errors.push(`${path}.${group} must be a non-empty array of conditions`);
+      return;
+    }
+    condition[group].forEach((part, index) => checkCondition(part, `${path}.${group}[${index}]`, errors));
+    return;
+  }
+  if ('not' in condition) {
+    checkCondition(condition.not, `${path}.not`, errors);
+    return;
+  }
+
+  if (typeof condition.field !== 'string' || !condition.field.trim()) {
+    errors.push(`${path}.field is required`);
+  }
+  if (!CONDITION_OPERATORS.includes(condition.op)) {
+    errors.push(`${path}.op ${condition.op} is not supported. Supported operators: ${CONDITION_OPERATORS.join(', ')}`);
+    return;
+  }
+  if (condition.op === 'empty' || condition.op === 'notEmpty') return;
+
+  if (condition.valueField !== undefined) {
+    if (typeof condition.valueField !== 'string' || !condition.valueField.trim()) {
+      errors.push(`${path}.valueField must be a field name`);
+    }
+    return;
+  }
+  if (condition.value === undefined) {
+    errors.push(`${path} needs a value or valueField`);
+  } else if ((condition.op === 'in' || condition.op === 'notIn') && !Array.isArray(condition.value)) {
+    errors.push(`${path}.value must be an array for ${condition.op}`);
+  } else if (condition.op === 'matches') {
+    const problem = patternProblem(condition.value);
+    if (problem) errors.push(`${path}.value ${problem}`);
+  }
+}
+
+/**
+ * Normalize and check a constraint definition
+ * @returns {Object} { constraint, errors }
+ */
+function normalizeConstraint(definition, existing = null) {
+  const errors = [];
+  const merged = { ...existing, ...definition };
+
+  const name = String(merged.name || '').trim();
+  if (!name) {
+    errors.push('name is required');
+  }
+  if (!getSchema(merged.entity)) {
+    errors.push(`Unknown entity ${merged.entity}`);
+  }
+
+  const field = merged.field ? String(merged.field).trim() : null;
+  const check = merged.check || {};
+  if (typeof check !== 'object' || Array.isArray(check)) {
+    errors.push('check must be an object');
+  } else {
+    Object.keys(check).filter(key => !CHECK_KEYS.includes(key)).forEach(key => {
+      errors.push(`check.${key} is not supported. Supported checks: ${CHECK_KEYS.join(', ')}`);
+    });
+    if (check.type !== undefined && !FIELD_TYPES.includes(check.type)) {
+      errors.push(`check.type must be one of ${FIELD_TYPES.join(', ')}`);
+    }
+    if (check.enum !== undefined && (!Array.isArray(check.enum) || check.enum.length === 0)) {
+      errors.push('check.enum must be a non-empty array');
+    }
+    if (check.pattern !== undefined) {
+      const problem = patternProblem(check.pattern);
+      if (problem) errors.push(`check.pattern ${problem}`);
+    }
+    BOUND_KEYS.filter(key => check[key] !== undefined && typeof check[key] !== 'number').forEach(key => {
+      errors.push(`check.${key} must be a number`);
+    });
+  }
+
+  const hasChecks = CHECK_KEYS.some(key => check[key] !== undefined && check[key] !== false);
+  if (hasChecks && !field) {
+    errors.push('field is required for field checks');
+  }
+  if (!hasChecks && !merged.assert) {
+    errors.push('a constraint needs field checks or an assert condition');
+  }
+  if (merged.when !== undefined && merged.when !== null) {
+    checkCondition(merged.when, 'when', errors);
+  }
+  if (merged.assert !== undefined && merged.assert !== null) {
+    checkCondition(merged.assert, 'assert', errors);
+  }
+
+  const severity = merged.severity || 'error';
+  if (!CONSTRAINT_SEVERITIES.includes(severity)) {
+    errors.push(`severity must be one of ${CONSTRAINT_SEVERITIES.join(', ')}`);
+  }
+
+  return {
+    constraint: {
+      name,
+      description: String(merged.description || ''),
+      entity: merged.entity,
+      field,
+      check,
+      when: merged.when || null,
+      assert: merged.assert || null,
+      severity,
+      message: merged.message ? String(merged.message) : null,
+      isActive: merged.isActive !== false
+    },
+    errors
+  };
+}
+
+/**
+ * List constraints of the workspace
+ * @param {string} entity - Only constraints on this entity (optional)
+ * @returns {Array<Object>} Constraints
+ */
+export function listConstraints(entity = null) {
+  return dataStore.getConstraints().filter(constraint => !entity || constraint.entity === entity);
+}
+
+/**
+ * Get a constraint
+ * @param {string} constraintId - Constraint ID
+ * @returns {Object} Constraint
+ */
+export function getConstraint(constraintId) {
+  const constraint = dataStore.getConstraint(constraintId);
+  if (!constraint) {
+    throw new Error(`Constraint ${constraintId} not found`);
+  }
+  return constraint;
+}
+
+/**
+ * Check a constraint definition against the stored records without saving it
+ * @param {Object} definition - Constraint definition (see createConstraint)
+ * @returns {Object} { constraint, violations, recordsChecked }
+ */
+export function previewConstraint(definition = {}) {
+  const { constraint, errors } = normalizeConstraint({ ...definition, name: definition.name || 'Unsaved constraint' });
+  if (errors.length > 0) {
+    throw new Error(`Invalid constraint: ${errors.join('; ')}`);
+  }
+
+  const records = dataStore.getData(constraint.entity);
+  return {
+    constraint,
+    violations: evaluateConstraints(records, constraint.entity, [{ ...constraint, isActive: true }]),
+    recordsChecked: records.length
+  };
+}
+
+/**
+ * Save a constraint
+ * @param {Object} definition - { name, entity, field?, check?, when?, assert?, severity?, message?,
+ *   description?, isActive? }
+ * @returns {Object} The stored constraint
+ */
+export function createConstraint(definition = {}) {
+  const { constraint, errors } = normalizeConstraint(definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid constraint: ${errors.join('; ')}`);
+  }
+
+  const now = new Date().toISOString();
+  const stored = dataStore.addConstraint({
+    id: `constraint-${uuidv4()}`,
+    ...constraint,
+    createdAt: now,
+    updatedAt: now,
+    metadata: { createdBy: getCurrentActor() }
+  });
+
+  recordAudit({
+    action: 'constraint.create',
+    entity: stored.entity,
+    recordId: stored.id,
+    after: stored
+  });
+
+  console.log(`[Constraint Service] ✅ Added constraint ${stored.name} on ${stored.entity}`);
+  return stored;
+}
+
+/**
+ * Update a constraint; fields left out keep their value
+ * @param {string} constraintId - Constraint ID
+ * @param {Object} updates - Any of the createConstraint fields
+ * @param {number|null} expectedVersion - Version the client last read (If-Match), or null
+ * @returns {Object} The updated constraint
+ */
+export function updateConstraint(constraintId, updates = {}, expectedVersion = null) {
+  const existing = getConstraint(constraintId);
+  if (expectedVersion !== null && Number(expectedVersion) !== getRuleVersion(existing)) {
+    throw new Error(`Version conflict: constraint ${constraintId} is at version ${getRuleVersion(existing)}, expected ${expectedVersion}`);
+  }
+
+  const { constraint, errors } = normalizeConstraint(updates, existing);
+  if (errors.length > 0) {
+    throw new Error(`Invalid constraint: ${errors.join('; ')}`);
+  }
+
+  const updated = dataStore.updateConstraint(constraintId, {
+    ...constraint,
+    updatedAt: new Date().toISOString()
+  });
+
+  recordAudit({
+    action: 'constraint.update',
+    entity: updated.entity,
+    recordId: constraintId,
+    before: existing,
+    after: updated
+  });
+
+  return updated;
+}
+
+/**
+ * Delete a constraint
+ * @param {string} constraintId - Constraint ID
+ * @returns {Object} The deleted constraint
+ */
+export function deleteConstraint(constraintId) {
+  const existing = getConstraint(constraintId);
+  const deleted = dataStore.deleteConstraint(existing.id);
+
+  recordAudit({
+    action: 'constraint.delete',
+    entity: deleted.entity,
+    recordId: constraintId,
+    before: deleted
+  });
+
+  return deleted;
+}
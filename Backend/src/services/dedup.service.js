@@ -0,0 +1,506 @@
+import dataStore from '../../dataStore.js';
+import config from '../config/config.js';
+import { getSchema, listSchemas, isEmptyValue } from './schema.service.js';
+import { recordOperation } from './history.service.js';
+import { recordAudit } from './audit.service.js';
+import { batchWritePolicy, forcedWriteDetails } from './writePolicy.service.js';
+import { editDistance } from '../utils/headerMatcher.js';
+
+/**
+ * Near-duplicate detection
+ *
+ * Finds records that describe the same thing under different IDs ("CUST004" and "C-0004" with
+ * "Acme Corp" and "ACME Corporation, Inc." and the same email). Each record is reduced to
+ * signals: its normalized name, the email addresses found in any of its values (extra columns
+ * and JSON attributes included), its skill sets, its attribute key/values and the digits of its
+ * ID. Only records sharing a blocking key (an email, a name word or the ID digits) are compared,
+ * so large tables are not compared pair by pair. Pairs scoring at least `minScore` are grouped
+ * into clusters, each with a suggested survivor; merging a cluster folds the duplicates into the
+ * survivor and rewrites references to them (RequestedTaskIDs pointing at a removed task).
+ */
+
+// Weight of each signal in a pair's score; signals missing on either side are left out
+export const SIGNAL_WEIGHTS = {
+  name: 0.4,
+  email: 0.35,
+  skills: 0.15,
+  attributes: 0.1,
+  id: 0.1
+};
+
+// Words dropped from names before comparing ("Acme Corp." -> "acme")
+const NAME_STOP_WORDS = new Set([
+  'the', 'and', 'of', 'inc', 'incorporated', 'ltd', 'limited', 'llc', 'llp', 'plc', 'corp',
+  'corporation', 'co', 'company', 'gmbh', 'ag', 'sa', 'bv', 'group', 'holdings'
+]);
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+
+// Fields owned by the server, never compared or merged
+const SERVER_FIELDS = ['id', '_metadata'];
+
+/**
+ * Lowercased words of a name, without punctuation and company suffixes
+ */
+function nameTokens(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !NAME_STOP_WORDS.has(word));
+}
+
+/**
+ * Every email address in a value, searching arrays and objects too
+ */
+function collectEmails(value, emails = new Set()) {
+  if (isEmptyValue(value)) return emails;
+  if (Array.isArray(value)) {
+    value.forEach(item => collectEmails(item, emails));
+  } else if (typeof value === 'object') {
+    Object.values(value).forEach(item => collectEmails(item, emails));
+  } else {
+    (String(value).match(EMAIL_PATTERN) || []).forEach(email => emails.add(email.toLowerCase()));
+  }
+  return emails;
+}
+
+/**
+ * "key=value" pairs of a JSON field, nested keys joined with dots
+ */
+function flattenAttributes(value, prefix = '', pairs = new Set()) {
+  if (value === null || typeof value !== 'object') {
+    if (!isEmptyValue(value)) pairs.add(`${prefix}=${String(value).trim().toLowerCase()}`);
+    return pairs;
+  }
+  Object.entries(value).forEach(([key, item]) => {
+    flattenAttributes(item, prefix ? `${prefix}.${key.toLowerCase()}` : key.toLowerCase(), pairs);
+  });
+  return pairs;
+}
+
+/**
+ * Signals of a record used for comparing it with others
+ */
+function extractSignals(record, schema) {
+  const skillFields = schema.fields.filter(field => field.type === 'array' && field.items === 'string' && !field.references);
+  const jsonFields = schema.fields.filter(field => field.type === 'json');
+  const idDigits = String(record[schema.idField] ?? '').replace(/\D/g, '').replace(/^0+(?=\d)/, '');
+
+  const emails = new Set();
+  Object.entries(record)
+    .filter(([field]) => !SERVER_FIELDS.includes(field))
+    .forEach(([, value]) => collectEmails(value, emails));
+
+  const tokens = schema.nameField ? nameTokens(record[schema.nameField]) : [];
+
+  return {
+    name: tokens.join(' '),
+    nameTokens: new Set(tokens),
+    emails,
+    skills: new Set(skillFields.flatMap(field => [].concat(record[field.name] ?? []))
+      .map(skill => String(skill).trim().toLowerCase())
+      .filter(Boolean)),
+    attributes: jsonFields.reduce((pairs, field) => flattenAttributes(record[field.name], '', pairs), new Set()),
+    idDigits
+  };
+}
+
+/**
+ * Share of the items in either set found in both (1 = same items)
+ */
+function jaccard(a, b) {
+  const shared = [...a].filter(item => b.has(item)).length;
+  const total = new Set([...a, ...b]).size;
+  return total === 0 ? 0 : shared / total;
+}
+
+/**
+ * Similarity of two normalized names: the better of word overlap and edit distance
+ */
+function nameSimilarity(a, b) {
+  const length = Math.max(a.name.length, b.name.length);
+  const spelling = 1 - editDistance(a.name, b.name) / length;
+  return Math.max(jaccard(a.nameTokens, b.nameTokens), spelling);
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Score how likely two records are the same
+ * @param {Object} a - Signals of the first record
+ * @param {Object} b - Signals of the second record
+ * @returns {Object|null} { score, signals } where signals holds the similarity (0-1) of each signal
+ *   present on both sides, or null when neither the names nor the emails point to a match
+ */
+function scorePair(a, b) {
+  const signals = {};
+  if (a.name && b.name) signals.name = nameSimilarity(a, b);
+  if (a.emails.size && b.emails.size) signals.email = [...a.emails].some(email => b.emails.has(email)) ? 1 : 0;
+  if (a.skills.size && b.skills.size) signals.skills = jaccard(a.skills, b.skills);
+  if (a.attributes.size && b.attributes.size) signals.attributes = jaccard(a.attributes, b.attributes);
+  if (a.idDigits && b.idDigits) signals.id = a.idDigits === b.idDigits ? 1 : 0;
+
+  // Shared skills or attributes alone do not make two records the same
+  if (!(signals.name >= 0.5 || signals.email === 1)) return null;
+
+  const weights = Object.keys(signals).map(signal => SIGNAL_WEIGHTS[signal]);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const score = Object.entries(signals).reduce((sum, [signal, value]) => sum + SIGNAL_WEIGHTS[signal] * value, 0) / total;
+
+  return {
+    score: round(score),
+    signals: Object.fromEntries(Object.entries(signals).map(([signal, value]) => [signal, round(value)]))
+  };
+}
+
+/**
+ * Keys a record is filed under; only records sharing a key are compared
+ */
+function blockingKeys(signals) {
+  return [
+    ...[...signals.emails].map(email => `email:${email}`),
+    ...[...signals.nameTokens].filter(word => word.length >= 3).map(word => `name:${word}`),
+    ...(signals.name ? [`name:${signals.name.replace(/ /g, '')}`] : []),
+    ...(signals.idDigits ? [`id:${signals.idDigits}`] : [])
+  ];
+}
+
+/**
+ * How often each ID of an entity is referenced by other records
+ */
+function countReferences(entity) {
+  const counts = new Map();
+  listSchemas().forEach(schema => {
+    schema.fields.filter(field => field.references === entity).forEach(field => {
+      dataStore.getData(schema.entity).forEach(record => {
+        [].concat(record[field.name] ?? []).forEach(id => {
+          counts.set(String(id).trim(), (counts.get(String(id).trim()) || 0) + 1);
+        });
+      });
+    });
+  });
+  return counts;
+}
+
+/**
+ * Fields of a record holding a value
+ */
+function filledFieldCount(record) {
+  return Object.entries(record).filter(([field, value]) => !SERVER_FIELDS.includes(field) && !isBlank(value)).length;
+}
+
+/**
+ * Suggested survivor of a cluster: a stored record over an uploaded row, then the record
+ * referenced most, then the most complete one, then the first
+ */
+function pickSurvivor(members, referenceCounts) {
+  const ranked = [...members].sort((a, b) =>
+    (a.source === 'stored' ? 0 : 1) - (b.source === 'stored' ? 0 : 1) ||
+    (referenceCounts.get(b.id) || 0) - (referenceCounts.get(a.id) || 0) ||
+    filledFieldCount(b.record) - filledFieldCount(a.record) ||
+    a.position - b.position
+  );
+  const [survivor] = ranked;
+  const references = referenceCounts.get(survivor.id) || 0;
+
+  let reason = 'most complete record';
+  if (survivor.source === 'stored' && members.some(member => member.source === 'upload')) {
+    reason = 'already stored';
+  } else if (references > 0) {
+    reason = `referenced ${references} time(s)`;
+  }
+  return { id: survivor.id, source: survivor.source, reason };
+}
+
+/**
+ * Find clusters of near-duplicate records
+ * Without `incoming`, the stored records of the entity are compared with each other. With
+ * `incoming` (processed rows of an upload), its rows are compared with each other and, unless
+ * the upload replaces the data, with the stored records; pairs of stored records are left out.
+ * Records sharing an ID are never paired: exact duplicates are reported by validation and
+ * merged by upload modes.
+ * @param {string} entity - Entity id
+ * @param {Object} options - Detection options
+ * @param {Array<Object>} options.incoming - Processed upload rows
+ * @param {string} options.mode - Upload mode of the incoming rows
+ * @param {number} options.minScore - Lowest pair score (0-1) considered a duplicate
+ * @returns {Object} { entity, minScore, recordsCompared, pairsScored, clusters } where each
+ *   cluster is { members, survivor, score, pairs }; members are { id, source: 'stored' | 'upload',
+ *   row, record } (row being the 1-based upload row), pairs { ids, score, signals }, and score
+ *   the highest pair score
+ */
+export function findDuplicates(entity, { incoming = null, mode = 'upsert', minScore = config.dedup.minScore } = {}) {
+  const schema = getSchema(entity);
+  if (!schema) {
+    throw new Error(`Invalid entity: ${entity}`);
+  }
+  const threshold = Number(minScore);
+  if (isNaN(threshold) || threshold <= 0 || threshold > 1) {
+    throw new Error('Invalid minScore: must be a number above 0 and at most 1');
+  }
+
+  const stored = incoming && mode === 'replace' ? [] : dataStore.getData(entity);
+  const members = [
+    ...stored.map(record => ({ source: 'stored', record })),
+    ...(incoming || []).map((record, index) => ({ source: 'upload', row: index + 1, record }))
+  ].map((member, position) => ({
+    ...member,
+    position,
+    id: String(member.record[schema.idField] ?? '').trim(),
+    signals: extractSignals(member.record, schema)
+  }));
+
+  const blocks = new Map();
+  members.forEach((member, position) => {
+    new Set(blockingKeys(member.signals)).forEach(key => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(position);
+    });
+  });
+
+  // Union-find over the positions of matching records
+  const parents = members.map((_, position) => position);
+  const root = (position) => {
+    while (parents[position] !== position) {
+      parents[position] = parents[parents[position]];
+      position = parents[position];
+    }
+    return position;
+  };
+
+  const compared = new Set();
+  const matches = [];
+  blocks.forEach(positions => {
+    // A key shared by a large part of the table ("name:data") tells nothing about identity
+    if (positions.length > config.dedup.maxBlockSize) return;
+
+    positions.forEach((left, index) => {
+      positions.slice(index + 1).forEach(right => {
+        const pairKey = `${left}:${right}`;
+        if (compared.has(pairKey)) return;
+        compared.add(pairKey);
+
+        const a = members[left];
+        const b = members[right];
+        if (incoming && a.source === 'stored' && b.source === 'stored') return;
+        if (a.id && a.id === b.id) return;
+
+        const match = scorePair(a.signals, b.signals);
+        if (!match || match.score < threshold) return;
+
+        matches.push({ left, right, ...match });
+        parents[root(left)] = root(right);
+      });
+    });
+  });
+
+  const referenceCounts = countReferences(entity);
+  const clusters = new Map();
+  matches.forEach(match => {
+    const key = root(match.left);
+    if (!clusters.has(key)) clusters.set(key, { positions: new Set(), pairs: [] });
+    const cluster = clusters.get(key);
+    cluster.positions.add(match.left).add(match.right);
+    cluster.pairs.push(match);
+  });
+
+  const describe = (member) => member.id || `row ${member.row}`;
+
+  return {
+    entity,
+    minScore: threshold,
+    recordsCompared: members.length,
+    pairsScored: compared.size,
+    clusters: [...clusters.values()]
+      .map(cluster => {
+        const clusterMembers = [...cluster.positions].sort((a, b) => a - b).map(position => members[position]);
+        return {
+          members: clusterMembers.map(({ id, source, row, record }) => ({ id, source, row: row ?? null, record })),
+          survivor: pickSurvivor(clusterMembers, referenceCounts),
+          score: Math.max(...cluster.pairs.map(pair => pair.score)),
+          pairs: cluster.pairs.map(pair => ({
+            ids: [describe(members[pair.left]), describe(members[pair.right])],
+            score: pair.score,
+            signals: pair.signals
+          }))
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+  };
+}
+
+/**
+ * Whether a merged value holds nothing worth keeping
+ */
+function isBlank(value) {
+  if (isEmptyValue(value)) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return typeof value === 'object' && Object.keys(value).length === 0;
+}
+
+/**
+ * Fold duplicates into the survivor's fields
+ * Fields chosen in `picks` come from the named record. Otherwise lists are combined, JSON
+ * objects are combined with the survivor's keys winning, and any other field keeps the
+ * survivor's value unless it is empty.
+ */
+function mergeFields(schema, survivor, duplicates, picks) {
+  const byId = new Map([survivor, ...duplicates].map(record => [String(record[schema.idField]), record]));
+  const fieldTypes = new Map(schema.fields.map(field => [field.name, field.type]));
+  const fields = new Set([survivor, ...duplicates].flatMap(record => Object.keys(record)));
+  const merged = {};
+
+  fields.forEach(field => {
+    if (SERVER_FIELDS.includes(field) || field === schema.idField) return;
+
+    if (Object.hasOwn(picks, field)) {
+      merged[field] = byId.get(String(picks[field]))[field];
+      return;
+    }
+
+    const values = [survivor, ...duplicates].map(record => record[field]).filter(value => !isBlank(value));
+    if (values.length === 0) return;
+
+    if (fieldTypes.get(field) === 'array' || values.every(Array.isArray)) {
+      merged[field] = [...new Map(values.flatMap(value => [].concat(value)).map(item => [JSON.stringify(item), item])).values()];
+    } else if (fieldTypes.get(field) === 'json' && values.every(value => typeof value === 'object' && !Array.isArray(value))) {
+      merged[field] = Object.assign({}, ...[...values].reverse());
+    } else {
+      merged[field] = values[0];
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Merge near-duplicate records into one
+ * The survivor gets the combined fields, the duplicates are deleted and every reference to
+ * them (fields declaring `references: entity`) is rewritten to the survivor, all in one atomic
+ * batch that is journaled (undoable) and audited.
+ * @param {string} entity - Entity id
+ * @param {Object} request - Merge request
+ * @param {string} request.survivorId - ID of the record that is kept
+ * @param {Array<string>} request.duplicateIds - IDs of the records folded into it
+ * @param {Object} request.fields - Field -> ID of the record whose value the survivor takes
+ * @param {Object} [policyOptions] - { force } for the write policy the updates are held to
+ * @returns {Object} { entity, survivor, removedIds, references, operationId } where references
+ *   lists { entity, id, field, from, to } per rewritten reference field
+ */
+export function mergeDuplicates(entity, { survivorId, duplicateIds, fields = {} } = {}, policyOptions = {}) {
+  const schema = getSchema(entity);
+  if (!schema) {
+    throw new Error(`Invalid entity: ${entity}`);
+  }
+  if (isEmptyValue(survivorId)) {
+    throw new Error('Invalid merge: survivorId is required');
+  }
+  if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+    throw new Error('Invalid merge: duplicateIds must be a non-empty array');
+  }
+  if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+    throw new Error('Invalid merge: fields must be an object of field -> record ID');
+  }
+
+  const removedIds = [...new Set(duplicateIds.map(id => String(id).trim()))];
+  if (removedIds.includes(String(survivorId).trim())) {
+    throw new Error('Invalid merge: the survivor cannot also be a duplicate');
+  }
+
+  const survivor = dataStore.getRecord(entity, survivorId);
+  if (!survivor) {
+    throw new Error(`Record with id ${survivorId} not found in ${entity}`);
+  }
+  const duplicates = removedIds.map(id => {
+    const record = dataStore.getRecord(entity, id);
+    if (!record) {
+      throw new Error(`Record with id ${id} not found in ${entity}`);
+    }
+    return record;
+  });
+
+  const mergedIds = new Set([String(survivor[schema.idField]), ...duplicates.map(record => String(record[schema.idField]))]);
+  Object.entries(fields).forEach(([field, id]) => {
+    if (!mergedIds.has(String(id))) {
+      throw new Error(`Invalid merge: ${field} must come from the survivor or a duplicate, not ${id}`);
+    }
+  });
+
+  const survivorKey = String(survivor[schema.idField]);
+  const removed = new Set(duplicates.map(record => String(record[schema.idField])));
+  const updates = new Map([[`${entity}:${survivorKey}`, {
+    entity,
+    id: survivorKey,
+    data: mergeFields(schema, survivor, duplicates, fields)
+  }]]);
+
+  // References to the removed records now point at the survivor
+  const references = [];
+  listSchemas().forEach(referencing => {
+    referencing.fields.filter(field => field.references === entity).forEach(field => {
+      dataStore.getData(referencing.entity).forEach(record => {
+        const id = String(record[referencing.idField]);
+        if (referencing.entity === entity && removed.has(id)) return;
+
+        const key = `${referencing.entity}:${id}`;
+        const current = updates.get(key)?.data[field.name] ?? record[field.name];
+        const values = [].concat(current ?? []).map(value => String(value).trim());
+        if (!values.some(value => removed.has(value))) return;
+
+        const rewritten = [...new Set(values.map(value => (removed.has(value) ? survivorKey : value)))];
+        const next = Array.isArray(current) ? rewritten : rewritten[0];
+        if (!updates.has(key)) updates.set(key, { entity: referencing.entity, id, data: {} });
+        updates.get(key).data[field.name] = next;
+        references.push({ entity: referencing.entity, id, field: field.name, from: current, to: next });
+      });
+    });
+  });
+
+  const operations = [
+    ...[...updates.values()].map(update => ({ op: 'update', ...update })),
+    ...[...removed].map(id => ({ op: 'delete', entity, id }))
+  ];
+  const { committed, results } = dataStore.applyBatch(operations, { afterOperation: batchWritePolicy(policyOptions) });
+  if (!committed) {
+    const failure = results.find(result => !result.success);
+    const error = new Error(`Merge rolled back: ${failure.error}`);
+    error.details = failure.details;
+    throw error;
+  }
+
+  const description = `Merged ${removed.size} ${entity} record(s) into ${survivorKey}`;
+  const entry = recordOperation({
+    type: 'batch',
+    operations: results.map(result => ({
+      type: `record.${result.op}`,
+      entity: result.entity,
+      before: result.before,
+      after: result.after,
+      index: result.recordIndex
+    })),
+    description
+  });
+
+  results.forEach(result => {
+    recordAudit({
+      action: `record.${result.op}`,
+      entity: result.entity,
+      recordId: result.id,
+      before: result.before,
+      after: result.after,
+      details: { merge: true, survivorId: survivorKey, duplicateIds: [...removed], ...forcedWriteDetails(result.writeValidation) }
+    });
+  });
+
+  console.log(`[Dedup Service] ✅ ${description}, ${references.length} reference(s) rewritten`);
+
+  return {
+    entity,
+    survivor: results[0].after,
+    removedIds: [...removed],
+    references,
+    operationId: entry.id
+  };
+}
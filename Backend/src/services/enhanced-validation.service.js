@@ -1,4 +1,6 @@
 import ResponseBuilder from '../utils/responseBuilder.js';
+import { getSchema, getRequiredFields, checkFieldValue } from './schema.service.js';
+import { evaluateConstraints, getActiveConstraints } from './constraint.service.js';
 
 export class EnhancedValidationService {
   static VALIDATION_TYPES = {
@@ -52,19 +54,160 @@ export class EnhancedValidationService {
     return [];
   }
 
+  static ENTITIES = ['clients', 'workers', 'tasks'];
+
+  /**
+   * Checks run by validateAllData, in report order
+   * A dataset check runs over all the data (`run(context)`); a record check runs record by record
+   * over one `entity` (`runRecord(record, index, context)`). `dependsOn` maps each entity to the
+   * fields whose edits can change the check's outcome, '*' standing for any field.
+   */
+  static getChecks() {
+    const { STRUCTURAL, REFERENTIAL, BUSINESS, OPERATIONAL } = this.VALIDATION_TYPES;
+    const perEntity = (build) => this.ENTITIES.map(build);
+
+    return [
+      // 1. Missing required columns
+      ...perEntity(entity => ({
+        key: `required_columns_${entity}`,
+        category: STRUCTURAL,
+        dependsOn: { [entity]: '*' },
+        run: (context) => this.validateRequiredColumns(context.data[entity], entity)
+      })),
+
+      // 2. Duplicate IDs
+      ...perEntity(entity => ({
+        key: `duplicate_ids_${entity}`,
+        category: STRUCTURAL,
+        dependsOn: { [entity]: [getSchema(entity).idField] },
+        run: (context) => this.validateDuplicateIds(context.data[entity], entity, getSchema(entity).idField)
+      })),
+
+      // 3. Malformed data types
+      ...perEntity(entity => ({
+        key: `data_types_${entity}`,
+        category: STRUCTURAL,
+        entity,
+        dependsOn: { [entity]: '*' },
+        runRecord: (record, index) => this.validateSchemaValues(record, index, entity, 'TypeError', 'malformed_data')
+      })),
+
+      // 4. Out-of-range values
+      ...perEntity(entity => ({
+        key: `ranges_${entity}`,
+        category: STRUCTURAL,
+        entity,
+        dependsOn: { [entity]: '*' },
+        runRecord: (record, index) => this.validateSchemaValues(record, index, entity, 'RangeError', 'out_of_range')
+      })),
+
+      // 5. Unknown references
+      {
+        key: 'task_references',
+        category: REFERENTIAL,
+        entity: 'clients',
+        dependsOn: { clients: ['ClientID', 'RequestedTaskIDs'], tasks: ['TaskID'] },
+        runRecord: (client, index, context) => this.validateTaskReferences(client, index, context.memo('taskIds', () =>
+          new Set(context.data.tasks.map(task => task.TaskID).filter(Boolean))
+        ))
+      },
+
+      // 6. Skill coverage matrix
+      {
+        key: 'skill_coverage',
+        category: REFERENTIAL,
+        entity: 'tasks',
+        dependsOn: { tasks: ['TaskID', 'RequiredSkills'], workers: ['Skills'] },
+        runRecord: (task, index, context) => this.validateSkillCoverage(task, index, context.memo('workerSkills', () =>
+          new Set(context.data.workers.flatMap(worker => this.safeArrayConvert(worker.Skills).map(skill => skill.toLowerCase())))
+        ))
+      },
+
+      // 7. Overloaded workers
+      {
+        key: 'worker_overload',
+        category: BUSINESS,
+        entity: 'workers',
+        dependsOn: { workers: ['WorkerID', 'AvailableSlots', 'MaxLoadPerPhase'] },
+        runRecord: (worker, index) => this.validateWorkerOverload(worker, index)
+      },
+
+      // 8. Phase-slot saturation
+      {
+        key: 'phase_slot_saturation',
+        category: BUSINESS,
+        dependsOn: { workers: ['AvailableSlots'], tasks: ['TaskID', 'Duration', 'PreferredPhases'] },
+        run: (context) => this.validatePhaseSlotSaturation(context.data.tasks, context.data.workers)
+      },
+
+      // User-defined field constraints (their conditions may read any field)
+      ...perEntity(entity => ({
+        key: `constraints_${entity}`,
+        category: BUSINESS,
+        entity,
+        dependsOn: { [entity]: '*' },
+        runRecord: (record, index, context) => this.validateConstraints(record, index, entity, context.constraints)
+      })),
+
+      // 9. Max-concurrency feasibility
+      {
+        key: 'max_concurrency',
+        category: OPERATIONAL,
+        entity: 'tasks',
+        dependsOn: { tasks: ['TaskID', 'MaxConcurrent', 'RequiredSkills'], workers: ['Skills'] },
+        runRecord: (task, index, context) => this.validateMaxConcurrency(task, index, context.data.workers)
+      },
+
+      // 10. Circular co-run groups (if rules provided)
+      {
+        key: 'circular_coruns',
+        category: OPERATIONAL,
+        dependsOn: { tasks: ['TaskID'] },
+        run: (context) => (context.rules.length > 0 ? this.detectCircularCoRuns(context.data.tasks, context.rules) : [])
+      }
+    ];
+  }
+
+  /**
+   * Data, rules and constraints the checks run against, plus values derived from them once per run
+   */
+  static createContext(clientsData, workersData, tasksData, rules = [], constraints = []) {
+    const derived = new Map();
+    return {
+      data: { clients: clientsData, workers: workersData, tasks: tasksData },
+      rules: rules || [],
+      constraints,
+      memo(key, compute) {
+        if (!derived.has(key)) derived.set(key, compute());
+        return derived.get(key);
+      }
+    };
+  }
+
+  /**
+   * Run one check over all of its data, tagging each issue with the check and its category
+   */
+  static runCheck(check, context) {
+    const issues = check.entity
+      ? context.data[check.entity].flatMap((record, index) => check.runRecord(record, index, context))
+      : check.run(context);
+    return this.tagIssues(issues, check);
+  }
+
+  static tagIssues(issues, check) {
+    return issues.map(issue => ({ ...issue, check: check.key, category: check.category }));
+  }
+
   /**
    * Main validation orchestrator
+   * Field constraints default to the workspace's active ones.
    */
-  static async validateAllData(clientsData, workersData, tasksData, rules = []) {
+  static async validateAllData(clientsData, workersData, tasksData, rules = [], constraints = getActiveConstraints()) {
     try {
-      const results = {
-        structural: await this.validateStructural(clientsData, workersData, tasksData),
-        referential: await this.validateReferential(clientsData, workersData, tasksData),
-        business: await this.validateBusinessLogic(clientsData, workersData, tasksData),
-        operational: await this.validateOperational(clientsData, workersData, tasksData, rules)
-      };
+      const context = this.createContext(clientsData, workersData, tasksData, rules, constraints);
+      const issues = this.getChecks().flatMap(check => this.runCheck(check, context));
 
-      return this.aggregateResults(results);
+      return this.aggregateResults(issues);
     } catch (error) {
       console.error('Enhanced validation error:', error);
       return {
@@ -88,75 +231,78 @@ export class EnhancedValidationService {
   }
 
   /**
-   * Structural validations - basic data integrity
-   */
-  static async validateStructural(clientsData, workersData, tasksData) {
-    const errors = [];
-
-    // 1. Missing required columns
-    errors.push(...this.validateRequiredColumns(clientsData, 'clients'));
-    errors.push(...this.validateRequiredColumns(workersData, 'workers'));
-    errors.push(...this.validateRequiredColumns(tasksData, 'tasks'));
-
-    // 2. Duplicate IDs
-    errors.push(...this.validateDuplicateIds(clientsData, 'clients', 'ClientID'));
-    errors.push(...this.validateDuplicateIds(workersData, 'workers', 'WorkerID'));
-    errors.push(...this.validateDuplicateIds(tasksData, 'tasks', 'TaskID'));
-
-    // 3. Malformed data types
-    errors.push(...this.validateDataTypes(clientsData, workersData, tasksData));
-
-    // 4. Out-of-range values
-    errors.push(...this.validateRanges(clientsData, workersData, tasksData));
-
-    return errors;
-  }
-
-  /**
-   * Referential validations - relationships between entities
-   */
-  static async validateReferential(clientsData, workersData, tasksData) {
-    const errors = [];
-
-    // 5. Unknown references
-    errors.push(...this.validateTaskReferences(clientsData, tasksData));
-
-    // 6. Skill coverage matrix
-    errors.push(...this.validateSkillCoverage(tasksData, workersData));
-
-    return errors;
-  }
-
-  /**
-   * Business logic validations
+   * Patch a validateAllData result after a single record was created, updated or deleted
+   * Only the checks depending on the edited entity and fields run again. A record check on the
+   * edited entity runs for the edited record alone, since the rest of its inputs are unchanged; a
+   * record check reading the edited entity from another one, and a dataset check, run in full.
+   * @param {Object} previous - Result for the data before the edit
+   * @param {Object} change - { entity, type: 'create'|'update'|'delete', index, fields } where index is
+   *   the record's position (before removal, for deletes) and fields the fields an update set
+   * @param {Object} data - { clients, workers, tasks } after the edit
+   * @param {Array<Object>} rules - Rules
+   * @param {Array<Object>} constraints - Active field constraints
+   * @returns {Object} { result, delta, checks } where delta is compareResults(previous, result) and
+   *   checks lists { check, scope: 'record'|'full' } per check that ran
    */
-  static async validateBusinessLogic(clientsData, workersData, tasksData) {
-    const errors = [];
+  static revalidateRecord(previous, change, { clients, workers, tasks }, rules = [], constraints = getActiveConstraints()) {
+    const context = this.createContext(clients, workers, tasks, rules, constraints);
+    const fields = change.type === 'update' ? change.fields : ['*'];
+    const row = change.index + 1;
+    const dependsOnChange = (check) => {
+      const dependencies = check.dependsOn[change.entity];
+      if (!dependencies) return false;
+      return dependencies === '*' || fields.includes('*') || fields.some(field => dependencies.includes(field));
+    };
+    const isEditedRecordCheck = (check) => check.entity === change.entity;
+
+    const checks = this.getChecks();
+    const byCheck = new Map(checks.map(check => [check.key, []]));
+    [...previous.errors, ...previous.warnings].forEach(issue => {
+      const check = checks.find(candidate => candidate.key === issue.check);
+      if (!check) return;
+
+      if (change.type === 'delete' && isEditedRecordCheck(check) && issue.row >= row) {
+        // The deleted record's issues go, the records after it move up a row
+        if (issue.row > row) byCheck.get(check.key).push({ ...issue, row: issue.row - 1 });
+        return;
+      }
+      byCheck.get(check.key).push(issue);
+    });
 
-    // 7. Overloaded workers
-    errors.push(...this.validateWorkerOverload(workersData));
+    const ran = [];
+    checks.filter(dependsOnChange).forEach(check => {
+      if (!isEditedRecordCheck(check)) {
+        byCheck.set(check.key, this.runCheck(check, context));
+        ran.push({ check: check.key, scope: 'full' });
+        return;
+      }
 
-    // 8. Phase-slot saturation
-    errors.push(...this.validatePhaseSlotSaturation(tasksData, workersData));
+      if (change.type === 'delete') return;
+      const record = context.data[check.entity][change.index];
+      const kept = byCheck.get(check.key).filter(issue => issue.row !== row);
+      const rechecked = this.tagIssues(check.runRecord(record, change.index, context), check);
+      byCheck.set(check.key, [...kept, ...rechecked].sort((a, b) => a.row - b.row));
+      ran.push({ check: check.key, scope: 'record' });
+    });
 
-    return errors;
+    const result = this.aggregateResults(checks.flatMap(check => byCheck.get(check.key)));
+    return { result, delta: this.compareResults(previous, result), checks: ran };
   }
 
   /**
-   * Operational validations - resource allocation feasibility
+   * Errors and warnings present in one result but not the other, matched by issue id
    */
-  static async validateOperational(clientsData, workersData, tasksData, rules) {
-    const errors = [];
-
-    // 9. Max-concurrency feasibility
-    errors.push(...this.validateMaxConcurrency(tasksData, workersData));
+  static compareResults(before, after) {
+    const issues = (result) => [...result.errors, ...result.warnings];
+    const beforeIds = new Set(issues(before).map(issue => issue.id));
+    const afterIds = new Set(issues(after).map(issue => issue.id));
 
-    // 10. Circular co-run groups (if rules provided)
-    if (rules && rules.length > 0) {
-      errors.push(...this.detectCircularCoRuns(tasksData, rules));
-    }
-
-    return errors;
+    return {
+      before: { errors: before.summary.totalErrors, warnings: before.summary.totalWarnings },
+      after: { errors: after.summary.totalErrors, warnings: after.summary.totalWarnings },
+      resolved: issues(before).filter(issue => !afterIds.has(issue.id)),
+      introduced: issues(after).filter(issue => !beforeIds.has(issue.id))
+    };
   }
 
   /**
@@ -165,13 +311,7 @@ export class EnhancedValidationService {
   
   static validateRequiredColumns(data, entityType) {
     const errors = [];
-    const requiredFields = {
-      clients: ['ClientID', 'ClientName', 'PriorityLevel'],
-      workers: ['WorkerID', 'WorkerName', 'Skills', 'AvailableSlots'],
-      tasks: ['TaskID', 'TaskName', 'Duration', 'RequiredSkills']
-    };
-
-    const required = requiredFields[entityType] || [];
+    const required = getRequiredFields(entityType);
     
     if (data.length > 0) {
       const firstRecord = data[0];
@@ -225,207 +365,121 @@ export class EnhancedValidationService {
     return errors;
   }
 
-  static validateDataTypes(clientsData, workersData, tasksData) {
-    const errors = [];
-
-    // Validate PriorityLevel in clients
-    clientsData.forEach((client, index) => {
-      if (client.PriorityLevel) {
-        const priority = parseInt(client.PriorityLevel);
-        if (isNaN(priority)) {
-          errors.push({
-            id: `malformed_priority_${client.ClientID || index}`,
-            type: 'malformed_data',
-            severity: 'error',
-            entity: 'clients',
-            field: 'PriorityLevel',
-            recordId: client.ClientID,
-            row: index + 1,
-            message: `PriorityLevel '${client.PriorityLevel}' is not a valid number`,
-            suggestedFix: 'Use numeric values 1-5 for PriorityLevel'
-          });
-        }
-      }
-    });
+  /**
+   * Report schema field problems of one kind (TypeError or RangeError) of a record as enhanced errors
+   */
+  static validateSchemaValues(record, index, entityType, problemType, errorType) {
+    const schema = getSchema(entityType);
+    const recordId = record[schema.idField];
 
-    // Validate AvailableSlots in workers
-    workersData.forEach((worker, index) => {
-      if (worker.AvailableSlots) {
-        try {
-          const slots = Array.isArray(worker.AvailableSlots) 
-            ? worker.AvailableSlots 
-            : JSON.parse(worker.AvailableSlots);
-          
-          if (!Array.isArray(slots)) {
-            throw new Error('Not an array');
-          }
-        } catch (e) {
-          errors.push({
-            id: `malformed_slots_${worker.WorkerID || index}`,
-            type: 'malformed_data',
-            severity: 'error',
-            entity: 'workers',
-            field: 'AvailableSlots',
-            recordId: worker.WorkerID,
-            row: index + 1,
-            message: `AvailableSlots '${worker.AvailableSlots}' is not valid JSON array`,
-            suggestedFix: 'Use format like [1,2,3] for AvailableSlots'
-          });
-        }
-      }
-    });
+    return schema.fields.flatMap(field => {
+      const problem = checkFieldValue(record[field.name], field);
+      if (!problem || problem.type !== problemType) return [];
 
-    // Validate Duration in tasks
-    tasksData.forEach((task, index) => {
-      if (task.Duration) {
-        const duration = parseInt(task.Duration);
-        if (isNaN(duration) || duration < 1) {
-          errors.push({
-            id: `malformed_duration_${task.TaskID || index}`,
-            type: 'malformed_data',
-            severity: 'error',
-            entity: 'tasks',
-            field: 'Duration',
-            recordId: task.TaskID,
-            row: index + 1,
-            message: `Duration '${task.Duration}' must be a number >= 1`,
-            suggestedFix: 'Use positive integers for Duration (number of phases)'
-          });
-        }
-      }
+      return [{
+        id: `${errorType}_${entityType}_${field.name}_${recordId || index}`,
+        type: errorType,
+        severity: 'error',
+        entity: entityType,
+        field: field.name,
+        recordId,
+        row: index + 1,
+        message: `${problem.message} (got '${this.formatValue(record[field.name])}')`,
+        suggestedFix: problemType === 'RangeError'
+          ? `Use values within the allowed range for ${field.name}`
+          : `Use ${field.type === 'array' ? 'a comma-separated list' : `a valid ${field.type}`} for ${field.name}`
+      }];
     });
-
-    return errors;
   }
 
-  static validateRanges(clientsData, workersData, tasksData) {
-    const errors = [];
-
-    // Validate PriorityLevel range (1-5)
-    clientsData.forEach((client, index) => {
-      if (client.PriorityLevel) {
-        const priority = parseInt(client.PriorityLevel);
-        if (!isNaN(priority) && (priority < 1 || priority > 5)) {
-          errors.push({
-            id: `priority_out_of_range_${client.ClientID || index}`,
-            type: 'out_of_range',
-            severity: 'error',
-            entity: 'clients',
-            field: 'PriorityLevel',
-            recordId: client.ClientID,
-            row: index + 1,
-            message: `PriorityLevel ${priority} is out of range (must be 1-5)`,
-            suggestedFix: 'Use values between 1 and 5 for PriorityLevel'
-          });
-        }
-      }
-    });
-
-    return errors;
+  static formatValue(value) {
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
   }
 
-  static validateTaskReferences(clientsData, tasksData) {
-    const errors = [];
-    const validTaskIds = new Set(tasksData.map(task => task.TaskID).filter(Boolean));
+  static validateTaskReferences(client, index, validTaskIds) {
+    if (!client.RequestedTaskIDs) return [];
 
-    clientsData.forEach((client, index) => {
-      if (client.RequestedTaskIDs) {
-        const requestedTasks = this.safeArrayConvert(client.RequestedTaskIDs);
-        
-        requestedTasks.forEach(taskId => {
-          if (taskId && !validTaskIds.has(taskId)) {
-            errors.push({
-              id: `unknown_task_reference_${client.ClientID}_${taskId}`,
-              type: 'unknown_reference',
-              severity: 'error',
-              entity: 'clients',
-              field: 'RequestedTaskIDs',
-              recordId: client.ClientID,
-              row: index + 1,
-              message: `Client ${client.ClientID} references unknown task: ${taskId}`,
-              suggestedFix: `Remove '${taskId}' from RequestedTaskIDs or add task with ID '${taskId}'`
-            });
-          }
-        });
-      }
-    });
-
-    return errors;
+    return this.safeArrayConvert(client.RequestedTaskIDs)
+      .filter(taskId => taskId && !validTaskIds.has(taskId))
+      .map(taskId => ({
+        id: `unknown_task_reference_${client.ClientID}_${taskId}`,
+        type: 'unknown_reference',
+        severity: 'error',
+        entity: 'clients',
+        field: 'RequestedTaskIDs',
+        recordId: client.ClientID,
+        row: index + 1,
+        value: taskId,
+        message: `Client ${client.ClientID} references unknown task: ${taskId}`,
+        suggestedFix: `Remove '${taskId}' from RequestedTaskIDs or add task with ID '${taskId}'`
+      }));
   }
 
-  static validateSkillCoverage(tasksData, workersData) {
-    const errors = [];
-    const workerSkills = new Set();
-    
-    // Collect all worker skills
-    workersData.forEach(worker => {
-      if (worker.Skills) {
-        const skills = this.safeArrayConvert(worker.Skills);
-        skills.forEach(skill => 
-          workerSkills.add(skill.toLowerCase())
-        );
-      }
-    });
+  static validateSkillCoverage(task, index, workerSkills) {
+    if (!task.RequiredSkills) return [];
 
     // Check if all required skills are covered
-    tasksData.forEach((task, index) => {
-      if (task.RequiredSkills) {
-        const requiredSkills = this.safeArrayConvert(task.RequiredSkills);
-        
-        requiredSkills.forEach(skill => {
-          const cleanSkill = skill.trim().toLowerCase();
-          if (cleanSkill && !workerSkills.has(cleanSkill)) {
-            errors.push({
-              id: `skill_gap_${task.TaskID}_${skill.trim()}`,
-              type: 'skill_coverage_gap',
-              severity: 'error',
-              entity: 'tasks',
-              field: 'RequiredSkills',
-              recordId: task.TaskID,
-              row: index + 1,
-              message: `Skill "${skill.trim()}" required by task ${task.TaskID} is not available in any worker`,
-              suggestedFix: `Add "${skill.trim()}" skill to an available worker or modify task requirements`
-            });
-          }
-        });
-      }
-    });
+    return this.safeArrayConvert(task.RequiredSkills)
+      .filter(skill => skill.trim() && !workerSkills.has(skill.trim().toLowerCase()))
+      .map(skill => ({
+        id: `skill_gap_${task.TaskID}_${skill.trim()}`,
+        type: 'skill_coverage_gap',
+        severity: 'error',
+        entity: 'tasks',
+        field: 'RequiredSkills',
+        recordId: task.TaskID,
+        row: index + 1,
+        message: `Skill "${skill.trim()}" required by task ${task.TaskID} is not available in any worker`,
+        suggestedFix: `Add "${skill.trim()}" skill to an available worker or modify task requirements`
+      }));
+  }
 
-    return errors;
+  /**
+   * Report a record breaking user-defined field constraints, at the constraint's severity
+   */
+  static validateConstraints(record, index, entityType, constraints) {
+    return evaluateConstraints([record], entityType, constraints).map(violation => ({
+      id: `constraint_${violation.constraintId}_${violation.recordId || index + 1}`,
+      type: 'constraint_violation',
+      severity: violation.severity,
+      entity: entityType,
+      field: violation.field,
+      recordId: violation.recordId,
+      row: index + 1,
+      constraintId: violation.constraintId,
+      message: violation.message,
+      suggestedFix: `Change ${violation.field} to satisfy "${violation.constraintName}" or edit the constraint`
+    }));
   }
 
-  static validateWorkerOverload(workersData) {
-    const errors = [];
-    
-    workersData.forEach((worker, index) => {
-      if (worker.AvailableSlots && worker.MaxLoadPerPhase) {
-        try {
-          const availableSlots = Array.isArray(worker.AvailableSlots) 
-            ? worker.AvailableSlots 
-            : JSON.parse(worker.AvailableSlots || '[]');
-            
-          const maxLoad = parseInt(worker.MaxLoadPerPhase);
-          
-          if (!isNaN(maxLoad) && availableSlots.length > maxLoad) {
-            errors.push({
-              id: `worker_overload_${worker.WorkerID || index}`,
-              type: 'worker_overload',
-              severity: 'warning',
-              entity: 'workers',
-              recordId: worker.WorkerID,
-              field: 'MaxLoadPerPhase',
-              row: index + 1,
-              message: `Worker ${worker.WorkerID} has ${availableSlots.length} available slots but max load is ${maxLoad}`,
-              suggestedFix: `Increase MaxLoadPerPhase to ${availableSlots.length} or reduce AvailableSlots`
-            });
-          }
-        } catch (e) {
-          // Skip malformed data - will be caught by structural validation
-        }
+  static validateWorkerOverload(worker, index) {
+    if (!worker.AvailableSlots || !worker.MaxLoadPerPhase) return [];
+
+    try {
+      const availableSlots = Array.isArray(worker.AvailableSlots) 
+        ? worker.AvailableSlots 
+        : JSON.parse(worker.AvailableSlots || '[]');
+        
+      const maxLoad = parseInt(worker.MaxLoadPerPhase);
+      
+      if (!isNaN(maxLoad) && availableSlots.length > maxLoad) {
+        return [{
+          id: `worker_overload_${worker.WorkerID || index}`,
+          type: 'worker_overload',
+          severity: 'warning',
+          entity: 'workers',
+          recordId: worker.WorkerID,
+          field: 'MaxLoadPerPhase',
+          row: index + 1,
+          message: `Worker ${worker.WorkerID} has ${availableSlots.length} available slots but max load is ${maxLoad}`,
+          suggestedFix: `Increase MaxLoadPerPhase to ${availableSlots.length} or reduce AvailableSlots`
+        }];
       }
-    });
+    } catch (e) {
+      // Skip malformed data - will be caught by structural validation
+    }
     
-    return errors;
+    return [];
   }
 
   static validatePhaseSlotSaturation(tasksData, workersData) {
@@ -466,47 +520,43 @@ export class EnhancedValidationService {
     return errors;
   }
 
-  static validateMaxConcurrency(tasksData, workersData) {
-    const errors = [];
-    
-    tasksData.forEach((task, index) => {
-      if (task.MaxConcurrent && task.RequiredSkills) {
-        try {
-          const maxConcurrent = parseInt(task.MaxConcurrent);
-          
-          // Handle RequiredSkills as array or string
-          const requiredSkills = this.safeArrayConvert(task.RequiredSkills).map(s => s.toLowerCase());
-          
-          // Count qualified workers
-          const qualifiedWorkers = workersData.filter(worker => {
-            if (!worker.Skills) return false;
-            
-            // Handle worker Skills as array or string
-            const workerSkills = this.safeArrayConvert(worker.Skills).map(s => s.toLowerCase());
-            
-            return requiredSkills.every(skill => workerSkills.includes(skill));
-          });
-          
-          if (!isNaN(maxConcurrent) && qualifiedWorkers.length < maxConcurrent) {
-            errors.push({
-              id: `max_concurrency_infeasible_${task.TaskID}`,
-              type: 'max_concurrency_infeasible',
-              severity: 'warning',
-              entity: 'tasks',
-              field: 'MaxConcurrent',
-              recordId: task.TaskID,
-              row: index + 1,
-              message: `Task ${task.TaskID} requires ${maxConcurrent} concurrent workers, but only ${qualifiedWorkers.length} qualified workers available`,
-              suggestedFix: `Reduce MaxConcurrent to ${qualifiedWorkers.length} or add more workers with required skills`
-            });
-          }
-        } catch (e) {
-          // Skip malformed data
-        }
+  static validateMaxConcurrency(task, index, workersData) {
+    if (!task.MaxConcurrent || !task.RequiredSkills) return [];
+
+    try {
+      const maxConcurrent = parseInt(task.MaxConcurrent);
+      
+      // Handle RequiredSkills as array or string
+      const requiredSkills = this.safeArrayConvert(task.RequiredSkills).map(s => s.toLowerCase());
+      
+      // Count qualified workers
+      const qualifiedWorkers = workersData.filter(worker => {
+        if (!worker.Skills) return false;
+        
+        // Handle worker Skills as array or string
+        const workerSkills = this.safeArrayConvert(worker.Skills).map(s => s.toLowerCase());
+        
+        return requiredSkills.every(skill => workerSkills.includes(skill));
+      });
+      
+      if (!isNaN(maxConcurrent) && qualifiedWorkers.length < maxConcurrent) {
+        return [{
+          id: `max_concurrency_infeasible_${task.TaskID}`,
+          type: 'max_concurrency_infeasible',
+          severity: 'warning',
+          entity: 'tasks',
+          field: 'MaxConcurrent',
+          recordId: task.TaskID,
+          row: index + 1,
+          message: `Task ${task.TaskID} requires ${maxConcurrent} concurrent workers, but only ${qualifiedWorkers.length} qualified workers available`,
+          suggestedFix: `Reduce MaxConcurrent to ${qualifiedWorkers.length} or add more workers with required skills`
+        }];
       }
-    });
+    } catch (e) {
+      // Skip malformed data
+    }
     
-    return errors;
+    return [];
   }
 
   static detectCircularCoRuns(tasksData, rules) {
@@ -658,19 +708,13 @@ export class EnhancedValidationService {
     }
   }
 
-  static aggregateResults(results) {
-    const allErrors = [];
-    const allWarnings = [];
-    
-    Object.values(results).forEach(categoryResults => {
-      categoryResults.forEach(result => {
-        if (result.severity === 'error') {
-          allErrors.push(result);
-        } else if (result.severity === 'warning') {
-          allWarnings.push(result);
-        }
-      });
-    });
+  /**
+   * Split tagged issues into errors and warnings, counting them per category
+   */
+  static aggregateResults(issues) {
+    const allErrors = issues.filter(issue => issue.severity === 'error');
+    const allWarnings = issues.filter(issue => issue.severity === 'warning');
+    const categories = Object.values(this.VALIDATION_TYPES);
     
     return {
       isValid: allErrors.length === 0,
@@ -679,14 +723,12 @@ export class EnhancedValidationService {
       summary: {
         totalErrors: allErrors.length,
         totalWarnings: allWarnings.length,
-        validationTypes: Object.keys(results),
+        validationTypes: categories,
         timestamp: new Date().toISOString(),
-        breakdown: {
-          structural: results.structural.length,
-          referential: results.referential.length,
-          business: results.business.length,
-          operational: results.operational.length
-        }
+        breakdown: Object.fromEntries(categories.map(category => [
+          category,
+          issues.filter(issue => issue.category === category).length
+        ]))
       }
     };
   }
@@ -722,17 +764,4 @@ export class EnhancedValidationService {
       lastValidated: new Date().toISOString()
     };
   }
-
-  /**
-   * Apply suggested fixes (placeholder for future implementation)
-   */
-  static async applyFix(fix) {
-    // This would contain logic to automatically apply fixes
-    // For now, return a placeholder response
-    return {
-      fixId: fix.id,
-      success: false,
-      message: 'Auto-fix not yet implemented for this validation type'
-    };
-  }
 } 
\ No newline at end of file
@@ -0,0 +1,187 @@
+import dataStore from '../../dataStore.js';
+import config from '../config/config.js';
+import { recordAudit } from './audit.service.js';
+import { getCurrentActor } from '../utils/requestContext.js';
+import { FIELD_TYPES } from './schema.service.js';
+
+/**
+ * Entity type registry
+ *
+ * clients, workers and tasks are built in (config.entities.builtIn). Further types such as
+ * equipment or locations are registered per workspace with an id field, a column schema and
+ * header aliases, and then flow through upload, CRUD, search, stats, export and validation.
+ */
+
+export const COLUMN_TYPES = FIELD_TYPES;
+
+// Path segments under /api/data that an entity id would shadow
+const RESERVED_ENTITY_IDS = ['export', 'batch', 'validation-summary', 'validate-enhanced', 'apply-fixes', 'write-policy'];
+
+const ENTITY_ID_PATTERN = /^[a-z][a-z0-9-]{1,39}$/;
+
+/**
+ * List built-in and custom entity types of the current workspace
+ * @returns {Array<Object>} Entity type definitions
+ */
+export function listEntityTypes() {
+  return dataStore.getEntityTypes();
+}
+
+/**
+ * Get an entity type definition
+ * @param {string} id - Entity id (e.g. 'equipment')
+ * @returns {Object} Entity type definition
+ */
+export function getEntityType(id) {
+  const definition = dataStore.getEntityType(id);
+  if (!definition) {
+    throw new Error(`Entity type ${id} not found`);
+  }
+  return definition;
+}
+
+/**
+ * Normalize and check a column list, adding the id field when it is not listed
+ */
+function normalizeColumns(columns, idField, errors) {
+  if (columns !== undefined && !Array.isArray(columns)) {
+    errors.push('columns must be an array');
+    return [];
+  }
+
+  const normalized = (columns || []).map((column, index) => {
+    const spec = typeof column === 'string' ? { name: column } : column || {};
+    if (!spec.name || typeof spec.name !== 'string') {
+      errors.push(`columns[${index}] must have a name`);
+    }
+
+    const type = spec.type || 'string';
+    if (!COLUMN_TYPES.includes(type)) {
+      errors.push(`columns[${index}] has invalid type ${type}. Supported types: ${COLUMN_TYPES.join(', ')}`);
+    }
+
+    if (spec.aliases !== undefined && !Array.isArray(spec.aliases)) {
+      errors.push(`columns[${index}].aliases must be an array`);
+    }
+
+    return {
+      name: String(spec.name || '').trim(),
+      type,
+      required: Boolean(spec.required),
+      aliases: Array.isArray(spec.aliases) ? spec.aliases.map(alias => String(alias).trim()) : []
+    };
+  });
+
+  const names = normalized.map(column => column.name);
+  const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+  if (duplicates.length > 0) {
+    errors.push(`Duplicate column names: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  const idColumn = normalized.find(column => column.name === idField);
+  if (idColumn) {
+    idColumn.required = true;
+  } else if (idField) {
+    normalized.unshift({ name: idField, type: 'string', required: true, aliases: [] });
+  }
+
+  return normalized;
+}
+
+/**
+ * Register a custom entity type in the current workspace
+ * @param {Object} definition - { id, label?, idField, idPrefix?, columns?, headerAliases?, indexedFields? }
+ * @returns {Object} The stored definition
+ */
+export function registerEntityType(definition = {}) {
+  const errors = [];
+  const id = String(definition.id || '').trim().toLowerCase();
+
+  if (!ENTITY_ID_PATTERN.test(id)) {
+    errors.push('id must be 2-40 characters: lowercase letters, digits and dashes, starting with a letter');
+  } else if (RESERVED_ENTITY_IDS.includes(id)) {
+    errors.push(`id ${id} is reserved`);
+  }
+
+  if (!definition.idField || typeof definition.idField !== 'string') {
+    errors.push('idField is required');
+  }
+
+  const idField = String(definition.idField || '').trim();
+  const columns = normalizeColumns(definition.columns, idField, errors);
+  const columnNames = columns.map(column => column.name);
+
+  const headerAliases = definition.headerAliases || {};
+  if (typeof headerAliases !== 'object' || Array.isArray(headerAliases)) {
+    errors.push('headerAliases must be an object of header -> column name');
+  } else {
+    Object.entries(headerAliases).forEach(([header, column]) => {
+      if (!columnNames.includes(column)) {
+        errors.push(`headerAliases maps "${header}" to unknown column ${column}`);
+      }
+    });
+  }
+
+  const indexedFields = definition.indexedFields || [];
+  if (!Array.isArray(indexedFields) || indexedFields.some(field => !columnNames.includes(field))) {
+    errors.push('indexedFields must list column names');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid entity type: ${errors.join('; ')}`);
+  }
+
+  if (dataStore.getEntityType(id)) {
+    throw new Error(`Entity type ${id} already exists`);
+  }
+
+  const customCount = dataStore.getEntityTypes().filter(type => !type.builtIn).length;
+  if (customCount >= config.entities.maxCustomTypes) {
+    throw new Error(`Invalid entity type: at most ${config.entities.maxCustomTypes} custom entity types are allowed`);
+  }
+
+  const entityType = dataStore.addEntityType({
+    id,
+    label: definition.label || id.charAt(0).toUpperCase() + id.slice(1),
+    idField,
+    idPrefix: (definition.idPrefix || id).toUpperCase().replace(/[^A-Z0-9]/g, ''),
+    columns,
+    headerAliases,
+    indexedFields,
+    builtIn: false,
+    createdAt: new Date().toISOString(),
+    createdBy: getCurrentActor()
+  });
+
+  recordAudit({
+    action: 'entityType.register',
+    entity: id,
+    after: entityType
+  });
+
+  return entityType;
+}
+
+/**
+ * Delete a custom entity type together with its records
+ * @param {string} id - Entity id
+ * @returns {Object} The removed definition and how many records went with it
+ */
+export function deleteEntityType(id) {
+  const definition = getEntityType(id);
+  if (definition.builtIn) {
+    throw new Error(`Built-in entity type ${id} cannot be deleted`);
+  }
+
+  const recordCount = dataStore.getData(id).length;
+  dataStore.removeEntityType(id);
+
+  recordAudit({
+    action: 'entityType.delete',
+    entity: id,
+    before: definition,
+    details: { recordsRemoved: recordCount }
+  });
+
+  return { entityType: definition, recordsRemoved: recordCount };
+}
@@ -0,0 +1,228 @@
+import dataStore from '../../dataStore.js';
+import config from '../config/config.js';
+import { v4 as uuidv4 } from 'uuid';
+import { recordAudit } from './audit.service.js';
+
+// Operations the journal knows how to revert and replay
+export const OPERATION_TYPES = [
+  'record.create',
+  'record.update',
+  'record.delete',
+  'rule.add',
+  'rule.update',
+  'rule.delete',
+  'priorities.set',
+  'batch'
+];
+
+/**
+ * Deep copy a journaled value so later mutations never leak into the journal
+ */
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Strip before/after payloads so list responses stay small
+ */
+function summarizeEntry(entry) {
+  const { before, after, operations, ...summary } = entry;
+  return operations ? { ...summary, operationCount: operations.length } : summary;
+}
+
+/**
+ * Record an operation in the current workspace's journal
+ * @param {Object} operation - Operation details
+ * @param {string} operation.type - One of OPERATION_TYPES
+ * @param {string} operation.entity - Entity name (record operations)
+ * @param {Object} operation.before - State before the operation (null for creates)
+ * @param {Object} operation.after - State after the operation (null for deletes)
+ * @param {number} operation.index - Array position of the record or rule (creates/deletes)
+ * @param {Array<Object>} operation.operations - Record operations of a batch, undone and redone as one
+ * @param {string} operation.description - Human readable summary
+ * @returns {Object} Journal entry
+ */
+export function recordOperation({ type, entity = null, before = null, after = null, index = null, operations = null, description }) {
+  if (!OPERATION_TYPES.includes(type)) {
+    throw new Error(`Invalid operation type. Supported types: ${OPERATION_TYPES.join(', ')}`);
+  }
+
+  const entry = {
+    id: `op-${uuidv4()}`,
+    type,
+    entity,
+    before: copy(before),
+    after: copy(after),
+    index,
+    description: description || type,
+    timestamp: new Date().toISOString()
+  };
+
+  if (type === 'batch') {
+    entry.operations = operations.map(operation => ({
+      type: operation.type,
+      entity: operation.entity,
+      before: copy(operation.before ?? null),
+      after: copy(operation.after ?? null),
+      index: operation.index ?? null
+    }));
+    entry.entities = [...new Set(operations.map(operation => operation.entity))];
+  }
+
+  return dataStore.addJournalEntry(entry, config.history.maxEntries);
+}
+
+/**
+ * Get the undo and redo stacks, most recent first
+ * @returns {Object} Journal summary
+ */
+export function getHistory() {
+  const journal = dataStore.getJournal();
+
+  return {
+    undo: journal.undo.map(summarizeEntry).reverse(),
+    redo: journal.redo.map(summarizeEntry).reverse(),
+    canUndo: journal.undo.length > 0,
+    canRedo: journal.redo.length > 0
+  };
+}
+
+/**
+ * Key used to look a record up again (its entity ID, falling back to the internal id)
+ */
+function getRecordKey(entity, record) {
+  return record[dataStore.getIdField(entity)] ?? record.id;
+}
+
+/**
+ * Batch operations that bring a journaled batch to one side
+ * Undo walks the batch backwards so positional inserts land where they were; each operation is
+ * pinned to its journaled position.
+ * @param {Object} entry - Batch journal entry
+ * @param {string} direction - 'undo' or 'redo'
+ * @returns {Array<Object>} Operations for dataStore.applyBatch
+ */
+function toBatchOperations(entry, direction) {
+  const operations = direction === 'undo' ? [...entry.operations].reverse() : entry.operations;
+
+  return operations.map(operation => {
+    const target = copy(direction === 'undo' ? operation.before : operation.after);
+    const current = direction === 'undo' ? operation.after : operation.before;
+    const { entity, index: recordIndex } = operation;
+
+    if (!current) {
+      return { op: 'insert', entity, data: target, recordIndex };
+    }
+    if (!target) {
+      return { op: 'delete', entity, id: getRecordKey(entity, current), recordIndex };
+    }
+    return { op: 'replace', entity, id: getRecordKey(entity, current), data: target, recordIndex };
+  });
+}
+
+/**
+ * Apply the state on one side of a journal entry
+ * @param {Object} entry - Journal entry
+ * @param {string} direction - 'undo' restores `before`, 'redo' restores `after`
+ */
+function applyEntry(entry, direction) {
+  const target = copy(direction === 'undo' ? entry.before : entry.after);
+  const current = direction === 'undo' ? entry.after : entry.before;
+
+  switch (entry.type) {
+    case 'record.create':
+    case 'record.delete':
+      if (target) {
+        dataStore.insertRecord(entry.entity, target, entry.index);
+      } else {
+        dataStore.deleteRecord(entry.entity, getRecordKey(entry.entity, current));
+      }
+      break;
+    case 'record.update':
+      dataStore.replaceRecord(entry.entity, getRecordKey(entry.entity, current), target);
+      break;
+    case 'rule.add':
+    case 'rule.delete':
+      if (target) {
+        dataStore.insertRule(target, entry.index);
+      } else {
+        dataStore.deleteRule(current.id);
+      }
+      break;
+    case 'rule.update':
+      dataStore.replaceRule(current.id, target);
+      break;
+    case 'priorities.set':
+      dataStore.setPriorities(target);
+      break;
+    case 'batch': {
+      // All or nothing: a step that no longer applies leaves the data and the journal as they were
+      const { committed, results } = dataStore.applyBatch(toBatchOperations(entry, direction));
+      if (!committed) {
+        const failure = results.find(result => !result.success);
+        throw new Error(`Batch step ${failure.index + 1} of ${results.length}: ${failure.error}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unsupported operation type: ${entry.type}`);
+  }
+}
+
+/**
+ * Audit a reverted or replayed operation as a change from one side of the entry to the other
+ */
+function auditEntry(entry, direction) {
+  if (entry.type === 'batch') {
+    entry.operations.forEach(operation => auditEntry({ ...operation, id: entry.id }, direction));
+    return;
+  }
+
+  const before = direction === 'undo' ? entry.after : entry.before;
+  const after = direction === 'undo' ? entry.before : entry.after;
+  const state = after || before;
+  const recordId = entry.entity
+    ? getRecordKey(entry.entity, state)
+    : state?.id ?? null;
+
+  recordAudit({
+    action: `history.${direction}`,
+    entity: entry.entity || (entry.type.startsWith('rule.') ? 'rules' : 'priorities'),
+    recordId: entry.type === 'priorities.set' ? null : recordId,
+    before,
+    after,
+    details: { operationId: entry.id, operation: entry.type }
+  });
+}
+
+/**
+ * Revert the most recent operation
+ * @returns {Object|null} The reverted entry, or null when there is nothing to undo
+ */
+export function undo() {
+  const entry = dataStore.peekJournalEntry('undo');
+  if (!entry) return null;
+
+  applyEntry(entry, 'undo');
+  dataStore.moveJournalEntry('undo', 'redo');
+  auditEntry(entry, 'undo');
+  console.log(`↩️ Undid operation: ${entry.description}`);
+
+  return summarizeEntry(entry);
+}
+
+/**
+ * Replay the most recently undone operation
+ * @returns {Object|null} The replayed entry, or null when there is nothing to redo
+ */
+export function redo() {
+  const entry = dataStore.peekJournalEntry('redo');
+  if (!entry) return null;
+
+  applyEntry(entry, 'redo');
+  dataStore.moveJournalEntry('redo', 'undo');
+  auditEntry(entry, 'redo');
+  console.log(`↪️ Redid operation: ${entry.description}`);
+
+  return summarizeEntry(entry);
+}
@@ -0,0 +1,354 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import config from '../config/config.js';
+import redisService from './redis.service.js';
+import { streamTable } from '../utils/csvUtils.js';
+import { hashFile } from '../utils/fileUtils.js';
+import { getSchema, checkFieldValue } from './schema.service.js';
+import { parseEntityData, getParsedHeaders, logUnmappedHeaders } from './parser.service.js';
+import { startReport, recordIngestion } from './ingestionReport.service.js';
+import { getCurrentWorkspaceId } from '../utils/requestContext.js';
+
+/**
+ * Streaming ingestion
+ *
+ * Uploaded files are read a chunk of rows at a time; each chunk is mapped, normalized and
+ * checked against the entity schema before the next one is read. Progress of an upload (rows
+ * parsed, errors so far, ETA) is kept under the upload id the client chose and published to
+ * subscribers, which the upload routes relay as server-sent events. Parse errors, rejected and
+ * coerced rows go to the upload's ingestion report as they are found.
+ * With Redis available, an ingested file is cached under its content hash, dialect and mapping,
+ * so the same file uploaded again the same way is not parsed twice.
+ */
+
+const FINISHED_STATUSES = ['done', 'failed'];
+
+const progressEvents = new EventEmitter();
+progressEvents.setMaxListeners(0); // one listener per open progress stream
+
+// uploadId -> { state, bytesBefore } where bytesBefore is the size of the files already read
+const uploads = new Map();
+
+/**
+ * Send the current state of an upload to its subscribers
+ */
+function publish(entry) {
+  entry.state.updatedAt = new Date().toISOString();
+  progressEvents.emit(entry.state.uploadId, { ...entry.state, errors: { ...entry.state.errors } });
+}
+
+/**
+ * Seconds left at the current pace, or null before anything was read
+ */
+function estimateSeconds(state) {
+  if (state.bytesRead === 0 || state.bytesTotal === 0) return null;
+  const elapsed = Date.now() - Date.parse(state.startedAt);
+  const remaining = elapsed * (state.bytesTotal - state.bytesRead) / state.bytesRead;
+  return Math.max(0, Math.round(remaining / 1000));
+}
+
+/**
+ * Start tracking an upload
+ * @param {string} uploadId - Id chosen by the client (or generated) for the request
+ * @param {Array<Object>} files - Uploaded files ({ originalname, size } as given by multer)
+ * @returns {Object} Initial progress
+ */
+export function startProgress(uploadId, files) {
+  const entry = {
+    bytesBefore: 0,
+    state: {
+      uploadId,
+      workspaceId: getCurrentWorkspaceId(),
+      status: 'parsing',
+      fileName: null,
+      entity: null,
+      filesTotal: files.length,
+      filesDone: 0,
+      rowsParsed: 0,
+      rowsAccepted: 0,
+      errors: { parse: 0, rejected: 0, fieldIssues: 0 },
+      bytesTotal: files.reduce((total, file) => total + (file.size || 0), 0),
+      bytesRead: 0,
+      percent: 0,
+      etaSeconds: null,
+      message: null,
+      startedAt: new Date().toISOString(),
+      updatedAt: null
+    }
+  };
+
+  uploads.set(uploadId, entry);
+  startReport(uploadId);
+  publish(entry);
+  return getProgress(uploadId);
+}
+
+/**
+ * Mark an upload as finished and schedule its progress for removal
+ * @param {string} uploadId - Upload id
+ * @param {Object} outcome - { failed, message }
+ */
+export function finishProgress(uploadId, { failed = false, message = null } = {}) {
+  const entry = uploads.get(uploadId);
+  if (!entry) return;
+
+  entry.state.status = failed ? 'failed' : 'done';
+  entry.state.message = message;
+  entry.state.etaSeconds = 0;
+  if (!failed) {
+    entry.state.bytesRead = entry.state.bytesTotal;
+    entry.state.percent = 100;
+  }
+  publish(entry);
+
+  setTimeout(() => {
+    if (uploads.get(uploadId) === entry) uploads.delete(uploadId);
+  }, config.ingestion.progressTtlSeconds * 1000).unref();
+}
+
+/**
+ * Current progress of an upload
+ * @param {string} uploadId - Upload id
+ * @returns {Object|null} Progress, or null when the upload is unknown or expired
+ */
+export function getProgress(uploadId) {
+  const entry = uploads.get(uploadId);
+  return entry ? { ...entry.state, errors: { ...entry.state.errors } } : null;
+}
+
+/**
+ * Whether a progress status is final
+ */
+export function isFinished(progress) {
+  return FINISHED_STATUSES.includes(progress?.status);
+}
+
+/**
+ * Listen to the progress of an upload, which may not have started yet
+ * @param {string} uploadId - Upload id
+ * @param {Function} listener - Called with each progress update
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeProgress(uploadId, listener) {
+  progressEvents.on(uploadId, listener);
+  return () => progressEvents.off(uploadId, listener);
+}
+
+/**
+ * Read a file chunk by chunk, moving the upload's current file along
+ */
+async function* readChunks(uploadId, file, entity, dialect = {}) {
+  const entry = uploads.get(uploadId);
+  if (entry) {
+    entry.state.fileName = file.originalname;
+    entry.state.entity = entity;
+    publish(entry);
+  }
+
+  try {
+    const options = { chunkSize: config.ingestion.chunkSize, dialect };
+    for await (const chunk of streamTable(file.path, file.originalname, options)) {
+      yield chunk;
+      // Let progress events and other requests through between chunks
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  } finally {
+    if (entry) {
+      entry.bytesBefore += file.size || 0;
+      entry.state.filesDone++;
+      entry.state.bytesRead = entry.bytesBefore;
+      publish(entry);
+    }
+  }
+}
+
+/**
+ * Count processed rows into the upload's progress
+ * @param {Object} read - { rows, parseErrors, progress } where progress is the share of the file read
+ */
+function advance(uploadId, file, { rows, parseErrors, progress }, { accepted = 0, rejected = 0, fieldIssues = 0 } = {}) {
+  const entry = uploads.get(uploadId);
+  if (!entry) return;
+
+  const { state } = entry;
+  state.rowsParsed += rows;
+  state.rowsAccepted += accepted;
+  state.errors.parse += parseErrors;
+  state.errors.rejected += rejected;
+  state.errors.fieldIssues += fieldIssues;
+  state.bytesRead = Math.round(entry.bytesBefore + progress * (file.size || 0));
+  state.percent = state.bytesTotal ? Math.min(99, Math.floor(state.bytesRead / state.bytesTotal * 100)) : 0;
+  state.etaSeconds = estimateSeconds(state);
+  publish(entry);
+}
+
+/**
+ * Progress counts of a chunk as read
+ */
+function chunkRead(chunk) {
+  return { rows: chunk.rows.length, parseErrors: chunk.errors.length, progress: chunk.progress };
+}
+
+/**
+ * Cache key of an ingested file: what is read (content, dialect) and how it is mapped
+ */
+function ingestCacheKey(entity, fileHash, dialect, options, fields) {
+  const { mapping, profile } = options;
+  const input = { fileHash, dialect, mapping, profile: profile && [profile.id, profile.updatedAt], fields };
+  return `ingest_${entity}_${crypto.createHash('md5').update(JSON.stringify(input)).digest('hex')}`;
+}
+
+/**
+ * Ingestion result cached for a file, or null on a miss or without Redis
+ */
+async function getCachedIngestion(cacheKey, fileName) {
+  if (!redisService.isAvailable()) return null;
+  try {
+    const cached = await redisService.getCachedParsedFile(cacheKey);
+    console.log(cached
+      ? `[Ingestion Service] ✅ Redis cache hit for ${fileName}`
+      : `[Ingestion Service] 📭 Redis cache miss for ${fileName}`);
+    return cached;
+  } catch (cacheError) {
+    console.warn(`[Ingestion Service] ⚠️ Redis cache error for ${fileName}:`, cacheError.message);
+    return null;
+  }
+}
+
+/**
+ * Cache an ingestion result, with what it reported, for the next upload of the same file
+ */
+async function cacheIngestion(cacheKey, fileName, cached) {
+  if (!redisService.isAvailable()) return;
+  try {
+    await redisService.cacheParsedFile(cacheKey, cached);
+    console.log(`[Ingestion Service] ✅ Cached ingestion of ${fileName} in Redis`);
+  } catch (cacheError) {
+    console.warn(`[Ingestion Service] ⚠️ Failed to cache ingestion of ${fileName}:`, cacheError.message);
+  }
+}
+
+/**
+ * Stream an uploaded file into normalized entity records
+ * The column mapping is settled on the first chunk by `prepare`; every chunk is then mapped,
+ * normalized and checked against the schema before the next one is read. Once the mapping is
+ * settled, a result cached for the same file, dialect and mapping is used instead of reading on.
+ * @param {Object} options - Ingestion options
+ * @param {string} options.uploadId - Upload id progress is published under
+ * @param {Object} options.file - Multer file
+ * @param {string} options.entity - Entity id
+ * @param {Object} options.dialect - CSV dialect overrides (see csvDialect.normalizeDialectOptions)
+ * @param {Function} options.prepare - (headers, firstRows) => { mapping, profile }; the schema's
+ *   own header resolution is used without a mapping, and returning null skips the file
+ * @returns {Promise<Object|null>} { headers, dialect, records, parseErrors, rejected, coerced,
+ *   fieldIssues }, or null when prepare skipped the file; dialect is the CSV dialect used (null
+ *   for workbooks)
+ */
+export async function ingestUpload({ uploadId, file, entity, dialect = {}, prepare = () => ({}) }) {
+  const fields = getSchema(entity)?.fields || [];
+  const result = { headers: [], dialect: null, records: [], parseErrors: [], rejected: 0, coerced: 0, fieldIssues: 0 };
+  // Everything the file added to the ingestion report, cached with the result
+  const reported = { rows: 0, parseErrors: [], issues: [] };
+  const source = { fileName: file.originalname, entity };
+  const fileHash = redisService.isAvailable() ? await hashFile(file.path) : null;
+  let options = null;
+  let cacheKey = null;
+  let rowOffset = 0;
+
+  for await (const chunk of readChunks(uploadId, file, entity, dialect)) {
+    if (!options) {
+      const decision = await prepare(chunk.headers, chunk.rows);
+      if (!decision) return null;
+
+      result.headers = chunk.headers;
+      result.dialect = chunk.dialect;
+      options = {
+        mapping: decision.mapping,
+        profile: decision.profile || null,
+        decimalSeparator: chunk.dialect?.decimalSeparator
+      };
+      if (!options.mapping) {
+        options.mapping = getParsedHeaders(chunk.headers, entity, chunk.rows);
+        logUnmappedHeaders(chunk.headers, entity, chunk.rows);
+      }
+
+      if (fileHash) {
+        cacheKey = ingestCacheKey(entity, fileHash, chunk.dialect, options, fields);
+        const cached = await getCachedIngestion(cacheKey, file.originalname);
+        if (cached) {
+          recordIngestion(uploadId, source, cached.reported);
+          advance(uploadId, file, { rows: cached.reported.rows, parseErrors: cached.result.parseErrors.length, progress: 1 }, {
+            accepted: cached.result.records.length,
+            rejected: cached.result.rejected,
+            fieldIssues: cached.result.fieldIssues
+          });
+          return cached.result;
+        }
+      }
+    }
+
+    const issues = [];
+    const { validRows, invalidRows } = parseEntityData(chunk.rows, entity, false, {
+      ...options,
+      rowOffset,
+      lines: chunk.lines,
+      issues
+    });
+    const ingestion = {
+      rows: chunk.rows.length,
+      parseErrors: chunk.errors.map(error => ({ ...error, raw: error.raw ?? chunk.rows[error.row - rowOffset] ?? null })),
+      issues
+    };
+    recordIngestion(uploadId, source, ingestion);
+    if (cacheKey) {
+      reported.rows += ingestion.rows;
+      reported.parseErrors.push(...ingestion.parseErrors);
+      reported.issues.push(...issues);
+    }
+    const processedAt = new Date().toISOString();
+    let fieldIssues = 0;
+
+    validRows.forEach(record => {
+      fieldIssues += fields.filter(field => checkFieldValue(record[field.name], field)).length;
+      result.records.push({
+        ...record,
+        _metadata: { processedAt, source: 'file_upload', entity }
+      });
+    });
+
+    result.parseErrors.push(...chunk.errors);
+    result.rejected += invalidRows.length;
+    result.coerced += issues.filter(issue => issue.kind === 'coerced').length;
+    result.fieldIssues += fieldIssues;
+    rowOffset += chunk.rows.length;
+    advance(uploadId, file, chunkRead(chunk), { accepted: validRows.length, rejected: invalidRows.length, fieldIssues });
+  }
+
+  if (cacheKey) await cacheIngestion(cacheKey, file.originalname, { result, reported });
+  console.log(`[Ingestion Service] ✅ Ingested ${result.records.length} ${entity} records from ${file.originalname}`);
+  return result;
+}
+
+/**
+ * Stream an uploaded file into raw rows, publishing progress as it goes
+ * @param {Object} options - Read options
+ * @param {string} options.uploadId - Upload id progress is published under
+ * @param {Object} options.file - Multer file
+ * @param {string|null} options.entity - Entity id shown in the progress
+ * @param {Object} options.dialect - CSV dialect overrides
+ * @returns {Promise<Object>} { data, errors, meta: { fields, dialect, lines } } like parseCSV
+ */
+export async function readUploadedTable({ uploadId, file, entity = null, dialect = {} }) {
+  const parseResult = { data: [], errors: [], meta: { fields: [], dialect: null, lines: [] } };
+
+  for await (const chunk of readChunks(uploadId, file, entity, dialect)) {
+    parseResult.meta.fields = chunk.headers;
+    parseResult.meta.dialect = chunk.dialect;
+    parseResult.meta.lines.push(...chunk.lines);
+    parseResult.data.push(...chunk.rows);
+    parseResult.errors.push(...chunk.errors);
+    advance(uploadId, file, chunkRead(chunk));
+  }
+
+  return parseResult;
+}
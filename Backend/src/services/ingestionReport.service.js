@@ -0,0 +1,146 @@
+import dataStore from '../../dataStore.js';
+import config from '../config/config.js';
+import { convertToCSV } from '../utils/csvUtils.js';
+
+/**
+ * Ingestion reports
+ *
+ * Every parse error, rejected row and coerced row of an upload is recorded under its upload id
+ * with the source file, sheet, line and raw values, so "line 4,812 was skipped" can be traced
+ * back to the file. A coerced row was kept but had values changed beyond plain type conversion
+ * (a PriorityLevel of 9 clamped to 5, unparsable JSON replaced by {}). Reports live in the
+ * workspace's memory like staged uploads; each lists at most `maxReportEntries` rows while its
+ * counts stay exact.
+ */
+
+export const REPORT_KINDS = ['parse_error', 'rejected', 'coerced'];
+
+const CSV_HEADERS = ['kind', 'fileName', 'sheetName', 'entity', 'line', 'row', 'reason', 'coercions', 'raw'];
+
+const emptyCounts = () => ({ rows: 0, parseErrors: 0, rejected: 0, coerced: 0 });
+
+/**
+ * Report of an upload, created on first use
+ * @param {string} uploadId - Upload id
+ * @returns {Object} Stored report
+ */
+export function startReport(uploadId) {
+  const existing = dataStore.getIngestionReport(uploadId);
+  if (existing) return existing;
+
+  const createdAt = new Date().toISOString();
+  return dataStore.addIngestionReport({
+    uploadId,
+    createdAt,
+    updatedAt: createdAt,
+    totals: emptyCounts(),
+    files: [],
+    entries: [],
+    truncated: false
+  }, config.ingestion.maxReports);
+}
+
+/**
+ * Add the outcome of a batch of rows to an upload's report
+ * @param {string} uploadId - Upload id
+ * @param {Object} source - { fileName, sheetName, entity } the rows were read from
+ * @param {Object} outcome - What happened to the rows
+ * @param {number} outcome.rows - Rows read
+ * @param {Array<Object>} outcome.parseErrors - Parser errors ({ message, row, line, raw? }, row
+ *   being the 0-based data row)
+ * @param {Array<Object>} outcome.issues - Rejected and coerced rows collected by parseEntityData
+ * @returns {Object} The report
+ */
+export function recordIngestion(uploadId, source, { rows = 0, parseErrors = [], issues = [] } = {}) {
+  const report = startReport(uploadId);
+  const { fileName, sheetName = null, entity = null } = source;
+
+  // A staged file may be committed as another entity than it was parsed for
+  let file = report.files.find(entry => entry.fileName === fileName && entry.sheetName === sheetName);
+  if (!file) {
+    file = { fileName, sheetName, entity, ...emptyCounts() };
+    report.files.push(file);
+  }
+  file.entity = entity || file.entity;
+
+  const entries = [
+    ...parseErrors.map(error => ({
+      kind: 'parse_error',
+      line: error.line ?? null,
+      row: error.row === undefined ? null : error.row + 1,
+      reason: error.message,
+      coercions: [],
+      raw: error.raw ?? null
+    })),
+    ...issues
+  ];
+
+  const count = (counts) => {
+    counts.rows += rows;
+    counts.parseErrors += parseErrors.length;
+    counts.rejected += issues.filter(issue => issue.kind === 'rejected').length;
+    counts.coerced += issues.filter(issue => issue.kind === 'coerced').length;
+  };
+  count(file);
+  count(report.totals);
+
+  entries.forEach(entry => {
+    if (report.entries.length >= config.ingestion.maxReportEntries) {
+      report.truncated = true;
+      return;
+    }
+    report.entries.push({ fileName, sheetName, entity, ...entry });
+  });
+
+  report.updatedAt = new Date().toISOString();
+  return report;
+}
+
+/**
+ * Get the report of an upload
+ * @param {string} uploadId - Upload id
+ * @param {Object} filters - { kind, fileName } to narrow the listed entries
+ * @returns {Object} Report
+ */
+export function getReport(uploadId, { kind, fileName } = {}) {
+  const report = dataStore.getIngestionReport(uploadId);
+  if (!report) {
+    throw new Error(`Ingestion report for upload ${uploadId} not found`);
+  }
+  if (kind && !REPORT_KINDS.includes(kind)) {
+    throw new Error(`Invalid report kind: ${kind}. Supported kinds: ${REPORT_KINDS.join(', ')}`);
+  }
+
+  return {
+    ...report,
+    entries: report.entries.filter(entry =>
+      (!kind || entry.kind === kind) && (!fileName || entry.fileName === fileName)
+    )
+  };
+}
+
+/**
+ * Convert report entries to CSV, one row per rejected, coerced or unparsable row
+ * @param {Object} report - Result of getReport
+ * @returns {string} CSV text
+ */
+export function reportToCSV(report) {
+  const rows = report.entries.map(entry => ({
+    kind: entry.kind,
+    fileName: entry.fileName,
+    sheetName: entry.sheetName || '',
+    entity: entry.entity || '',
+    line: entry.line ?? '',
+    row: entry.row ?? '',
+    reason: entry.reason,
+    coercions: entry.coercions
+      .map(coercion => `${coercion.field}: ${JSON.stringify(coercion.from)} -> ${JSON.stringify(coercion.to)} (${coercion.rule})`)
+      .join('; '),
+    raw: entry.raw === null ? '' : typeof entry.raw === 'string' ? entry.raw : JSON.stringify(entry.raw)
+  }));
+
+  if (rows.length === 0) {
+    return CSV_HEADERS.join(',');
+  }
+  return convertToCSV(rows, CSV_HEADERS);
+}
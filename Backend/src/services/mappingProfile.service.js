@@ -0,0 +1,402 @@
+import dataStore from '../../dataStore.js';
+import config from '../config/config.js';
+import { v4 as uuidv4 } from 'uuid';
+import { recordAudit } from './audit.service.js';
+import { getCurrentActor } from '../utils/requestContext.js';
+import { getSchema, getIdentifierFields, proposeMapping, isEmptyValue } from './schema.service.js';
+
+/**
+ * Header-mapping profiles
+ *
+ * A profile is a confirmed column mapping for one recurring data source (an HR or CRM export),
+ * saved with its own header aliases, value transforms and default values. Uploads whose headers
+ * match a profile's header signature pick it up automatically instead of re-guessing the mapping.
+ */
+
+// Value transforms a profile can apply to a mapped field, in order, before schema normalization
+export const TRANSFORM_TYPES = ['trim', 'uppercase', 'lowercase', 'prefix', 'suffix', 'replace', 'map', 'multiply'];
+
+/**
+ * Case- and whitespace-insensitive form of a header
+ */
+const headerKey = (header) => String(header).trim().toLowerCase();
+
+/**
+ * Header signature: the sorted, normalized set of headers
+ * @param {Array<string>} headers - Headers as they appear in the file
+ * @returns {Array<string>} Signature
+ */
+export function getHeaderSignature(headers) {
+  return [...new Set(headers.map(headerKey))].sort();
+}
+
+/**
+ * Share of headers two signatures have in common (1 for the same headers)
+ */
+function signatureScore(signature, headers) {
+  const fileSignature = new Set(getHeaderSignature(headers));
+  const shared = signature.filter(header => fileSignature.has(header)).length;
+  const total = new Set([...signature, ...fileSignature]).size;
+  return total === 0 ? 0 : shared / total;
+}
+
+/**
+ * Check one field's transform list
+ */
+function checkTransforms(field, transforms, errors) {
+  if (!Array.isArray(transforms)) {
+    errors.push(`transforms.${field} must be an array`);
+    return;
+  }
+
+  transforms.forEach((transform, index) => {
+    const spec = typeof transform === 'string' ? { type: transform } : transform || {};
+    const label = `transforms.${field}[${index}]`;
+
+    if (!TRANSFORM_TYPES.includes(spec.type)) {
+      errors.push(`${label} has invalid type ${spec.type}. Supported types: ${TRANSFORM_TYPES.join(', ')}`);
+    } else if ((spec.type === 'prefix' || spec.type === 'suffix') && typeof spec.value !== 'string') {
+      errors.push(`${label} needs a string value`);
+    } else if (spec.type === 'multiply' && typeof spec.factor !== 'number') {
+      errors.push(`${label} needs a numeric factor`);
+    } else if (spec.type === 'map' && (typeof spec.values !== 'object' || spec.values === null)) {
+      errors.push(`${label} needs a values object`);
+    } else if (spec.type === 'replace') {
+      try {
+        new RegExp(spec.pattern, spec.flags || 'g');
+      } catch {
+        errors.push(`${label} has an invalid pattern`);
+      }
+    }
+  });
+}
+
+/**
+ * Normalize and check a profile definition
+ * @returns {Object} { profile, errors }
+ */
+function normalizeProfile(definition, existing = null) {
+  const errors = [];
+  const merged = { ...existing, ...definition };
+  const entity = merged.entity;
+  const schema = getSchema(entity);
+
+  const name = String(merged.name || '').trim();
+  if (!name) {
+    errors.push('name is required');
+  }
+
+  if (!schema) {
+    errors.push(`Unknown entity ${entity}`);
+    return { profile: null, errors };
+  }
+
+  const fieldNames = schema.fields.map(field => field.name);
+  const mapping = merged.mapping || {};
+  const aliases = merged.aliases || {};
+  const transforms = merged.transforms || {};
+  const defaults = merged.defaults || {};
+
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+    errors.push('mapping must be an object of column -> field');
+  } else {
+    Object.entries(mapping).forEach(([column, field]) => {
+      if (field !== null && field !== column && !fieldNames.includes(field)) {
+        errors.push(`mapping maps "${column}" to unknown ${entity} field ${field}`);
+      }
+    });
+  }
+
+  if (typeof aliases !== 'object' || Array.isArray(aliases)) {
+    errors.push('aliases must be an object of header -> field');
+  } else {
+    Object.entries(aliases).forEach(([header, field]) => {
+      if (!fieldNames.includes(field)) {
+        errors.push(`aliases maps "${header}" to unknown ${entity} field ${field}`);
+      }
+    });
+  }
+
+  const targets = [...Object.values(mapping), ...Object.values(aliases)];
+  const identifiers = getIdentifierFields(entity);
+  if (!identifiers.some(field => targets.includes(field))) {
+    errors.push(`mapping must map a column to ${identifiers.join(' or ')}`);
+  }
+
+  if (typeof transforms !== 'object' || Array.isArray(transforms)) {
+    errors.push('transforms must be an object of field -> transform list');
+  } else {
+    Object.entries(transforms).forEach(([field, list]) => {
+      if (!fieldNames.includes(field)) {
+        errors.push(`transforms references unknown ${entity} field ${field}`);
+      }
+      checkTransforms(field, list, errors);
+    });
+  }
+
+  if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+    errors.push('defaults must be an object of field -> value');
+  } else {
+    Object.keys(defaults).forEach(field => {
+      if (!fieldNames.includes(field)) {
+        errors.push(`defaults references unknown ${entity} field ${field}`);
+      }
+    });
+  }
+
+  const duplicate = dataStore.getMappingProfiles().find(profile =>
+    profile.id !== existing?.id && profile.name.toLowerCase() === name.toLowerCase()
+  );
+  if (duplicate) {
+    errors.push(`A mapping profile named ${name} already exists`);
+  }
+
+  const headers = Array.isArray(merged.headers) ? merged.headers : Object.keys(mapping);
+
+  return {
+    profile: {
+      name,
+      description: String(merged.description || ''),
+      entity,
+      headers,
+      signature: getHeaderSignature(headers),
+      mapping,
+      aliases,
+      transforms: Object.fromEntries(Object.entries(transforms).map(([field, list]) => [
+        field,
+        (Array.isArray(list) ? list : []).map(transform => typeof transform === 'string' ? { type: transform } : transform)
+      ])),
+      defaults
+    },
+    errors
+  };
+}
+
+/**
+ * List mapping profiles of the workspace
+ * @param {string} entity - Only profiles of this entity (optional)
+ * @returns {Array<Object>} Profiles
+ */
+export function listMappingProfiles(entity = null) {
+  return dataStore.getMappingProfiles().filter(profile => !entity || profile.entity === entity);
+}
+
+/**
+ * Get a mapping profile
+ * @param {string} profileId - Profile ID
+ * @returns {Object} Profile
+ */
+export function getMappingProfile(profileId) {
+  const profile = dataStore.getMappingProfile(profileId);
+  if (!profile) {
+    throw new Error(`Mapping profile ${profileId} not found`);
+  }
+  return profile;
+}
+
+/**
+ * Save a mapping profile
+ * @param {Object} definition - { name, entity, mapping, headers?, aliases?, transforms?, defaults?, description? }
+ * @returns {Object} The stored profile
+ */
+export function createMappingProfile(definition = {}) {
+  const { profile, errors } = normalizeProfile(definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid mapping profile: ${errors.join('; ')}`);
+  }
+
+  const now = new Date().toISOString();
+  const stored = dataStore.addMappingProfile({
+    id: `profile-${uuidv4()}`,
+    ...profile,
+    createdAt: now,
+    createdBy: getCurrentActor(),
+    updatedAt: now,
+    lastUsedAt: null,
+    useCount: 0
+  });
+
+  recordAudit({
+    action: 'mappingProfile.create',
+    entity: profile.entity,
+    recordId: stored.id,
+    after: stored
+  });
+
+  return stored;
+}
+
+/**
+ * Update a mapping profile; fields left out keep their value
+ * @param {string} profileId - Profile ID
+ * @param {Object} updates - Any of the createMappingProfile fields
+ * @returns {Object} The updated profile
+ */
+export function updateMappingProfile(profileId, updates = {}) {
+  const existing = getMappingProfile(profileId);
+  const { profile, errors } = normalizeProfile(updates, existing);
+  if (errors.length > 0) {
+    throw new Error(`Invalid mapping profile: ${errors.join('; ')}`);
+  }
+
+  const updated = dataStore.updateMappingProfile(profileId, {
+    ...profile,
+    updatedAt: new Date().toISOString()
+  });
+
+  recordAudit({
+    action: 'mappingProfile.update',
+    entity: updated.entity,
+    recordId: profileId,
+    before: existing,
+    after: updated
+  });
+
+  return updated;
+}
+
+/**
+ * Delete a mapping profile
+ * @param {string} profileId - Profile ID
+ * @returns {Object} The deleted profile
+ */
+export function deleteMappingProfile(profileId) {
+  getMappingProfile(profileId);
+  const deleted = dataStore.deleteMappingProfile(profileId);
+
+  recordAudit({
+    action: 'mappingProfile.delete',
+    entity: deleted.entity,
+    recordId: profileId,
+    before: deleted
+  });
+
+  return deleted;
+}
+
+/**
+ * Find the profile whose header signature best matches a file
+ * @param {Array<string>} headers - Headers as they appear in the file
+ * @param {string} entity - Entity the file is uploaded as
+ * @returns {Object|null} { profile, score } or null when no profile reaches the match threshold
+ */
+export function findMatchingProfile(headers, entity) {
+  const best = listMappingProfiles(entity)
+    .map(profile => ({ profile, score: signatureScore(profile.signature, headers) }))
+    .sort((a, b) => b.score - a.score || (b.profile.lastUsedAt || '').localeCompare(a.profile.lastUsedAt || ''))[0];
+
+  return best && best.score >= config.mappingProfiles.matchThreshold ? best : null;
+}
+
+/**
+ * Propose a field for each header, taking the profile's mapping and aliases first
+ * Headers the profile does not know fall back to the schema proposal.
+ * @param {Array<string>} headers - Headers as they appear in the file
+ * @param {string} entity - Entity id
+ * @param {Object|null} profile - Mapping profile
+ * @param {number} score - How well the profile matched (used as the confidence of its mappings)
+ * @param {Array<Object>} rows - Parsed rows, used to sniff the shape of columns the profile does not know
+ * @returns {Array<Object>} Proposals as returned by proposeMapping, with matchedBy 'profile'
+ *   and ignored: true for columns the profile drops
+ */
+export function proposeProfileMapping(headers, entity, profile, score = 1, rows = []) {
+  if (!profile) return proposeMapping(headers, entity, rows);
+
+  // A mapped column keeps its own name when it maps to itself and is dropped when it maps to null
+  const profileTargets = new Map();
+  Object.entries(profile.aliases || {}).forEach(([header, field]) => {
+    profileTargets.set(headerKey(header), { target: field, ignored: false });
+  });
+  Object.entries(profile.mapping).forEach(([column, field]) => {
+    profileTargets.set(headerKey(column), {
+      target: field === column ? null : field,
+      ignored: field === null
+    });
+  });
+
+  const claimed = new Set();
+  const fromProfile = new Map();
+  headers.forEach(header => {
+    const match = profileTargets.get(headerKey(header));
+    if (!match || (match.target && claimed.has(match.target))) return;
+
+    if (match.target) claimed.add(match.target);
+    fromProfile.set(header, { source: header, ...match, confidence: score, matchedBy: 'profile', candidates: [] });
+  });
+
+  const rest = proposeMapping(headers.filter(header => !fromProfile.has(header)), entity, rows)
+    .map(proposal => ({
+      ...proposal,
+      ...(claimed.has(proposal.target) && { target: null, confidence: 0, matchedBy: null }),
+      candidates: proposal.candidates.filter(candidate => !claimed.has(candidate.field))
+    }));
+
+  return headers.map(header => fromProfile.get(header) || rest.find(proposal => proposal.source === header));
+}
+
+/**
+ * Record that an upload used a profile
+ * @param {string} profileId - Profile ID
+ */
+export function markProfileUsed(profileId) {
+  const profile = dataStore.getMappingProfile(profileId);
+  if (!profile) return;
+
+  dataStore.updateMappingProfile(profileId, {
+    lastUsedAt: new Date().toISOString(),
+    useCount: (profile.useCount || 0) + 1
+  });
+}
+
+/**
+ * Apply one transform to a raw value
+ */
+function applyTransform(value, transform) {
+  const text = String(value);
+
+  switch (transform.type) {
+    case 'trim':
+      return text.trim();
+    case 'uppercase':
+      return text.toUpperCase();
+    case 'lowercase':
+      return text.toLowerCase();
+    case 'prefix':
+      return text.startsWith(transform.value) ? text : `${transform.value}${text}`;
+    case 'suffix':
+      return text.endsWith(transform.value) ? text : `${text}${transform.value}`;
+    case 'replace':
+      return text.replace(new RegExp(transform.pattern, transform.flags || 'g'), transform.replacement ?? '');
+    case 'map': {
+      const match = Object.keys(transform.values).find(key => headerKey(key) === headerKey(text));
+      return match !== undefined ? transform.values[match] : value;
+    }
+    case 'multiply': {
+      const number = Number(text);
+      return isNaN(number) ? value : number * transform.factor;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Apply a profile's transforms and default values to a mapped record
+ * @param {Object} record - Record with schema field names
+ * @param {Object} profile - Mapping profile
+ * @returns {Object} Transformed record
+ */
+export function applyProfileRules(record, profile) {
+  const result = { ...record };
+
+  Object.entries(profile.transforms || {}).forEach(([field, transforms]) => {
+    if (isEmptyValue(result[field])) return;
+    result[field] = transforms.reduce((value, transform) => applyTransform(value, transform), result[field]);
+  });
+
+  Object.entries(profile.defaults || {}).forEach(([field, value]) => {
+    if (isEmptyValue(result[field])) result[field] = value;
+  });
+
+  return result;
+}
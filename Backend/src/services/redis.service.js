@@ -1,5 +1,6 @@
 import { createClient } from 'redis';
 import crypto from 'crypto';
+import { getCurrentWorkspaceId } from '../utils/requestContext.js';
 
 /**
  * Redis Service for CSV/XLSX Processing Backend
@@ -121,9 +122,18 @@ class RedisService {
     return `${namespace}:${hash}`;
   }
 
+  /**
+   * Prefix a key with the current workspace so workspaces never share cache entries
+   * @param {string} key - Cache key or pattern
+   * @returns {string} Workspace-scoped key (e.g., 'ws:default:all_rules')
+   */
+  namespaceKey(key) {
+    return `ws:${getCurrentWorkspaceId()}:${key}`;
+  }
+
   /**
    * Set cache with JSON serialization and TTL
-   * @param {string} key - Cache key
+   * @param {string} key - Cache key (namespaced to the current workspace)
    * @param {any} value - Value to cache (will be JSON stringified)
    * @param {number} ttlInSec - Time to live in seconds (default: 600 = 10 minutes)
    * @returns {Promise<boolean>} Success status
@@ -134,6 +144,8 @@ class RedisService {
       return false;
     }
 
+    key = this.namespaceKey(key);
+
     try {
       const serializedValue = JSON.stringify({
         data: value,
@@ -161,6 +173,8 @@ class RedisService {
       return null;
     }
 
+    key = this.namespaceKey(key);
+
     try {
       const cachedData = await this.client.get(key);
       
@@ -189,6 +203,8 @@ class RedisService {
       return false;
     }
 
+    key = this.namespaceKey(key);
+
     try {
       const result = await this.client.del(key);
       if (result === 1) {
@@ -215,6 +231,8 @@ class RedisService {
       return 0;
     }
 
+    pattern = this.namespaceKey(pattern);
+
     try {
       const keys = await this.client.keys(pattern);
       if (keys.length === 0) {
@@ -362,6 +380,7 @@ const redisService = new RedisService();
 export const {
   connectRedis,
   isAvailable,
+  namespaceKey,
   generateCacheKey,
   setCache,
   getCache,
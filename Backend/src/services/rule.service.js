@@ -1,5 +1,9 @@
 import dataStore from '../../dataStore.js';
 import { v4 as uuidv4 } from 'uuid';
+import { recordOperation } from './history.service.js';
+import { recordAudit } from './audit.service.js';
+import { getCurrentActor } from '../utils/requestContext.js';
+import { INITIAL_VERSION, getRuleVersion } from '../utils/versioning.js';
 
 // Supported rule types
 const SUPPORTED_RULE_TYPES = [
@@ -39,15 +43,17 @@ export async function addRule(ruleObject) {
       isActive: ruleObject.isActive !== undefined ? ruleObject.isActive : true,
       ...ruleObject,
       metadata: {
-        createdBy: ruleObject.metadata?.createdBy || 'System',
         createdAt: ruleObject.metadata?.createdAt || new Date().toISOString(),
         updatedAt: new Date().toISOString(),
-        ...ruleObject.metadata
+        ...ruleObject.metadata,
+        // Authorship comes from the request context, never from the body
+        createdBy: getCurrentActor(),
+        version: INITIAL_VERSION
       }
     };
 
     // Validate the rule
-    const validation = await validateRule(normalizedRule, dataStore);
+    const validation = await validateRule(normalizedRule, getRuleContext());
     if (!validation.valid) {
       throw new Error(`Rule validation failed: ${validation.errors.join(', ')}`);
     }
@@ -63,6 +69,20 @@ export async function addRule(ruleObject) {
     currentRules.push(normalizedRule);
     dataStore.setRules(currentRules);
 
+    recordOperation({
+      type: 'rule.add',
+      after: normalizedRule,
+      index: currentRules.length - 1,
+      description: `Added rule ${normalizedRule.name}`
+    });
+
+    recordAudit({
+      action: 'rule.add',
+      entity: 'rules',
+      recordId: normalizedRule.id,
+      after: normalizedRule
+    });
+
     return normalizedRule;
   } catch (error) {
     throw new Error(`Failed to add rule: ${error.message}`);
@@ -95,22 +115,51 @@ export async function deleteRule(ruleId) {
       return { success: false, message: `Rule with ID ${ruleId} not found` };
     }
 
-    currentRules.splice(ruleIndex, 1);
+    const [deletedRule] = currentRules.splice(ruleIndex, 1);
     dataStore.setRules(currentRules);
 
+    recordOperation({
+      type: 'rule.delete',
+      before: deletedRule,
+      index: ruleIndex,
+      description: `Deleted rule ${deletedRule.name || ruleId}`
+    });
+
+    recordAudit({
+      action: 'rule.delete',
+      entity: 'rules',
+      recordId: ruleId,
+      before: deletedRule
+    });
+
     return { success: true, message: `Rule ${ruleId} deleted successfully` };
   } catch (error) {
     return { success: false, message: `Failed to delete rule: ${error.message}` };
   }
 }
 
+/**
+ * Throw a version conflict error when the rule has moved past the expected version
+ * @param {Object} rule - The stored rule
+ * @param {number|null} expectedVersion - Version the caller last read (null skips the check)
+ */
+function assertRuleVersion(rule, expectedVersion) {
+  if (expectedVersion === undefined || expectedVersion === null) return;
+
+  const currentVersion = getRuleVersion(rule);
+  if (Number(expectedVersion) !== currentVersion) {
+    throw new Error(`Version conflict: rule ${rule.id} is at version ${currentVersion}, expected ${expectedVersion}`);
+  }
+}
+
 /**
  * Update a rule by ID
  * @param {string} ruleId - The ID of the rule to update
  * @param {Object} updatedFields - Fields to update
+ * @param {number|null} expectedVersion - Reject the update unless the rule is still at this version
  * @returns {Promise<Object>} The updated rule
  */
-export async function updateRule(ruleId, updatedFields) {
+export async function updateRule(ruleId, updatedFields, expectedVersion = null) {
   try {
     if (!ruleId) {
       throw new Error('Rule ID is required');
@@ -125,6 +174,8 @@ export async function updateRule(ruleId, updatedFields) {
 
     // Merge updated fields with existing rule
     const existingRule = currentRules[ruleIndex];
+    assertRuleVersion(existingRule, expectedVersion);
+
     const updatedRule = {
       ...existingRule,
       ...updatedFields,
@@ -132,20 +183,43 @@ export async function updateRule(ruleId, updatedFields) {
       metadata: {
         ...existingRule.metadata,
         ...updatedFields.metadata,
-        updatedAt: new Date().toISOString()
+        createdBy: existingRule.metadata?.createdBy,
+        updatedBy: getCurrentActor(),
+        updatedAt: new Date().toISOString(),
+        version: getRuleVersion(existingRule) + 1
       }
     };
 
     // Validate updated rule
-    const validation = await validateRule(updatedRule, dataStore);
+    const validation = await validateRule(updatedRule, getRuleContext());
     if (!validation.valid) {
       throw new Error(`Rule validation failed: ${validation.errors.join(', ')}`);
     }
 
+    // Another request may have written the rule while it was being validated
+    if (currentRules[ruleIndex] !== existingRule) {
+      assertRuleVersion(currentRules[ruleIndex], getRuleVersion(existingRule));
+    }
+
     // Update the rule
     currentRules[ruleIndex] = updatedRule;
     dataStore.setRules(currentRules);
 
+    recordOperation({
+      type: 'rule.update',
+      before: existingRule,
+      after: updatedRule,
+      description: `Updated rule ${updatedRule.name || ruleId}`
+    });
+
+    recordAudit({
+      action: 'rule.update',
+      entity: 'rules',
+      recordId: ruleId,
+      before: existingRule,
+      after: updatedRule
+    });
+
     return updatedRule;
   } catch (error) {
     throw new Error(`Failed to update rule: ${error.message}`);
@@ -260,6 +334,36 @@ const ruleValidators = {
   precedenceOverride: validatePrecedenceOverrideRule
 };
 
+/**
+ * Data rules are validated against, in the shape rule validators read
+ * @returns {Object} { clients, workers, tasks, getTasks, getWorkers, getClients }
+ */
+export function getRuleContext() {
+  return {
+    clients: dataStore.getData('clients'),
+    workers: dataStore.getData('workers'),
+    tasks: dataStore.getData('tasks'),
+    getTasks: () => dataStore.getData('tasks'),
+    getWorkers: () => dataStore.getData('workers'),
+    getClients: () => dataStore.getData('clients')
+  };
+}
+
+/**
+ * TaskIDs rules can refer to
+ */
+function getTaskIds(fullDataStore) {
+  const idField = dataStore.getIdField('tasks');
+  return (fullDataStore.getTasks() || []).map(task => String(task[idField]));
+}
+
+/**
+ * WorkerGroup values rules can refer to
+ */
+function getWorkerGroups(fullDataStore) {
+  return [...new Set((fullDataStore.getWorkers() || []).map(worker => worker.WorkerGroup).filter(Boolean))];
+}
+
 /**
  * Validate coRun rule
  */
@@ -274,8 +378,7 @@ async function validateCoRunRule(rule, fullDataStore) {
     }
 
     // Validate task IDs exist
-    const tasks = fullDataStore.getTasks() || [];
-    const taskIds = tasks.map(t => t.id);
+    const taskIds = getTaskIds(fullDataStore);
     
     rule.tasks.forEach(taskId => {
       if (!taskIds.includes(taskId)) {
@@ -302,8 +405,7 @@ async function validateSlotRestrictionRule(rule, fullDataStore) {
   }
 
   // Validate target group exists
-  const workers = fullDataStore.getWorkers() || [];
-  const workerGroups = [...new Set(workers.map(w => w.group).filter(Boolean))];
+  const workerGroups = getWorkerGroups(fullDataStore);
   
   if (rule.targetGroup && !workerGroups.includes(rule.targetGroup)) {
     errors.push(`Target group ${rule.targetGroup} does not exist`);
@@ -327,8 +429,7 @@ async function validateLoadLimitRule(rule, fullDataStore) {
   }
 
   // Validate worker group exists
-  const workers = fullDataStore.getWorkers() || [];
-  const workerGroups = [...new Set(workers.map(w => w.group).filter(Boolean))];
+  const workerGroups = getWorkerGroups(fullDataStore);
   
   if (rule.workerGroup && !workerGroups.includes(rule.workerGroup)) {
     errors.push(`Worker group ${rule.workerGroup} does not exist`);
@@ -359,8 +460,7 @@ async function validatePhaseWindowRule(rule, fullDataStore) {
   }
 
   // Validate task exists
-  const tasks = fullDataStore.getTasks() || [];
-  const taskIds = tasks.map(t => t.id);
+  const taskIds = getTaskIds(fullDataStore);
   
   if (rule.task && !taskIds.includes(rule.task)) {
     errors.push(`Task ${rule.task} does not exist`);
@@ -0,0 +1,447 @@
+import entitySchemas from '../config/schemas.js';
+import dataStore from '../../dataStore.js';
+import config from '../config/config.js';
+import { rankFieldCandidates, collectColumnSamples } from '../utils/headerMatcher.js';
+import { fromDecimalComma } from '../utils/csvDialect.js';
+
+/**
+ * Schema registry
+ *
+ * Resolves the schema of any entity in the current workspace: built-in schemas come from
+ * config/schemas.js, custom entity types are described by their registered columns.
+ * Header mapping, record normalization and per-field validation all go through here.
+ */
+
+export const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'array', 'json'];
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// Returned by parseJSONField for text that is not JSON
+const INVALID_JSON = Symbol('invalid JSON');
+
+/**
+ * Schema of a custom entity type, built from its registered columns and header aliases
+ */
+function fromEntityType(definition) {
+  const headerAliases = definition.headerAliases || {};
+
+  return {
+    label: definition.label,
+    idField: definition.idField,
+    idPrefix: definition.idPrefix,
+    nameField: null,
+    fields: definition.columns.map(column => ({
+      name: column.name,
+      label: column.name,
+      type: column.type,
+      required: column.required,
+      aliases: [
+        ...column.aliases,
+        ...Object.keys(headerAliases).filter(header => headerAliases[header] === column.name)
+      ]
+    }))
+  };
+}
+
+/**
+ * Get the schema of an entity
+ * @param {string} entity - Entity id (clients, workers, tasks or a custom type)
+ * @returns {Object|null} { entity, label, idField, idPrefix, nameField, builtIn, fields } or null when unknown
+ */
+export function getSchema(entity) {
+  if (Object.hasOwn(entitySchemas, entity)) {
+    return { entity, ...entitySchemas[entity], builtIn: true };
+  }
+
+  const definition = dataStore.getEntityType(entity);
+  return definition ? { entity, ...fromEntityType(definition), builtIn: false } : null;
+}
+
+/**
+ * Schemas of every entity in the current workspace
+ * @returns {Array<Object>} Schemas, built-in entities first
+ */
+export function listSchemas() {
+  return dataStore.getEntityIds().map(entity => getSchema(entity)).filter(Boolean);
+}
+
+/**
+ * Fields that must hold a value
+ * @param {string} entity - Entity id
+ * @returns {Array<string>} Field names
+ */
+export function getRequiredFields(entity) {
+  return (getSchema(entity)?.fields || []).filter(field => field.required).map(field => field.name);
+}
+
+/**
+ * Fields that identify a record on upload: the ID field, or the name field as a fallback
+ * @param {string} entity - Entity id
+ * @returns {Array<string>} Field names
+ */
+export function getIdentifierFields(entity) {
+  const schema = getSchema(entity);
+  return schema ? [schema.idField, schema.nameField].filter(Boolean) : [];
+}
+
+/**
+ * Propose a schema field for each file header
+ * Every header gets a ranked list of candidate fields (see utils/headerMatcher.js). The
+ * strongest matches claim their field first, so a header naming a field exactly wins over
+ * aliases and fuzzy matches, and each field is claimed by one header only: a file with both
+ * "Availability" and "AvailableSlots" keeps both columns. Fuzzy candidates below
+ * config.headerMatching.minScore are listed but not applied.
+ * @param {Array<string>} headers - Headers as they appear in the file
+ * @param {string} entity - Entity id
+ * @param {Array<Object>} rows - Parsed rows, used to sniff the shape of each column's values
+ * @returns {Array<Object>} { source, target, confidence, matchedBy, candidates } per header, in
+ *   file order (target is null when no field matched)
+ */
+export function proposeMapping(headers, entity, rows = []) {
+  const proposals = headers.map(header => ({
+    source: header,
+    target: null,
+    confidence: 0,
+    matchedBy: null,
+    candidates: []
+  }));
+  const schema = getSchema(entity);
+  if (!schema) return proposals;
+
+  const { minScore, suggestionScore, maxCandidates, sampleSize } = config.headerMatching;
+  const samples = collectColumnSamples(rows, headers, sampleSize);
+  const ranked = headers.map(header => rankFieldCandidates(header, schema.fields, {
+    samples: samples[header],
+    idField: schema.idField,
+    minScore: suggestionScore
+  }));
+
+  // Strongest matches claim first; on equal scores the earlier column wins
+  const claimed = new Set();
+  ranked
+    .flatMap((candidates, index) => candidates.map(candidate => ({ ...candidate, index })))
+    .filter(candidate => candidate.score >= minScore)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .forEach(({ field, score, matchedBy, index }) => {
+      const proposal = proposals[index];
+      if (proposal.target || claimed.has(field)) return;
+      Object.assign(proposal, { target: field, confidence: score, matchedBy });
+      claimed.add(field);
+    });
+
+  proposals.forEach((proposal, index) => {
+    proposal.candidates = ranked[index].slice(0, maxCandidates);
+  });
+
+  return proposals;
+}
+
+/**
+ * Rank entities by how well a file's headers (and values) fit their schemas
+ * Each entity scores the confidence of every header its proposal maps, plus one when the ID
+ * field is among them.
+ * @param {Array<string>} headers - Headers as they appear in the file
+ * @param {Array<Object>} rows - Parsed rows
+ * @returns {Array<Object>} { entity, score, confidence, mappedColumns } sorted by score, best first
+ *   (confidence is the score relative to the best possible one, 0-1)
+ */
+export function rankEntities(headers, rows = []) {
+  return listSchemas()
+    .map(schema => {
+      const mapped = proposeMapping(headers, schema.entity, rows).filter(proposal => proposal.target);
+      const hasId = mapped.some(proposal => proposal.target === schema.idField);
+      const score = mapped.reduce((sum, proposal) => sum + proposal.confidence, 0) + (hasId ? 1 : 0);
+
+      return {
+        entity: schema.entity,
+        score: Math.round(score * 100) / 100,
+        confidence: headers.length ? Math.round((score / (headers.length + 1)) * 100) / 100 : 0,
+        mappedColumns: mapped.length
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Column mapping from proposals: the proposed field, the header itself when unmapped, or null
+ * when the proposal drops the column
+ * @param {Array<Object>} proposals - Result of proposeMapping
+ * @returns {Object} Header -> field name | header | null
+ */
+export function toColumnMapping(proposals) {
+  return Object.fromEntries(
+    proposals.map(({ source, target, ignored }) => [source, ignored ? null : target || source])
+  );
+}
+
+/**
+ * Map file headers to schema field names
+ * @param {Array<string>} headers - Headers as they appear in the file
+ * @param {string} entity - Entity id
+ * @param {Array<Object>} rows - Parsed rows, used to sniff column shapes
+ * @returns {Object} Header -> field name (unmapped headers map to themselves)
+ */
+export function resolveHeaders(headers, entity, rows = []) {
+  return toColumnMapping(proposeMapping(headers, entity, rows));
+}
+
+/**
+ * Headers that do not map to any schema field
+ * @param {Array<string>} headers - Headers as they appear in the file
+ * @param {string} entity - Entity id
+ * @param {Array<Object>} rows - Parsed rows, used to sniff column shapes
+ * @returns {Array<string>} Unmapped headers
+ */
+export function getUnmappedHeaders(headers, entity, rows = []) {
+  const schema = getSchema(entity);
+  if (!schema) return [];
+
+  const fieldNames = new Set(schema.fields.map(field => field.name));
+  const mapping = resolveHeaders(headers, entity, rows);
+  return headers.filter(header => !fieldNames.has(mapping[header]));
+}
+
+/**
+ * Normalize a record's schema fields (types, array/range parsing, bounds)
+ * Fields outside the schema are kept as they are.
+ * @param {Object} record - Record with schema field names
+ * @param {string} entity - Entity id
+ * @param {Object} options - Parse options (see parseFieldValue)
+ * @returns {Object} Normalized record
+ */
+export function normalizeRecord(record, entity, options = {}) {
+  const normalized = { ...record };
+  const schema = getSchema(entity);
+  if (!schema) return normalized;
+
+  schema.fields.forEach(field => {
+    const value = normalized[field.name];
+    if (value === undefined || value === null) return;
+    normalized[field.name] = parseFieldValue(value, field, options);
+  });
+
+  return normalized;
+}
+
+/**
+ * Parse a raw value the way the file parser does
+ * Values that cannot be parsed are returned unchanged (or as `default` for clamped fields)
+ * so validation can report them.
+ * @param {any} value - Raw value
+ * @param {Object} field - Field definition
+ * @param {Object} options - Parse options
+ * @param {string} options.decimalSeparator - ',' when the source file writes numbers as "12,5"
+ * @param {Array<Object>} options.coercions - When given, every value the parser had to change
+ *   rather than just convert is recorded as { field, rule, from, to, message }, rule being
+ *   'clamp', 'default', 'invalid_json' or 'dropped_items'
+ * @returns {any} Parsed value
+ */
+export function parseFieldValue(value, field, { decimalSeparator = '.', coercions = null } = {}) {
+  const coerce = (rule, to, message) => {
+    coercions?.push({ field: field.name, rule, from: value, to, message });
+    return to;
+  };
+
+  switch (field.type) {
+    case 'string': {
+      const text = value.toString().trim();
+      return field.lowercase ? text.toLowerCase() : text;
+    }
+    case 'integer':
+    case 'number': {
+      const text = decimalSeparator === ',' ? fromDecimalComma(value) : value;
+      const number = field.type === 'integer' ? parseInt(text) : parseFloat(text);
+      if (isNaN(number)) {
+        if (!field.clamp || isEmptyValue(value)) return field.clamp ? field.default : value;
+        return coerce('default', field.default, `${field.name} "${value}" is not a number, using ${field.default}`);
+      }
+      if (!field.clamp) return number;
+
+      const clamped = clampNumber(number, field);
+      return clamped === number
+        ? number
+        : coerce('clamp', clamped, `${field.name} ${number} is not ${describeBounds(field)}, clamped to ${clamped}`);
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const flag = value.toString().trim().toLowerCase();
+      if (TRUE_VALUES.includes(flag)) return true;
+      if (FALSE_VALUES.includes(flag)) return false;
+      return value;
+    }
+    case 'date':
+      return value.toString().trim();
+    case 'array': {
+      if (field.items !== 'integer') {
+        return splitList(value, field).map(item => String(item).trim()).filter(item => item);
+      }
+      const items = splitList(value, field);
+      const numbers = items.map(item => parseInt(item)).filter(item => !isNaN(item));
+      if (numbers.length === items.length) return numbers;
+
+      const dropped = items.filter(item => isNaN(parseInt(item)));
+      return coerce('dropped_items', numbers, `${field.name} items that are not integers were dropped: ${dropped.join(', ')}`);
+    }
+    case 'json': {
+      const parsed = parseJSONField(value);
+      return parsed === INVALID_JSON
+        ? coerce('invalid_json', {}, `${field.name} is not valid JSON, using an empty object`)
+        : parsed;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check a stored value against its field definition
+ * Empty values pass; required-ness is checked separately.
+ * @param {any} value - Stored value
+ * @param {Object} field - Field definition
+ * @returns {Object|null} { type, message } using validation error types, or null when valid
+ */
+export function checkFieldValue(value, field) {
+  if (isEmptyValue(value)) return null;
+
+  const typeError = (expected) => ({ type: 'TypeError', message: `${field.name} must be ${expected}` });
+
+  switch (field.type) {
+    case 'integer':
+    case 'number': {
+      const number = toNumber(value);
+      if (isNaN(number) || (field.type === 'integer' && !Number.isInteger(number))) {
+        return typeError(field.type === 'integer' ? 'an integer' : 'a number');
+      }
+      return checkBounds(number, field);
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return null;
+      return [...TRUE_VALUES, ...FALSE_VALUES].includes(value.toString().trim().toLowerCase())
+        ? null
+        : typeError('true or false');
+    case 'date':
+      return isNaN(Date.parse(value)) ? typeError('a valid date') : null;
+    case 'array': {
+      if (typeof value !== 'string' && !Array.isArray(value) && typeof value !== 'number') {
+        return typeError('a list');
+      }
+      const items = splitList(value, field);
+
+      if (field.items === 'integer') {
+        const numbers = items.map(toNumber);
+        if (numbers.some(number => !Number.isInteger(number))) {
+          return typeError('a list of integers');
+        }
+        const outOfBounds = numbers.map(number => checkBounds(number, field)).find(Boolean);
+        if (outOfBounds) return outOfBounds;
+      }
+
+      if (field.minItems && items.length < field.minItems) {
+        return {
+          type: 'LogicalConflict',
+          message: `${field.name} must contain at least ${field.minItems} item${field.minItems === 1 ? '' : 's'}`
+        };
+      }
+      return null;
+    }
+    case 'json':
+      if (typeof value === 'object') return null;
+      try {
+        return typeof JSON.parse(value) === 'object' ? null : typeError('a JSON object');
+      } catch {
+        return typeError('a JSON object');
+      }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether a value counts as missing for required fields
+ * @param {any} value - Value to test
+ * @returns {boolean} True when missing
+ */
+export function isEmptyValue(value) {
+  return value === undefined || value === null || value.toString().trim() === '';
+}
+
+// Field parsing helpers
+
+/**
+ * Split a list value: JSON arrays, ranges like "1-3" (when the field allows them), or
+ * comma/semicolon separated values
+ */
+function splitList(value, field) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null) return [];
+
+  const str = value.toString().trim();
+  if (!str) return [];
+
+  if (str.startsWith('[') && str.endsWith(']')) {
+    try {
+      const parsed = JSON.parse(str);
+      if (Array.isArray(parsed)) return parsed;
+    } catch {
+      return str.slice(1, -1).split(',').map(s => s.trim()).filter(s => s);
+    }
+  }
+
+  if (field.ranges && /^\d+\s*-\s*\d+$/.test(str)) {
+    const [start, end] = str.split('-').map(s => parseInt(s.trim()));
+    if (start <= end) {
+      return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+    }
+  }
+
+  return str.split(/[,;]/).map(s => s.trim()).filter(s => s);
+}
+
+/**
+ * Safely parses JSON fields
+ */
+function parseJSONField(value) {
+  if (typeof value === 'object') return value;
+  if (!value || value.toString().trim() === '') return {};
+
+  try {
+    return JSON.parse(value.toString());
+  } catch {
+    console.warn('⚠️ Invalid JSON field, using empty object:', value);
+    return INVALID_JSON;
+  }
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  const str = String(value).trim();
+  return str === '' ? NaN : Number(str);
+}
+
+/**
+ * Bring a number within a field's min/max
+ * @param {number} number - Number to clamp
+ * @param {Object} field - Field definition
+ * @returns {number} Clamped number
+ */
+export function clampNumber(number, field) {
+  let clamped = number;
+  if (field.min !== undefined) clamped = Math.max(field.min, clamped);
+  if (field.max !== undefined) clamped = Math.min(field.max, clamped);
+  return clamped;
+}
+
+function describeBounds(field) {
+  return field.max !== undefined
+    ? `between ${field.min ?? '-∞'} and ${field.max}`
+    : `>= ${field.min}`;
+}
+
+function checkBounds(number, field) {
+  const belowMin = field.min !== undefined && number < field.min;
+  const aboveMax = field.max !== undefined && number > field.max;
+  if (!belowMin && !aboveMax) return null;
+
+  return { type: 'RangeError', message: `${field.name} must be ${describeBounds(field)}` };
+}
@@ -0,0 +1,242 @@
+import dataStore from '../../dataStore.js';
+import config from '../config/config.js';
+import { v4 as uuidv4 } from 'uuid';
+import { recordAudit } from './audit.service.js';
+
+// Reasons a snapshot can be taken for
+export const SNAPSHOT_REASONS = ['manual', 'upload', 'apply-fixes', 'pre-restore'];
+
+/**
+ * Strip the captured state so list responses stay small
+ * @param {Object} snapshot - Stored snapshot
+ * @returns {Object} Snapshot summary
+ */
+function summarizeSnapshot(snapshot) {
+  const { state, ...summary } = snapshot;
+  return summary;
+}
+
+/**
+ * Take a point-in-time snapshot of all entities, rules and priorities
+ * @param {Object} options - Snapshot options
+ * @param {string} options.reason - Why the snapshot was taken (see SNAPSHOT_REASONS)
+ * @param {string} options.label - Human readable label
+ * @param {Array<string>} options.keep - Snapshot IDs the oldest-first eviction must spare
+ * @returns {Object} Snapshot summary
+ */
+export function createSnapshot({ reason = 'manual', label, keep = [] } = {}) {
+  if (!SNAPSHOT_REASONS.includes(reason)) {
+    throw new Error(`Invalid snapshot reason. Supported reasons: ${SNAPSHOT_REASONS.join(', ')}`);
+  }
+
+  const state = dataStore.captureState();
+  const snapshot = {
+    id: `snap-${uuidv4()}`,
+    label: label || `${reason} snapshot`,
+    reason,
+    createdAt: new Date().toISOString(),
+    recordCounts: Object.fromEntries(
+      Object.entries(state.data).map(([entity, records]) => [entity, records.length])
+    ),
+    rulesCount: state.rules.length,
+    state
+  };
+
+  dataStore.addSnapshot(snapshot, config.snapshots.maxSnapshots, keep);
+  console.log(`📸 Snapshot created: ${snapshot.id} (${reason})`);
+
+  return summarizeSnapshot(snapshot);
+}
+
+/**
+ * List snapshots, newest first
+ * @returns {Array<Object>} Snapshot summaries
+ */
+export function listSnapshots() {
+  return dataStore.getSnapshots()
+    .map(summarizeSnapshot)
+    .reverse();
+}
+
+/**
+ * Get a single snapshot including its captured state
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Object|null} Snapshot or null when not found
+ */
+export function getSnapshot(snapshotId) {
+  return dataStore.getSnapshot(snapshotId);
+}
+
+/**
+ * Resolve a snapshot ID (or 'current' for the live data) to a state object
+ * @param {string} snapshotId - Snapshot ID or 'current'
+ * @returns {Object} Captured state
+ */
+function resolveState(snapshotId) {
+  if (snapshotId === 'current') {
+    return dataStore.captureState();
+  }
+
+  const snapshot = dataStore.getSnapshot(snapshotId);
+  if (!snapshot) {
+    throw new Error(`Snapshot with id ${snapshotId} not found`);
+  }
+  return snapshot.state;
+}
+
+/**
+ * Key a record by its entity ID field, falling back to the internal id or row position
+ */
+function getRecordKey(entity, record, index) {
+  const idField = dataStore.getIdField(entity);
+  const key = record[idField] ?? record.id;
+  return key !== undefined && key !== null && key !== '' ? String(key) : `#${index}`;
+}
+
+/**
+ * Field-level differences between two objects
+ * @returns {Array<Object>} Changes as { field, from, to }
+ */
+function diffFields(before = {}, after = {}) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.push({ field, from: before[field], to: after[field] });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Diff two keyed collections into added, removed and changed entries
+ */
+function diffCollections(fromItems, toItems, getKey) {
+  const fromMap = new Map(fromItems.map((item, index) => [getKey(item, index), item]));
+  const toMap = new Map(toItems.map((item, index) => [getKey(item, index), item]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  toMap.forEach((item, key) => {
+    if (!fromMap.has(key)) {
+      added.push({ id: key, record: item });
+    } else {
+      const changes = diffFields(fromMap.get(key), item);
+      if (changes.length > 0) {
+        changed.push({ id: key, changes });
+      }
+    }
+  });
+
+  fromMap.forEach((item, key) => {
+    if (!toMap.has(key)) {
+      removed.push({ id: key, record: item });
+    }
+  });
+
+  return { added, removed, changed };
+}
+
+/**
+ * Record-level diff between two snapshots
+ * @param {string} fromId - Base snapshot ID (or 'current')
+ * @param {string} toId - Target snapshot ID (or 'current')
+ * @returns {Object} Diff per entity plus rules and priorities
+ */
+export function diffSnapshots(fromId, toId = 'current') {
+  const fromState = resolveState(fromId);
+  const toState = resolveState(toId);
+
+  // Built-in entities plus any custom entity type present on either side
+  const entities = {};
+  const entityIds = new Set([...Object.keys(fromState.data), ...Object.keys(toState.data)]);
+  entityIds.forEach(entity => {
+    entities[entity] = diffCollections(
+      fromState.data[entity] || [],
+      toState.data[entity] || [],
+      (record, index) => getRecordKey(entity, record, index)
+    );
+  });
+
+  const rules = diffCollections(
+    fromState.rules || [],
+    toState.rules || [],
+    (rule, index) => rule.id || `#${index}`
+  );
+
+  const priorities = diffFields(fromState.priorities, toState.priorities);
+
+  const summary = {
+    added: 0,
+    removed: 0,
+    changed: 0
+  };
+  [...Object.values(entities), rules].forEach(diff => {
+    summary.added += diff.added.length;
+    summary.removed += diff.removed.length;
+    summary.changed += diff.changed.length;
+  });
+
+  return {
+    from: fromId,
+    to: toId,
+    entities,
+    rules,
+    priorities,
+    summary
+  };
+}
+
+/**
+ * Roll the store back to a snapshot
+ * The current state is snapshotted first so a restore can itself be undone. The diff is taken
+ * before that, and the target is spared when the new snapshot evicts the oldest, so restoring the
+ * oldest snapshot at the limit still works and keeps it.
+ * @param {string} snapshotId - Snapshot to restore
+ * @returns {Object} Restored snapshot summary and the pre-restore snapshot
+ */
+export function restoreSnapshot(snapshotId) {
+  const snapshot = dataStore.getSnapshot(snapshotId);
+  if (!snapshot) {
+    throw new Error(`Snapshot with id ${snapshotId} not found`);
+  }
+
+  const { summary } = diffSnapshots('current', snapshotId);
+
+  const preRestoreSnapshot = createSnapshot({
+    reason: 'pre-restore',
+    label: `Before restoring "${snapshot.label}"`,
+    keep: [snapshotId]
+  });
+
+  dataStore.applyState(snapshot.state);
+  console.log(`⏪ Restored snapshot: ${snapshotId}`);
+
+  recordAudit({
+    action: 'snapshot.restore',
+    details: {
+      snapshotId,
+      label: snapshot.label,
+      preRestoreSnapshotId: preRestoreSnapshot.id,
+      summary
+    }
+  });
+
+  return {
+    restored: summarizeSnapshot(snapshot),
+    preRestoreSnapshot
+  };
+}
+
+/**
+ * Delete a snapshot
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Object} Deleted snapshot summary
+ */
+export function deleteSnapshot(snapshotId) {
+  return summarizeSnapshot(dataStore.deleteSnapshot(snapshotId));
+}
@@ -0,0 +1,449 @@
+import dataStore from '../../dataStore.js';
+import config from '../config/config.js';
+import { v4 as uuidv4 } from 'uuid';
+import { classifyEntity, validateDataStructure } from '../utils/csvUtils.js';
+import { normalizeDialectOptions } from '../utils/csvDialect.js';
+import { getSchema, getIdentifierFields, getRequiredFields, toColumnMapping } from './schema.service.js';
+import { processUploadedData } from './parser.service.js';
+import {
+  findMatchingProfile,
+  getMappingProfile,
+  createMappingProfile,
+  proposeProfileMapping,
+  markProfileUsed
+} from './mappingProfile.service.js';
+import { UPLOAD_MODES, planUpload, applyUpload, recordUploadAudit } from './uploadMerge.service.js';
+import { createSnapshot } from './snapshot.service.js';
+import { findDuplicates } from './dedup.service.js';
+import { recordIngestion } from './ingestionReport.service.js';
+import { getCurrentActor } from '../utils/requestContext.js';
+
+/**
+ * Two-phase uploads
+ *
+ * Staging parses a file and proposes a target field for every column without touching the
+ * entity data. A mapping profile whose header signature matches the file is picked up
+ * automatically. A workbook or ZIP archive dropped without an entity is split into one staged
+ * upload per sheet or file, each classified by the entity its columns fit best. Committing
+ * applies the (possibly user-edited) mapping, then loads the rows in the chosen upload mode
+ * exactly as a direct upload does. Staged uploads live in the workspace's memory and expire.
+ * Parse errors go to the upload's ingestion report when staged, rejected and coerced rows when
+ * committed.
+ */
+
+/**
+ * Strip the parsed rows so responses stay small
+ * @param {Object} stagedUpload - Stored staged upload
+ * @returns {Object} Staged upload summary
+ */
+function summarizeStagedUpload(stagedUpload) {
+  const { rows, lines, ...summary } = stagedUpload;
+  return summary;
+}
+
+/**
+ * Drop staged uploads past their expiry time
+ */
+function purgeExpiredUploads() {
+  const now = Date.now();
+  dataStore.getStagedUploads()
+    .filter(stagedUpload => Date.parse(stagedUpload.expiresAt) <= now)
+    .forEach(stagedUpload => dataStore.removeStagedUpload(stagedUpload.id));
+}
+
+/**
+ * First non-empty values of a column
+ */
+function sampleValues(rows, header) {
+  const samples = [];
+  for (const row of rows) {
+    const value = row[header];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      samples.push(value);
+      if (samples.length >= config.staging.sampleSize) break;
+    }
+  }
+  return samples;
+}
+
+/**
+ * Profile to map a staged file with: the requested one, none ('none'), or the best match
+ * @returns {Object|null} { profile, score }
+ */
+function resolveProfile(stagedUpload, entity, profileId) {
+  if (profileId === 'none') return null;
+  if (!profileId) return findMatchingProfile(stagedUpload.headers, entity);
+
+  const profile = dataStore.getMappingProfile(profileId);
+  if (!profile || profile.entity !== entity) {
+    throw new Error(`Invalid mapping profile ${profileId} for ${entity}`);
+  }
+  return { profile, score: 1 };
+}
+
+/**
+ * Proposed mapping of a staged file's columns onto an entity
+ * @param {Object} stagedUpload - Stored staged upload
+ * @param {string} entity - Target entity id
+ * @param {Object|null} match - Profile to apply, as returned by resolveProfile
+ * @returns {Object} { columns, unmappedColumns, missingRequired, missingIdentifier }
+ */
+function buildMappingPreview(stagedUpload, entity, match) {
+  const columns = proposeProfileMapping(stagedUpload.headers, entity, match?.profile, match?.score, stagedUpload.rows)
+    .map(proposal => ({
+      ...proposal,
+      samples: sampleValues(stagedUpload.rows, proposal.source)
+    }));
+  const targets = columns.map(column => column.target).filter(Boolean);
+
+  return {
+    columns,
+    unmappedColumns: columns.filter(column => !column.target && !column.ignored).map(column => column.source),
+    missingRequired: getRequiredFields(entity).filter(field => !targets.includes(field)),
+    missingIdentifier: !getIdentifierFields(entity).some(field => targets.includes(field))
+  };
+}
+
+/**
+ * Check a confirmed mapping against the entity schema
+ * Each header maps to a schema field, to itself (kept as an extra column) or to null (dropped).
+ * @returns {Array<string>} Problems, empty when the mapping can be applied
+ */
+function checkMapping(mapping, headers, entity) {
+  const errors = [];
+  const schema = getSchema(entity);
+  const fieldNames = schema.fields.map(field => field.name);
+
+  Object.entries(mapping).forEach(([source, target]) => {
+    if (!headers.includes(source)) {
+      errors.push(`"${source}" is not a column of the file`);
+    } else if (target !== null && target !== source && !fieldNames.includes(target)) {
+      errors.push(`"${source}" maps to unknown ${entity} field ${target}`);
+    }
+  });
+
+  const targets = Object.values(mapping).filter(target => target !== null);
+  const duplicates = targets.filter((target, index) => targets.indexOf(target) !== index);
+  if (duplicates.length > 0) {
+    errors.push(`Several columns map to ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  const identifiers = getIdentifierFields(entity);
+  if (!identifiers.some(field => targets.includes(field))) {
+    errors.push(`One column must map to ${identifiers.join(' or ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Stage a parsed file for mapping review
+ * @param {Object} options - Staging options
+ * @param {string} options.entity - Entity the file was uploaded as
+ * @param {Object} options.file - Uploaded file info { originalName, filename, size }
+ * @param {Object} options.parseResult - Result of parseCSV / parseExcel
+ * @param {Array<Object>} options.structureErrors - Result of validateDataStructure
+ * @param {string} options.sheetName - Workbook sheet the rows come from
+ * @param {string} options.batchId - Shared by the sheets and files of one multi-table upload
+ * @param {Object} options.classification - Result of classifyEntity, computed when omitted
+ * @param {string} options.uploadId - Upload whose ingestion report records the file's problems
+ * @returns {Object} Staged upload summary with the proposed mapping
+ */
+export function stageUpload({
+  entity,
+  file,
+  parseResult,
+  structureErrors = [],
+  sheetName = null,
+  batchId = null,
+  classification = null,
+  uploadId = null
+}) {
+  purgeExpiredUploads();
+
+  const rows = parseResult.data;
+  const headers = parseResult.meta?.fields || Object.keys(rows[0] || {});
+  const createdAt = new Date();
+  const entityClassification = classification || classifyEntity(headers, rows);
+
+  const stagedUpload = {
+    id: `stage-${uuidv4()}`,
+    entity,
+    detectedEntity: entityClassification.entity,
+    classification: entityClassification,
+    batchId,
+    fileName: file.originalName,
+    sheetName,
+    storedFileName: file.filename,
+    size: file.size,
+    rowCount: rows.length,
+    headers,
+    parseErrors: parseResult.errors?.length || 0,
+    dialect: parseResult.meta?.dialect || null,
+    warnings: structureErrors.map(error => error.message),
+    createdAt: createdAt.toISOString(),
+    expiresAt: new Date(createdAt.getTime() + config.staging.ttlMinutes * 60 * 1000).toISOString(),
+    createdBy: getCurrentActor(),
+    uploadId,
+    rows,
+    lines: parseResult.meta?.lines || null
+  };
+
+  if (uploadId) {
+    recordIngestion(uploadId, { fileName: stagedUpload.fileName, sheetName, entity }, {
+      rows: rows.length,
+      parseErrors: (parseResult.errors || []).map(error => ({ ...error, raw: error.raw ?? rows[error.row] ?? null }))
+    });
+  }
+
+  dataStore.addStagedUpload(stagedUpload, config.staging.maxStaged);
+  console.log(`📥 Staged upload: ${stagedUpload.id} (${entity}, ${rows.length} rows)`);
+
+  return getStagedUpload(stagedUpload.id);
+}
+
+/**
+ * Stage every table of a multi-table upload, each routed to the entity its columns fit best
+ * Tables that fit no entity are staged as the top-ranked one with a warning; the entity can be
+ * changed when reviewing or committing each staged upload.
+ * @param {Object} options - Staging options
+ * @param {Object} options.file - Uploaded file info { originalName, filename, size }
+ * @param {Array<Object>} options.sources - Result of parseUploadSources
+ * @param {string} options.uploadId - Upload whose ingestion report records the tables' problems
+ * @returns {Object} { batchId, staged, skipped } where skipped lists tables without data rows
+ */
+export function stageUploadSources({ file, sources, uploadId = null }) {
+  const batchId = `batch-${uuidv4()}`;
+  const skipped = [];
+  const staged = [];
+
+  sources.forEach(source => {
+    const rows = source.parseResult.data;
+    if (rows.length === 0) {
+      skipped.push({ file: source.name, error: 'No data rows found' });
+      return;
+    }
+
+    const headers = source.parseResult.meta?.fields || Object.keys(rows[0]);
+    const classification = classifyEntity(headers, rows);
+    const entity = classification.entity || classification.ranking[0]?.entity;
+    const structureErrors = validateDataStructure(rows, entity);
+    if (!classification.entity) {
+      structureErrors.unshift({ message: `Could not tell which entity these columns belong to; staged as ${entity}` });
+    }
+
+    staged.push(stageUpload({
+      entity,
+      file: { originalName: source.name, filename: file.filename, size: file.size },
+      parseResult: source.parseResult,
+      structureErrors,
+      sheetName: source.sheetName,
+      batchId,
+      classification,
+      uploadId
+    }));
+  });
+
+  // Committing two tables into one entity would replace the first with the second
+  const entities = staged.map(stagedUpload => stagedUpload.entity);
+  staged.forEach(stagedUpload => {
+    if (entities.filter(entity => entity === stagedUpload.entity).length > 1) {
+      // The summary shares its warnings array with the stored upload
+      dataStore.getStagedUpload(stagedUpload.id).warnings
+        .push(`Several tables of ${file.originalName} were classified as ${stagedUpload.entity}`);
+    }
+  });
+
+  return { batchId, staged, skipped };
+}
+
+/**
+ * Get a staged upload with its mapping proposal
+ * @param {string} stagingId - Staged upload ID
+ * @param {string} entity - Entity to propose the mapping for (defaults to the staged entity)
+ * @param {string} profileId - Mapping profile to apply, or 'none' (defaults to the best match)
+ * @returns {Object} Staged upload summary
+ */
+export function getStagedUpload(stagingId, entity = null, profileId = null) {
+  purgeExpiredUploads();
+
+  const stagedUpload = dataStore.getStagedUpload(stagingId);
+  if (!stagedUpload) {
+    throw new Error(`Staged upload ${stagingId} not found`);
+  }
+
+  const target = entity || stagedUpload.entity;
+  if (!dataStore.isValidEntity(target)) {
+    throw new Error(`Invalid entity: ${target}`);
+  }
+
+  const match = resolveProfile(stagedUpload, target, profileId);
+
+  return {
+    ...summarizeStagedUpload(stagedUpload),
+    entity: target,
+    profile: match ? { id: match.profile.id, name: match.profile.name, score: match.score } : null,
+    ...buildMappingPreview(stagedUpload, target, match)
+  };
+}
+
+/**
+ * List staged uploads of the workspace awaiting confirmation
+ * @returns {Array<Object>} Staged upload summaries, newest first
+ */
+export function listStagedUploads() {
+  purgeExpiredUploads();
+  return dataStore.getStagedUploads().map(summarizeStagedUpload).reverse();
+}
+
+/**
+ * Discard a staged upload without touching the entity data
+ * @param {string} stagingId - Staged upload ID
+ * @returns {Object} The discarded staged upload summary
+ */
+export function discardStagedUpload(stagingId) {
+  const stagedUpload = dataStore.removeStagedUpload(stagingId);
+  if (!stagedUpload) {
+    throw new Error(`Staged upload ${stagingId} not found`);
+  }
+  return summarizeStagedUpload(stagedUpload);
+}
+
+/**
+ * Check a commit request and process the staged rows with the confirmed mapping
+ * @returns {Promise<Object>} { preview, stagedUpload, profile, confirmedMapping, processedData,
+ *   issues } where issues lists the rejected and coerced rows
+ */
+async function prepareCommit(stagingId, { entity, mapping = {}, profileId, mode = 'replace', decimalSeparator }) {
+  const preview = getStagedUpload(stagingId, entity, profileId);
+  const stagedUpload = dataStore.getStagedUpload(stagingId);
+  const profile = preview.profile ? getMappingProfile(preview.profile.id) : null;
+
+  if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+    throw new Error('Invalid mapping: mapping must be an object of column -> field');
+  }
+  if (!UPLOAD_MODES.includes(mode)) {
+    throw new Error(`Invalid upload mode: ${mode}. Supported modes: ${UPLOAD_MODES.join(', ')}`);
+  }
+
+  const overrides = normalizeDialectOptions({ decimalSeparator });
+  const confirmedMapping = { ...toColumnMapping(preview.columns), ...mapping };
+
+  const mappingErrors = checkMapping(confirmedMapping, stagedUpload.headers, preview.entity);
+  if (mappingErrors.length > 0) {
+    throw new Error(`Invalid mapping: ${mappingErrors.join('; ')}`);
+  }
+
+  const issues = [];
+  const processedData = await processUploadedData(stagedUpload.rows, preview.entity, {
+    mapping: confirmedMapping,
+    profile,
+    decimalSeparator: overrides.decimalSeparator || stagedUpload.dialect?.decimalSeparator,
+    lines: stagedUpload.lines,
+    issues
+  });
+
+  return { preview, stagedUpload, profile, confirmedMapping, processedData, issues };
+}
+
+/**
+ * What committing a staged upload would change, without writing anything
+ * @param {string} stagingId - Staged upload ID
+ * @param {Object} options - Same as commitStagedUpload (saveProfile is ignored)
+ * @returns {Promise<Object>} { entity, fileName, recordCount, skippedRows, coercedRows, mapping, changes,
+ *   duplicates } where duplicates lists the near-duplicate clusters the rows would bring in (see
+ *   dedup.service.findDuplicates)
+ */
+export async function previewStagedCommit(stagingId, options = {}) {
+  const { preview, stagedUpload, confirmedMapping, processedData, issues } = await prepareCommit(stagingId, options);
+
+  return {
+    entity: preview.entity,
+    fileName: stagedUpload.fileName,
+    recordCount: processedData.length,
+    skippedRows: stagedUpload.rowCount - processedData.length,
+    coercedRows: issues.filter(issue => issue.kind === 'coerced').length,
+    mapping: confirmedMapping,
+    changes: planUpload(preview.entity, processedData, options.mode).summary,
+    duplicates: findDuplicates(preview.entity, { incoming: processedData, mode: options.mode }).clusters
+  };
+}
+
+/**
+ * Apply a confirmed mapping and load the staged rows into the entity
+ * @param {string} stagingId - Staged upload ID
+ * @param {Object} options - Commit options
+ * @param {string} options.entity - Entity to load the rows into (defaults to the staged entity)
+ * @param {Object} options.mapping - Header -> field overrides; headers left out keep the proposal
+ * @param {string} options.profileId - Mapping profile to apply, or 'none' (defaults to the best match)
+ * @param {Object} options.saveProfile - { name, description? } to save the confirmed mapping as a profile
+ * @param {string} options.mode - How the rows combine with stored records (see uploadMerge.service.js)
+ * @param {string} options.decimalSeparator - Overrides the decimal separator detected in a CSV file
+ * @param {boolean} options.force - Load rows the write policy rejects anyway (admins only)
+ * @returns {Promise<Object>} { entity, fileName, recordCount, skippedRows, coercedRows, mapping, profile,
+ *   savedProfile, changes, writeValidation, snapshotId, uploadId, duplicates } where uploadId names the
+ *   ingestion report and duplicates lists the near-duplicate clusters found before the rows were loaded
+ */
+export async function commitStagedUpload(stagingId, { saveProfile, force = false, ...options } = {}) {
+  const { mode = 'replace' } = options;
+  const { preview, stagedUpload, profile, confirmedMapping, processedData, issues } = await prepareCommit(stagingId, options);
+
+  // Saved before the data is changed so a rejected profile leaves the upload staged
+  const savedProfile = saveProfile
+    ? createMappingProfile({
+      name: saveProfile.name,
+      description: saveProfile.description,
+      entity: preview.entity,
+      headers: stagedUpload.headers,
+      mapping: confirmedMapping,
+      aliases: profile?.aliases,
+      transforms: profile?.transforms,
+      defaults: profile?.defaults
+    })
+    : null;
+
+  const snapshot = createSnapshot({
+    reason: 'upload',
+    label: `Before upload of ${stagedUpload.fileName}`
+  });
+
+  const previousCount = dataStore.getData(preview.entity).length;
+  const { clusters: duplicates } = findDuplicates(preview.entity, { incoming: processedData, mode });
+  const upload = applyUpload(preview.entity, processedData, mode, stagedUpload.fileName, { force });
+  const { changes, writeValidation } = upload;
+  dataStore.removeStagedUpload(stagingId);
+  if (profile) markProfileUsed(profile.id);
+  if (stagedUpload.uploadId) {
+    recordIngestion(stagedUpload.uploadId, {
+      fileName: stagedUpload.fileName,
+      sheetName: stagedUpload.sheetName,
+      entity: preview.entity
+    }, { issues });
+  }
+
+  recordUploadAudit(preview.entity, upload, {
+    fileName: stagedUpload.fileName,
+    mode,
+    previousCount,
+    snapshotId: snapshot.id,
+    stagingId,
+    mapping: confirmedMapping,
+    profileId: profile?.id || null
+  });
+
+  return {
+    entity: preview.entity,
+    fileName: stagedUpload.fileName,
+    recordCount: processedData.length,
+    skippedRows: stagedUpload.rowCount - processedData.length,
+    coercedRows: issues.filter(issue => issue.kind === 'coerced').length,
+    mapping: confirmedMapping,
+    profile: preview.profile,
+    savedProfile,
+    changes,
+    writeValidation,
+    snapshotId: snapshot.id,
+    uploadId: stagedUpload.uploadId,
+    duplicates
+  };
+}
@@ -0,0 +1,214 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/config.js';
+import { DEFAULT_WORKSPACE_ID } from '../utils/requestContext.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Storage adapters for DataStore persistence
+ *
+ * Every adapter exposes the same synchronous interface so DataStore
+ * operations stay synchronous for the controllers that call them:
+ *   - name: driver identifier reported by the health endpoint
+ *   - load(): returns the last saved state object, or null when nothing is stored
+ *   - save(state, changed): persists the state object; of the SEPARATE_SECTIONS only those listed
+ *     in changed need writing
+ *   - appendAudit(entries): appends audit entries to the append-only audit log
+ *   - readAudit(): returns every audit entry, oldest first
+ *   - remove(): deletes the stored state when a workspace is deleted
+ *   - archiveAudit(): moves the audit log of a deleted workspace aside, never deleting it, so a new
+ *     workspace with the same ID starts with an empty log
+ */
+
+// Large, rarely changing parts of the state that adapters may store apart from the rest
+export const SEPARATE_SECTIONS = ['snapshots', 'journal'];
+
+/**
+ * Keeps state in process memory only (the original behaviour)
+ */
+export class MemoryStorageAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.state = null;
+    this.auditLog = [];
+  }
+
+  load() {
+    return this.state;
+  }
+
+  save(state) {
+    this.state = state;
+  }
+
+  appendAudit(entries) {
+    this.auditLog.push(...entries);
+  }
+
+  readAudit() {
+    return this.auditLog;
+  }
+
+  remove() {
+    this.state = null;
+  }
+
+  archiveAudit() {
+    // The log stays with this adapter, which lives as long as the process like everything else here
+  }
+}
+
+/**
+ * Write a file so a crash mid-write never leaves it truncated: the content goes to a temp file,
+ * is flushed to disk, then renamed over the old file
+ */
+function writeJsonAtomic(filePath, value) {
+  const tempPath = `${filePath}.tmp`;
+  fs.ensureDirSync(path.dirname(filePath));
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(value));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Persists state as JSON documents on disk so it survives restarts
+ * Snapshots and the journal live in their own files beside the workspace document
+ * (<workspaceId>.snapshots.json, <workspaceId>.journal.json) and are only rewritten when they change.
+ */
+export class FileStorageAdapter {
+  /**
+   * @param {string} filePath - Absolute path of the JSON document
+   * @param {string} auditPath - Absolute path of the JSON Lines audit log
+   */
+  constructor(filePath, auditPath) {
+    this.name = 'file';
+    this.filePath = filePath;
+    this.auditPath = auditPath;
+    // Sections found inside the workspace document (saved before they were split out) and not yet moved
+    this.inlineSections = [];
+  }
+
+  sectionPath(section) {
+    return this.filePath.replace(/\.json$/, `.${section}.json`);
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return null;
+      }
+      const state = fs.readJsonSync(this.filePath);
+      this.inlineSections = SEPARATE_SECTIONS.filter(section => state[section] !== undefined);
+      SEPARATE_SECTIONS
+        .filter(section => state[section] === undefined && fs.existsSync(this.sectionPath(section)))
+        .forEach(section => {
+          state[section] = fs.readJsonSync(this.sectionPath(section));
+        });
+      return state;
+    } catch (error) {
+      console.error(`❌ Storage: Failed to read ${this.filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  save(state, changed = SEPARATE_SECTIONS) {
+    // Sections first: the workspace document, written last, is what a restart trusts
+    SEPARATE_SECTIONS
+      .filter(section => changed.includes(section) || this.inlineSections.includes(section))
+      .forEach(section => writeJsonAtomic(this.sectionPath(section), state[section]));
+    this.inlineSections = [];
+
+    const document = { ...state };
+    SEPARATE_SECTIONS.forEach(section => delete document[section]);
+    writeJsonAtomic(this.filePath, document);
+  }
+
+  appendAudit(entries) {
+    // One JSON document per line; appending never rewrites earlier entries
+    fs.ensureDirSync(path.dirname(this.auditPath));
+    fs.appendFileSync(this.auditPath, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+  }
+
+  readAudit() {
+    if (!fs.existsSync(this.auditPath)) {
+      return [];
+    }
+
+    return fs.readFileSync(this.auditPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  remove() {
+    fs.removeSync(this.filePath);
+    SEPARATE_SECTIONS.forEach(section => fs.removeSync(this.sectionPath(section)));
+  }
+
+  archiveAudit() {
+    if (fs.existsSync(this.auditPath)) {
+      // Keep the deleted workspace's log as archive/<workspaceId>.<deletedAt>.audit.jsonl
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const archivePath = path.join(
+        path.dirname(this.auditPath),
+        'archive',
+        path.basename(this.auditPath).replace(/\.audit\.jsonl$/, `.${stamp}.audit.jsonl`)
+      );
+      fs.moveSync(this.auditPath, archivePath);
+    }
+  }
+}
+
+/**
+ * Directory holding the JSON documents of every workspace
+ */
+const getWorkspaceDir = () => path.resolve(__dirname, '..', config.storage.dir, 'workspaces');
+
+/**
+ * Create the storage adapter selected in config.storage.driver
+ * @param {string} workspaceId - Workspace whose state the adapter stores
+ * @returns {MemoryStorageAdapter|FileStorageAdapter} Storage adapter instance
+ */
+export function createStorageAdapter(workspaceId = DEFAULT_WORKSPACE_ID) {
+  const { driver } = config.storage;
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryStorageAdapter();
+    case 'file':
+      return new FileStorageAdapter(
+        path.join(getWorkspaceDir(), `${workspaceId}.json`),
+        path.join(getWorkspaceDir(), `${workspaceId}.audit.jsonl`)
+      );
+    default:
+      throw new Error(`Unknown storage driver: ${driver}. Supported drivers: memory, file`);
+  }
+}
+
+/**
+ * List workspace IDs that have persisted state
+ * @returns {Array<string>} Workspace IDs (always empty for the memory driver)
+ */
+export function listStoredWorkspaceIds() {
+  if (config.storage.driver !== 'file') {
+    return [];
+  }
+
+  const dir = getWorkspaceDir();
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const sectionFile = new RegExp(`\\.(${SEPARATE_SECTIONS.join('|')})\\.json$`);
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json') && !sectionFile.test(file))
+    .map(file => path.basename(file, '.json'));
+}
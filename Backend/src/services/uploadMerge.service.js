@@ -0,0 +1,249 @@
+import dataStore from '../../dataStore.js';
+import { isEmptyValue } from './schema.service.js';
+import { getRecordVersion } from '../utils/versioning.js';
+import { enforceWrites, forcedWriteDetails } from './writePolicy.service.js';
+import { recordAuditEntries } from './audit.service.js';
+
+/**
+ * Upload modes
+ *
+ * How an uploaded file is combined with the records already stored:
+ *   replace - the file becomes the entity data (the original behaviour)
+ *   upsert  - records are matched on the ID field; changed fields are updated, new IDs inserted
+ *   append  - only records with new IDs are inserted, stored records are left alone
+ *   sync    - upsert, then delete stored records the file no longer contains
+ * A plan is computed first and can be returned as a preview without writing anything.
+ */
+
+export const UPLOAD_MODES = ['replace', 'upsert', 'append', 'sync'];
+
+// Fields owned by the server, never compared or copied from a file
+const SERVER_FIELDS = ['id', '_metadata'];
+
+/**
+ * Empty cells leave stored values alone on upsert/sync (normalized blanks become [] or {})
+ */
+function isBlank(value) {
+  if (isEmptyValue(value)) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return typeof value === 'object' && Object.keys(value).length === 0;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Fields of an uploaded record that would change the stored one
+ */
+function changedFields(stored, incoming) {
+  return Object.keys(incoming).filter(field =>
+    !SERVER_FIELDS.includes(field) && !isBlank(incoming[field]) && !sameValue(stored[field], incoming[field])
+  );
+}
+
+/**
+ * Plan how uploaded records combine with the stored ones, without writing anything
+ * Uploaded rows sharing an ID are merged in file order, the later row winning.
+ * @param {string} entity - Entity id
+ * @param {Array<Object>} incoming - Processed records (result of processUploadedData)
+ * @param {string} mode - One of UPLOAD_MODES
+ * @returns {Object} { mode, records, summary } where records is the resulting entity data and
+ *   summary lists inserted, updated (with changed fields), unchanged, deleted and skipped IDs
+ */
+export function planUpload(entity, incoming, mode = 'replace') {
+  if (!UPLOAD_MODES.includes(mode)) {
+    throw new Error(`Invalid upload mode: ${mode}. Supported modes: ${UPLOAD_MODES.join(', ')}`);
+  }
+
+  const idField = dataStore.getIdField(entity);
+  const stored = dataStore.getData(entity);
+  const storedById = new Map(stored.filter(record => !isEmptyValue(record[idField])).map(record => [String(record[idField]), record]));
+
+  const summary = {
+    mode,
+    inserted: { count: 0, ids: [] },
+    updated: { count: 0, ids: [], changes: {} },
+    unchanged: { count: 0, ids: [] },
+    deleted: { count: 0, ids: [] },
+    skipped: { count: 0, ids: [] },
+    totalBefore: stored.length,
+    totalAfter: 0
+  };
+  const count = (bucket, id) => {
+    summary[bucket].count++;
+    if (id !== null) summary[bucket].ids.push(id);
+  };
+
+  // Rows without an ID cannot be matched and are always inserted
+  const incomingById = new Map();
+  const withoutId = [];
+  incoming.forEach(record => {
+    if (isEmptyValue(record[idField])) {
+      withoutId.push(record);
+      return;
+    }
+    const id = String(record[idField]);
+    const earlier = incomingById.get(id);
+    incomingById.set(id, earlier ? { ...earlier, ...record } : record);
+  });
+
+  if (mode === 'replace') {
+    incomingById.forEach((record, id) => {
+      const current = storedById.get(id);
+      if (!current) count('inserted', id);
+      else if (changedFields(current, record).length > 0) count('updated', id);
+      else count('unchanged', id);
+    });
+    withoutId.forEach(() => count('inserted', null));
+    stored.forEach(record => {
+      const id = isEmptyValue(record[idField]) ? null : String(record[idField]);
+      if (id === null || !incomingById.has(id)) count('deleted', id);
+    });
+
+    summary.totalAfter = incoming.length;
+    return { mode, records: incoming, summary };
+  }
+
+  const records = [];
+  stored.forEach(current => {
+    const id = isEmptyValue(current[idField]) ? null : String(current[idField]);
+    const record = id === null ? undefined : incomingById.get(id);
+
+    if (!record) {
+      if (mode === 'sync') count('deleted', id);
+      else records.push(current);
+      return;
+    }
+
+    if (mode === 'append') {
+      count('skipped', id);
+      records.push(current);
+      return;
+    }
+
+    const fields = changedFields(current, record);
+    if (fields.length === 0) {
+      count('unchanged', id);
+      records.push(current);
+      return;
+    }
+
+    count('updated', id);
+    summary.updated.changes[id] = fields;
+    records.push({
+      ...current,
+      ...Object.fromEntries(fields.map(field => [field, record[field]])),
+      _metadata: { ...current._metadata, version: getRecordVersion(current) + 1 }
+    });
+  });
+
+  incomingById.forEach((record, id) => {
+    if (storedById.has(id)) return;
+    count('inserted', id);
+    records.push(record);
+  });
+  withoutId.forEach(record => {
+    count('inserted', null);
+    records.push(record);
+  });
+
+  summary.totalAfter = records.length;
+  return { mode, records, summary };
+}
+
+/**
+ * Combine uploaded records with the stored ones and write the result
+ * Every record the upload inserts or changes is held to the entity's write policy first (updates
+ * only on the fields they change); a rejection leaves the stored records untouched.
+ * @param {string} entity - Entity id
+ * @param {Array<Object>} incoming - Processed records
+ * @param {string} mode - One of UPLOAD_MODES
+ * @param {string} fileName - Uploaded file name, kept in the entity metadata
+ * @param {Object} [policyOptions] - { force } for the write policy
+ * @returns {Object} { changes, writeValidation, written } with the change summary (see planUpload),
+ *   the write policy outcome (see writePolicy.service.enforceWrites) and every record written as
+ *   { op: 'create' | 'update' | 'delete', id, before, after }
+ */
+export function applyUpload(entity, incoming, mode, fileName, policyOptions = {}) {
+  const { records, summary } = planUpload(entity, incoming, mode);
+
+  // Stored records the upload leaves alone are carried over as the same objects
+  const idField = dataStore.getIdField(entity);
+  const storedRecords = dataStore.getData(entity);
+  const stored = new Set(storedRecords);
+  const recordId = (record) => isEmptyValue(record[idField]) ? null : String(record[idField]);
+  const writes = records
+    .filter(record => !stored.has(record))
+    .map(record => ({
+      record,
+      fields: summary.updated.changes[String(record[idField])] ?? null,
+      checkId: false
+    }));
+  const writeValidation = enforceWrites(entity, writes, policyOptions);
+
+  // Replaced records are matched to the stored ones by ID; unchanged ones are not writes
+  const storedById = new Map(storedRecords.filter(record => recordId(record) !== null).map(record => [recordId(record), record]));
+  const unchanged = new Set(summary.unchanged.ids);
+  const kept = new Set(records);
+  const keptIds = new Set(records.map(recordId).filter(id => id !== null));
+  const written = [
+    ...writes
+      .map(({ record }) => ({ id: recordId(record), before: storedById.get(recordId(record)) ?? null, after: record }))
+      .filter(({ id, before }) => !before || !unchanged.has(id))
+      .map(write => ({ op: write.before ? 'update' : 'create', ...write })),
+    ...storedRecords
+      .filter(record => recordId(record) === null ? !kept.has(record) : !keptIds.has(recordId(record)))
+      .map(record => ({ op: 'delete', id: recordId(record), before: record, after: null }))
+  ];
+
+  dataStore.setData(entity, records, fileName);
+  return { changes: summary, writeValidation, written };
+}
+
+/**
+ * Audit an applied upload: one record.create / record.update / record.delete entry per record
+ * written, then an entity.upload entry with the counts
+ * @param {string} entity - Entity id
+ * @param {Object} upload - Result of applyUpload
+ * @param {Object} details - Context of the upload (fileName, mode, snapshotId, ...)
+ */
+export function recordUploadAudit(entity, { changes, writeValidation, written }, details) {
+  const errorsById = new Map();
+  (writeValidation?.errors ?? [])
+    .filter(error => error.recordId !== null)
+    .forEach(error => errorsById.set(String(error.recordId), [...(errorsById.get(String(error.recordId)) ?? []), error]));
+
+  // Built first and appended in one write, however many records the upload touched
+  const entries = written.map(({ op, id, before, after }) => {
+    const writeErrors = errorsById.get(id) ?? [];
+    return {
+      action: `record.${op}`,
+      entity,
+      recordId: id,
+      before,
+      after,
+      details: {
+        upload: true,
+        fileName: details.fileName,
+        mode: details.mode,
+        snapshotId: details.snapshotId,
+        ...(writeErrors.length > 0 && forcedWriteDetails({ ...writeValidation, errors: writeErrors }))
+      }
+    };
+  });
+
+  entries.push({
+    action: 'entity.upload',
+    entity,
+    details: {
+      ...details,
+      recordCount: changes.totalAfter,
+      inserted: changes.inserted.count,
+      updated: changes.updated.count,
+      deleted: changes.deleted.count,
+      ...forcedWriteDetails(writeValidation)
+    }
+  });
+  recordAuditEntries(entries);
+}
@@ -1,14 +1,18 @@
 /**
  * Validation Service for AI-Enabled Resource Allocation System
  * 
- * This module validates structured data for clients, workers, and tasks entities.
- * Performs field validation, cross-entity checks, and constraint validation.
+ * This module validates structured data for clients, workers, tasks and custom entities.
+ * Field validation is driven by the entity schemas (schema.service); cross-entity checks
+ * and constraint validation are implemented here.
  * 
  * @module validation.service
  */
 
 import crypto from 'crypto';
 import redisService from './redis.service.js';
+import dataStore from '../../dataStore.js';
+import { getSchema, checkFieldValue, parseFieldValue, isEmptyValue } from './schema.service.js';
+import { evaluateConstraints, getActiveConstraints } from './constraint.service.js';
 
 // Severity mapping for different validation error types
 const severityMap = {
@@ -22,14 +26,9 @@ const severityMap = {
     WorkerOverload: 'medium',
     SkillGap: 'high',
     ConcurrencyIssue: 'medium',
-    RuleConflict: 'medium'
-  };
-  
-  // Required fields for each entity type
-  const requiredFields = {
-    clients: ['ClientID', 'PriorityLevel'],
-    workers: ['WorkerID', 'Skills', 'AvailableSlots', 'MaxLoadPerPhase'],
-    tasks: ['TaskID', 'Duration', 'RequiredSkills']
+    RuleConflict: 'medium',
+    RuleViolation: 'high',
+    ConstraintViolation: 'high'
   };
   
   /**
@@ -42,6 +41,7 @@ const severityMap = {
    * @param {Array} fullDataStore.workers - All worker records  
    * @param {Array} fullDataStore.tasks - All task records
    * @param {Array} fullDataStore.rules - Custom validation rules
+   * @param {Array} [fullDataStore.constraints] - Field constraints (defaults to the workspace's active ones)
    * @returns {Array} Array of validation error objects
    */
   export async function validateRecords(data, entityType, fullDataStore = {}) {
@@ -61,6 +61,8 @@ const severityMap = {
         data: data.slice(0, 10), // Sample for hash to avoid huge strings
         entityType,
         dataLength: data.length,
+        rules: fullDataStore.rules || [],
+        constraints: fullDataStore.constraints || getActiveConstraints(entityType),
         timestamp: Math.floor(Date.now() / (1000 * 60 * 10)) // 10-minute cache windows
       })).digest('hex');
       
@@ -87,7 +89,7 @@ const severityMap = {
       // Perform entity-specific validations
       switch (entityType) {
         case 'clients':
-          errors.push(...validateClients(data, fullDataStore.tasks || []));
+          errors.push(...validateClients(data, fullDataStore.tasks));
           break;
         case 'workers':
           errors.push(...validateWorkers(data));
@@ -95,7 +97,11 @@ const severityMap = {
         case 'tasks':
           errors.push(...validateTasks(data));
           break;
-        default:
+        default: {
+          if (getSchema(entityType)) {
+            errors.push(...validateSchemaFields(data, entityType, fullDataStore));
+            break;
+          }
           return [{
             row: 0,
             field: 'entityType',
@@ -103,16 +109,21 @@ const severityMap = {
             type: 'TypeError',
             severity: severityMap.TypeError
           }];
+        }
       }
   
-      // Perform cross-entity validations if full data store is available
+      // User-defined field constraints
+      errors.push(...validateConstraints(data, entityType, fullDataStore.constraints));
+
+      // Perform cross-entity validations if full data store is available; each entity gets the
+      // errors about its own records
       if (fullDataStore.clients && fullDataStore.workers && fullDataStore.tasks) {
         errors.push(...validateCrossEntityRules(
           fullDataStore.clients,
           fullDataStore.workers,
           fullDataStore.tasks,
           fullDataStore.rules || []
-        ));
+        ).filter(error => error.entity === entityType));
       }
   
       // Cache the validation results in Redis
@@ -138,89 +149,53 @@ const severityMap = {
     }
   }
   
+  /**
+   * Data validateRecords needs for cross-entity, rule and constraint checks: the current
+   * workspace's clients, workers and tasks, and its active rules and constraints
+   * 
+   * @returns {Object} { clients, workers, tasks, rules, constraints }
+   */
+  export function getValidationContext() {
+    return {
+      clients: dataStore.getData('clients'),
+      workers: dataStore.getData('workers'),
+      tasks: dataStore.getData('tasks'),
+      rules: (dataStore.getRules() || []).filter(rule => rule.isActive !== false),
+      constraints: getActiveConstraints()
+    };
+  }
+
+  /**
+   * Records breaking the user-defined field constraints of their entity
+   * Constraint warnings are reported at medium severity, errors at high.
+   * 
+   * @param {Array} data - Records of one entity
+   * @param {string} entityType - Entity id
+   * @param {Array} [constraints] - Constraints to check (defaults to the workspace's active ones)
+   * @returns {Array} Array of validation errors
+   */
+  function validateConstraints(data, entityType, constraints) {
+    return evaluateConstraints(data, entityType, constraints).map(violation => ({
+      row: violation.row,
+      field: violation.field,
+      message: violation.message,
+      type: 'ConstraintViolation',
+      severity: violation.severity === 'warning' ? 'medium' : severityMap.ConstraintViolation,
+      entity: entityType,
+      recordId: violation.recordId,
+      constraintId: violation.constraintId
+    }));
+  }
+  
   /**
    * Validates client records
    * 
    * @param {Array} clients - Array of client records
-   * @param {Array} tasks - Array of task records for reference validation
+   * @param {Array} [tasks] - Task records for reference validation (defaults to the workspace's tasks)
    * @returns {Array} Array of validation errors
    */
-  export function validateClients(clients, tasks = []) {
-    const errors = [];
-    const clientIds = new Set();
-    const taskIds = new Set(tasks.map(t => t.TaskID));
-  
-    for (let i = 0; i < clients.length; i++) {
-      const client = clients[i];
-      const rowIndex = i + 1;
-  
-      // Required field validation
-      errors.push(...validateRequiredFields(client, requiredFields.clients, rowIndex));
-  
-      // Duplicate ID check
-      if (client.ClientID) {
-        if (clientIds.has(client.ClientID)) {
-          errors.push({
-            row: rowIndex,
-            field: 'ClientID',
-            message: `Duplicate ClientID: ${client.ClientID}`,
-            type: 'DuplicateID',
-            severity: severityMap.DuplicateID
-          });
-        }
-        clientIds.add(client.ClientID);
-      }
-  
-      // Priority level validation (1-5)
-      if (client.PriorityLevel !== undefined) {
-        if (!validateType(client.PriorityLevel, 'number')) {
-          errors.push({
-            row: rowIndex,
-            field: 'PriorityLevel',
-            message: 'PriorityLevel must be a number',
-            type: 'TypeError',
-            severity: severityMap.TypeError
-          });
-        } else if (!validateRange(client.PriorityLevel, 1, 5)) {
-          errors.push({
-            row: rowIndex,
-            field: 'PriorityLevel',
-            message: 'PriorityLevel must be between 1 and 5',
-            type: 'RangeError',
-            severity: severityMap.RangeError
-          });
-        }
-      }
-  
-      // RequestedTaskIDs validation
-      if (client.RequestedTaskIDs) {
-        const requestedTasks = arrayifyCommaString(client.RequestedTaskIDs);
-        for (const taskId of requestedTasks) {
-          if (!taskIds.has(taskId)) {
-            errors.push({
-              row: rowIndex,
-              field: 'RequestedTaskIDs',
-              message: `TaskID ${taskId} not found in tasks`,
-              type: 'UnknownReference',
-              severity: severityMap.UnknownReference
-            });
-          }
-        }
-      }
-  
-      // AttributesJSON validation
-      if (client.AttributesJSON && !isValidJSON(client.AttributesJSON)) {
-        errors.push({
-          row: rowIndex,
-          field: 'AttributesJSON',
-          message: 'Invalid JSON format in AttributesJSON',
-          type: 'TypeError',
-          severity: severityMap.TypeError
-        });
-      }
-    }
-  
-    return errors;
+  export function validateClients(clients, tasks) {
+    return validateSchemaFields(clients, 'clients', tasks ? { tasks } : {});
   }
   
   /**
@@ -230,79 +205,12 @@ const severityMap = {
    * @returns {Array} Array of validation errors
    */
   export function validateWorkers(workers) {
-    const errors = [];
-    const workerIds = new Set();
+    const errors = validateSchemaFields(workers, 'workers');
   
     for (let i = 0; i < workers.length; i++) {
       const worker = workers[i];
       const rowIndex = i + 1;
   
-      // Required field validation
-      errors.push(...validateRequiredFields(worker, requiredFields.workers, rowIndex));
-  
-      // Duplicate ID check
-      if (worker.WorkerID) {
-        if (workerIds.has(worker.WorkerID)) {
-          errors.push({
-            row: rowIndex,
-            field: 'WorkerID',
-            message: `Duplicate WorkerID: ${worker.WorkerID}`,
-            type: 'DuplicateID',
-            severity: severityMap.DuplicateID
-          });
-        }
-        workerIds.add(worker.WorkerID);
-      }
-  
-      // Skills validation
-      if (worker.Skills) {
-        const skills = arrayifyCommaString(worker.Skills);
-        if (skills.length === 0) {
-          errors.push({
-            row: rowIndex,
-            field: 'Skills',
-            message: 'Worker must have at least one skill',
-            type: 'LogicalConflict',
-            severity: severityMap.LogicalConflict
-          });
-        }
-      }
-  
-      // AvailableSlots validation
-      if (worker.AvailableSlots) {
-        const slots = parseSlots(worker.AvailableSlots);
-        if (!Array.isArray(slots) || slots.some(slot => !Number.isInteger(slot))) {
-          errors.push({
-            row: rowIndex,
-            field: 'AvailableSlots',
-            message: 'AvailableSlots must be an array of integers',
-            type: 'TypeError',
-            severity: severityMap.TypeError
-          });
-        }
-      }
-  
-      // MaxLoadPerPhase validation
-      if (worker.MaxLoadPerPhase !== undefined) {
-        if (!validateType(worker.MaxLoadPerPhase, 'number')) {
-          errors.push({
-            row: rowIndex,
-            field: 'MaxLoadPerPhase',
-            message: 'MaxLoadPerPhase must be a number',
-            type: 'TypeError',
-            severity: severityMap.TypeError
-          });
-        } else if (worker.MaxLoadPerPhase < 0) {
-          errors.push({
-            row: rowIndex,
-            field: 'MaxLoadPerPhase',
-            message: 'MaxLoadPerPhase must be >= 0',
-            type: 'RangeError',
-            severity: severityMap.RangeError
-          });
-        }
-      }
-  
       // Worker overload check
       if (worker.AvailableSlots && worker.MaxLoadPerPhase) {
         const slots = parseSlots(worker.AvailableSlots);
@@ -328,94 +236,144 @@ const severityMap = {
    * @returns {Array} Array of validation errors
    */
   export function validateTasks(tasks) {
+    return validateSchemaFields(tasks, 'tasks');
+  }
+  
+  /**
+   * Validates records against their entity schema: required fields, duplicate IDs,
+   * field types, bounds and references to other entities
+   * 
+   * @param {Array} records - Array of records
+   * @param {string} entityType - Entity id (built-in or custom)
+   * @param {Object} referenceData - Records of referenced entities, keyed by entity; the
+   *   workspace's data is used for entities not provided
+   * @returns {Array} Array of validation errors
+   */
+  export function validateSchemaFields(records, entityType, referenceData = {}) {
+    const schema = getSchema(entityType);
+    if (!schema) return [];
+  
     const errors = [];
-    const taskIds = new Set();
+    const seenIds = new Set();
+    const referenceIds = {};
+  
+    // ID sets of referenced entities, built once per validation run
+    const getReferenceIds = (entity) => {
+      if (!referenceIds[entity]) {
+        const referencedSchema = getSchema(entity);
+        const referencedRecords = referenceData[entity] || dataStore.getData(entity);
+        referenceIds[entity] = new Set(
+          referencedRecords.map(record => String(record[referencedSchema?.idField] ?? '').trim())
+        );
+      }
+      return referenceIds[entity];
+    };
   
-    for (let i = 0; i < tasks.length; i++) {
-      const task = tasks[i];
+    for (let i = 0; i < records.length; i++) {
+      const record = records[i];
       const rowIndex = i + 1;
   
       // Required field validation
-      errors.push(...validateRequiredFields(task, requiredFields.tasks, rowIndex));
+      errors.push(...validateRequiredFields(
+        record,
+        schema.fields.filter(field => field.required).map(field => field.name),
+        rowIndex
+      ));
   
       // Duplicate ID check
-      if (task.TaskID) {
-        if (taskIds.has(task.TaskID)) {
+      const id = record[schema.idField];
+      if (!isEmptyValue(id)) {
+        if (seenIds.has(String(id))) {
           errors.push({
             row: rowIndex,
-            field: 'TaskID',
-            message: `Duplicate TaskID: ${task.TaskID}`,
+            field: schema.idField,
+            message: `Duplicate ${schema.idField}: ${id}`,
             type: 'DuplicateID',
             severity: severityMap.DuplicateID
           });
         }
-        taskIds.add(task.TaskID);
+        seenIds.add(String(id));
       }
   
-      // Duration validation
-      if (task.Duration !== undefined) {
-        if (!validateType(task.Duration, 'number')) {
-          errors.push({
-            row: rowIndex,
-            field: 'Duration',
-            message: 'Duration must be a number',
-            type: 'TypeError',
-            severity: severityMap.TypeError
-          });
-        } else if (task.Duration < 1) {
-          errors.push({
-            row: rowIndex,
-            field: 'Duration',
-            message: 'Duration must be >= 1',
-            type: 'RangeError',
-            severity: severityMap.RangeError
-          });
-        }
-      }
+      schema.fields.forEach(field => {
+        const value = record[field.name];
   
-      // RequiredSkills validation
-      if (task.RequiredSkills) {
-        const skills = arrayifyCommaString(task.RequiredSkills);
-        if (skills.length === 0) {
+        // Type, bounds and list length
+        const problem = checkFieldValue(value, field);
+        if (problem) {
           errors.push({
             row: rowIndex,
-            field: 'RequiredSkills',
-            message: 'Task must require at least one skill',
-            type: 'LogicalConflict',
-            severity: severityMap.LogicalConflict
+            field: field.name,
+            message: problem.message,
+            type: problem.type,
+            severity: severityMap[problem.type]
           });
+          return;
         }
-      }
   
-      // MaxConcurrent validation
-      if (task.MaxConcurrent !== undefined && !validateType(task.MaxConcurrent, 'number')) {
-        errors.push({
-          row: rowIndex,
-          field: 'MaxConcurrent',
-          message: 'MaxConcurrent must be a number',
-          type: 'TypeError',
-          severity: severityMap.TypeError
-        });
-      }
-  
-      // PreferredPhases validation
-      if (task.PreferredPhases) {
-        const phases = parseRange(task.PreferredPhases);
-        if (!Array.isArray(phases)) {
-          errors.push({
-            row: rowIndex,
-            field: 'PreferredPhases',
-            message: 'Invalid PreferredPhases format',
-            type: 'TypeError',
-            severity: severityMap.TypeError
+        // References to other entities
+        if (field.references && !isEmptyValue(value)) {
+          const knownIds = getReferenceIds(field.references);
+          [].concat(parseFieldValue(value, field)).forEach(referencedId => {
+            if (!knownIds.has(String(referencedId).trim())) {
+              errors.push({
+                row: rowIndex,
+                field: field.name,
+                message: `${getSchema(field.references)?.idField || 'ID'} ${referencedId} not found in ${field.references}`,
+                type: 'UnknownReference',
+                severity: severityMap.UnknownReference
+              });
+            }
           });
         }
-      }
+      });
     }
   
     return errors;
   }
   
+  /**
+   * Field-level and referential errors a single record would have once written: its schema
+   * (required fields, types, bounds, references), its entity's active constraints and IDs
+   * already taken by other records. An update only hears about the fields it sets, so problems
+   * a record already had never block an unrelated edit.
+   * 
+   * @param {Object} record - Record as it would be stored
+   * @param {string} entityType - Entity id
+   * @param {Object} [options]
+   * @param {Array<string>} [options.fields] - Fields an update sets (every field when omitted)
+   * @param {number} [options.index] - Position of the record an update replaces, which may keep its own ID
+   * @param {boolean} [options.checkId] - false when the stored records are about to be replaced wholesale
+   *   (uploads), so IDs taken today do not count
+   * @returns {Array} Array of { field, message, type, severity, value } errors
+   */
+  export function validateRecordWrite(record, entityType, { fields = null, index = -1, checkId = true } = {}) {
+    const schema = getSchema(entityType);
+    if (!schema) return [];
+
+    const errors = [
+      ...validateSchemaFields([record], entityType),
+      ...validateConstraints([record], entityType)
+    ];
+
+    const id = record[schema.idField];
+    if (checkId && !isEmptyValue(id)) {
+      const takenAt = dataStore.findRecordIndex(entityType, String(id).trim());
+      if (takenAt !== -1 && takenAt !== index) {
+        errors.push({
+          field: schema.idField,
+          message: `Duplicate ${schema.idField}: ${id}`,
+          type: 'DuplicateID',
+          severity: severityMap.DuplicateID
+        });
+      }
+    }
+
+    return errors
+      .filter(error => !fields || fields.includes(error.field))
+      .map(({ field, message, type, severity }) => ({ field, message, type, severity, value: record[field] }));
+  }
+
   /**
    * Validates cross-entity rules and relationships
    * 
@@ -441,9 +399,9 @@ const severityMap = {
     errors.push(...validateMaxConcurrentFeasibility(tasks, workers));
   
     // Custom rule validations
-    errors.push(...validateCoRunRules(tasks, rules));
-    errors.push(...validatePhaseWindowRules(tasks, rules));
-    errors.push(...validateLoadLimits(workers, rules));
+    errors.push(...validateCoRunRules(tasks, rules, workers));
+    errors.push(...validatePhaseWindowRules(tasks, rules, workers));
+    errors.push(...validateLoadLimits(workers, rules, tasks));
   
     return errors;
   }
@@ -478,6 +436,7 @@ const severityMap = {
             field: 'RequiredSkills',
             message: `Skills not available in workforce: ${missingSkills.join(', ')}`,
             type: 'SkillGap',
+            entity: 'tasks',
             severity: severityMap.SkillGap
           });
         }
@@ -534,6 +493,7 @@ const severityMap = {
           field: 'PhaseCapacity',
           message: `Phase ${phase} oversaturated: demand ${demand} exceeds capacity ${capacity}`,
           type: 'LogicalConflict',
+          entity: 'tasks',
           severity: severityMap.LogicalConflict
         });
       }
@@ -587,6 +547,7 @@ const severityMap = {
           field: 'CoRunWith',
           message: `Circular co-run dependency detected for task ${taskId}`,
           type: 'CircularReference',
+          entity: 'tasks',
           severity: severityMap.CircularReference
         });
       }
@@ -620,6 +581,7 @@ const severityMap = {
             field: 'MaxConcurrent',
             message: `MaxConcurrent (${task.MaxConcurrent}) exceeds qualified workers (${qualifiedWorkers.length})`,
             type: 'ConcurrencyIssue',
+            entity: 'tasks',
             severity: severityMap.ConcurrencyIssue
           });
         }
@@ -630,44 +592,259 @@ const severityMap = {
   }
   
   /**
-   * Validates co-run rules
+   * Builds a rule violation error
+   * 
+   * @param {Object} rule - Violated rule
+   * @param {string} entity - Entity of the offending records
+   * @param {Array} records - Entity records, used to find the row of the first offending record
+   * @param {Array} recordIds - IDs of the offending records
+   * @param {string} field - Field the violation is about
+   * @param {string} message - Human readable message
+   * @returns {Object} Validation error with the rule id and record ids, or a rule-level issue
+   *   when none of the records exist
+   */
+  function ruleViolation(rule, entity, records, recordIds, field, message) {
+    const idField = getSchema(entity).idField;
+    const index = records.findIndex(record => recordIds.includes(String(record[idField])));
+    if (index === -1) {
+      return ruleIssue(rule, entity, field, message);
+    }
+    return {
+      row: index + 1,
+      field,
+      message,
+      type: 'RuleViolation',
+      severity: severityMap.RuleViolation,
+      entity,
+      ruleId: rule.id,
+      ruleType: rule.type,
+      recordIds
+    };
+  }
+  
+  /**
+   * Builds a violation of a rule as a whole, which no record is at fault for (e.g. a load limit
+   * on a worker group with no workers): it has no row and is reported with scope 'rule'
+   * 
+   * @param {Object} rule - Violated rule
+   * @param {string} entity - Entity the rule is about, whose validation reports the violation
+   * @param {string} field - Field the rule refers to
+   * @param {string} message - Human readable message
+   * @returns {Object} Validation error with the rule id
+   */
+  function ruleIssue(rule, entity, field, message) {
+    return {
+      row: null,
+      field,
+      message,
+      type: 'RuleViolation',
+      severity: severityMap.RuleViolation,
+      entity,
+      scope: 'rule',
+      ruleId: rule.id,
+      ruleType: rule.type,
+      recordIds: []
+    };
+  }
+  
+  /**
+   * Finds tasks by TaskID
+   * 
+   * @param {Array} tasks - Array of task records
+   * @returns {Map} TaskID -> task
+   */
+  function indexTasks(tasks) {
+    const idField = getSchema('tasks').idField;
+    return new Map(tasks.map(task => [String(task[idField]).trim(), task]));
+  }
+  
+  /**
+   * Phases a task prefers, or null when it has no preference (any phase)
+   * 
+   * @param {Object} task - Task record
+   * @returns {Array|null} Phase numbers
+   */
+  function preferredPhases(task) {
+    const phases = isEmptyValue(task.PreferredPhases) ? null : parseRange(task.PreferredPhases);
+    return phases && phases.length > 0 ? phases : null;
+  }
+  
+  /**
+   * Workers having every skill in a list, skills compared ignoring case and surrounding spaces
+   * 
+   * @param {Array} workers - Array of worker records
+   * @param {Array} skills - Required skills
+   * @returns {Array} Qualified workers
+   */
+  function qualifiedWorkers(workers, skills) {
+    const required = skills.map(skill => skill.toLowerCase());
+    return workers.filter(worker => {
+      const workerSkills = new Set(arrayifyCommaString(worker.Skills).map(skill => skill.toLowerCase()));
+      return required.every(skill => workerSkills.has(skill));
+    });
+  }
+  
+  /**
+   * Validates co-run rules: tasks that run together need a phase they all prefer and
+   * workers qualified for all of them who are available in such a phase
    * 
    * @param {Array} tasks - Array of task records
    * @param {Array} rules - Array of custom rules
+   * @param {Array} workers - Array of worker records
    * @returns {Array} Array of validation errors
    */
-  function validateCoRunRules(tasks, rules) {
+  function validateCoRunRules(tasks, rules, workers = []) {
     const errors = [];
-    // Implementation for custom co-run rule validation
-    // This would depend on the specific rule format
+    const tasksById = indexTasks(tasks);
+  
+    rules.filter(rule => rule.type === 'coRun' && Array.isArray(rule.tasks)).forEach(rule => {
+      const taskIds = rule.tasks.map(id => String(id).trim());
+      const unknownIds = taskIds.filter(id => !tasksById.has(id));
+      if (unknownIds.length > 0) {
+        errors.push(ruleViolation(rule, 'tasks', tasks, unknownIds, 'TaskID',
+          `Co-run rule "${rule.name}" references unknown task(s): ${unknownIds.join(', ')}`));
+        return;
+      }
+  
+      const groupTasks = taskIds.map(id => tasksById.get(id));
+  
+      // Tasks without preferred phases can run in any phase
+      let commonPhases = null;
+      groupTasks.forEach(task => {
+        const phases = preferredPhases(task);
+        if (!phases) return;
+        commonPhases = commonPhases ? commonPhases.filter(phase => phases.includes(phase)) : phases;
+      });
+      if (commonPhases && commonPhases.length === 0) {
+        errors.push(ruleViolation(rule, 'tasks', tasks, taskIds, 'PreferredPhases',
+          `Co-run rule "${rule.name}": tasks ${taskIds.join(', ')} share no preferred phase`));
+        return;
+      }
+  
+      const skills = [...new Set(groupTasks.flatMap(task => arrayifyCommaString(task.RequiredSkills)))];
+      const available = qualifiedWorkers(workers, skills).filter(worker => {
+        if (!commonPhases) return true;
+        const slots = parseSlots(worker.AvailableSlots) || [];
+        return slots.some(slot => commonPhases.includes(Number(slot)));
+      });
+      if (available.length === 0) {
+        const phaseText = commonPhases ? ` in phase(s) ${commonPhases.join(', ')}` : '';
+        errors.push(ruleViolation(rule, 'tasks', tasks, taskIds, 'RequiredSkills',
+          `Co-run rule "${rule.name}": no worker with ${skills.join(', ') || 'the required skills'} is available${phaseText} for tasks ${taskIds.join(', ')}`));
+      }
+    });
+  
     return errors;
   }
   
   /**
-   * Validates phase window rules
+   * Validates phase window rules: a task's allowed phases must include one it prefers and
+   * one in which a worker qualified for it has a slot
    * 
    * @param {Array} tasks - Array of task records
    * @param {Array} rules - Array of custom rules
+   * @param {Array} workers - Array of worker records
    * @returns {Array} Array of validation errors
    */
-  function validatePhaseWindowRules(tasks, rules) {
+  function validatePhaseWindowRules(tasks, rules, workers = []) {
     const errors = [];
-    // Implementation for phase window rule validation
-    // This would depend on the specific rule format
+    const tasksById = indexTasks(tasks);
+  
+    rules.filter(rule => rule.type === 'phaseWindow' && rule.task && Array.isArray(rule.allowedPhases)).forEach(rule => {
+      const taskId = String(rule.task).trim();
+      const task = tasksById.get(taskId);
+      if (!task) {
+        errors.push(ruleViolation(rule, 'tasks', tasks, [taskId], 'TaskID',
+          `Phase window rule "${rule.name}" references unknown task ${taskId}`));
+        return;
+      }
+  
+      const allowed = rule.allowedPhases.map(Number);
+      const preferred = preferredPhases(task);
+      const usable = preferred ? allowed.filter(phase => preferred.includes(phase)) : allowed;
+      if (usable.length === 0) {
+        errors.push(ruleViolation(rule, 'tasks', tasks, [taskId], 'PreferredPhases',
+          `Phase window rule "${rule.name}": allowed phases ${allowed.join(', ')} exclude every preferred phase of task ${taskId} (${preferred.join(', ')})`));
+        return;
+      }
+  
+      const staffed = qualifiedWorkers(workers, arrayifyCommaString(task.RequiredSkills)).filter(worker => {
+        const slots = parseSlots(worker.AvailableSlots) || [];
+        return slots.some(slot => usable.includes(Number(slot)));
+      });
+      if (staffed.length === 0) {
+        errors.push(ruleViolation(rule, 'tasks', tasks, [taskId], 'AvailableSlots',
+          `Phase window rule "${rule.name}": no worker qualified for task ${taskId} has a slot in phase(s) ${usable.join(', ')}`));
+      }
+    });
+  
     return errors;
   }
   
   /**
-   * Validates load limit rules
+   * Validates load limit rules: workers of the group must not declare a MaxLoadPerPhase above
+   * the cap, and in each phase the group must be able to carry, within the cap, the demand of
+   * the tasks only its workers are qualified for
    * 
    * @param {Array} workers - Array of worker records
    * @param {Array} rules - Array of custom rules
+   * @param {Array} tasks - Array of task records
    * @returns {Array} Array of validation errors
    */
-  function validateLoadLimits(workers, rules) {
+  function validateLoadLimits(workers, rules, tasks = []) {
     const errors = [];
-    // Implementation for load limit rule validation
-    // This would depend on the specific rule format
+    const workerIdField = getSchema('workers').idField;
+    const taskIdField = getSchema('tasks').idField;
+  
+    rules.filter(rule => rule.type === 'loadLimit' && rule.workerGroup).forEach(rule => {
+      const cap = Number(rule.maxSlotsPerPhase);
+      const group = workers.filter(worker => String(worker.WorkerGroup ?? '').trim() === String(rule.workerGroup).trim());
+      if (group.length === 0) {
+        errors.push(ruleIssue(rule, 'workers', 'WorkerGroup',
+          `Load limit rule "${rule.name}" targets worker group ${rule.workerGroup}, which has no workers`));
+        return;
+      }
+      if (!Number.isFinite(cap) || cap < 1) return;
+  
+      const overCap = group.filter(worker => Number(worker.MaxLoadPerPhase) > cap);
+      if (overCap.length > 0) {
+        errors.push(ruleViolation(rule, 'workers', workers, overCap.map(worker => String(worker[workerIdField])), 'MaxLoadPerPhase',
+          `Load limit rule "${rule.name}" caps ${rule.workerGroup} at ${cap} per phase, below MaxLoadPerPhase of ${overCap.map(worker => `${worker[workerIdField]} (${worker.MaxLoadPerPhase})`).join(', ')}`));
+      }
+  
+      // Capacity of the group per phase, each worker held to the cap
+      const capacity = {};
+      group.forEach(worker => {
+        const load = Math.min(Number(worker.MaxLoadPerPhase) || 0, cap);
+        (parseSlots(worker.AvailableSlots) || []).forEach(phase => {
+          capacity[phase] = (capacity[phase] || 0) + load;
+        });
+      });
+  
+      // Demand of the tasks that only this group can staff, counted like phase saturation
+      const groupIds = new Set(group.map(worker => String(worker[workerIdField])));
+      const demand = {};
+      const demandTasks = {};
+      tasks.forEach(task => {
+        const qualified = qualifiedWorkers(workers, arrayifyCommaString(task.RequiredSkills));
+        if (qualified.length === 0 || !qualified.every(worker => groupIds.has(String(worker[workerIdField])))) return;
+  
+        (preferredPhases(task) || []).forEach(phase => {
+          demand[phase] = (demand[phase] || 0) + (Number(task.Duration) || 0);
+          (demandTasks[phase] = demandTasks[phase] || []).push(String(task[taskIdField]));
+        });
+      });
+  
+      Object.keys(demand).forEach(phase => {
+        if (demand[phase] <= (capacity[phase] || 0)) return;
+        errors.push({
+          ...ruleViolation(rule, 'workers', workers, [...groupIds], 'AvailableSlots',
+            `Load limit rule "${rule.name}": phase ${phase} needs ${demand[phase]} from ${rule.workerGroup} (tasks ${demandTasks[phase].join(', ')}) but the group can take ${capacity[phase] || 0} at ${cap} per worker`),
+          taskIds: demandTasks[phase]
+        });
+      });
+    });
+  
     return errors;
   }
   
@@ -685,7 +862,7 @@ const severityMap = {
     const errors = [];
     
     requiredFields.forEach(field => {
-      if (!record[field] || record[field] === '') {
+      if (isEmptyValue(record[field])) {
         errors.push({
           row: rowIndex,
           field,
@@ -699,36 +876,15 @@ const severityMap = {
     return errors;
   }
   
-  /**
-   * Validates type of a value
-   * 
-   * @param {*} value - Value to validate
-   * @param {string} expectedType - Expected type
-   * @returns {boolean} True if type matches
-   */
-  function validateType(value, expectedType) {
-    return typeof value === expectedType;
-  }
-  
-  /**
-   * Validates if a number is within a range
-   * 
-   * @param {number} value - Value to validate
-   * @param {number} min - Minimum value
-   * @param {number} max - Maximum value
-   * @returns {boolean} True if within range
-   */
-  function validateRange(value, min, max) {
-    return value >= min && value <= max;
-  }
-  
   /**
    * Parses a range string like "1-3" into an array [1, 2, 3]
+   * Arrays produced by the parser are returned as numbers.
    * 
-   * @param {string} rangeStr - Range string to parse
+   * @param {string|Array} rangeStr - Range string (or parsed array) to parse
    * @returns {Array|null} Array of numbers or null if invalid
    */
   function parseRange(rangeStr) {
+    if (Array.isArray(rangeStr)) return rangeStr.map(Number);
     if (!rangeStr || typeof rangeStr !== 'string') return null;
     
     if (rangeStr.includes('-')) {
@@ -748,30 +904,17 @@ const severityMap = {
   
   /**
    * Converts comma-separated string to array
+   * Arrays produced by the parser are returned as trimmed strings.
    * 
-   * @param {string} str - Comma-separated string
+   * @param {string|Array} str - Comma-separated string (or parsed array)
    * @returns {Array} Array of trimmed strings
    */
   function arrayifyCommaString(str) {
+    if (Array.isArray(str)) return str.map(item => String(item).trim()).filter(item => item);
     if (!str || typeof str !== 'string') return [];
     return str.split(',').map(item => item.trim()).filter(item => item);
   }
   
-  /**
-   * Validates if a string is valid JSON
-   * 
-   * @param {string} str - String to validate
-   * @returns {boolean} True if valid JSON
-   */
-  function isValidJSON(str) {
-    try {
-      JSON.parse(str);
-      return true;
-    } catch {
-      return false;
-    }
-  }
-  
   /**
    * Parses slots from various formats (array, string, etc.)
    * 
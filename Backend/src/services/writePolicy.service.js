@@ -0,0 +1,152 @@
+import dataStore from '../../dataStore.js';
+import config from '../config/config.js';
+import { recordAudit } from './audit.service.js';
+import { validateRecordWrite } from './validation.service.js';
+import { isAdmin } from '../utils/authToken.js';
+import { getAuthenticatedActor } from '../utils/requestContext.js';
+
+/**
+ * Validate-on-write policy
+ *
+ * Record creates and updates are checked field by field before they are committed. Per entity,
+ * 'off' skips the check, 'warn' commits and reports the errors, and 'reject' refuses the write
+ * unless an authenticated admin forces it through. Single records, batches, fixes, merges and
+ * uploads are all held to it. Entities without a policy of their own use
+ * config.writePolicy.default.
+ */
+
+export const WRITE_POLICIES = ['off', 'warn', 'reject'];
+
+/**
+ * Policy an entity's writes are held to
+ * @param {string} entity - Entity id
+ * @returns {string} 'off', 'warn' or 'reject'
+ */
+export function getWritePolicy(entity) {
+  return dataStore.getWritePolicies()[entity] || config.writePolicy.default;
+}
+
+/**
+ * Policies of every entity in the workspace
+ * @returns {Object} { default, entities } where entities maps entity id -> policy
+ */
+export function getWritePolicies() {
+  return {
+    default: config.writePolicy.default,
+    entities: Object.fromEntries(dataStore.getEntityIds().map(entity => [entity, getWritePolicy(entity)]))
+  };
+}
+
+/**
+ * Set the policy of some entities
+ * @param {Object} policies - Entity id -> policy, null going back to the default
+ * @returns {Object} Policies as returned by getWritePolicies
+ */
+export function setWritePolicies(policies) {
+  if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+    throw new Error('Invalid write policy: expected an object of entity -> policy');
+  }
+
+  const errors = Object.entries(policies).flatMap(([entity, policy]) => {
+    if (!dataStore.isValidEntity(entity)) return [`unknown entity ${entity}`];
+    if (policy !== null && !WRITE_POLICIES.includes(policy)) {
+      return [`${entity}: ${policy} is not one of ${WRITE_POLICIES.join(', ')}`];
+    }
+    return [];
+  });
+  if (errors.length > 0) {
+    throw new Error(`Invalid write policy: ${errors.join('; ')}`);
+  }
+
+  const before = getWritePolicies();
+  dataStore.setWritePolicies(policies);
+  const after = getWritePolicies();
+
+  recordAudit({
+    action: 'writePolicy.set',
+    entity: 'writePolicy',
+    before: before.entities,
+    after: after.entities
+  });
+  console.log(`[Write Policy Service] ✅ Set write policy for ${Object.keys(policies).join(', ')}`);
+
+  return after;
+}
+
+/**
+ * Hold records about to be written to their entity's policy
+ * A 'reject' policy with errors throws unless the write is forced by an admin, proven by a signed
+ * token (see utils/authToken.js); the X-Actor header never makes anyone an admin.
+ * @param {string} entity - Entity id
+ * @param {Array<Object>} writes - { record, fields?, index?, checkId? } per record, options as taken by
+ *   validateRecordWrite
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Push a rejected write through (admins only)
+ * @returns {Object|null} { policy, errors, forced } with errors as { recordId, field, message, type,
+ *   severity, value }, or null when the policy is 'off'
+ */
+export function enforceWrites(entity, writes, { force = false } = {}) {
+  const policy = getWritePolicy(entity);
+  if (policy === 'off') return null;
+
+  const idField = dataStore.getIdField(entity);
+  const errors = writes.flatMap(({ record, ...options }) =>
+    validateRecordWrite(record, entity, options).map(error => ({ recordId: record[idField] ?? null, ...error }))
+  );
+  if (policy !== 'reject' || errors.length === 0) {
+    return { policy, errors, forced: false };
+  }
+
+  if (!force) {
+    const records = new Set(errors.map(error => error.recordId)).size;
+    const error = new Error(`Write rejected: ${errors.length} field error(s) in ${records} ${entity} record(s)`);
+    error.details = errors;
+    throw error;
+  }
+  if (!isAdmin(getAuthenticatedActor())) {
+    throw new Error(`Only admins can force a write past the ${entity} write policy`);
+  }
+
+  console.warn(`[Write Policy Service] ⚠️ ${getAuthenticatedActor()} forced a ${entity} write with ${errors.length} field error(s)`);
+  return { policy, errors, forced: true };
+}
+
+/**
+ * Hold a single record about to be written to its entity's policy (see enforceWrites)
+ * @param {string} entity - Entity id
+ * @param {Object} record - Record as it would be stored
+ * @param {Object} [options] - { fields, index } as taken by validateRecordWrite
+ * @param {Object} [policyOptions] - { force }
+ * @returns {Object|null} { policy, errors, forced }, null when the policy is 'off'
+ */
+export function enforceWrite(entity, record, options = {}, policyOptions = {}) {
+  return enforceWrites(entity, [{ record, ...options }], policyOptions);
+}
+
+/**
+ * Hook for dataStore.applyBatch holding every create and update of a batch to its entity's policy
+ * Records are checked as they stand once the operation is applied, so earlier operations of the
+ * batch count. A rejection fails the operation and with it the whole batch.
+ * @param {Object} [policyOptions] - { force }
+ * @returns {Function} (result, operation) => { writeValidation } | null
+ */
+export function batchWritePolicy(policyOptions = {}) {
+  return (result, operation) => {
+    if (result.op === 'delete') return null;
+
+    const writeValidation = enforceWrite(result.entity, result.after, {
+      fields: result.op === 'update' ? Object.keys(operation.data || {}) : null,
+      index: result.recordIndex
+    }, policyOptions);
+    return writeValidation ? { writeValidation } : null;
+  };
+}
+
+/**
+ * Audit details of a write that went past its policy
+ * @param {Object|null} writeValidation - Result of enforceWrite(s)
+ * @returns {Object|undefined} { forced, writeErrors } for forced writes
+ */
+export function forcedWriteDetails(writeValidation) {
+  return writeValidation?.forced ? { forced: true, writeErrors: writeValidation.errors } : undefined;
+}
@@ -0,0 +1,233 @@
+import Papa from 'papaparse';
+import { Transform } from 'stream';
+
+/**
+ * CSV dialect detection
+ *
+ * Works out how a CSV file is written before it is parsed: the text encoding (byte order mark,
+ * UTF-16 byte patterns, otherwise UTF-8 if the bytes are valid UTF-8 and Windows-1252 if not), the
+ * delimiter and quote character (the pair that splits the first lines into the most consistent
+ * number of fields), and whether numbers use a decimal comma ("12,5"). Every part can be
+ * overridden by the caller. Decimal commas are only reported here; numeric schema fields are
+ * converted during normalization, so list columns such as "1,3" are left alone.
+ */
+
+export const ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252'];
+export const DELIMITERS = [',', ';', '\t', '|'];
+export const QUOTE_CHARS = ['"', "'"];
+export const DECIMAL_SEPARATORS = ['.', ','];
+
+// Other names accepted for overrides
+const ENCODING_ALIASES = { utf8: 'utf-8', latin1: 'windows-1252', 'iso-8859-1': 'windows-1252', cp1252: 'windows-1252' };
+const DELIMITER_NAMES = { comma: ',', semicolon: ';', tab: '\t', '\\t': '\t', pipe: '|' };
+const QUOTE_NAMES = { double: '"', single: "'" };
+
+// Bytes read from the start of a file to detect its dialect
+export const SAMPLE_BYTES = 64 * 1024;
+
+// Lines compared when guessing the delimiter
+const SAMPLE_LINES = 20;
+
+// "12,5", "-0,25", "1.234,5"
+const DECIMAL_COMMA_NUMBER = /^-?(\d{1,3}(\.\d{3})+|\d+),\d+$/;
+
+const BYTE_ORDER_MARKS = [
+  { encoding: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: 'utf-16le', bytes: [0xff, 0xfe] },
+  { encoding: 'utf-16be', bytes: [0xfe, 0xff] }
+];
+
+/**
+ * Detect the text encoding of the first bytes of a file
+ * @param {Buffer} buffer - Start of the file
+ * @returns {Object} { encoding, bom } where encoding is one of ENCODINGS
+ */
+export function detectEncoding(buffer) {
+  const mark = BYTE_ORDER_MARKS.find(({ bytes }) => bytes.every((byte, index) => buffer[index] === byte));
+  if (mark) return { encoding: mark.encoding, bom: true };
+
+  // UTF-16 without a mark: ASCII text leaves every other byte zero
+  const sample = buffer.subarray(0, 1024);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let index = 0; index < sample.length; index++) {
+    if (sample[index] === 0) index % 2 === 0 ? evenZeros++ : oddZeros++;
+  }
+  const half = sample.length / 2;
+  if (half > 0 && oddZeros / half > 0.3 && evenZeros / half < 0.05) return { encoding: 'utf-16le', bom: false };
+  if (half > 0 && evenZeros / half > 0.3 && oddZeros / half < 0.05) return { encoding: 'utf-16be', bom: false };
+
+  try {
+    // stream: a multi-byte character cut off at the end of the sample is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return { encoding: 'utf-8', bom: false };
+  } catch {
+    return { encoding: 'windows-1252', bom: false };
+  }
+}
+
+/**
+ * Decode bytes to text; a byte order mark is dropped
+ * @param {Buffer} buffer - Encoded text
+ * @param {string} encoding - One of ENCODINGS
+ * @returns {string} Text
+ */
+export function decodeText(buffer, encoding = 'utf-8') {
+  return new TextDecoder(encoding).decode(buffer);
+}
+
+/**
+ * Stream that decodes bytes to UTF-8 text, keeping characters split across chunks intact
+ * @param {string} encoding - One of ENCODINGS
+ * @returns {Transform} Decoding stream
+ */
+export function createDecodeStream(encoding = 'utf-8') {
+  const decoder = new TextDecoder(encoding);
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      callback(null, decoder.decode());
+    }
+  });
+}
+
+/**
+ * Guess the delimiter and quote character of CSV text
+ * Each pair splits the first lines into rows; the pair giving the same field count (above one)
+ * to the most lines wins, more fields breaking ties, then the order of DELIMITERS and QUOTE_CHARS.
+ * @param {string} text - Start of the file
+ * @param {boolean} truncated - Whether text stops mid-file, so its last line may be incomplete
+ * @returns {Object} { delimiter, quoteChar }
+ */
+export function detectDelimiter(text, truncated = false) {
+  const lines = text.split(/\r\n|\n|\r/);
+  if (truncated) lines.pop();
+  const sample = lines.filter(line => line.trim() !== '').slice(0, SAMPLE_LINES).join('\n');
+
+  let best = { delimiter: ',', quoteChar: '"', consistency: 0, fields: 1 };
+  DELIMITERS.forEach(delimiter => {
+    QUOTE_CHARS.forEach(quoteChar => {
+      const { data } = Papa.parse(sample, { delimiter, quoteChar, skipEmptyLines: true });
+      if (data.length === 0) return;
+
+      const counts = new Map();
+      data.forEach(row => counts.set(row.length, (counts.get(row.length) || 0) + 1));
+      const [fields, rows] = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+      const consistency = rows / data.length;
+
+      if (fields > 1 && (consistency > best.consistency || (consistency === best.consistency && fields > best.fields))) {
+        best = { delimiter, quoteChar, consistency, fields };
+      }
+    });
+  });
+
+  return { delimiter: best.delimiter, quoteChar: best.quoteChar };
+}
+
+/**
+ * Columns whose values are all decimal-comma numbers ("12,5", "1.234,5")
+ * @param {Array<Object>} rows - Parsed rows
+ * @param {Array<string>} headers - Column headers
+ * @returns {Array<string>} Headers of those columns
+ */
+export function detectDecimalColumns(rows, headers) {
+  return headers.filter(header => {
+    const values = rows
+      .map(row => row[header])
+      .filter(value => value !== undefined && value !== null && String(value).trim() !== '');
+    return values.length > 0 &&
+      values.every(value => typeof value === 'number' || DECIMAL_COMMA_NUMBER.test(String(value).trim())) &&
+      values.some(value => typeof value !== 'number');
+  });
+}
+
+/**
+ * Rewrite a decimal-comma number with a decimal point ("1.234,5" -> "1234.5")
+ * @param {any} value - Cell value
+ * @returns {any} The rewritten text, or the value unchanged when it is not a decimal-comma number
+ */
+export function fromDecimalComma(value) {
+  if (typeof value !== 'string' || !DECIMAL_COMMA_NUMBER.test(value.trim())) return value;
+  return value.trim().replace(/\./g, '').replace(',', '.');
+}
+
+/**
+ * Validate dialect overrides, accepting names such as 'semicolon', 'tab' or 'latin1'
+ * @param {Object} options - { encoding, delimiter, quoteChar, decimalSeparator }, any of them empty
+ * @returns {Object} Overrides that were given, in canonical form
+ */
+export function normalizeDialectOptions({ encoding, delimiter, quoteChar, decimalSeparator } = {}) {
+  const overrides = {};
+
+  if (encoding) {
+    const name = String(encoding).toLowerCase();
+    overrides.encoding = ENCODING_ALIASES[name] || name;
+    if (!ENCODINGS.includes(overrides.encoding)) {
+      throw new Error(`Invalid encoding: ${encoding}. Supported encodings: ${ENCODINGS.join(', ')}, latin1`);
+    }
+  }
+  if (delimiter) {
+    overrides.delimiter = DELIMITER_NAMES[String(delimiter).toLowerCase()] || String(delimiter);
+    if (!DELIMITERS.includes(overrides.delimiter)) {
+      throw new Error(`Invalid delimiter: ${delimiter}. Supported delimiters: comma, semicolon, tab, pipe`);
+    }
+  }
+  if (quoteChar) {
+    overrides.quoteChar = QUOTE_NAMES[String(quoteChar).toLowerCase()] || String(quoteChar);
+    if (!QUOTE_CHARS.includes(overrides.quoteChar)) {
+      throw new Error(`Invalid quote character: ${quoteChar}. Supported quote characters: double ("), single (')`);
+    }
+  }
+  if (decimalSeparator) {
+    overrides.decimalSeparator = String(decimalSeparator);
+    if (!DECIMAL_SEPARATORS.includes(overrides.decimalSeparator)) {
+      throw new Error(`Invalid decimal separator: ${decimalSeparator}. Supported separators: . and ,`);
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * Detect the dialect of a CSV file from its first bytes
+ * @param {Buffer} sample - Start of the file (up to SAMPLE_BYTES)
+ * @param {boolean} truncated - Whether the sample stops before the end of the file
+ * @param {Object} overrides - Parts already known (see normalizeDialectOptions)
+ * @returns {Object} { encoding, bom, delimiter, quoteChar, decimalSeparator: null | ',' | '.' } where
+ *   a null decimalSeparator is settled once rows are parsed (see resolveDecimalColumns)
+ */
+export function detectDialect(sample, truncated = false, overrides = {}) {
+  const detected = detectEncoding(sample);
+  const encoding = overrides.encoding || detected.encoding;
+  const text = decodeText(sample, encoding);
+  const { delimiter, quoteChar } = detectDelimiter(text, truncated);
+
+  return {
+    encoding,
+    bom: detected.bom,
+    delimiter: overrides.delimiter || delimiter,
+    quoteChar: overrides.quoteChar || quoteChar,
+    decimalSeparator: overrides.decimalSeparator || null
+  };
+}
+
+/**
+ * Settle the decimal separator of a dialect from its first parsed rows
+ * Decimal commas are only assumed when the delimiter is not a comma; with a comma delimiter a
+ * quoted "1,5" is more likely a list, so it takes an explicit decimalSeparator override.
+ * @param {Object} dialect - Result of detectDialect (updated in place with decimalSeparator and
+ *   decimalColumns)
+ * @param {Array<Object>} rows - First parsed rows
+ * @param {Array<string>} headers - Column headers
+ * @returns {Array<string>} Columns whose values all look like decimal-comma numbers
+ */
+export function resolveDecimalColumns(dialect, rows, headers) {
+  const commaAllowed = dialect.decimalSeparator === ',' || (!dialect.decimalSeparator && dialect.delimiter !== ',');
+  const columns = commaAllowed ? detectDecimalColumns(rows, headers) : [];
+
+  dialect.decimalSeparator = dialect.decimalSeparator || (columns.length > 0 ? ',' : '.');
+  dialect.decimalColumns = columns;
+  return columns;
+}
@@ -1,459 +1,499 @@
 import Papa from 'papaparse';
 import XLSX from 'xlsx';
 import fs from 'fs-extra';
+import { getFileExtension, readZipEntries, readFileHead } from './fileUtils.js';
+import {
+  SAMPLE_BYTES,
+  detectDialect,
+  detectDelimiter,
+  decodeText,
+  createDecodeStream,
+  resolveDecimalColumns
+} from './csvDialect.js';
+import { parseJSONBuffer, parseNDJSONBuffer, streamJSON, streamNDJSON } from './jsonUtils.js';
+import {
+  getSchema,
+  resolveHeaders,
+  rankEntities,
+  getIdentifierFields,
+  getRequiredFields
+} from '../services/schema.service.js';
+
+const LINE_BREAK = /\r\n|\r|\n/g;
 
 /**
- * Comprehensive header mapping for maximum flexibility
- * Supports multiple languages, terminologies, and formats
+ * Line breaks inside a header or row's values (quoted cells may span lines)
  */
-const headerMappings = {
-  // CLIENT ID MAPPINGS - Very flexible for any ID field
-  'client id': 'ClientID',
-  'clientid': 'ClientID',
-  'client_id': 'ClientID',
-  'id': 'ClientID',
-  'client identifier': 'ClientID',
-  'customer id': 'ClientID',
-  'customerid': 'ClientID',
-  'customer_id': 'ClientID',
-  'account id': 'ClientID',
-  'accountid': 'ClientID',
-  'account_id': 'ClientID',
-  'user id': 'ClientID',
-  'userid': 'ClientID',
-  'user_id': 'ClientID',
-  'reference': 'ClientID',
-  'ref': 'ClientID',
-  'code': 'ClientID',
-  'client code': 'ClientID',
-  'customer code': 'ClientID',
-  'number': 'ClientID',
-  'client number': 'ClientID',
-  'customer number': 'ClientID',
-  
-  // CLIENT NAME MAPPINGS
-  'name': 'ClientName',
-  'client name': 'ClientName',
-  'clientname': 'ClientName',
-  'client_name': 'ClientName',
-  'customer name': 'ClientName',
-  'customername': 'ClientName',
-  'customer_name': 'ClientName',
-  'account name': 'ClientName',
-  'accountname': 'ClientName',
-  'account_name': 'ClientName',
-  'company': 'ClientName',
-  'company name': 'ClientName',
-  'companyname': 'ClientName',
-  'company_name': 'ClientName',
-  'organization': 'ClientName',
-  'organisation': 'ClientName',
-  'org': 'ClientName',
-  'title': 'ClientName',
-  'full name': 'ClientName',
-  'fullname': 'ClientName',
-  'full_name': 'ClientName',
-  
-  // PRIORITY MAPPINGS - Very flexible
-  'priority': 'PriorityLevel',
-  'priority level': 'PriorityLevel',
-  'prioritylevel': 'PriorityLevel',
-  'priority_level': 'PriorityLevel',
-  'importance': 'PriorityLevel',
-  'urgency': 'PriorityLevel',
-  'level': 'PriorityLevel',
-  'rank': 'PriorityLevel',
-  'ranking': 'PriorityLevel',
-  'grade': 'PriorityLevel',
-  'rating': 'PriorityLevel',
-  'score': 'PriorityLevel',
-  'weight': 'PriorityLevel',
-  'value': 'PriorityLevel',
-  'tier': 'PriorityLevel',
-  'class': 'PriorityLevel',
-  'category': 'PriorityLevel',
-  'status': 'PriorityLevel',
-  
-  // WORKER ID MAPPINGS
-  'worker id': 'WorkerID',
-  'workerid': 'WorkerID',
-  'worker_id': 'WorkerID',
-  'employee id': 'WorkerID',
-  'employeeid': 'WorkerID',
-  'employee_id': 'WorkerID',
-  'staff id': 'WorkerID',
-  'staffid': 'WorkerID',
-  'staff_id': 'WorkerID',
-  'team member id': 'WorkerID',
-  'member id': 'WorkerID',
-  'memberid': 'WorkerID',
-  'member_id': 'WorkerID',
-  'resource id': 'WorkerID',
-  'resourceid': 'WorkerID',
-  'resource_id': 'WorkerID',
-  'person id': 'WorkerID',
-  'personid': 'WorkerID',
-  'person_id': 'WorkerID',
-  
-  // WORKER NAME MAPPINGS
-  'worker name': 'WorkerName',
-  'workername': 'WorkerName',
-  'worker_name': 'WorkerName',
-  'employee name': 'WorkerName',
-  'employeename': 'WorkerName',
-  'employee_name': 'WorkerName',
-  'staff name': 'WorkerName',
-  'staffname': 'WorkerName',
-  'staff_name': 'WorkerName',
-  'team member': 'WorkerName',
-  'teammember': 'WorkerName',
-  'team_member': 'WorkerName',
-  'member name': 'WorkerName',
-  'membername': 'WorkerName',
-  'member_name': 'WorkerName',
-  'resource name': 'WorkerName',
-  'resourcename': 'WorkerName',
-  'resource_name': 'WorkerName',
-  'person name': 'WorkerName',
-  'personname': 'WorkerName',
-  'person_name': 'WorkerName',
-  'first name': 'WorkerName',
-  'firstname': 'WorkerName',
-  'first_name': 'WorkerName',
-  
-  // SKILLS MAPPINGS - Very comprehensive
-  'skills': 'Skills',
-  'skill': 'Skills',
-  'skill set': 'Skills',
-  'skillset': 'Skills',
-  'skill_set': 'Skills',
-  'abilities': 'Skills',
-  'ability': 'Skills',
-  'capabilities': 'Skills',
-  'capability': 'Skills',
-  'competencies': 'Skills',
-  'competency': 'Skills',
-  'expertise': 'Skills',
-  'experience': 'Skills',
-  'qualifications': 'Skills',
-  'qualification': 'Skills',
-  'technologies': 'Skills',
-  'technology': 'Skills',
-  'tech': 'Skills',
-  'tools': 'Skills',
-  'tool': 'Skills',
-  'programming languages': 'Skills',
-  'languages': 'Skills',
-  'language': 'Skills',
-  'frameworks': 'Skills',
-  'framework': 'Skills',
-  'specialization': 'Skills',
-  'specializations': 'Skills',
-  'specialty': 'Skills',
-  'specialties': 'Skills',
-  
-  // AVAILABILITY/SLOTS MAPPINGS
-  'available slots': 'AvailableSlots',
-  'availableslots': 'AvailableSlots',
-  'available_slots': 'AvailableSlots',
-  'slots': 'AvailableSlots',
-  'time slots': 'AvailableSlots',
-  'timeslots': 'AvailableSlots',
-  'time_slots': 'AvailableSlots',
-  'availability': 'AvailableSlots',
-  'available': 'AvailableSlots',
-  'schedule': 'AvailableSlots',
-  'calendar': 'AvailableSlots',
-  'working hours': 'AvailableSlots',
-  'workinghours': 'AvailableSlots',
-  'working_hours': 'AvailableSlots',
-  'hours': 'AvailableSlots',
-  'time': 'AvailableSlots',
-  'periods': 'AvailableSlots',
-  'period': 'AvailableSlots',
-  'shifts': 'AvailableSlots',
-  'shift': 'AvailableSlots',
-  'blocks': 'AvailableSlots',
-  'block': 'AvailableSlots',
-  
-  // CAPACITY/LOAD MAPPINGS
-  'max load per phase': 'MaxLoadPerPhase',
-  'maxloadperphase': 'MaxLoadPerPhase',
-  'max_load_per_phase': 'MaxLoadPerPhase',
-  'max load': 'MaxLoadPerPhase',
-  'maxload': 'MaxLoadPerPhase',
-  'max_load': 'MaxLoadPerPhase',
-  'capacity': 'MaxLoadPerPhase',
-  'maximum capacity': 'MaxLoadPerPhase',
-  'max capacity': 'MaxLoadPerPhase',
-  'maxcapacity': 'MaxLoadPerPhase',
-  'max_capacity': 'MaxLoadPerPhase',
-  'workload': 'MaxLoadPerPhase',
-  'work load': 'MaxLoadPerPhase',
-  'work_load': 'MaxLoadPerPhase',
-  'bandwidth': 'MaxLoadPerPhase',
-  'throughput': 'MaxLoadPerPhase',
-  'limit': 'MaxLoadPerPhase',
-  'maximum': 'MaxLoadPerPhase',
-  'max': 'MaxLoadPerPhase',
-  'ceiling': 'MaxLoadPerPhase',
-  'threshold': 'MaxLoadPerPhase',
-  
-  // TASK ID MAPPINGS
-  'task id': 'TaskID',
-  'taskid': 'TaskID',
-  'task_id': 'TaskID',
-  'job id': 'TaskID',
-  'jobid': 'TaskID',
-  'job_id': 'TaskID',
-  'project id': 'TaskID',
-  'projectid': 'TaskID',
-  'project_id': 'TaskID',
-  'work id': 'TaskID',
-  'workid': 'TaskID',
-  'work_id': 'TaskID',
-  'assignment id': 'TaskID',
-  'assignmentid': 'TaskID',
-  'assignment_id': 'TaskID',
-  'item id': 'TaskID',
-  'itemid': 'TaskID',
-  'item_id': 'TaskID',
-  
-  // TASK NAME MAPPINGS
-  'task name': 'TaskName',
-  'taskname': 'TaskName',
-  'task_name': 'TaskName',
-  'job name': 'TaskName',
-  'jobname': 'TaskName',
-  'job_name': 'TaskName',
-  'project name': 'TaskName',
-  'projectname': 'TaskName',
-  'project_name': 'TaskName',
-  'work name': 'TaskName',
-  'workname': 'TaskName',
-  'work_name': 'TaskName',
-  'assignment': 'TaskName',
-  'assignment name': 'TaskName',
-  'assignmentname': 'TaskName',
-  'assignment_name': 'TaskName',
-  'description': 'TaskName',
-  'task description': 'TaskName',
-  'job description': 'TaskName',
-  'work description': 'TaskName',
-  'summary': 'TaskName',
-  'subject': 'TaskName',
-  'topic': 'TaskName',
-  
-  // REQUIRED SKILLS MAPPINGS
-  'required skills': 'RequiredSkills',
-  'requiredskills': 'RequiredSkills',
-  'required_skills': 'RequiredSkills',
-  'needed skills': 'RequiredSkills',
-  'neededskills': 'RequiredSkills',
-  'needed_skills': 'RequiredSkills',
-  'skill requirements': 'RequiredSkills',
-  'skill_requirements': 'RequiredSkills',
-  'requirements': 'RequiredSkills',
-  'prerequisites': 'RequiredSkills',
-  'pre-requisites': 'RequiredSkills',
-  'qualifications needed': 'RequiredSkills',
-  'must have skills': 'RequiredSkills',
-  'essential skills': 'RequiredSkills',
-  'core skills': 'RequiredSkills',
-  'key skills': 'RequiredSkills',
-  'primary skills': 'RequiredSkills',
-  'technical requirements': 'RequiredSkills',
-  'tech requirements': 'RequiredSkills',
-  'competencies required': 'RequiredSkills',
-  'expertise needed': 'RequiredSkills',
-  
-  // DURATION MAPPINGS
-  'duration': 'Duration',
-  'time': 'Duration',
-  'hours': 'Duration',
-  'estimated hours': 'Duration',
-  'estimatedhours': 'Duration',
-  'estimated_hours': 'Duration',
-  'effort': 'Duration',
-  'work effort': 'Duration',
-  'workeffort': 'Duration',
-  'work_effort': 'Duration',
-  'time required': 'Duration',
-  'timerequired': 'Duration',
-  'time_required': 'Duration',
-  'expected duration': 'Duration',
-  'expected_duration': 'Duration',
-  'estimated duration': 'Duration',
-  'estimated_duration': 'Duration',
-  'length': 'Duration',
-  'period': 'Duration',
-  'timeframe': 'Duration',
-  'time frame': 'Duration',
-  'time_frame': 'Duration',
-  'days': 'Duration',
-  'weeks': 'Duration',
-  'months': 'Duration',
-  
-  // PHASE MAPPINGS
-  'phase': 'PreferredPhases',
-  'phases': 'PreferredPhases',
-  'preferred phases': 'PreferredPhases',
-  'preferredphases': 'PreferredPhases',
-  'preferred_phases': 'PreferredPhases',
-  'timeline': 'PreferredPhases',
-  'schedule': 'PreferredPhases',
-  'timing': 'PreferredPhases',
-  'when': 'PreferredPhases',
-  'stage': 'PreferredPhases',
-  'stages': 'PreferredPhases',
-  'milestone': 'PreferredPhases',
-  'milestones': 'PreferredPhases',
-  'sprint': 'PreferredPhases',
-  'sprints': 'PreferredPhases',
-  'iteration': 'PreferredPhases',
-  'iterations': 'PreferredPhases',
-  'cycle': 'PreferredPhases',
-  'cycles': 'PreferredPhases',
-  
-  // CONCURRENCY MAPPINGS
-  'max concurrent': 'MaxConcurrent',
-  'maxconcurrent': 'MaxConcurrent',
-  'max_concurrent': 'MaxConcurrent',
-  'concurrency': 'MaxConcurrent',
-  'parallel': 'MaxConcurrent',
-  'simultaneous': 'MaxConcurrent',
-  'at once': 'MaxConcurrent',
-  'together': 'MaxConcurrent',
-  'same time': 'MaxConcurrent',
-  'concurrent': 'MaxConcurrent',
-  'parallelism': 'MaxConcurrent',
-  
-  // ADDITIONAL FLEXIBLE MAPPINGS
-  'email': 'Email',
-  'e-mail': 'Email',
-  'mail': 'Email',
-  'contact': 'Email',
-  'phone': 'Phone',
-  'telephone': 'Phone',
-  'mobile': 'Phone',
-  'cell': 'Phone',
-  'budget': 'Budget',
-  'cost': 'Budget',
-  'price': 'Budget',
-  'amount': 'Budget',
-  'fee': 'Budget',
-  'rate': 'Budget',
-  'salary': 'Budget',
-  'wage': 'Budget',
-  'department': 'Department',
-  'dept': 'Department',
-  'division': 'Department',
-  'team': 'Department',
-  'group': 'Department',
-  'unit': 'Department',
-  'location': 'Location',
-  'office': 'Location',
-  'site': 'Location',
-  'address': 'Location',
-  'city': 'Location',
-  'country': 'Location',
-  'region': 'Location'
+const countLineBreaks = (values) => {
+  return values.flat().reduce((count, value) => {
+    return count + (typeof value === 'string' ? (value.match(LINE_BREAK) || []).length : 0);
+  }, 0);
 };
 
 /**
- * Normalize column headers using the mapping
+ * Whether Papa parsed an empty line: a single empty field (empty lines are not skipped by the
+ * parser so source line numbers can be counted)
  */
-export const normalizeHeaders = (headers) => {
-  return headers.map(header => {
-    const normalizedKey = header.toLowerCase().trim();
-    return headerMappings[normalizedKey] || header;
-  });
+const isBlankLine = (row) => {
+  const values = Object.values(row);
+  return values.length === 1 && (values[0] === null || values[0] === '');
 };
 
 /**
- * Parse CSV file
+ * Parse CSV text
+ * Headers are kept as they appear in the file; the entity schema maps them during processing.
+ * The delimiter and quote character are detected unless given, as is a decimal comma ("12,5")
+ * in a non-comma-delimited file. The dialect used is returned as meta.dialect; its
+ * decimalSeparator is applied to numeric fields during normalization. meta.lines holds the
+ * source line each row starts on, and errors carry the line they refer to.
+ * @param {string} text - CSV text
+ * @param {Object} dialect - Known dialect parts { delimiter, quoteChar, decimalSeparator }
  */
-export const parseCSV = async (filePath) => {
-  try {
-    const fileContent = await fs.readFile(filePath, 'utf8');
-    
-    return new Promise((resolve, reject) => {
-      Papa.parse(fileContent, {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: true,
-        transformHeader: (header) => {
-          const normalizedKey = header.toLowerCase().trim();
-          return headerMappings[normalizedKey] || header;
-        },
-        complete: (results) => {
-          if (results.errors.length > 0) {
-            console.warn('CSV parsing warnings:', results.errors);
+export const parseCSVText = (text, dialect = {}) => {
+  const resolved = { ...dialect };
+  if (!resolved.delimiter || !resolved.quoteChar) {
+    const detected = detectDelimiter(text);
+    resolved.delimiter = resolved.delimiter || detected.delimiter;
+    resolved.quoteChar = resolved.quoteChar || detected.quoteChar;
+  }
+
+  let headerLines = 1;
+  return new Promise((resolve, reject) => {
+    Papa.parse(text, {
+      header: true,
+      skipEmptyLines: false,
+      dynamicTyping: true,
+      delimiter: resolved.delimiter,
+      quoteChar: resolved.quoteChar,
+      transformHeader: (header, index) => {
+        if (index === 0) headerLines = 1;
+        headerLines += countLineBreaks([header]);
+        return header.trim();
+      },
+      complete: (results) => {
+        // Drop empty lines, keeping the line each remaining row starts on
+        const data = [];
+        const lines = [];
+        const rowAt = new Map();
+        let line = headerLines + 1;
+        results.data.forEach((row, index) => {
+          if (isBlankLine(row)) {
+            line++;
+            return;
           }
-          resolve({
-            data: results.data,
-            errors: results.errors,
-            meta: results.meta
-          });
-        },
-        error: (error) => {
-          reject(new Error(`CSV parsing failed: ${error.message}`));
+          rowAt.set(index, data.length);
+          data.push(row);
+          lines.push(line);
+          line += 1 + countLineBreaks(Object.values(row));
+        });
+        const errors = results.errors
+          .filter(error => error.row === undefined || rowAt.has(error.row))
+          .map(error => error.row === undefined
+            ? error
+            : { ...error, row: rowAt.get(error.row), line: lines[rowAt.get(error.row)] });
+
+        if (errors.length > 0) {
+          console.warn('CSV parsing warnings:', errors);
         }
-      });
+        resolveDecimalColumns(resolved, data, results.meta.fields || []);
+        resolve({
+          data,
+          errors,
+          meta: { ...results.meta, dialect: resolved, lines }
+        });
+      },
+      error: (error) => {
+        reject(new Error(`CSV parsing failed: ${error.message}`));
+      }
     });
+  });
+};
+
+/**
+ * Parse CSV bytes, detecting the encoding and dialect (see csvDialect.js)
+ * @param {Buffer} buffer - File content
+ * @param {Object} overrides - Dialect parts to use instead of detecting them
+ */
+export const parseCSVBuffer = (buffer, overrides = {}) => {
+  const dialect = detectDialect(buffer.subarray(0, SAMPLE_BYTES), buffer.length > SAMPLE_BYTES, overrides);
+  return parseCSVText(decodeText(buffer, dialect.encoding), dialect);
+};
+
+/**
+ * Parse CSV file
+ * @param {string} filePath - Path to the CSV file
+ * @param {Object} overrides - Dialect parts to use instead of detecting them
+ */
+export const parseCSV = async (filePath, overrides = {}) => {
+  let fileContent;
+  try {
+    fileContent = await fs.readFile(filePath);
   } catch (error) {
     throw new Error(`Failed to read CSV file: ${error.message}`);
   }
+
+  return parseCSVBuffer(fileContent, overrides);
+};
+
+/**
+ * Convert sheet rows (arrays of cells) to objects keyed by header
+ */
+const toRowObjects = (headers, rows) => {
+  return rows.map(row => {
+    const obj = {};
+    headers.forEach((header, index) => {
+      obj[header] = row[index] || '';
+    });
+    return obj;
+  });
+};
+
+const isBlankSheetRow = (cells) => cells.every(cell => cell === '' || cell === null || cell === undefined);
+
+/**
+ * Read rows of a sheet range with their sheet row numbers, leaving out blank rows
+ * @returns {Array<Object>} { cells, line } where line is the 1-based sheet row
+ */
+const readSheetRows = (worksheet, range) => {
+  return XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', blankrows: true, range })
+    .map((cells, index) => ({ cells, line: range.s.r + index + 1 }))
+    .filter(({ cells }) => !isBlankSheetRow(cells));
+};
+
+/**
+ * Parse one worksheet into the same shape as parseCSV
+ * @returns {Object|null} Parse result, or null when the sheet is empty
+ */
+const parseWorksheet = (worksheet) => {
+  if (!worksheet?.['!ref']) return null;
+
+  // Convert to rows with the header row first
+  const sheetRows = readSheetRows(worksheet, XLSX.utils.decode_range(worksheet['!ref']));
+  if (sheetRows.length === 0) return null;
+
+  // Extract headers as they appear in the sheet
+  const headers = sheetRows[0].cells.map(header => String(header).trim());
+  const data = toRowObjects(headers, sheetRows.slice(1).map(({ cells }) => cells));
+
+  return {
+    data,
+    errors: [],
+    meta: {
+      fields: headers,
+      delimiter: null,
+      linebreak: null,
+      aborted: false,
+      truncated: false,
+      cursor: data.length,
+      lines: sheetRows.slice(1).map(({ line }) => line)
+    }
+  };
+};
+
+/**
+ * Parse every non-empty sheet of a workbook
+ * @param {Object} workbook - XLSX workbook
+ * @returns {Array<Object>} { sheetName, parseResult } in workbook order
+ */
+export const parseWorkbook = (workbook) => {
+  return workbook.SheetNames
+    .map(sheetName => ({ sheetName, parseResult: parseWorksheet(workbook.Sheets[sheetName]) }))
+    .filter(sheet => sheet.parseResult);
 };
 
 /**
- * Parse Excel file (XLSX/XLS)
+ * Parse Excel file (XLSX/XLS), first sheet only
  */
 export const parseExcel = async (filePath) => {
   try {
     const workbook = XLSX.readFile(filePath);
-    const sheetName = workbook.SheetNames[0]; // Use first sheet
-    const worksheet = workbook.Sheets[sheetName];
-    
-    // Convert to JSON with header row
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-      header: 1,
-      defval: '',
-      blankrows: false
-    });
-    
-    if (jsonData.length === 0) {
+    const parseResult = parseWorksheet(workbook.Sheets[workbook.SheetNames[0]]);
+
+    if (!parseResult) {
       throw new Error('Excel file is empty');
     }
-    
-    // Extract headers and normalize them
-    const headers = normalizeHeaders(jsonData[0]);
-    const rows = jsonData.slice(1);
-    
-    // Convert to object format
-    const data = rows.map(row => {
-      const obj = {};
-      headers.forEach((header, index) => {
-        obj[header] = row[index] || '';
-      });
-      return obj;
-    });
-    
-    return {
-      data,
-      errors: [],
-      meta: {
-        fields: headers,
-        delimiter: null,
-        linebreak: null,
-        aborted: false,
-        truncated: false,
-        cursor: data.length
+
+    return parseResult;
+  } catch (error) {
+    throw new Error(`Failed to parse Excel file: ${error.message}`);
+  }
+};
+
+/**
+ * Parse every sheet of an Excel file
+ * @param {string} filePath - Path to the workbook
+ * @returns {Promise<Array<Object>>} { sheetName, parseResult } per non-empty sheet
+ */
+export const parseExcelSheets = async (filePath) => {
+  try {
+    return parseWorkbook(XLSX.readFile(filePath));
+  } catch (error) {
+    throw new Error(`Failed to parse Excel file: ${error.message}`);
+  }
+};
+
+// Formats read as a single table, each with its extensions
+const TABLE_FORMATS = {
+  csv: ['.csv'],
+  tsv: ['.tsv'],
+  excel: ['.xlsx', '.xls'],
+  json: ['.json'],
+  ndjson: ['.ndjson', '.jsonl']
+};
+
+/**
+ * Table format of a file name (a key of TABLE_FORMATS), or null when it is not a table
+ */
+export const getTableFormat = (fileName) => {
+  const extension = getFileExtension(fileName);
+  return Object.keys(TABLE_FORMATS).find(format => TABLE_FORMATS[format].includes(extension)) || null;
+};
+
+/**
+ * Dialect overrides of a format: TSV files are tab-delimited unless told otherwise
+ */
+const formatDialect = (format, dialect = {}) => {
+  return format === 'tsv' ? { delimiter: '\t', ...dialect } : dialect;
+};
+
+/**
+ * Parse the tables of one file's content
+ * @returns {Promise<Array<Object>>} { name, sheetName, parseResult } per table
+ */
+const parseTableBuffer = async (name, format, buffer, dialect) => {
+  const named = (tables) => tables.map(({ sheetName, parseResult }) => ({
+    name: tables.length > 1 ? `${name} › ${sheetName}` : name,
+    sheetName,
+    parseResult
+  }));
+
+  switch (format) {
+    case 'csv':
+    case 'tsv':
+      return [{ name, sheetName: null, parseResult: await parseCSVBuffer(buffer, formatDialect(format, dialect)) }];
+    case 'excel':
+      return named(parseWorkbook(XLSX.read(buffer, { type: 'buffer' })));
+    case 'json':
+      return named(parseJSONBuffer(buffer, dialect));
+    case 'ndjson':
+      return [{ name, sheetName: null, parseResult: parseNDJSONBuffer(buffer, dialect) }];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Parse an upload that may hold several tables: each sheet of a workbook, each array of records
+ * of a JSON object, each table file inside a ZIP archive, or a single CSV, TSV or NDJSON file
+ * @param {string} filePath - Path to the uploaded file
+ * @param {string} fileName - Original file name
+ * @param {Object} options - Parse options
+ * @param {number} options.maxEntries - Most files read from a ZIP archive
+ * @param {Object} options.dialect - CSV dialect overrides (see csvDialect.normalizeDialectOptions)
+ * @returns {Promise<Array<Object>>} { name, sheetName, parseResult } per table; name is the file
+ *   name, with the archive entry and sheet appended ("book.xlsx › Workers")
+ */
+export const parseUploadSources = async (filePath, fileName, { maxEntries = Infinity, dialect = {} } = {}) => {
+  const extension = getFileExtension(fileName);
+  const format = getTableFormat(fileName);
+
+  if (format === 'excel') {
+    const sheets = await parseExcelSheets(filePath);
+    return sheets.map(({ sheetName, parseResult }) => ({
+      name: sheets.length > 1 ? `${fileName} › ${sheetName}` : fileName,
+      sheetName,
+      parseResult
+    }));
+  }
+  if (format) {
+    let content;
+    try {
+      content = await fs.readFile(filePath);
+    } catch (error) {
+      throw new Error(`Failed to read ${format.toUpperCase()} file: ${error.message}`);
+    }
+    return parseTableBuffer(fileName, format, content, dialect);
+  }
+  if (extension !== '.zip') {
+    throw new Error(`Unsupported file format: ${extension}`);
+  }
+
+  const sources = [];
+  for (const entry of await readZipEntries(filePath, maxEntries)) {
+    const entryFormat = getTableFormat(entry.name);
+    if (!entryFormat) continue;
+    sources.push(...await parseTableBuffer(`${fileName} › ${entry.name}`, entryFormat, entry.content, dialect));
+  }
+  return sources;
+};
+
+/**
+ * Stream a CSV file in chunks of parsed rows
+ * The file is read and parsed incrementally, so only one chunk of rows is held at a time. Its
+ * dialect is detected from the first bytes, and its decimal separator from the first chunk.
+ * Rows whose field count differs from the header row are reported like Papa's FieldMismatch errors.
+ * @param {string} filePath - Path to the CSV file
+ * @param {Object} options - Stream options
+ * @param {number} options.chunkSize - Rows per chunk
+ * @param {Object} options.dialect - Dialect parts to use instead of detecting them
+ * @returns {AsyncGenerator<Object>} { headers, rows, lines, errors, progress, dialect } where lines
+ *   holds the source line each row starts on and progress is the share of the file read (0-1)
+ */
+export async function* streamCSV(filePath, { chunkSize = 500, dialect: overrides = {} } = {}) {
+  let totalBytes;
+  let sample;
+  try {
+    totalBytes = (await fs.stat(filePath)).size;
+    sample = await readFileHead(filePath, SAMPLE_BYTES);
+  } catch (error) {
+    throw new Error(`Failed to read CSV file: ${error.message}`);
+  }
+  const dialect = detectDialect(sample, totalBytes > sample.length, overrides);
+
+  // transformHeader runs more than once per column; the first pass gives the headers in order
+  const headers = [];
+  let line = 2;
+  const input = fs.createReadStream(filePath);
+  const decoder = createDecodeStream(dialect.encoding);
+  const parser = input.pipe(decoder).pipe(Papa.parse(Papa.NODE_STREAM_INPUT, {
+    header: true,
+    skipEmptyLines: false,
+    dynamicTyping: true,
+    delimiter: dialect.delimiter,
+    quoteChar: dialect.quoteChar,
+    transformHeader: (header, index) => {
+      const name = header.trim();
+      if (index === headers.length) {
+        headers.push(name);
+        line += countLineBreaks([header]);
       }
-    };
+      return name;
+    }
+  }));
+  input.on('error', (error) => parser.destroy(error));
+  decoder.on('error', (error) => parser.destroy(error));
+
+  let rows = [];
+  let lines = [];
+  let errors = [];
+  let rowIndex = 0;
+  const chunk = () => {
+    if (!dialect.decimalColumns) resolveDecimalColumns(dialect, rows, headers);
+    const result = { headers, rows, lines, errors, dialect, progress: totalBytes ? Math.min(input.bytesRead / totalBytes, 1) : 1 };
+    rows = [];
+    lines = [];
+    errors = [];
+    return result;
+  };
+
+  try {
+    for await (const row of parser) {
+      if (isBlankLine(row)) {
+        line++;
+        continue;
+      }
+
+      const fieldCount = Object.keys(row).length - (row.__parsed_extra ? 1 : 0) + (row.__parsed_extra?.length || 0);
+      if (fieldCount !== headers.length) {
+        const tooFew = fieldCount < headers.length;
+        errors.push({
+          type: 'FieldMismatch',
+          code: tooFew ? 'TooFewFields' : 'TooManyFields',
+          message: `Too ${tooFew ? 'few' : 'many'} fields: expected ${headers.length} fields but parsed ${fieldCount}`,
+          row: rowIndex,
+          line
+        });
+      }
+      rows.push(row);
+      lines.push(line);
+      line += 1 + countLineBreaks(Object.values(row));
+      rowIndex++;
+
+      if (rows.length >= chunkSize) yield chunk();
+    }
+  } catch (error) {
+    throw new Error(`CSV parsing failed: ${error.message}`);
+  }
+
+  if (rows.length > 0 || rowIndex === 0) yield chunk();
+}
+
+/**
+ * Iterate the first sheet of an Excel file in chunks of rows
+ * The workbook is loaded once, then converted a row range at a time so rows are normalized and
+ * validated as they are read instead of after the whole sheet is converted.
+ * @param {string} filePath - Path to the workbook
+ * @param {Object} options - Stream options
+ * @param {number} options.chunkSize - Sheet rows per chunk
+ * @returns {AsyncGenerator<Object>} { headers, rows, lines, errors, progress, dialect } like
+ *   streamCSV, lines being sheet row numbers, progress the share of sheet rows read and dialect null
+ */
+export async function* streamExcel(filePath, { chunkSize = 500 } = {}) {
+  let worksheet;
+  try {
+    const workbook = XLSX.readFile(filePath);
+    worksheet = workbook.Sheets[workbook.SheetNames[0]];
   } catch (error) {
     throw new Error(`Failed to parse Excel file: ${error.message}`);
   }
+  if (!worksheet?.['!ref']) {
+    throw new Error('Failed to parse Excel file: Excel file is empty');
+  }
+
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  const totalRows = range.e.r - range.s.r + 1;
+  let headers = null;
+
+  for (let start = range.s.r; start <= range.e.r; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, range.e.r);
+    const sheetRows = readSheetRows(worksheet, { s: { r: start, c: range.s.c }, e: { r: end, c: range.e.c } });
+
+    // The first non-blank row holds the headers
+    if (!headers && sheetRows.length > 0) {
+      headers = sheetRows.shift().cells.map(header => String(header).trim());
+    }
+    if (!headers) continue;
+
+    yield {
+      headers,
+      rows: toRowObjects(headers, sheetRows.map(({ cells }) => cells)),
+      lines: sheetRows.map(({ line }) => line),
+      errors: [],
+      dialect: null,
+      progress: (end - range.s.r + 1) / totalRows
+    };
+  }
+
+  if (!headers) {
+    throw new Error('Failed to parse Excel file: Excel file is empty');
+  }
+}
+
+/**
+ * Stream a CSV, TSV, Excel, JSON or NDJSON upload in chunks of rows (see streamCSV, streamExcel,
+ * jsonUtils.streamJSON and jsonUtils.streamNDJSON)
+ * @param {string} filePath - Path to the uploaded file
+ * @param {string} fileName - Original file name, used for the format
+ * @param {Object} options - Stream options { chunkSize, dialect } (dialect applies to CSV and TSV,
+ *   and its encoding to JSON and NDJSON)
+ * @returns {AsyncGenerator<Object>} { headers, rows, lines, errors, progress, dialect } per chunk
+ */
+export const streamTable = (filePath, fileName, options = {}) => {
+  const format = getTableFormat(fileName);
+
+  switch (format) {
+    case 'csv':
+    case 'tsv':
+      return streamCSV(filePath, { ...options, dialect: formatDialect(format, options.dialect) });
+    case 'excel':
+      return streamExcel(filePath, options);
+    case 'json':
+      return streamJSON(filePath, options);
+    case 'ndjson':
+      return streamNDJSON(filePath, options);
+    default:
+      throw new Error(`Unsupported file format: ${getFileExtension(fileName)}`);
+  }
 };
 
 /**
@@ -497,70 +537,40 @@ export const parseArrayField = (value) => {
 };
 
 /**
- * Smart entity detection based on column names
+ * Classify a table by the entity its columns fit best
+ * Uses the header matcher's proposals for every entity schema (see rankEntities). The entity is
+ * null when no column maps or the two best entities tie.
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Object>} rows - Parsed rows, used to sniff column shapes
+ * @returns {Object} { entity, confidence, ranking } where confidence is 0-1 and ranking lists
+ *   every entity with its score, best first
  */
-export const detectEntityType = (headers) => {
-  const normalizedHeaders = headers.map(h => h.toLowerCase().trim());
-  
-  // Score each entity type based on matching columns
-  const scores = {
-    clients: 0,
-    workers: 0,
-    tasks: 0
+export const classifyEntity = (headers, rows = []) => {
+  const ranking = rankEntities(headers, rows);
+  const [best, runnerUp] = ranking;
+  const ambiguous = !best || best.score === 0 || (runnerUp && runnerUp.score === best.score);
+
+  return {
+    entity: ambiguous ? null : best.entity,
+    confidence: ambiguous ? 0 : best.confidence,
+    ranking
   };
-  
-  normalizedHeaders.forEach(header => {
-    // Client indicators
-    if (header.includes('client') || header.includes('customer') || header.includes('account')) {
-      scores.clients += 3;
-    }
-    if (header.includes('priority') || header.includes('importance') || header.includes('urgency')) {
-      scores.clients += 2;
-      scores.tasks += 1; // Tasks can also have priority
-    }
-    if (header.includes('budget') || header.includes('cost') || header.includes('company')) {
-      scores.clients += 2;
-    }
-    
-    // Worker indicators
-    if (header.includes('worker') || header.includes('employee') || header.includes('staff') || header.includes('resource')) {
-      scores.workers += 3;
-    }
-    if (header.includes('skill') || header.includes('ability') || header.includes('competenc') || header.includes('expertise')) {
-      scores.workers += 2;
-      scores.tasks += 1; // Tasks require skills too
-    }
-    if (header.includes('slot') || header.includes('availab') || header.includes('schedule') || header.includes('capacity')) {
-      scores.workers += 2;
-    }
-    if (header.includes('load') || header.includes('workload') || header.includes('bandwidth')) {
-      scores.workers += 2;
-    }
-    
-    // Task indicators
-    if (header.includes('task') || header.includes('job') || header.includes('project') || header.includes('assignment')) {
-      scores.tasks += 3;
-    }
-    if (header.includes('duration') || header.includes('time') || header.includes('hours') || header.includes('effort')) {
-      scores.tasks += 2;
-    }
-    if (header.includes('required') || header.includes('needed') || header.includes('prerequisite')) {
-      scores.tasks += 1;
-    }
-    if (header.includes('concurrent') || header.includes('parallel') || header.includes('phase')) {
-      scores.tasks += 2;
-    }
-  });
-  
-  // Return the entity type with the highest score
-  const maxScore = Math.max(scores.clients, scores.workers, scores.tasks);
-  if (maxScore === 0) return null; // Cannot determine
-  
-  return Object.keys(scores).find(key => scores[key] === maxScore);
+};
+
+/**
+ * Smart entity detection based on column names and values
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Object>} rows - Parsed rows, used to sniff column shapes
+ * @returns {string|null} Best matching entity id, or null when it cannot be told
+ */
+export const detectEntityType = (headers, rows = []) => {
+  return classifyEntity(headers, rows).entity;
 };
 
 /**
  * Flexible validation that only checks for truly essential data
+ * @param {Array} data - Parsed rows
+ * @param {string} entity - Entity id
  */
 export const validateDataStructure = (data, entity) => {
   const errors = [];
@@ -580,8 +590,8 @@ export const validateDataStructure = (data, entity) => {
   
   // If entity type wasn't provided or is unclear, try to detect it
   let detectedEntity = entity;
-  if (!entity || !['clients', 'workers', 'tasks'].includes(entity)) {
-    detectedEntity = detectEntityType(headers);
+  if (!entity || !getSchema(entity)) {
+    detectedEntity = detectEntityType(headers, data);
     if (!detectedEntity) {
       // If we can't detect the entity type, we'll be very lenient
       // Just check that there's at least one ID-like column
@@ -601,46 +611,34 @@ export const validateDataStructure = (data, entity) => {
     }
   }
   
-  // Very flexible requirements - only check for the most essential fields
-  const essentialFields = {
-    clients: {
-      id: ['ClientID', 'ID', 'Name', 'ClientName', 'CustomerID', 'AccountID'], // At least one identifier
-      optional: ['PriorityLevel', 'Priority', 'Importance'] // Nice to have but not required
-    },
-    workers: {
-      id: ['WorkerID', 'ID', 'Name', 'WorkerName', 'EmployeeID', 'StaffID'], // At least one identifier
-      optional: ['Skills', 'Abilities', 'Expertise'] // Nice to have but not required
-    },
-    tasks: {
-      id: ['TaskID', 'ID', 'Name', 'TaskName', 'JobID', 'ProjectID'], // At least one identifier
-      optional: ['Duration', 'Hours', 'RequiredSkills'] // Nice to have but not required
-    }
-  };
-  
-  const requirements = essentialFields[detectedEntity];
-  if (!requirements) return errors; // Unknown entity type, skip validation
-  
-  // Check for at least one identifier field
-  const hasIdentifier = requirements.id.some(field => headers.includes(field));
-  if (!hasIdentifier) {
-    const suggestions = requirements.id.slice(0, 3).join(', ');
+  // Very flexible requirements - only the identifier columns of the entity schema are essential
+  const schema = getSchema(detectedEntity);
+  if (!schema) return errors; // Unknown entity type, skip validation
+
+  const fields = Object.values(resolveHeaders(headers, detectedEntity, data));
+  const identifiers = getIdentifierFields(detectedEntity);
+
+  // Check for at least one identifier field (or one of its aliases)
+  if (!identifiers.some(field => fields.includes(field))) {
+    const suggestions = identifiers.join(', ');
     errors.push({ 
       message: `Missing identifier column for ${detectedEntity}. Need at least one of: ${suggestions}`,
       type: 'missing_identifier',
-      column: requirements.id[0],
+      column: schema.idField,
       suggestion: `Add a column like: ${suggestions}`
-      });
-    }
+    });
+  }
   
-  // Provide helpful suggestions for optional fields (warnings, not errors)
-  const missingOptional = requirements.optional.filter(field => !headers.includes(field));
-  if (missingOptional.length > 0) {
+  // Provide helpful suggestions for the other required fields (warnings, not errors)
+  const missingRequired = getRequiredFields(detectedEntity)
+    .filter(field => !identifiers.includes(field) && !fields.includes(field));
+  if (missingRequired.length > 0) {
     errors.push({ 
-      message: `Optional columns that could improve data quality: ${missingOptional.join(', ')}`,
+      message: `Columns that validation expects but the file lacks: ${missingRequired.join(', ')}`,
       type: 'suggestion',
       severity: 'info',
-      suggestion: `Consider adding: ${missingOptional.join(', ')} for better functionality`
-  });
+      suggestion: `Consider adding: ${missingRequired.join(', ')} to avoid missing-field errors`
+    });
   }
   
   return errors;
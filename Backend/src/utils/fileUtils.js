@@ -1,7 +1,9 @@
 import fs from 'fs-extra';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import archiver from 'archiver';
+import XLSX from 'xlsx';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -60,6 +62,36 @@ export const cleanupFiles = async (filePaths) => {
   await Promise.all(promises);
 };
 
+/**
+ * Hash a file without loading it into memory
+ * @param {string} filePath - Path to the file
+ * @param {string} algorithm - Hash algorithm
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashFile = async (filePath, algorithm = 'md5') => {
+  const hash = crypto.createHash(algorithm);
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
+/**
+ * Read the first bytes of a file
+ * @param {string} filePath - Path to the file
+ * @param {number} length - Most bytes read
+ * @returns {Promise<Buffer>} Up to length bytes
+ */
+export const readFileHead = async (filePath, length) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
 /**
  * Create directory if it doesn't exist
  */
@@ -112,6 +144,36 @@ export const createZipArchive = async (sourceDir, outputPath, files = null) => {
   });
 };
 
+/**
+ * Read the files of a ZIP archive (directories and macOS resource forks are skipped)
+ * @param {string} filePath - Path to the archive
+ * @param {number} maxEntries - Most files read; larger archives are rejected
+ * @returns {Promise<Array<Object>>} { name, content: Buffer } per file, name relative to the archive root
+ */
+export const readZipEntries = async (filePath, maxEntries = Infinity) => {
+  let container;
+  try {
+    container = XLSX.CFB.read(await fs.readFile(filePath), { type: 'buffer' });
+  } catch (error) {
+    throw new Error(`Failed to read ZIP archive: ${error.message}`);
+  }
+
+  const entries = container.FileIndex
+    .map((entry, index) => ({
+      name: container.FullPaths[index].replace(/^Root Entry\//, ''),
+      type: entry.type,
+      content: entry.content
+    }))
+    .filter(entry => entry.type === 2 && entry.content && !entry.name.startsWith('__MACOSX/'))
+    .filter(entry => !path.basename(entry.name).startsWith('.'));
+
+  if (entries.length > maxEntries) {
+    throw new Error(`ZIP archive has ${entries.length} files, at most ${maxEntries} are allowed`);
+  }
+
+  return entries.map(({ name, content }) => ({ name, content: Buffer.from(content) }));
+};
+
 /**
  * Generate unique filename
  */
@@ -0,0 +1,317 @@
+/**
+ * Fuzzy header matching
+ *
+ * Scores how well a file header fits each schema field: exact names and aliases first, then
+ * normalized tokens (camelCase/separators split, abbreviations expanded, synonyms folded,
+ * plurals dropped), edit distance for typos, and finally the shape of the column's values
+ * (a column of "[1,2,3]" looks like an integer list such as phases or slots).
+ */
+
+// Confidence by how a header matched; fuzzy scores stay below aliases so they never win over them
+export const MATCH_SCORES = {
+  exact: 1,
+  alias: 0.9,
+  compact: 0.88, // same letters once separators and case are ignored ("Worker_ID")
+  tokens: 0.85, // same normalized tokens ("Req. Skills", "Worker-Identifier")
+  shape: 0.35 // no name match, but the values look like the field
+};
+
+// Shortened words expanded before synonyms are folded
+const ABBREVIATIONS = {
+  req: 'required',
+  reqd: 'required',
+  pref: 'preferred',
+  avail: 'available',
+  maximum: 'max',
+  minimum: 'min',
+  qty: 'quantity',
+  num: 'number',
+  nbr: 'number',
+  no: 'number',
+  desc: 'description',
+  cat: 'category',
+  dur: 'duration',
+  hrs: 'hours',
+  hr: 'hours',
+  conc: 'concurrent',
+  qual: 'qualification',
+  lvl: 'level',
+  grp: 'group',
+  attr: 'attribute',
+  attrs: 'attribute',
+  emp: 'employee',
+  cust: 'customer',
+  info: 'information'
+};
+
+// Words with the same meaning in a header, folded onto the first one
+const SYNONYM_SETS = [
+  ['id', 'identifier', 'identification', 'code', 'key', 'ref', 'reference'],
+  ['name', 'title', 'label'],
+  ['client', 'customer', 'account'],
+  ['worker', 'employee', 'staff', 'resource', 'member', 'person'],
+  ['task', 'job', 'assignment', 'activity', 'project'],
+  ['skill', 'competency', 'competence', 'expertise', 'ability', 'capability', 'technology'],
+  ['phase', 'stage', 'sprint'],
+  ['slot', 'shift', 'period'],
+  ['available', 'availability'],
+  ['required', 'needed', 'mandatory', 'requirement'],
+  ['preferred', 'desired', 'wanted'],
+  ['load', 'capacity', 'workload', 'bandwidth'],
+  ['priority', 'importance', 'urgency'],
+  ['duration', 'effort', 'length', 'hours'],
+  ['group', 'team'],
+  ['concurrent', 'concurrency', 'parallel', 'parallelism', 'simultaneous'],
+  ['attribute', 'metadata', 'property'],
+  ['category', 'type', 'kind']
+];
+
+const SYNONYMS = new Map(SYNONYM_SETS.flatMap(([canonical, ...words]) =>
+  [canonical, ...words].map(word => [word, canonical])
+));
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'of', 'per', 'for', 'in']);
+
+// Smallest token similarity counted as the same word ("prefered" ~ "preferred")
+const TOKEN_SIMILARITY = 0.8;
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two strings from their edit distance (1 = identical)
+ */
+function similarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 1 : 1 - editDistance(a, b) / length;
+}
+
+/**
+ * Singular form of a plain English plural ("skills" -> "skill", "phases" -> "phase")
+ */
+function singularize(word) {
+  if (word.length <= 3 || /(ss|us|is)$/.test(word)) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  return word.endsWith('s') ? word.slice(0, -1) : word;
+}
+
+/**
+ * Header letters only, lowercased ("Worker_ID" -> "workerid")
+ * @param {string} header - Header or alias
+ * @returns {string} Compact form
+ */
+export function compactHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Split a header into normalized tokens
+ * "RequestedTaskIDs" -> ['requested', 'task', 'id'], "Req. Skills" -> ['required', 'skill']
+ * @param {string} header - Header or alias
+ * @returns {Array<string>} Canonical tokens
+ */
+export function tokenizeHeader(header) {
+  const words = String(header)
+    .replace(/([A-Z]{2,})s\b/g, '$1') // "IDs" -> "ID"
+    .match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+/g) || [];
+
+  return words
+    .map(word => word.toLowerCase())
+    .filter(word => !STOP_WORDS.has(word))
+    .map(word => ABBREVIATIONS[word] || word)
+    .map(word => SYNONYMS.get(word) || SYNONYMS.get(singularize(word)) || singularize(word));
+}
+
+/**
+ * Share of tokens two headers have in common, counting near-identical words as equal
+ */
+function tokenOverlap(tokens, otherTokens) {
+  if (tokens.length === 0 || otherTokens.length === 0) return 0;
+
+  const unmatched = [...otherTokens];
+  let matched = 0;
+  tokens.forEach(token => {
+    const index = unmatched.findIndex(other =>
+      other === token || (Math.min(token.length, other.length) >= 5 && similarity(token, other) >= TOKEN_SIMILARITY)
+    );
+    if (index !== -1) {
+      matched++;
+      unmatched.splice(index, 1);
+    }
+  });
+
+  return matched / (tokens.length + otherTokens.length - matched);
+}
+
+/**
+ * Classify the values of a column
+ * @param {Array<any>} values - Non-empty sample values
+ * @returns {string|null} 'json' | 'integerList' | 'integer' | 'number' | 'boolean' | 'code' |
+ *   'list' | 'text', or null without samples
+ */
+export function sniffValueShape(values = []) {
+  if (values.length === 0) return null;
+  if (values.every(value => typeof value === 'object' && value !== null && !Array.isArray(value))) return 'json';
+
+  const texts = values.map(value => (Array.isArray(value) ? JSON.stringify(value) : String(value).trim()));
+  const all = (pattern) => texts.every(text => pattern.test(text));
+
+  if (all(/^\{[\s\S]*\}$/)) return 'json';
+
+  const integerList = /^(\[\s*\d+(\s*,\s*\d+)*\s*\]|\d+\s*-\s*\d+|\d+(\s*[,;]\s*\d+)+|\d+)$/;
+  if (all(integerList) && !all(/^\d+$/)) return 'integerList';
+  if (all(/^-?\d+$/)) return 'integer';
+  if (all(/^-?\d*\.?\d+$/)) return 'number';
+  if (all(/^(true|false|yes|no|y|n)$/i)) return 'boolean';
+  if (all(/^[A-Za-z]+[-_]?\d+$/)) return 'code';
+  if (texts.some(text => /[,;]/.test(text)) || all(/^\[.*\]$/)) return 'list';
+  return 'text';
+}
+
+/**
+ * How a value shape fits a field: 1 when it is typical, -1 when it contradicts the type, 0 otherwise
+ * @param {string|null} shape - Result of sniffValueShape
+ * @param {Object} field - Field definition
+ * @param {string} idField - ID field of the entity
+ * @returns {number} Fit
+ */
+export function shapeFit(shape, field, idField = null) {
+  if (!shape) return 0;
+
+  const isIntegerList = field.type === 'array' && field.items === 'integer';
+  const isList = field.type === 'array' && !isIntegerList;
+  const isNumeric = field.type === 'integer' || field.type === 'number';
+
+  switch (shape) {
+    case 'json':
+      return field.type === 'json' ? 1 : -1;
+    case 'integerList':
+      if (isIntegerList) return 1;
+      return isList || field.type === 'string' ? 0 : -1;
+    case 'integer':
+      if (isNumeric) return 1;
+      return field.type === 'json' || field.type === 'boolean' ? -1 : 0;
+    case 'number':
+      if (field.type === 'number') return 1;
+      return field.type === 'integer' || field.type === 'string' ? 0 : -1;
+    case 'boolean':
+      return field.type === 'boolean' ? 1 : 0;
+    case 'code':
+      if (field.name === idField || field.references) return 1;
+      return isNumeric || field.type === 'json' || isIntegerList ? -1 : 0;
+    case 'list':
+      if (isList) return 1;
+      return isNumeric || isIntegerList || field.type === 'json' ? -1 : 0;
+    default:
+      return isNumeric || isIntegerList || field.type === 'json' ? -1 : 0;
+  }
+}
+
+/**
+ * Best name-based score of a header against a field (its name, label and aliases)
+ * @returns {Object|null} { score, matchedBy }
+ */
+function scoreName(header, field) {
+  const key = String(header).trim().toLowerCase();
+  if (key === field.name.toLowerCase()) return { score: MATCH_SCORES.exact, matchedBy: 'exact' };
+  if (field.aliases.some(alias => alias.trim().toLowerCase() === key)) {
+    return { score: MATCH_SCORES.alias, matchedBy: 'alias' };
+  }
+
+  const compact = compactHeader(header);
+  const tokens = tokenizeHeader(header);
+  let best = 0;
+
+  [field.name, field.label, ...field.aliases].filter(Boolean).forEach(variant => {
+    const variantCompact = compactHeader(variant);
+    if (!compact || !variantCompact) return;
+    if (compact === variantCompact) {
+      best = Math.max(best, MATCH_SCORES.compact);
+      return;
+    }
+
+    const overlap = tokenOverlap(tokens, tokenizeHeader(variant));
+    best = Math.max(best, overlap === 1 ? MATCH_SCORES.tokens : overlap * 0.8);
+
+    const typo = similarity(compact, variantCompact);
+    if (typo >= TOKEN_SIMILARITY) best = Math.max(best, MATCH_SCORES.tokens * typo);
+  });
+
+  return best > 0 ? { score: best, matchedBy: 'fuzzy' } : null;
+}
+
+/**
+ * Rank the fields a column could map to
+ * Exact and alias matches are taken as they are; fuzzy matches move up or down with the shape
+ * of the column's values, and a distinctive shape alone still yields a low-scored suggestion.
+ * @param {string} header - Header as it appears in the file
+ * @param {Array<Object>} fields - Schema fields
+ * @param {Object} options - Matching options
+ * @param {Array<any>} options.samples - Non-empty sample values of the column
+ * @param {string} options.idField - ID field of the entity
+ * @param {number} options.minScore - Lowest score kept as a candidate
+ * @returns {Array<Object>} { field, score, matchedBy } sorted by score, best first
+ */
+export function rankFieldCandidates(header, fields, { samples = [], idField = null, minScore = 0.3 } = {}) {
+  const shape = sniffValueShape(samples);
+
+  return fields
+    .map(field => {
+      const fit = shapeFit(shape, field, idField);
+      const name = scoreName(header, field);
+
+      if (!name) {
+        const distinctive = shape === 'integerList' || shape === 'json';
+        return distinctive && fit === 1 ? { field: field.name, score: MATCH_SCORES.shape, matchedBy: 'shape' } : null;
+      }
+      if (name.matchedBy !== 'fuzzy') return { field: field.name, ...name };
+
+      const adjusted = name.score + (fit === 1 ? 0.05 : fit === -1 ? -0.25 : 0);
+      return { field: field.name, score: Math.round(Math.min(adjusted, MATCH_SCORES.compact) * 100) / 100, matchedBy: 'fuzzy' };
+    })
+    .filter(candidate => candidate && candidate.score >= minScore)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * First non-empty values of each column
+ * @param {Array<Object>} rows - Parsed rows
+ * @param {Array<string>} headers - Column headers
+ * @param {number} limit - Values kept per column
+ * @returns {Object} Header -> sample values
+ */
+export function collectColumnSamples(rows = [], headers = [], limit = 20) {
+  const samples = Object.fromEntries(headers.map(header => [header, []]));
+
+  for (const row of rows) {
+    headers.forEach(header => {
+      const value = row?.[header];
+      if (samples[header].length < limit && value !== undefined && value !== null && String(value).trim() !== '') {
+        samples[header].push(value);
+      }
+    });
+    if (headers.every(header => samples[header].length >= limit)) break;
+  }
+
+  return samples;
+}
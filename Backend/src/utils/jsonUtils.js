@@ -0,0 +1,339 @@
+import fs from 'fs-extra';
+import readline from 'readline';
+import { readFileHead } from './fileUtils.js';
+import { SAMPLE_BYTES, detectEncoding, decodeText, createDecodeStream } from './csvDialect.js';
+
+/**
+ * JSON and NDJSON tables
+ *
+ * JSON uploads hold an array of records, or an object whose array-of-record properties are
+ * tables of their own (like the sheets of a workbook); NDJSON uploads hold one record per line.
+ * Records become rows keyed by their top-level properties, in the order they are first seen.
+ * Nested objects and arrays are kept as JSON text in their column ("Attributes" ->
+ * '{"region":"EU"}'), so they map and normalize like the same column of a CSV file: an
+ * `attributes` column lands in AttributesJSON, a list in an array field. Rows keep the source
+ * line their record starts on.
+ */
+
+/**
+ * Cell value of a record property
+ */
+const toCell = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Add the properties of a record to the headers, in the order they are first seen
+ */
+const collectHeaders = (headers, record) => {
+  Object.keys(record).forEach(key => {
+    if (!headers.includes(key.trim())) headers.push(key.trim());
+  });
+};
+
+/**
+ * Flatten a record into a row holding every header
+ */
+const toRow = (headers, record) => {
+  const cells = Object.fromEntries(Object.entries(record).map(([key, value]) => [key.trim(), toCell(value)]));
+  return Object.fromEntries(headers.map(header => [header, Object.hasOwn(cells, header) ? cells[header] : '']));
+};
+
+// raw is the offending line or value, which is not among the parsed rows
+const invalidRecord = (row, line, raw, message) => ({ type: 'InvalidJSON', code: 'InvalidRecord', message, row, line, raw });
+
+const notARecord = (row, line, value) => {
+  return invalidRecord(row, line, value, `Expected an object but found ${Array.isArray(value) ? 'an array' : typeof value}`);
+};
+
+/**
+ * Parse one NDJSON line
+ * @returns {Object} { record } or { error } for the data row at index row
+ */
+const parseLine = (text, row, line) => {
+  let record;
+  try {
+    record = JSON.parse(text);
+  } catch (error) {
+    return { error: invalidRecord(row, line, text, `Invalid JSON: ${error.message}`) };
+  }
+  return isRecord(record) ? { record } : { error: notARecord(row, line, record) };
+};
+
+/**
+ * Lines the elements of a document's arrays of records start on
+ * Scans the text once, following strings and nesting, for the elements of a top-level array or
+ * of the arrays held by a top-level object's properties.
+ * @param {string} text - JSON text
+ * @returns {Object} { root, byKey } where root lists the lines of the top-level array's elements
+ *   and byKey those of each top-level property's array
+ */
+const findElementLines = (text) => {
+  const root = [];
+  const byKey = {};
+  const stack = [];
+  let line = 1;
+  let target = null; // lines of the array whose elements are being read
+  let expectElement = false;
+  let inString = false;
+  let escaped = false;
+  let string = '';
+  let key = null;
+
+  for (const char of text) {
+    if (char === '\n') line++;
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      else if (stack.length === 1) string += char;
+      continue;
+    }
+    if (/\s/.test(char)) continue;
+
+    if (expectElement && char !== ']') {
+      target.push(line);
+      expectElement = false;
+    }
+
+    switch (char) {
+      case '"':
+        inString = true;
+        string = '';
+        break;
+      case ':':
+        if (stack.length === 1) key = string;
+        break;
+      case '[':
+      case '{':
+        stack.push(char);
+        if (char === '[' && stack.length === 1) target = root;
+        if (char === '[' && stack.length === 2 && stack[0] === '{') target = byKey[key] = [];
+        expectElement = char === '[' && target !== null && (stack.length === 1 || (stack.length === 2 && stack[0] === '{'));
+        break;
+      case ']':
+      case '}':
+        stack.pop();
+        break;
+      case ',':
+        expectElement = stack[stack.length - 1] === '[' && (stack.length === 1 || (stack.length === 2 && stack[0] === '{'));
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { root, byKey };
+};
+
+/**
+ * Turn records into the same shape as parseCSV
+ * @param {Array<any>} records - Parsed JSON values; anything but an object is reported as an error
+ * @param {Array<number>} lines - Line each value starts on
+ * @returns {Object} { data, errors, meta: { fields, dialect: null, lines } }
+ */
+const toParseResult = (records, lines = []) => {
+  const headers = [];
+  const errors = [];
+  const kept = [];
+  const keptLines = [];
+
+  records.forEach((record, index) => {
+    if (!isRecord(record)) {
+      errors.push(notARecord(kept.length, lines[index] ?? null, record));
+      return;
+    }
+    collectHeaders(headers, record);
+    kept.push(record);
+    keptLines.push(lines[index] ?? null);
+  });
+
+  return {
+    data: kept.map(record => toRow(headers, record)),
+    errors,
+    meta: { fields: headers, dialect: null, lines: keptLines }
+  };
+};
+
+/**
+ * Decode an upload in its detected (or given) encoding
+ */
+const decodeBuffer = (buffer, overrides = {}) => {
+  return decodeText(buffer, overrides.encoding || detectEncoding(buffer.subarray(0, SAMPLE_BYTES)).encoding);
+};
+
+/**
+ * Parse a JSON document into tables
+ * @param {Buffer} buffer - File content
+ * @param {Object} overrides - Dialect overrides; only encoding applies
+ * @returns {Array<Object>} { sheetName, parseResult } per table; sheetName is the property an
+ *   array of records was found under, or null for a top-level array or a single record
+ */
+export const parseJSONBuffer = (buffer, overrides = {}) => {
+  const text = decodeBuffer(buffer, overrides);
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Failed to parse JSON file: ${error.message}`);
+  }
+
+  const lines = findElementLines(text);
+  if (Array.isArray(document)) {
+    return [{ sheetName: null, parseResult: toParseResult(document, lines.root) }];
+  }
+  if (!isRecord(document)) {
+    throw new Error('Failed to parse JSON file: expected an array of records or an object');
+  }
+
+  const tables = Object.entries(document)
+    .filter(([, value]) => Array.isArray(value) && value.length > 0 && value.every(isRecord))
+    .map(([sheetName, value]) => ({ sheetName, parseResult: toParseResult(value, lines.byKey[sheetName]) }));
+
+  return tables.length > 0 ? tables : [{ sheetName: null, parseResult: toParseResult([document], [1]) }];
+};
+
+/**
+ * Parse newline-delimited JSON, one record per line
+ * Lines that are not valid JSON objects are reported in errors and skipped.
+ * @param {Buffer} buffer - File content
+ * @param {Object} overrides - Dialect overrides; only encoding applies
+ * @returns {Object} { data, errors, meta } like parseCSV
+ */
+export const parseNDJSONBuffer = (buffer, overrides = {}) => {
+  const headers = [];
+  const records = [];
+  const lines = [];
+  const errors = [];
+
+  decodeBuffer(buffer, overrides)
+    .split(/\r?\n/)
+    .forEach((text, index) => {
+      if (text.trim() === '') return;
+
+      const { record, error } = parseLine(text, records.length, index + 1);
+      if (error) {
+        errors.push(error);
+        return;
+      }
+      collectHeaders(headers, record);
+      records.push(record);
+      lines.push(index + 1);
+    });
+
+  return {
+    data: records.map(record => toRow(headers, record)),
+    errors,
+    meta: { fields: headers, dialect: null, lines }
+  };
+};
+
+/**
+ * Iterate the records of a JSON file in chunks of rows
+ * A JSON document cannot be read partially, so the file is parsed whole (uploads are capped at
+ * MAX_FILE_SIZE) and its first table handed out a chunk at a time.
+ * @param {string} filePath - Path to the JSON file
+ * @param {Object} options - Stream options
+ * @param {number} options.chunkSize - Rows per chunk
+ * @param {Object} options.dialect - Dialect overrides; only encoding applies
+ * @returns {AsyncGenerator<Object>} { headers, rows, lines, errors, progress, dialect } like
+ *   streamCSV, progress being the share of rows handed out and dialect null
+ */
+export async function* streamJSON(filePath, { chunkSize = 500, dialect = {} } = {}) {
+  let content;
+  try {
+    content = await fs.readFile(filePath);
+  } catch (error) {
+    throw new Error(`Failed to read JSON file: ${error.message}`);
+  }
+
+  const [{ parseResult }] = parseJSONBuffer(content, dialect);
+  const { data, errors, meta } = parseResult;
+
+  for (let start = 0; start < data.length || start === 0; start += chunkSize) {
+    yield {
+      headers: meta.fields,
+      rows: data.slice(start, start + chunkSize),
+      lines: meta.lines.slice(start, start + chunkSize),
+      errors: start === 0 ? errors : [],
+      dialect: null,
+      progress: data.length ? Math.min((start + chunkSize) / data.length, 1) : 1
+    };
+  }
+}
+
+/**
+ * Stream an NDJSON file in chunks of rows
+ * The file is read line by line, so only one chunk of rows is held at a time. Headers grow as
+ * later records bring new properties; rows of earlier chunks do not hold them.
+ * @param {string} filePath - Path to the NDJSON file
+ * @param {Object} options - Stream options
+ * @param {number} options.chunkSize - Rows per chunk
+ * @param {Object} options.dialect - Dialect overrides; only encoding applies
+ * @returns {AsyncGenerator<Object>} { headers, rows, lines, errors, progress, dialect } like
+ *   streamCSV, dialect being null
+ */
+export async function* streamNDJSON(filePath, { chunkSize = 500, dialect = {} } = {}) {
+  let totalBytes;
+  let encoding = dialect.encoding;
+  try {
+    totalBytes = (await fs.stat(filePath)).size;
+    if (!encoding) encoding = detectEncoding(await readFileHead(filePath, SAMPLE_BYTES)).encoding;
+  } catch (error) {
+    throw new Error(`Failed to read NDJSON file: ${error.message}`);
+  }
+  const input = fs.createReadStream(filePath);
+  const decoder = createDecodeStream(encoding);
+  input.on('error', (error) => decoder.destroy(error));
+  const reader = readline.createInterface({ input: input.pipe(decoder), crlfDelay: Infinity });
+
+  const headers = [];
+  let records = [];
+  let lines = [];
+  let errors = [];
+  let rowIndex = 0;
+  let line = 0;
+  const chunk = () => {
+    const result = {
+      headers,
+      rows: records.map(record => toRow(headers, record)),
+      lines,
+      errors,
+      dialect: null,
+      progress: totalBytes ? Math.min(input.bytesRead / totalBytes, 1) : 1
+    };
+    records = [];
+    lines = [];
+    errors = [];
+    return result;
+  };
+
+  try {
+    for await (const text of reader) {
+      line++;
+      if (text.trim() === '') continue;
+
+      const { record, error } = parseLine(text, rowIndex, line);
+      if (error) {
+        errors.push(error);
+        continue;
+      }
+
+      collectHeaders(headers, record);
+      records.push(record);
+      lines.push(line);
+      rowIndex++;
+
+      if (records.length >= chunkSize) yield chunk();
+    }
+  } catch (error) {
+    throw new Error(`NDJSON parsing failed: ${error.message}`);
+  }
+
+  if (records.length > 0 || errors.length > 0 || rowIndex === 0) yield chunk();
+}
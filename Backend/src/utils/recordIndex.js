@@ -0,0 +1,172 @@
+/**
+ * In-memory indexes over one entity's records
+ *
+ * The primary index maps the canonical entity ID (e.g. WorkerID) to its records, and
+ * the internal `id` to its record, and remembers each record's position in the entity
+ * array, so lookups by ID never scan it.
+ * Secondary indexes map a field value (e.g. WorkerGroup) to every record holding it.
+ * Indexes hold record references, so they must be told about every write, and about every
+ * insert or removal that shifts the records after it (reindexFrom).
+ */
+
+/**
+ * Canonical form of an ID or indexed value: exact string, surrounding whitespace ignored
+ * "007" and "7" stay distinct; 7 and "7" are the same key.
+ * @param {any} value - Raw value
+ * @returns {string} Canonical key
+ */
+export const canonicalKey = (value) => {
+  return value === undefined || value === null ? '' : String(value).trim();
+};
+
+// Empty values are left out of secondary indexes
+const isEmptyIndexValue = (value) => value === undefined || value === null || value === '';
+
+const addToBucket = (map, key, record) => {
+  const bucket = map.get(key);
+  if (bucket) {
+    bucket.push(record);
+  } else {
+    map.set(key, [record]);
+  }
+};
+
+const removeFromBucket = (map, key, record) => {
+  const bucket = map.get(key);
+  if (!bucket) return;
+
+  const position = bucket.indexOf(record);
+  if (position !== -1) bucket.splice(position, 1);
+  if (bucket.length === 0) map.delete(key);
+};
+
+/**
+ * Put next where previous was in its bucket, so the records sharing a key keep their order;
+ * a record whose key changed moves to the end of its new bucket
+ */
+const replaceInBucket = (map, previousKey, nextKey, previous, next) => {
+  const bucket = previousKey === nextKey ? map.get(previousKey) : null;
+  const position = bucket ? bucket.indexOf(previous) : -1;
+  if (position !== -1) {
+    bucket[position] = next;
+    return;
+  }
+  if (previousKey !== null) removeFromBucket(map, previousKey, previous);
+  if (nextKey !== null) addToBucket(map, nextKey, next);
+};
+
+export class RecordIndex {
+  /**
+   * @param {string} idField - Entity ID field (ClientID, WorkerID, TaskID)
+   * @param {Array<string>} indexedFields - Fields with a secondary index
+   */
+  constructor(idField, indexedFields = []) {
+    this.idField = idField;
+    this.indexedFields = indexedFields;
+    this.byId = new Map();
+    this.byInternalId = new Map();
+    this.positions = new Map();
+    this.byField = Object.fromEntries(indexedFields.map(field => [field, new Map()]));
+  }
+
+  rebuild(records) {
+    this.byId.clear();
+    this.byInternalId.clear();
+    this.positions.clear();
+    Object.values(this.byField).forEach(map => map.clear());
+    records.forEach((record, position) => this.add(record, position));
+  }
+
+  /**
+   * @param {Object} record - Record added to the entity array
+   * @param {number} position - Its position in the array
+   */
+  add(record, position) {
+    this.positions.set(record, position);
+    addToBucket(this.byId, canonicalKey(record[this.idField]), record);
+    if (record.id !== undefined && record.id !== null) {
+      this.byInternalId.set(String(record.id), record);
+    }
+    this.indexedFields.forEach(field => {
+      if (!isEmptyIndexValue(record[field])) {
+        addToBucket(this.byField[field], canonicalKey(record[field]), record);
+      }
+    });
+  }
+
+  remove(record) {
+    removeFromBucket(this.byId, canonicalKey(record[this.idField]), record);
+    this.positions.delete(record);
+    if (this.byInternalId.get(String(record.id)) === record) {
+      this.byInternalId.delete(String(record.id));
+    }
+    this.indexedFields.forEach(field => {
+      removeFromBucket(this.byField[field], canonicalKey(record[field]), record);
+    });
+  }
+
+  // The next record takes the previous one's position, in the array and in every bucket
+  replace(previous, next) {
+    const position = this.positions.get(previous);
+    this.positions.delete(previous);
+    this.positions.set(next, position);
+
+    replaceInBucket(this.byId, canonicalKey(previous[this.idField]), canonicalKey(next[this.idField]), previous, next);
+    if (this.byInternalId.get(String(previous.id)) === previous) {
+      this.byInternalId.delete(String(previous.id));
+    }
+    if (next.id !== undefined && next.id !== null) {
+      this.byInternalId.set(String(next.id), next);
+    }
+    this.indexedFields.forEach(field => {
+      const fieldKey = (record) => (isEmptyIndexValue(record[field]) ? null : canonicalKey(record[field]));
+      replaceInBucket(this.byField[field], fieldKey(previous), fieldKey(next), previous, next);
+    });
+  }
+
+  /**
+   * Refresh positions from `start` on, after an insert or removal shifted those records
+   * @param {Array<Object>} records - Entity array
+   * @param {number} start - First shifted position
+   */
+  reindexFrom(records, start) {
+    for (let position = start; position < records.length; position++) {
+      this.positions.set(records[position], position);
+    }
+  }
+
+  /**
+   * Position of an indexed record in the entity array
+   * @param {Object|null} record - Record returned by get()
+   * @returns {number} Position, -1 when unknown
+   */
+  positionOf(record) {
+    return this.positions.get(record) ?? -1;
+  }
+
+  /**
+   * Exact lookup by entity ID, then by internal id
+   * When an uploaded file repeats an ID the first record loaded wins.
+   * @param {any} id - Entity ID or internal record id
+   * @returns {Object|null} Matching record
+   */
+  get(id) {
+    const bucket = this.byId.get(canonicalKey(id));
+    if (bucket) return bucket[0];
+    return this.byInternalId.get(canonicalKey(id)) || null;
+  }
+
+  isIndexed(field) {
+    return this.indexedFields.includes(field);
+  }
+
+  /**
+   * Records whose indexed field equals the value exactly
+   * @param {string} field - Indexed field
+   * @param {any} value - Value to match
+   * @returns {Array<Object>} Matching records
+   */
+  findBy(field, value) {
+    return [...(this.byField[field]?.get(canonicalKey(value)) || [])];
+  }
+}
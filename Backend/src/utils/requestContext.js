@@ -0,0 +1,60 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Per-request context propagated across async calls
+ * Lets singletons such as dataStore and redisService resolve the caller's
+ * workspace, actor and request id without threading them through every function signature.
+ */
+
+export const DEFAULT_WORKSPACE_ID = 'default';
+
+// Actor recorded for changes made outside a request (startup loading, scripts)
+export const SYSTEM_ACTOR = 'System';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a request context
+ * @param {Object} context - Context values (e.g. { workspaceId, actor, requestId })
+ * @param {Function} fn - Function to run
+ * @returns {any} Return value of fn
+ */
+export const runWithContext = (context, fn) => {
+  return storage.run({ ...getRequestContext(), ...context }, fn);
+};
+
+/**
+ * Get the active request context (empty object outside a request)
+ */
+export const getRequestContext = () => {
+  return storage.getStore() || {};
+};
+
+/**
+ * Get the workspace the current request is scoped to
+ */
+export const getCurrentWorkspaceId = () => {
+  return getRequestContext().workspaceId || DEFAULT_WORKSPACE_ID;
+};
+
+/**
+ * Get who is making the current request
+ */
+export const getCurrentActor = () => {
+  return getRequestContext().actor || SYSTEM_ACTOR;
+};
+
+/**
+ * Get the actor proven by a signed token, null when the caller did not authenticate
+ * (the X-Actor header alone never counts)
+ */
+export const getAuthenticatedActor = () => {
+  return getRequestContext().authenticatedActor || null;
+};
+
+/**
+ * Get the id correlating everything done for the current request
+ */
+export const getCurrentRequestId = () => {
+  return getRequestContext().requestId || null;
+};
@@ -47,6 +47,21 @@ class ResponseBuilder {
       };
     }
   
+    /**
+     * Conflict response carrying the server's current copy of the resource
+     */
+    static conflict(message = 'Resource was modified by someone else', current = null) {
+      return {
+        success: false,
+        error: {
+          message,
+          type: 'conflict',
+          current,
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+  
     /**
      * Not found response
      */
@@ -0,0 +1,48 @@
+/**
+ * Optimistic concurrency helpers
+ * Records keep their version in `_metadata.version` and rules in `metadata.version`.
+ * Versions start at 1 and go up by one on every write, including undo/redo.
+ */
+
+export const INITIAL_VERSION = 1;
+
+/**
+ * Get the version of an entity record (records written before versioning count as 1)
+ * @param {Object} record - Entity record
+ * @returns {number} Record version
+ */
+export const getRecordVersion = (record) => {
+  return record?._metadata?.version || INITIAL_VERSION;
+};
+
+/**
+ * Get the version of a rule
+ * @param {Object} rule - Rule object
+ * @returns {number} Rule version
+ */
+export const getRuleVersion = (rule) => {
+  return rule?.metadata?.version || INITIAL_VERSION;
+};
+
+/**
+ * Format a version as a strong ETag value
+ * @param {number} version - Record or rule version
+ * @returns {string} ETag header value, e.g. "3"
+ */
+export const toETag = (version) => `"${version}"`;
+
+/**
+ * Check an If-Match header against the current version
+ * A missing header means the client opted out of the check.
+ * @param {string|undefined} ifMatch - Raw If-Match header
+ * @param {number} version - Current version on the server
+ * @returns {boolean} True when the write may proceed
+ */
+export const ifMatchSatisfied = (ifMatch, version) => {
+  if (!ifMatch) return true;
+
+  return ifMatch
+    .split(',')
+    .map(tag => tag.trim())
+    .some(tag => tag === '*' || tag.replace(/^W\//, '').replace(/"/g, '') === String(version));
+};
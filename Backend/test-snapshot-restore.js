@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Snapshot Restore Test Script
+ *
+ * Restores the oldest snapshot while the store holds maxSnapshots of them: the pre-restore
+ * snapshot taken on the way must not evict the snapshot being restored.
+ * Runs in a scratch workspace that is deleted afterwards.
+ */
+
+import { workspaces } from './dataStore.js';
+import config from './src/config/config.js';
+import { runWithContext } from './src/utils/requestContext.js';
+import { createSnapshot, listSnapshots, restoreSnapshot, getSnapshot } from './src/services/snapshot.service.js';
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+const runTest = () => {
+  const store = workspaces.getStore(workspaces.create({ name: `snapshot-restore-test-${Date.now()}` }).id);
+  const client = (id) => ({ ClientID: id, ClientName: `Client ${id}`, PriorityLevel: 1 });
+
+  try {
+    return runWithContext({ workspaceId: store.workspace.id }, () => {
+      const { maxSnapshots } = config.snapshots;
+
+      // Fill the store to the limit; the oldest snapshot holds a single client
+      store.setData('clients', [client('C1')]);
+      const oldest = createSnapshot({ label: 'oldest' });
+      for (let i = 2; i <= maxSnapshots; i++) {
+        store.setData('clients', [...store.getData('clients'), client(`C${i}`)]);
+        createSnapshot({ label: `snapshot ${i}` });
+      }
+      assert(listSnapshots().length === maxSnapshots, `expected ${maxSnapshots} snapshots before the restore`);
+
+      const { restored, preRestoreSnapshot } = restoreSnapshot(oldest.id);
+
+      assert(restored.id === oldest.id, 'restored the wrong snapshot');
+      assert(store.getData('clients').length === 1, 'restored data does not match the snapshot');
+      assert(getSnapshot(oldest.id), 'the restored snapshot was evicted');
+      assert(getSnapshot(preRestoreSnapshot.id), 'the pre-restore snapshot is missing');
+      assert(listSnapshots().length === maxSnapshots, `expected ${maxSnapshots} snapshots after the restore`);
+      return true;
+    });
+  } finally {
+    workspaces.delete(store.workspace.id);
+  }
+};
+
+// Run the test if this script is executed directly
+if (process.argv[1].endsWith('test-snapshot-restore.js')) {
+  try {
+    runTest();
+    console.log('✅ PASSED: restoring the oldest snapshot at the limit');
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ FAILED: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+export default runTest;
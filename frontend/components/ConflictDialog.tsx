@@ -0,0 +1,141 @@
+'use client';
+
+import React, { useMemo, useState } from 'react';
+
+type RecordValues = Record<string, any>;
+
+interface ConflictDialogProps {
+  title: string;
+  base: RecordValues;   // copy the user started editing
+  mine: RecordValues;   // what the user tried to save
+  theirs: RecordValues; // current server copy that won the race
+  onMerge: (merged: RecordValues) => void;
+  onDiscard: () => void;
+  onCancel: () => void;
+  isSaving?: boolean;
+}
+
+// Server-owned fields are never offered for merging
+const IGNORED_FIELDS = ['id', '_metadata', 'metadata'];
+
+const sameValue = (a: any, b: any) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const formatValue = (value: any) => {
+  if (value === undefined || value === null || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+export default function ConflictDialog({
+  title,
+  base,
+  mine,
+  theirs,
+  onMerge,
+  onDiscard,
+  onCancel,
+  isSaving = false,
+}: ConflictDialogProps) {
+  // Only fields where the two copies disagree need a decision
+  const fields = useMemo(() => {
+    const keys = new Set([...Object.keys(mine), ...Object.keys(theirs)]);
+    return Array.from(keys)
+      .filter((key) => !IGNORED_FIELDS.includes(key) && !sameValue(mine[key], theirs[key]))
+      .map((key) => ({
+        key,
+        mineChanged: !sameValue(mine[key], base[key]),
+        theirsChanged: !sameValue(theirs[key], base[key]),
+      }));
+  }, [base, mine, theirs]);
+
+  // Keep the user's edit by default, but pick up fields only the other side changed
+  const [choices, setChoices] = useState<Record<string, 'mine' | 'theirs'>>(() =>
+    Object.fromEntries(fields.map((field) => [field.key, field.mineChanged ? 'mine' : 'theirs']))
+  );
+
+  const handleMerge = () => {
+    const merged = { ...theirs };
+    fields.forEach(({ key }) => {
+      if (choices[key] === 'mine') {
+        merged[key] = mine[key];
+      }
+    });
+    onMerge(merged);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <div className="card w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Someone saved this record while you were editing it. Choose which value to keep for each field.
+          </p>
+        </div>
+
+        <div className="card-body">
+          {fields.length === 0 ? (
+            <p className="text-sm text-gray-600">
+              Both versions contain the same values. Saving will keep them.
+            </p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4 font-medium">Field</th>
+                  <th className="py-2 pr-4 font-medium">Their version</th>
+                  <th className="py-2 font-medium">Your version</th>
+                </tr>
+              </thead>
+              <tbody>
+                {fields.map(({ key, mineChanged, theirsChanged }) => (
+                  <tr key={key} className="border-b last:border-0 align-top">
+                    <td className="py-2 pr-4 font-medium text-gray-900">
+                      {key}
+                      {mineChanged && theirsChanged && (
+                        <span className="ml-2 text-xs text-red-600">both changed</span>
+                      )}
+                    </td>
+                    <td className="py-2 pr-4">
+                      <label className="flex items-start gap-2 cursor-pointer">
+                        <input
+                          type="radio"
+                          name={`conflict-${key}`}
+                          checked={choices[key] === 'theirs'}
+                          onChange={() => setChoices((prev) => ({ ...prev, [key]: 'theirs' }))}
+                        />
+                        <span className="break-all">{formatValue(theirs[key])}</span>
+                      </label>
+                    </td>
+                    <td className="py-2">
+                      <label className="flex items-start gap-2 cursor-pointer">
+                        <input
+                          type="radio"
+                          name={`conflict-${key}`}
+                          checked={choices[key] === 'mine'}
+                          onChange={() => setChoices((prev) => ({ ...prev, [key]: 'mine' }))}
+                        />
+                        <span className="break-all">{formatValue(mine[key])}</span>
+                      </label>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div className="flex flex-wrap gap-3 pt-6">
+            <button onClick={handleMerge} disabled={isSaving} className="btn-primary">
+              {isSaving ? 'Saving...' : 'Save merged version'}
+            </button>
+            <button onClick={onDiscard} disabled={isSaving} className="btn-secondary">
+              Discard my changes
+            </button>
+            <button onClick={onCancel} disabled={isSaving} className="btn-secondary">
+              Keep editing
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
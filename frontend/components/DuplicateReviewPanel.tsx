@@ -0,0 +1,240 @@
+'use client';
+
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { dataService } from '../services/data';
+import { DuplicateCluster, DuplicateMergeRequest, EntityData, EntityType } from '../types';
+
+// Fields the store owns, never offered as a value to keep
+const INTERNAL_FIELDS = ['id', '_metadata'];
+
+const formatValue = (value: any) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// The record's name field (ClientName, WorkerName, ...), if it has one
+const recordName = (record: EntityData) => {
+  const key = Object.keys(record).find((field) => field.endsWith('Name'));
+  return key ? formatValue((record as any)[key]) : '';
+};
+
+function ClusterCard({
+  cluster,
+  idField,
+  merging,
+  onMerge,
+}: {
+  cluster: DuplicateCluster;
+  idField: string;
+  merging: boolean;
+  onMerge: (merge: DuplicateMergeRequest) => void;
+}) {
+  const [survivorId, setSurvivorId] = useState(cluster.survivor.id);
+  const [selected, setSelected] = useState<string[]>(cluster.members.map((member) => member.id));
+  // field -> ID of the record whose value the survivor keeps
+  const [fields, setFields] = useState<Record<string, string>>({});
+
+  const merged = cluster.members.filter((member) => selected.includes(member.id));
+  const duplicateIds = merged.map((member) => member.id).filter((id) => id !== survivorId);
+
+  // Fields the records being merged disagree on, where the user can pick whose value is kept
+  const conflictingFields = Array.from(new Set(merged.flatMap((member) => Object.keys(member.record))))
+    .filter((field) => field !== idField && !INTERNAL_FIELDS.includes(field))
+    .filter((field) => new Set(merged.map((member) => formatValue((member.record as any)[field]))).size > 1);
+
+  const toggle = (id: string) => {
+    setSelected((current) => (current.includes(id) ? current.filter((other) => other !== id) : [...current, id]));
+  };
+
+  const handleMerge = () => {
+    const keep = Object.fromEntries(
+      Object.entries(fields).filter(([field, id]) => conflictingFields.includes(field) && selected.includes(id))
+    );
+    if (confirm(`Merge ${duplicateIds.join(', ')} into ${survivorId}? References to them are rewritten.`)) {
+      onMerge({ survivorId, duplicateIds, fields: Object.keys(keep).length > 0 ? keep : undefined });
+    }
+  };
+
+  return (
+    <div className="border rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold">{cluster.members.map((member) => member.id).join(' · ')}</span>
+        <span className="px-2 py-1 text-xs bg-yellow-100 text-yellow-800 rounded-full">
+          {Math.round(cluster.score * 100)}% match
+        </span>
+      </div>
+
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-gray-500 uppercase">
+            <th className="py-1 pr-4">Merge</th>
+            <th className="py-1 pr-4">Keep</th>
+            <th className="py-1 pr-4">ID</th>
+            <th className="py-1">Name</th>
+          </tr>
+        </thead>
+        <tbody>
+          {cluster.members.map((member) => (
+            <tr key={member.id}>
+              <td className="py-1 pr-4">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(member.id)}
+                  onChange={() => toggle(member.id)}
+                  disabled={member.id === survivorId}
+                />
+              </td>
+              <td className="py-1 pr-4">
+                <input
+                  type="radio"
+                  name={`survivor-${cluster.survivor.id}`}
+                  checked={member.id === survivorId}
+                  onChange={() => {
+                    setSurvivorId(member.id);
+                    setSelected((current) => (current.includes(member.id) ? current : [...current, member.id]));
+                  }}
+                />
+              </td>
+              <td className="py-1 pr-4 font-mono">{member.id}</td>
+              <td className="py-1">{recordName(member.record)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <p className="text-xs text-gray-500">
+        Suggested survivor {cluster.survivor.id}: {cluster.survivor.reason}
+      </p>
+      <div className="text-xs text-gray-600 space-y-1">
+        {cluster.pairs.map((pair) => (
+          <div key={pair.ids.join('|')}>
+            {pair.ids.join(' ↔ ')}: {Math.round(pair.score * 100)}%{' '}
+            ({Object.entries(pair.signals).map(([signal, score]) => `${signal} ${Math.round((score || 0) * 100)}%`).join(', ')})
+          </div>
+        ))}
+      </div>
+
+      {conflictingFields.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-sm font-medium">Values to keep</p>
+          {conflictingFields.map((field) => (
+            <div key={field} className="flex items-center justify-between gap-4 text-sm">
+              <span>{field}</span>
+              <select
+                value={fields[field] || ''}
+                onChange={(e) => setFields((current) => ({ ...current, [field]: e.target.value }))}
+                className="input-field w-auto text-sm"
+              >
+                <option value="">Survivor&apos;s, filled from the others</option>
+                {merged.map((member) => (
+                  <option key={member.id} value={member.id}>
+                    {member.id}: {formatValue((member.record as any)[field])}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        <button onClick={handleMerge} disabled={merging || duplicateIds.length === 0} className="btn-primary">
+          {merging ? 'Merging...' : `Merge into ${survivorId}`}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function DuplicateReviewPanel({ entity, idField }: { entity: EntityType; idField: string }) {
+  const queryClient = useQueryClient();
+  const [minScore, setMinScore] = useState('');
+  const [scanScore, setScanScore] = useState<number | undefined | null>(null);
+
+  // Scanning compares every record, so it only runs when asked
+  const { data: report, isFetching, refetch } = useQuery({
+    queryKey: ['duplicates', entity, scanScore],
+    queryFn: () => dataService.findDuplicates(entity, scanScore ?? undefined),
+    enabled: scanScore !== null,
+  });
+
+  const mergeMutation = useMutation({
+    mutationFn: (merge: DuplicateMergeRequest) => dataService.mergeDuplicates(entity, merge),
+    onSuccess: (result, merge) => {
+      const references = result.references.length > 0 ? `, ${result.references.length} reference(s) rewritten` : '';
+      toast.success(`Merged ${result.removedIds.length} record(s) into ${merge.survivorId}${references}`);
+      // References in other entities may have been rewritten too
+      queryClient.invalidateQueries({ queryKey: ['entities'] });
+      queryClient.invalidateQueries({ queryKey: ['duplicates', entity] });
+    },
+    onError: (error: any) => {
+      const details = error.response?.data?.error?.details;
+      toast.error(typeof details === 'string' ? details : error.response?.data?.error?.message || 'Failed to merge duplicates');
+    },
+  });
+
+  const handleScan = (e: React.FormEvent) => {
+    e.preventDefault();
+    const score = minScore === '' ? undefined : Number(minScore);
+    if (score === scanScore) {
+      refetch();
+    } else {
+      setScanScore(score);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="text-lg font-semibold">🧬 Possible Duplicates</h2>
+        <p className="text-sm text-gray-600">
+          Records that look like the same {entity.replace(/s$/, '')} under different IDs
+        </p>
+      </div>
+      <div className="card-body space-y-4">
+        <form onSubmit={handleScan} className="flex gap-2">
+          <input
+            type="number"
+            min={0}
+            max={1}
+            step={0.05}
+            placeholder="Min score (0-1)"
+            value={minScore}
+            onChange={(e) => setMinScore(e.target.value)}
+            className="input-field w-48"
+          />
+          <button type="submit" className="btn-secondary" disabled={isFetching}>
+            {isFetching ? 'Scanning...' : 'Find duplicates'}
+          </button>
+        </form>
+
+        {report && (
+          report.clusters.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              No duplicates at a score of {report.minScore} or more among {report.recordsCompared} records
+            </p>
+          ) : (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                {report.clusters.length} cluster(s) among {report.recordsCompared} records
+              </p>
+              {report.clusters.map((cluster) => (
+                <ClusterCard
+                  key={cluster.members.map((member) => member.id).join('|')}
+                  cluster={cluster}
+                  idField={idField}
+                  merging={mergeMutation.isPending}
+                  onMerge={(merge) => mergeMutation.mutate(merge)}
+                />
+              ))}
+            </div>
+          )
+        )}
+      </div>
+    </div>
+  );
+}
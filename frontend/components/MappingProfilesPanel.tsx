@@ -0,0 +1,185 @@
+'use client';
+
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { mappingProfileService } from '../services/mappingProfiles';
+import { MappingProfile } from '../types';
+
+// Fields of a profile edited as JSON
+type JsonField = 'mapping' | 'aliases' | 'transforms' | 'defaults';
+const JSON_FIELDS: { key: JsonField; label: string; hint: string }[] = [
+  { key: 'mapping', label: 'Column mapping', hint: 'File column → field, the column itself to keep it, or null to drop it' },
+  { key: 'aliases', label: 'Header aliases', hint: 'Other header spellings → field' },
+  { key: 'transforms', label: 'Transforms', hint: 'Field → list of { type, ... } (trim, uppercase, lowercase, prefix, suffix, replace, map, multiply)' },
+  { key: 'defaults', label: 'Defaults', hint: 'Field → value used when the file leaves it empty' },
+];
+
+interface ProfileDraft {
+  name: string;
+  description: string;
+  json: Record<JsonField, string>;
+}
+
+const toDraft = (profile: MappingProfile): ProfileDraft => ({
+  name: profile.name,
+  description: profile.description,
+  json: Object.fromEntries(
+    JSON_FIELDS.map(({ key }) => [key, JSON.stringify(profile[key] || {}, null, 2)])
+  ) as Record<JsonField, string>,
+});
+
+export default function MappingProfilesPanel() {
+  const queryClient = useQueryClient();
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [draft, setDraft] = useState<ProfileDraft | null>(null);
+
+  const { data: profiles, isLoading } = useQuery({
+    queryKey: ['mapping-profiles'],
+    queryFn: () => mappingProfileService.getProfiles(),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, updates }: { id: string; updates: Partial<MappingProfile> }) =>
+      mappingProfileService.updateProfile(id, updates),
+    onSuccess: (profile) => {
+      toast.success(`Profile "${profile.name}" saved`);
+      setEditingId(null);
+      setDraft(null);
+      queryClient.invalidateQueries({ queryKey: ['mapping-profiles'] });
+    },
+    onError: (error: any) => {
+      const details = error.response?.data?.error?.details;
+      toast.error(typeof details === 'string' ? details : 'Failed to save profile');
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: mappingProfileService.deleteProfile,
+    onSuccess: () => {
+      toast.success('Profile deleted');
+      queryClient.invalidateQueries({ queryKey: ['mapping-profiles'] });
+    },
+    onError: () => {
+      toast.error('Failed to delete profile');
+    },
+  });
+
+  const startEditing = (profile: MappingProfile) => {
+    setEditingId(profile.id);
+    setDraft(toDraft(profile));
+  };
+
+  const handleSave = (profile: MappingProfile) => {
+    if (!draft) return;
+
+    const updates: Partial<MappingProfile> = { name: draft.name, description: draft.description };
+    for (const { key, label } of JSON_FIELDS) {
+      try {
+        updates[key] = JSON.parse(draft.json[key] || '{}');
+      } catch {
+        toast.error(`${label} is not valid JSON`);
+        return;
+      }
+    }
+    updateMutation.mutate({ id: profile.id, updates });
+  };
+
+  const handleDelete = (profile: MappingProfile) => {
+    if (confirm(`Delete mapping profile "${profile.name}"?`)) {
+      deleteMutation.mutate(profile.id);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="text-lg font-semibold">🗂️ Mapping Profiles</h2>
+        <p className="text-sm text-gray-600">
+          Saved column mappings, picked automatically when an upload has the same headers. Save one from the upload page.
+        </p>
+      </div>
+      <div className="card-body space-y-3">
+        {isLoading ? (
+          <div className="loading-skeleton h-16"></div>
+        ) : !profiles || profiles.length === 0 ? (
+          <p className="text-sm text-gray-500">No mapping profiles saved yet.</p>
+        ) : (
+          profiles.map((profile) => (
+            <div key={profile.id} className="p-4 border rounded-lg space-y-3">
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <p className="font-medium">
+                    {profile.name}{' '}
+                    <span className="px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-800">{profile.entity}</span>
+                  </p>
+                  {profile.description && <p className="text-sm text-gray-600">{profile.description}</p>}
+                  <p className="text-xs text-gray-500 mt-1">
+                    {profile.headers.length} columns • {Object.keys(profile.transforms).length} transforms •{' '}
+                    {Object.keys(profile.defaults).length} defaults • used {profile.useCount} times
+                    {profile.lastUsedAt ? `, last ${new Date(profile.lastUsedAt).toLocaleString()}` : ''}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => (editingId === profile.id ? setEditingId(null) : startEditing(profile))}
+                    className="btn-secondary"
+                  >
+                    {editingId === profile.id ? 'Close' : 'Edit'}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(profile)}
+                    disabled={deleteMutation.isPending}
+                    className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                  >
+                    🗑️
+                  </button>
+                </div>
+              </div>
+
+              {editingId === profile.id && draft && (
+                <div className="space-y-3">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    <input
+                      type="text"
+                      value={draft.name}
+                      onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                      placeholder="Profile name"
+                      className="input-field"
+                    />
+                    <input
+                      type="text"
+                      value={draft.description}
+                      onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                      placeholder="Description"
+                      className="input-field"
+                    />
+                  </div>
+                  {JSON_FIELDS.map(({ key, label, hint }) => (
+                    <label key={key} className="block text-sm">
+                      <span className="font-medium text-gray-700">{label}</span>
+                      <span className="block text-xs text-gray-500">{hint}</span>
+                      <textarea
+                        value={draft.json[key]}
+                        onChange={(e) => setDraft({ ...draft, json: { ...draft.json, [key]: e.target.value } })}
+                        rows={4}
+                        className="input-field font-mono text-xs mt-1"
+                      />
+                    </label>
+                  ))}
+                  <button
+                    onClick={() => handleSave(profile)}
+                    disabled={updateMutation.isPending}
+                    className="btn-primary"
+                  >
+                    {updateMutation.isPending ? 'Saving...' : 'Save Profile'}
+                  </button>
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,427 @@
+'use client';
+
+import React, { useMemo, useState } from 'react';
+import { useMutation, useQuery } from '@tanstack/react-query';
+import { uploadService, StagedUploadCommitRequest } from '../services/upload';
+import { schemaService } from '../services/schema';
+import { mappingProfileService } from '../services/mappingProfiles';
+import { ColumnMapping, CsvDialect, EntityType, StagedColumn, StagedUpload, StagedUploadPreview, UploadMode } from '../types';
+
+interface MappingWizardProps {
+  staged: StagedUpload;
+  entityOptions: { value: EntityType; label: string }[];
+  onConfirm: (commit: StagedUploadCommitRequest) => void;
+  onCancel: () => void;
+  isSaving?: boolean;
+}
+
+// Select values for the two non-field choices
+const KEEP = '__keep__';
+const IGNORE = '__ignore__';
+
+// Profile choice: '' lets the server pick the best matching profile
+const AUTO_PROFILE = '';
+const NO_PROFILE = 'none';
+
+const UPLOAD_MODES: { value: UploadMode; label: string }[] = [
+  { value: 'replace', label: 'Replace all records' },
+  { value: 'upsert', label: 'Update matching IDs, add new ones' },
+  { value: 'append', label: 'Add new IDs only' },
+  { value: 'sync', label: 'Update and add, delete records missing from the file' },
+];
+
+const DELIMITER_LABELS: Record<CsvDialect['delimiter'], string> = {
+  ',': 'comma',
+  ';': 'semicolon',
+  '\t': 'tab',
+  '|': 'pipe',
+};
+
+const initialMapping = (staged: StagedUpload): ColumnMapping =>
+  Object.fromEntries(
+    staged.columns.map((column) => [column.source, column.ignored ? null : column.target || column.source])
+  );
+
+const confidenceStyle = (confidence: number) => {
+  if (confidence >= 1) return 'bg-green-100 text-green-800';
+  if (confidence >= 0.8) return 'bg-blue-100 text-blue-800';
+  if (confidence > 0) return 'bg-yellow-100 text-yellow-800';
+  return 'bg-gray-100 text-gray-600';
+};
+
+const formatSample = (value: any) =>
+  typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+export default function MappingWizard({
+  staged,
+  entityOptions,
+  onConfirm,
+  onCancel,
+  isSaving = false,
+}: MappingWizardProps) {
+  const [entity, setEntity] = useState<EntityType>(staged.entity);
+  const [profileChoice, setProfileChoice] = useState<string>(AUTO_PROFILE);
+  const [saveAsProfile, setSaveAsProfile] = useState(false);
+  const [profileName, setProfileName] = useState('');
+  const [mode, setMode] = useState<UploadMode>('replace');
+  const [decimalSeparator, setDecimalSeparator] = useState(staged.dialect?.decimalSeparator);
+
+  // Re-propose the mapping when the user loads the file into another entity or picks a profile
+  const { data: preview, isFetching } = useQuery({
+    queryKey: ['staged-upload', staged.id, entity, profileChoice],
+    queryFn: () => uploadService.getStagedUpload(staged.id, entity, profileChoice || undefined),
+    initialData: entity === staged.entity && profileChoice === AUTO_PROFILE ? staged : undefined,
+    staleTime: Infinity,
+  });
+
+  const { data: profiles } = useQuery({
+    queryKey: ['mapping-profiles', entity],
+    queryFn: () => mappingProfileService.getProfiles(entity),
+  });
+
+  const { data: schema } = useQuery({
+    queryKey: ['schema', entity],
+    queryFn: () => schemaService.getSchema(entity),
+  });
+
+  // Edits are kept per entity and profile, so switching back and forth does not lose them
+  const editKey = `${entity}:${profileChoice}`;
+  const [edits, setEdits] = useState<Record<string, ColumnMapping>>({});
+  const mapping = useMemo<ColumnMapping>(
+    () => ({ ...(preview ? initialMapping(preview) : {}), ...edits[editKey] }),
+    [preview, edits, editKey]
+  );
+
+  const problems = useMemo(() => {
+    const found: string[] = [];
+    if (!schema) return found;
+
+    const targets = Object.values(mapping).filter((target): target is string => target !== null);
+    const duplicates = targets.filter((target, index) => targets.indexOf(target) !== index);
+    if (duplicates.length > 0) {
+      found.push(`Several columns map to ${Array.from(new Set(duplicates)).join(', ')}`);
+    }
+
+    const identifiers = [schema.idField, schema.nameField].filter(Boolean) as string[];
+    if (!identifiers.some((field) => targets.includes(field))) {
+      found.push(`One column must map to ${identifiers.join(' or ')}`);
+    }
+    return found;
+  }, [mapping, schema]);
+
+  const commitRequest = (): StagedUploadCommitRequest => ({
+    entity,
+    mapping,
+    mode,
+    decimalSeparator,
+    profileId: preview?.profile?.id || (profileChoice === NO_PROFILE ? NO_PROFILE : undefined),
+    saveProfile: saveAsProfile ? { name: profileName.trim() } : undefined,
+  });
+
+  // A change preview only holds for the exact request it was made for
+  const requestKey = JSON.stringify({ entity, mapping, mode, decimalSeparator, profileChoice });
+  const [changePreview, setChangePreview] = useState<{ key: string; result: StagedUploadPreview } | null>(null);
+  const changeMutation = useMutation({
+    mutationFn: () => uploadService.previewStagedCommit(staged.id, commitRequest()),
+    onSuccess: (result) => setChangePreview({ key: requestKey, result }),
+  });
+  const changes = changePreview?.key === requestKey ? changePreview.result.changes : null;
+  const duplicates = changePreview?.key === requestKey ? changePreview.result.duplicates : [];
+
+  const missingRequired = (schema?.fields || [])
+    .filter((field) => field.required && !Object.values(mapping).includes(field.name))
+    .map((field) => field.name);
+
+  const selectValue = (source: string) => {
+    const target = mapping[source];
+    if (target === null) return IGNORE;
+    if (target === source && !schema?.fields.some((field) => field.name === source)) return KEEP;
+    return target;
+  };
+
+  // Ranked alternatives to the current choice, offered as one-click picks
+  const suggestionsFor = (column: StagedColumn) =>
+    column.candidates.filter((candidate) => candidate.field !== mapping[column.source]);
+
+  const handleSelect = (source: string, value: string) => {
+    setEdits((prev) => ({
+      ...prev,
+      [editKey]: { ...prev[editKey], [source]: value === IGNORE ? null : value === KEEP ? source : value },
+    }));
+  };
+
+  return (
+    <div className="card space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold">Review column mapping</h3>
+        <p className="text-sm text-gray-600 mt-1">
+          {staged.fileName} • {staged.rowCount} rows. Nothing changes until you confirm the mapping.
+        </p>
+        {staged.batchId && (
+          <p className="text-sm text-gray-600 mt-1">
+            {staged.classification.entity
+              ? `Classified as ${staged.classification.entity} with ${Math.round(staged.classification.confidence * 100)}% confidence`
+              : 'Could not tell which entity this table holds'}
+            {' • '}
+            {staged.classification.ranking
+              .map((ranked) => `${ranked.entity} ${ranked.mappedColumns} columns`)
+              .join(', ')}
+          </p>
+        )}
+        {staged.dialect && (
+          <p className="text-sm text-gray-600 mt-1">
+            Read as {staged.dialect.encoding}
+            {staged.dialect.bom ? ' (with BOM)' : ''} • {DELIMITER_LABELS[staged.dialect.delimiter]} delimiter
+            {staged.dialect.decimalColumns.length > 0 &&
+              ` • decimal commas in ${staged.dialect.decimalColumns.join(', ')}`}
+          </p>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="text-sm font-medium text-gray-700">
+          Load into
+          <select
+            value={entity}
+            onChange={(e) => {
+              setEntity(e.target.value as EntityType);
+              setProfileChoice(AUTO_PROFILE);
+            }}
+            className="input-field mt-1"
+          >
+            {entityOptions.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm font-medium text-gray-700">
+          Mapping profile
+          <select
+            value={profileChoice}
+            onChange={(e) => setProfileChoice(e.target.value)}
+            className="input-field mt-1"
+          >
+            <option value={AUTO_PROFILE}>Auto-detect</option>
+            <option value={NO_PROFILE}>No profile</option>
+            {(profiles || []).map((profile) => (
+              <option key={profile.id} value={profile.id}>
+                {profile.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        {preview?.profile && (
+          <div className="text-sm text-green-800 bg-green-50 border border-green-200 rounded p-2">
+            Using profile <strong>{preview.profile.name}</strong> ({Math.round(preview.profile.score * 100)}% header match)
+          </div>
+        )}
+        {staged.detectedEntity && staged.detectedEntity !== entity && (
+          <div className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded p-2">
+            The columns look like <strong>{staged.detectedEntity}</strong> data.{' '}
+            <button
+              onClick={() => setEntity(staged.detectedEntity as EntityType)}
+              className="underline"
+            >
+              Load as {staged.detectedEntity}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {staged.warnings.length > 0 && (
+        <ul className="text-sm text-gray-600 list-disc pl-5">
+          {staged.warnings.map((warning) => (
+            <li key={warning}>{warning}</li>
+          ))}
+        </ul>
+      )}
+
+      {!preview || isFetching ? (
+        <div className="space-y-2">
+          {[1, 2, 3].map((i) => (
+            <div key={i} className="loading-skeleton h-10"></div>
+          ))}
+        </div>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2 pr-4 font-medium">File column</th>
+              <th className="py-2 pr-4 font-medium">Sample values</th>
+              <th className="py-2 pr-4 font-medium">Maps to</th>
+              <th className="py-2 font-medium">Confidence</th>
+            </tr>
+          </thead>
+          <tbody>
+            {preview.columns.map((column) => (
+              <tr key={column.source} className="border-b last:border-0 align-top">
+                <td className="py-2 pr-4 font-medium text-gray-900">{column.source}</td>
+                <td className="py-2 pr-4 text-gray-600 break-all">
+                  {column.samples.length > 0 ? column.samples.slice(0, 3).map(formatSample).join(' | ') : '—'}
+                </td>
+                <td className="py-2 pr-4">
+                  <select
+                    value={selectValue(column.source)}
+                    onChange={(e) => handleSelect(column.source, e.target.value)}
+                    className="input-field"
+                  >
+                    {(schema?.fields || []).map((field) => (
+                      <option key={field.name} value={field.name}>
+                        {field.label}
+                        {field.required ? ' *' : ''}
+                      </option>
+                    ))}
+                    <option value={KEEP}>Keep as extra column</option>
+                    <option value={IGNORE}>Ignore column</option>
+                  </select>
+                </td>
+                <td className="py-2">
+                  <span className={`px-2 py-1 text-xs rounded-full ${confidenceStyle(column.confidence)}`}>
+                    {column.ignored
+                      ? 'dropped by profile'
+                      : column.target
+                      ? `${Math.round(column.confidence * 100)}% ${column.matchedBy}`
+                      : 'unmapped'}
+                  </span>
+                  {suggestionsFor(column).length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {suggestionsFor(column).map((candidate) => (
+                        <button
+                          key={candidate.field}
+                          onClick={() => handleSelect(column.source, candidate.field)}
+                          title={`Matched by ${candidate.matchedBy}`}
+                          className="px-2 py-0.5 text-xs rounded border border-gray-300 text-gray-700 hover:bg-gray-100"
+                        >
+                          {candidate.field} {Math.round(candidate.score * 100)}%
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {missingRequired.length > 0 && (
+        <p className="text-sm text-gray-600">
+          Not in the file, validation will report them as missing: {missingRequired.join(', ')}
+        </p>
+      )}
+      {problems.map((problem) => (
+        <p key={problem} className="text-sm text-red-600">{problem}</p>
+      ))}
+
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="text-sm font-medium text-gray-700">
+          Upload mode
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value as UploadMode)}
+            className="input-field mt-1"
+          >
+            {UPLOAD_MODES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {decimalSeparator && (
+          <label className="text-sm font-medium text-gray-700">
+            Decimal separator
+            <select
+              value={decimalSeparator}
+              onChange={(e) => setDecimalSeparator(e.target.value as '.' | ',')}
+              className="input-field mt-1"
+            >
+              <option value=".">Point (12.5)</option>
+              <option value=",">Comma (12,5)</option>
+            </select>
+          </label>
+        )}
+        <button
+          onClick={() => changeMutation.mutate()}
+          disabled={changeMutation.isPending || isFetching || problems.length > 0}
+          className="btn-secondary"
+        >
+          {changeMutation.isPending ? 'Checking...' : 'Preview changes'}
+        </button>
+      </div>
+      {changeMutation.isError && !changes && (
+        <p className="text-sm text-red-600">Could not preview the changes.</p>
+      )}
+      {changes && (
+        <div className="text-sm bg-gray-50 border rounded p-3 space-y-1">
+          <p>
+            <strong>{changes.inserted.count}</strong> inserted • <strong>{changes.updated.count}</strong> updated •{' '}
+            <strong>{changes.unchanged.count}</strong> unchanged • <strong>{changes.deleted.count}</strong> deleted
+            {changes.skipped.count > 0 && (
+              <>
+                {' '}• <strong>{changes.skipped.count}</strong> skipped (already stored)
+              </>
+            )}
+            {' '}— {changes.totalBefore} → {changes.totalAfter} records
+          </p>
+          {changes.updated.count > 0 && (
+            <p className="text-gray-600 break-all">
+              Updated: {changes.updated.ids.slice(0, 10).map((id) => `${id} (${changes.updated.changes[id].join(', ')})`).join('; ')}
+              {changes.updated.count > 10 ? '…' : ''}
+            </p>
+          )}
+          {changes.deleted.count > 0 && (
+            <p className="text-red-700 break-all">
+              Deleted: {changes.deleted.ids.slice(0, 10).join(', ')}
+              {changes.deleted.count > 10 ? '…' : ''}
+            </p>
+          )}
+          {duplicates.length > 0 && (
+            <p className="text-yellow-700 break-all">
+              Possible duplicates:{' '}
+              {duplicates.slice(0, 5).map((cluster) =>
+                `${cluster.members.map((member) => member.id || `row ${member.row}`).join(' ≈ ')} (${Math.round(cluster.score * 100)}%)`
+              ).join('; ')}
+              {duplicates.length > 5 ? '…' : ''}
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={saveAsProfile}
+            onChange={(e) => setSaveAsProfile(e.target.checked)}
+          />
+          Save this mapping as a profile
+        </label>
+        {saveAsProfile && (
+          <input
+            type="text"
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+            placeholder="e.g. Workday export"
+            className="input-field max-w-xs"
+          />
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-3">
+        <button
+          onClick={() => onConfirm(commitRequest())}
+          disabled={isSaving || isFetching || problems.length > 0 || (saveAsProfile && !profileName.trim())}
+          className="btn-primary"
+        >
+          {isSaving ? 'Importing...' : `Import ${staged.rowCount} rows`}
+        </button>
+        <button onClick={onCancel} disabled={isSaving} className="btn-secondary">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
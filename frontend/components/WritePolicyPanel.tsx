@@ -0,0 +1,70 @@
+'use client';
+
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { dataService } from '../services/data';
+import { WritePolicy } from '../types';
+
+const POLICIES: { value: WritePolicy; label: string; hint: string }[] = [
+  { value: 'off', label: 'Off', hint: 'Save without checking' },
+  { value: 'warn', label: 'Warn', hint: 'Save and report field errors' },
+  { value: 'reject', label: 'Reject', hint: 'Refuse saves with field errors (admins can force them)' },
+];
+
+export default function WritePolicyPanel() {
+  const queryClient = useQueryClient();
+
+  const { data: policies, isLoading } = useQuery({
+    queryKey: ['write-policies'],
+    queryFn: () => dataService.getWritePolicies(),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: dataService.setWritePolicies,
+    onSuccess: () => {
+      toast.success('Write policy saved');
+      queryClient.invalidateQueries({ queryKey: ['write-policies'] });
+    },
+    onError: (error: any) => {
+      // 403: only admins (signed in with a token) may change policies
+      const details = error.response?.data?.error?.details;
+      toast.error(typeof details === 'string' ? details : error.response?.data?.error?.message || 'Failed to save write policy');
+    },
+  });
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="text-lg font-semibold">🛡️ Validate on Write</h2>
+        <p className="text-sm text-gray-600">
+          What record creates and edits do with invalid fields and unknown references
+        </p>
+      </div>
+      <div className="card-body space-y-3">
+        {isLoading || !policies ? (
+          <div className="loading-skeleton h-12"></div>
+        ) : (
+          Object.entries(policies.entities).map(([entity, policy]) => (
+            <div key={entity} className="flex items-center justify-between gap-4">
+              <span className="font-medium capitalize">{entity}</span>
+              <select
+                value={policy}
+                onChange={(e) => updateMutation.mutate({ [entity]: e.target.value as WritePolicy })}
+                className="input-field w-auto"
+                disabled={updateMutation.isPending}
+              >
+                {POLICIES.map(({ value, label, hint }) => (
+                  <option key={value} value={value} title={hint}>
+                    {label}
+                    {value === policies.default ? ' (default)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
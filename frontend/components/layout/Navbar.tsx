@@ -2,6 +2,9 @@
 
 import Link from 'next/link';
 import { usePathname } from 'next/navigation';
+import { useQuery } from '@tanstack/react-query';
+import WorkspaceSwitcher from './WorkspaceSwitcher';
+import { entityTypeService } from '../../services/entityTypes';
 
 const navigation = [
   { name: 'Dashboard', href: '/', icon: '🏠' },
@@ -19,6 +22,8 @@ const navigation = [
   },
   { name: 'Rules', href: '/rules', icon: '⚙️' },
   { name: 'Validation', href: '/validation', icon: '✅' },
+  { name: 'Constraints', href: '/constraints', icon: '📏' },
+  { name: 'History', href: '/history', icon: '🕘' },
   { 
     name: 'AI Tools', 
     href: '/ai/chat', 
@@ -32,12 +37,29 @@ const navigation = [
       { name: 'Insights', href: '/ai/insights' },
     ]
   },
+  { name: 'Workspaces', href: '/workspaces', icon: '🗂️' },
   { name: 'Settings', href: '/settings', icon: '⚙️' },
 ];
 
 export default function Navbar() {
   const pathname = usePathname();
 
+  const { data: entityTypes } = useQuery({
+    queryKey: ['entity-types'],
+    queryFn: entityTypeService.getEntityTypes,
+  });
+
+  // Custom entity types registered in the workspace are listed after the built-in ones
+  const customEntityLinks = (entityTypes || [])
+    .filter((type) => !type.builtIn)
+    .map((type) => ({ name: type.label, href: `/data/${type.id}` }));
+
+  const menu = navigation.map((item) =>
+    item.name === 'Data' && item.submenu
+      ? { ...item, submenu: [...item.submenu.slice(0, -1), ...customEntityLinks, ...item.submenu.slice(-1)] }
+      : item
+  );
+
   const isActive = (href: string) => {
     if (href === '/') return pathname === '/';
     return pathname.startsWith(href);
@@ -55,7 +77,7 @@ export default function Navbar() {
           </div>
 
           <div className="hidden md:flex items-center space-x-8">
-            {navigation.map((item) => (
+            {menu.map((item) => (
               <div key={item.name} className="relative group">
                 <Link
                   href={item.href}
@@ -91,6 +113,7 @@ export default function Navbar() {
                 )}
               </div>
             ))}
+            <WorkspaceSwitcher />
           </div>
 
           {/* Mobile menu button */}
@@ -0,0 +1,50 @@
+'use client';
+
+import { useEffect, useRef } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { historyService } from '../../services/history';
+
+// Leave native undo alone while the user is typing in a field
+const isEditableTarget = (target: EventTarget | null) => {
+  if (!(target instanceof HTMLElement)) return false;
+  return (
+    target.isContentEditable ||
+    ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+  );
+};
+
+export default function UndoRedoShortcuts() {
+  const queryClient = useQueryClient();
+  const pending = useRef(false);
+
+  useEffect(() => {
+    const handleKeyDown = async (e: KeyboardEvent) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (isEditableTarget(e.target) || pending.current) return;
+
+      e.preventDefault();
+      pending.current = true;
+
+      try {
+        const result = e.shiftKey ? await historyService.redo() : await historyService.undo();
+        toast.success(result.message);
+        // The reverted operation may touch records, rules or priorities
+        queryClient.invalidateQueries();
+      } catch (error: any) {
+        toast.error(
+          error.response?.data?.error?.message ||
+          error.response?.data?.message ||
+          (e.shiftKey ? 'Redo failed' : 'Undo failed')
+        );
+      } finally {
+        pending.current = false;
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [queryClient]);
+
+  return null;
+}
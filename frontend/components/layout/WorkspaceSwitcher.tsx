@@ -0,0 +1,43 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { workspaceService } from '../../services/workspaces';
+import { getActiveWorkspaceId, setActiveWorkspaceId } from '../../services/api';
+
+export default function WorkspaceSwitcher() {
+  const [activeId, setActiveId] = useState<string | null>(null);
+
+  const { data: workspaces } = useQuery({
+    queryKey: ['workspaces'],
+    queryFn: workspaceService.getWorkspaces,
+  });
+
+  // localStorage is only available after mount
+  useEffect(() => {
+    setActiveId(getActiveWorkspaceId());
+  }, []);
+
+  const handleChange = (workspaceId: string) => {
+    setActiveWorkspaceId(workspaceId);
+    // Every page and store holds data from the previous workspace, start fresh
+    window.location.reload();
+  };
+
+  if (!workspaces || !activeId) return null;
+
+  return (
+    <select
+      value={activeId}
+      onChange={(e) => handleChange(e.target.value)}
+      className="input-field text-sm py-1"
+      title="Active workspace"
+    >
+      {workspaces.map((workspace) => (
+        <option key={workspace.id} value={workspace.id}>
+          🗂️ {workspace.name}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -33,7 +33,7 @@ export default function CoRunRuleBuilder({ value, onChange, error }: CoRunRuleBu
   }, [selectedTasks]); // Removed onChange from dependencies to prevent infinite loops
 
   const filteredTasks = tasks.filter((task: Task) => 
-    task.TaskTitle?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    task.TaskName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
     task.TaskID?.toString().includes(searchTerm) ||
     task.TaskDescription?.toLowerCase().includes(searchTerm.toLowerCase())
   );
@@ -47,7 +47,7 @@ export default function CoRunRuleBuilder({ value, onChange, error }: CoRunRuleBu
   };
 
   const getTaskDisplay = (task: Task) => {
-    return `${task.TaskID} - ${task.TaskTitle || 'Untitled Task'}`;
+    return `${task.TaskID} - ${task.TaskName || 'Untitled Task'}`;
   };
 
   if (isLoading) {
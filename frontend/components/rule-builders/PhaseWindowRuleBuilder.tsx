@@ -30,7 +30,7 @@ export default function PhaseWindowRuleBuilder({ value, onChange, error }: Phase
   const tasks: Task[] = (tasksResponse?.items || []) as Task[];
 
   const filteredTasks = tasks.filter((task: Task) => 
-    task.TaskTitle?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    task.TaskName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
     task.TaskID?.toString().includes(searchTerm) ||
     task.TaskDescription?.toLowerCase().includes(searchTerm.toLowerCase())
   );
@@ -42,7 +42,7 @@ export default function PhaseWindowRuleBuilder({ value, onChange, error }: Phase
       allowedPhases,
       condition: selectedTask ? `task.id === '${selectedTask}'` : '',
       action: selectedTask && allowedPhases.length > 0 
-        ? `Restrict task "${selectedTaskObj?.TaskTitle || selectedTask}" to phases: ${allowedPhases.join(', ')}`
+        ? `Restrict task "${selectedTaskObj?.TaskName || selectedTask}" to phases: ${allowedPhases.join(', ')}`
         : ''
     });
   }, [selectedTask, allowedPhases, tasks]); // Removed onChange from dependencies to prevent infinite loops
@@ -64,7 +64,7 @@ export default function PhaseWindowRuleBuilder({ value, onChange, error }: Phase
   };
 
   const getTaskDisplay = (task: Task) => {
-    return `${task.TaskID} - ${task.TaskTitle || 'Untitled Task'}`;
+    return `${task.TaskID} - ${task.TaskName || 'Untitled Task'}`;
   };
 
   if (isLoading) {
@@ -123,7 +123,7 @@ export default function PhaseWindowRuleBuilder({ value, onChange, error }: Phase
                   <h4 className="font-medium text-blue-900 mb-2">Selected Task Details</h4>
                   <div className="text-sm text-gray-700">
                     <p><strong>ID:</strong> {task.TaskID}</p>
-                    <p><strong>Title:</strong> {task.TaskTitle}</p>
+                    <p><strong>Title:</strong> {task.TaskName}</p>
                     <p><strong>Description:</strong> {task.TaskDescription}</p>
                     <p><strong>Priority:</strong> {task.PriorityLevel}</p>
                     <p><strong>Estimated Hours:</strong> {task.EstimatedHours}</p>
@@ -244,7 +244,7 @@ export default function PhaseWindowRuleBuilder({ value, onChange, error }: Phase
         <div className="p-4 bg-green-50 border border-green-200 rounded-lg">
           <h4 className="font-medium text-green-900 mb-2">📋 Rule Preview</h4>
           <p className="text-sm text-green-800">
-            Task <strong>"{tasks.find(t => t.TaskID.toString() === selectedTask)?.TaskTitle || selectedTask}"</strong>{' '}
+            Task <strong>"{tasks.find(t => t.TaskID.toString() === selectedTask)?.TaskName || selectedTask}"</strong>{' '}
             will be restricted to run only in phases: <strong>{allowedPhases.join(', ')}</strong>.
             {allowedPhases.length === 1 && (
               <span className="block mt-1 text-green-700">
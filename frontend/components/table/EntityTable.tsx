@@ -1,41 +1,70 @@
 'use client';
 
 import { useState } from 'react';
-import { EntityType, EntityData, TableColumn } from '../../types';
+import { EntityType, EntityData, TableColumn, CellEdit } from '../../types';
 
 interface EntityTableProps {
   entity: EntityType;
   data: EntityData[];
   columns: TableColumn[];
   loading: boolean;
-  onEdit: (id: string, field: string, value: any) => void;
+  onEdit?: (id: string, field: string, value: any) => void;
   onDelete: (id: string) => void;
+  // When given, cell edits are staged and saved together; resolves to the edits still pending
+  onSaveEdits?: (edits: CellEdit[]) => Promise<CellEdit[]>;
 }
 
+const editKey = (id: string, field: string) => `${id}\u0000${field}`;
+
 export default function EntityTable({
   entity,
   data,
   columns,
   loading, 
   onEdit,
-  onDelete 
+  onDelete,
+  onSaveEdits
 }: EntityTableProps) {
   const [editingCell, setEditingCell] = useState<{ id: string; field: string } | null>(null);
   const [editValue, setEditValue] = useState<any>('');
+  const [pendingEdits, setPendingEdits] = useState<Record<string, CellEdit>>({});
+  const [savingEdits, setSavingEdits] = useState(false);
 
   const handleEdit = (id: string, field: string, currentValue: any) => {
     setEditingCell({ id, field });
     setEditValue(currentValue);
   };
 
-  const handleSave = () => {
+  const handleSave = (version?: number) => {
     if (editingCell) {
-      onEdit(editingCell.id, editingCell.field, editValue);
+      if (onSaveEdits) {
+        const key = editKey(editingCell.id, editingCell.field);
+        setPendingEdits((pending) => ({
+          ...pending,
+          // Keep the version the row had when it was first edited, so a save over newer data conflicts
+          [key]: { ...editingCell, value: editValue, version: pending[key]?.version ?? version },
+        }));
+      } else {
+        onEdit?.(editingCell.id, editingCell.field, editValue);
+      }
     setEditingCell(null);
     setEditValue('');
     }
   };
 
+  const handleSaveAll = async () => {
+    if (!onSaveEdits) return;
+    setSavingEdits(true);
+    try {
+      const remaining = await onSaveEdits(Object.values(pendingEdits));
+      setPendingEdits(Object.fromEntries(remaining.map((edit) => [editKey(edit.id, edit.field), edit])));
+    } finally {
+      setSavingEdits(false);
+    }
+  };
+
+  const pendingCount = Object.keys(pendingEdits).length;
+
   const handleCancel = () => {
     setEditingCell(null);
     setEditValue('');
@@ -105,6 +134,29 @@ export default function EntityTable({
 
   return (
     <div className="card">
+      {pendingCount > 0 && (
+        <div className="flex items-center justify-between mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded">
+          <span className="text-sm text-yellow-800">
+            {pendingCount} unsaved edit{pendingCount === 1 ? '' : 's'}
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPendingEdits({})}
+              disabled={savingEdits}
+              className="btn-secondary"
+            >
+              Discard
+            </button>
+            <button
+              onClick={handleSaveAll}
+              disabled={savingEdits}
+              className="btn-primary"
+            >
+              {savingEdits ? 'Saving...' : 'Save all'}
+            </button>
+          </div>
+        </div>
+      )}
       <div className="overflow-x-auto">
       <table className="min-w-full divide-y divide-gray-200">
         <thead className="bg-gray-50">
@@ -130,10 +182,11 @@ export default function EntityTable({
                   {columns.map((column, colIndex) => {
                     const fieldKey = (column as any).originalKey || column.key;
                     const isEditing = editingCell?.id === rowId && editingCell?.field === fieldKey;
-                    const cellValue = getNestedValue(row, fieldKey);
+                    const pendingEdit = pendingEdits[editKey(rowId, fieldKey)];
+                    const cellValue = pendingEdit ? pendingEdit.value : getNestedValue(row, fieldKey);
 
                     return (
-                      <td key={`${rowId}-${column.key}-${colIndex}`} className="px-6 py-4 whitespace-nowrap text-sm">
+                      <td key={`${rowId}-${column.key}-${colIndex}`} className={`px-6 py-4 whitespace-nowrap text-sm ${pendingEdit ? 'bg-yellow-50' : ''}`}>
                         {isEditing ? (
                           <div className="flex items-center space-x-2">
                             {column.type === 'select' && column.options ? (
@@ -175,7 +228,7 @@ export default function EntityTable({
                       />
                             )}
                       <button
-                              onClick={handleSave}
+                              onClick={() => handleSave((row as any)._metadata?.version)}
                         className="text-green-600 hover:text-green-800"
                               title="Save"
                       >
@@ -1,5 +1,6 @@
 // import axios, { AxiosInstance, AxiosRequestConfig, AxiosResponse, AxiosError } from 'axios';
 // import toast from 'react-hot-toast';
+import { AutoFixMode, AutoFixRequest, AutoFixResult } from '../types';
 
 // // Create axios instance with different timeout configurations
 // export const api = axios.create({
@@ -222,13 +223,63 @@ export const apiWithShortTimeout = axios.create({
   },
 });
 
+// Active workspace, sent with every request so the backend scopes data, rules and cache
+const WORKSPACE_STORAGE_KEY = 'workspace_id';
+export const DEFAULT_WORKSPACE_ID = 'default';
+
+export const getActiveWorkspaceId = (): string => {
+  if (typeof window === 'undefined') return DEFAULT_WORKSPACE_ID;
+  return localStorage.getItem(WORKSPACE_STORAGE_KEY) || DEFAULT_WORKSPACE_ID;
+};
+
+export const setActiveWorkspaceId = (workspaceId: string) => {
+  localStorage.setItem(WORKSPACE_STORAGE_KEY, workspaceId);
+};
+
+// Name recorded as the actor in the backend audit trail
+const ACTOR_STORAGE_KEY = 'actor_name';
+
+export const getActorName = (): string => {
+  if (typeof window === 'undefined') return '';
+  return localStorage.getItem(ACTOR_STORAGE_KEY) || '';
+};
+
+export const setActorName = (name: string) => {
+  if (name) {
+    localStorage.setItem(ACTOR_STORAGE_KEY, name);
+  } else {
+    localStorage.removeItem(ACTOR_STORAGE_KEY);
+  }
+};
+
+// Signed token proving who the actor is; the backend only trusts it, never X-Actor, for admin actions
+const AUTH_TOKEN_STORAGE_KEY = 'auth_token';
+
+export const getAuthToken = (): string => {
+  if (typeof window === 'undefined') return '';
+  return localStorage.getItem(AUTH_TOKEN_STORAGE_KEY) || '';
+};
+
+export const setAuthToken = (token: string) => {
+  if (token) {
+    localStorage.setItem(AUTH_TOKEN_STORAGE_KEY, token);
+  } else {
+    localStorage.removeItem(AUTH_TOKEN_STORAGE_KEY);
+  }
+};
+
 // Request interceptor for all instances
 const requestInterceptor = (config: any) => {
-  const token = localStorage.getItem('auth_token');
+  const token = getAuthToken();
+  config.headers = config.headers || {};
   if (token) {
-    config.headers = config.headers || {};
     config.headers.Authorization = `Bearer ${token}`;
   }
+  config.headers['X-Workspace-Id'] = getActiveWorkspaceId();
+  const actor = getActorName();
+  if (actor) {
+    config.headers['X-Actor'] = actor;
+  }
   return config;
 };
 
@@ -355,10 +406,11 @@ export const validationService = {
     }
   },
 
-  async applyFixes(fixes: any[]): Promise<any> {
+  // Preview or apply the deterministic fix for each enhanced validation error
+  async applyFixes(fixes: AutoFixRequest[], mode: AutoFixMode = 'apply'): Promise<AutoFixResult> {
     try {
-      const response = await api.post('/data/apply-fixes', { fixes });
-      return handleApiResponse(response);
+      const response = await api.post('/data/apply-fixes', { fixes, mode });
+      return handleApiResponse<AutoFixResult>(response);
     } catch (error: any) {
       console.error('Failed to apply fixes:', error);
       throw error;
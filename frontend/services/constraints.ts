@@ -0,0 +1,59 @@
+import api from './api';
+import { Constraint, ConstraintPreview, EntityType } from '../types';
+
+export const constraintService = {
+  // Get all constraints, optionally of one entity
+  async getConstraints(entity?: EntityType): Promise<Constraint[]> {
+    try {
+      const response = await api.get('/constraints', { params: entity ? { entity } : undefined });
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error('[Constraint Service] Failed to get constraints:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Save a constraint
+  async createConstraint(constraint: Partial<Constraint>): Promise<Constraint> {
+    try {
+      const response = await api.post('/constraints', constraint);
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error('[Constraint Service] Failed to create constraint:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Check a constraint against the stored records without saving it
+  async previewConstraint(constraint: Partial<Constraint>): Promise<ConstraintPreview> {
+    try {
+      const response = await api.post('/constraints/preview', constraint);
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error('[Constraint Service] Failed to preview constraint:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Update a constraint (a stale version gets a 409)
+  async updateConstraint(id: string, constraint: Partial<Constraint>, version?: number): Promise<Constraint> {
+    try {
+      const headers = version !== undefined ? { 'If-Match': `"${version}"` } : undefined;
+      const response = await api.put(`/constraints/${id}`, constraint, { headers });
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error(`[Constraint Service] Failed to update constraint ${id}:`, error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Delete a constraint
+  async deleteConstraint(id: string): Promise<void> {
+    try {
+      await api.delete(`/constraints/${id}`);
+    } catch (error: any) {
+      console.error(`[Constraint Service] Failed to delete constraint ${id}:`, error.response?.data || error.message);
+      throw error;
+    }
+  },
+};
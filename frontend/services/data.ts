@@ -1,5 +1,5 @@
 import api, { handleApiResponse } from './api';
-import { ApiResponse, PaginatedResponse, EntityType, EntityData, EntityFilters, BackendPaginatedResponse } from '../types';
+import { ApiResponse, PaginatedResponse, EntityType, EntityData, EntityFilters, BackendPaginatedResponse, BatchOperation, BatchResult, DuplicateReport, DuplicateMergeRequest, DuplicateMergeResult, WritePolicies, WritePolicy } from '../types';
 
 export const dataService = {
   // Get all entities with pagination and filters
@@ -53,11 +53,11 @@ export const dataService = {
     }
   },
 
-  // Create new entity
-  async createEntity(entity: EntityType, data: Partial<EntityData>): Promise<EntityData> {
+  // Create new entity; force pushes a write the entity's write policy rejects (admins only)
+  async createEntity(entity: EntityType, data: Partial<EntityData>, force: boolean = false): Promise<EntityData> {
     try {
       console.log(`[Data Service] Creating ${entity} record:`, data);
-      const response = await api.post(`/data/${entity}`, data);
+      const response = await api.post(`/data/${entity}`, data, { params: force ? { force: true } : undefined });
       return handleApiResponse<EntityData>(response);
     } catch (error: any) {
       console.error(`[Data Service] Failed to create ${entity} record:`, error.response?.data || error.message);
@@ -65,11 +65,13 @@ export const dataService = {
     }
   },
 
-  // Update entity
-  async updateEntity(entity: EntityType, id: string, data: Partial<EntityData>): Promise<EntityData> {
+  // Update entity; passing the version read earlier makes a stale write fail with 409, and force
+  // pushes a write the entity's write policy rejects (admins only)
+  async updateEntity(entity: EntityType, id: string, data: Partial<EntityData>, version?: number, force: boolean = false): Promise<EntityData> {
     console.log(`[Data Service] Updating ${entity} record with ID: ${id}`, data);
     try {
-      const response = await api.patch(`/data/${entity}/${id}`, data);
+      const headers = version !== undefined ? { 'If-Match': `"${version}"` } : undefined;
+      const response = await api.patch(`/data/${entity}/${id}`, data, { headers, params: force ? { force: true } : undefined });
       return handleApiResponse<EntityData>(response);
     } catch (error: any) {
       console.error(`[Data Service] Failed to update ${entity} record ${id}:`, error.response?.data || error.message);
@@ -77,11 +79,67 @@ export const dataService = {
     }
   },
 
+  // Validate-on-write policy of every entity
+  async getWritePolicies(): Promise<WritePolicies> {
+    try {
+      const response = await api.get('/data/write-policy');
+      return handleApiResponse<WritePolicies>(response);
+    } catch (error: any) {
+      console.error('[Data Service] Failed to get write policies:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Set the write policy of some entities (null goes back to the default)
+  async setWritePolicies(policies: Record<string, WritePolicy | null>): Promise<WritePolicies> {
+    try {
+      const response = await api.put('/data/write-policy', policies);
+      return handleApiResponse<WritePolicies>(response);
+    } catch (error: any) {
+      console.error('[Data Service] Failed to set write policies:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
   // Delete entity
   async deleteEntity(entity: EntityType, id: string): Promise<void> {
     await api.delete(`/data/${entity}/${id}`);
   },
 
+  // Apply create/update/delete operations across entities atomically (all or none)
+  async applyBatch(operations: BatchOperation[], validate: boolean = true): Promise<BatchResult> {
+    try {
+      console.log(`[Data Service] Applying batch of ${operations.length} operation(s)`);
+      const response = await api.post('/data/batch', { operations, validate });
+      return handleApiResponse<BatchResult>(response);
+    } catch (error: any) {
+      console.error('[Data Service] Batch failed:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Clusters of records that look like the same client, worker or task under different IDs
+  async findDuplicates(entity: EntityType, minScore?: number): Promise<DuplicateReport> {
+    try {
+      const response = await api.get(`/data/${entity}/duplicates`, { params: { minScore } });
+      return handleApiResponse<DuplicateReport>(response);
+    } catch (error: any) {
+      console.error('[Data Service] Failed to find duplicates:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Fold duplicates into the survivor; references to them are rewritten (undoable as one operation)
+  async mergeDuplicates(entity: EntityType, merge: DuplicateMergeRequest): Promise<DuplicateMergeResult> {
+    try {
+      const response = await api.post(`/data/${entity}/duplicates/merge`, merge);
+      return handleApiResponse<DuplicateMergeResult>(response);
+    } catch (error: any) {
+      console.error('[Data Service] Failed to merge duplicates:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
   // Search entities
   async searchEntities(entity: EntityType, query: string): Promise<EntityData[]> {
     try {
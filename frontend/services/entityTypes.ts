@@ -0,0 +1,56 @@
+import api from './api';
+import { EntityColumnDefinition, EntityTypeDefinition } from '../types';
+
+export const entityTypeService = {
+  // Get built-in and custom entity types of the active workspace
+  async getEntityTypes(): Promise<EntityTypeDefinition[]> {
+    try {
+      const response = await api.get('/entity-types');
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error('[Entity Type Service] Failed to get entity types:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Get a single entity type definition
+  async getEntityType(id: string): Promise<EntityTypeDefinition> {
+    try {
+      const response = await api.get(`/entity-types/${id}`);
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error(`[Entity Type Service] Failed to get entity type ${id}:`, error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Register a custom entity type
+  async registerEntityType(definition: {
+    id: string;
+    idField: string;
+    label?: string;
+    idPrefix?: string;
+    columns?: Array<Partial<EntityColumnDefinition> & { name: string }>;
+    headerAliases?: Record<string, string>;
+    indexedFields?: string[];
+  }): Promise<EntityTypeDefinition> {
+    try {
+      const response = await api.post('/entity-types', definition);
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error('[Entity Type Service] Failed to register entity type:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Delete a custom entity type and its records
+  async deleteEntityType(id: string): Promise<{ entityType: EntityTypeDefinition; recordsRemoved: number }> {
+    try {
+      const response = await api.delete(`/entity-types/${id}`);
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error(`[Entity Type Service] Failed to delete entity type ${id}:`, error.response?.data || error.message);
+      throw error;
+    }
+  },
+};
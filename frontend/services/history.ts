@@ -0,0 +1,37 @@
+import api from './api';
+import { HistoryState } from '../types';
+
+export const historyService = {
+  // Get undo/redo stacks for the active workspace
+  async getHistory(): Promise<HistoryState> {
+    try {
+      const response = await api.get('/history');
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error('[History Service] Failed to get history:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Revert the most recent operation
+  async undo(): Promise<{ message: string; data: HistoryState }> {
+    try {
+      const response = await api.post('/history/undo');
+      return { message: response.data.message, data: response.data.data };
+    } catch (error: any) {
+      console.error('[History Service] Failed to undo:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Replay the most recently undone operation
+  async redo(): Promise<{ message: string; data: HistoryState }> {
+    try {
+      const response = await api.post('/history/redo');
+      return { message: response.data.message, data: response.data.data };
+    } catch (error: any) {
+      console.error('[History Service] Failed to redo:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+};
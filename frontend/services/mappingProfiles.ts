@@ -0,0 +1,60 @@
+import api from './api';
+import { ColumnMapping, EntityType, MappingProfile, ProfileTransform } from '../types';
+
+export interface MappingProfileInput {
+  name: string;
+  entity: EntityType;
+  mapping: ColumnMapping;
+  description?: string;
+  headers?: string[];
+  aliases?: Record<string, string>;
+  transforms?: Record<string, ProfileTransform[]>;
+  defaults?: Record<string, any>;
+}
+
+export const mappingProfileService = {
+  // Get saved mapping profiles, optionally only those of one entity
+  async getProfiles(entity?: EntityType): Promise<MappingProfile[]> {
+    try {
+      const response = await api.get('/mapping-profiles', {
+        params: entity ? { entity } : undefined,
+      });
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error('[Mapping Profile Service] Failed to get profiles:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Save a new mapping profile
+  async createProfile(profile: MappingProfileInput): Promise<MappingProfile> {
+    try {
+      const response = await api.post('/mapping-profiles', profile);
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error('[Mapping Profile Service] Failed to save profile:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Update a mapping profile; fields left out keep their value
+  async updateProfile(id: string, updates: Partial<MappingProfileInput>): Promise<MappingProfile> {
+    try {
+      const response = await api.put(`/mapping-profiles/${id}`, updates);
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error(`[Mapping Profile Service] Failed to update profile ${id}:`, error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Delete a mapping profile
+  async deleteProfile(id: string): Promise<void> {
+    try {
+      await api.delete(`/mapping-profiles/${id}`);
+    } catch (error: any) {
+      console.error(`[Mapping Profile Service] Failed to delete profile ${id}:`, error.response?.data || error.message);
+      throw error;
+    }
+  },
+};
@@ -37,10 +37,11 @@ export const rulesService = {
   },
 
   // Update rule
-  async updateRule(id: string, rule: Partial<Rule>): Promise<Rule> {
+  async updateRule(id: string, rule: Partial<Rule>, version?: number): Promise<Rule> {
     try {
       console.log(`[Rules Service] Updating rule ${id}:`, rule);
-      const response = await api.put(`/rules/${id}`, rule);
+      const headers = version !== undefined ? { 'If-Match': `"${version}"` } : undefined;
+      const response = await api.put(`/rules/${id}`, rule, { headers });
       return response.data.success ? response.data.data : response.data;
     } catch (error: any) {
       console.error(`[Rules Service] Failed to update rule ${id}:`, error.response?.data || error.message);
@@ -0,0 +1,26 @@
+import api from './api';
+import { EntitySchema } from '../types';
+
+export const schemaService = {
+  // Get the schemas of every entity in the active workspace
+  async getSchemas(): Promise<EntitySchema[]> {
+    try {
+      const response = await api.get('/schema');
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error('[Schema Service] Failed to get schemas:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Get the schema of a single entity
+  async getSchema(entity: string): Promise<EntitySchema> {
+    try {
+      const response = await api.get(`/schema/${entity}`);
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error(`[Schema Service] Failed to get schema for ${entity}:`, error.response?.data || error.message);
+      throw error;
+    }
+  },
+};
@@ -0,0 +1,58 @@
+import api from './api';
+import { Snapshot, SnapshotDiff } from '../types';
+
+export const snapshotService = {
+  // Get all snapshots (newest first)
+  async getSnapshots(): Promise<Snapshot[]> {
+    try {
+      const response = await api.get('/snapshots');
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error('[Snapshot Service] Failed to get snapshots:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Take a manual snapshot
+  async createSnapshot(label?: string): Promise<Snapshot> {
+    try {
+      const response = await api.post('/snapshots', { label });
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error('[Snapshot Service] Failed to create snapshot:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Diff two snapshots ('current' compares against the live data)
+  async diffSnapshots(from: string, to: string = 'current'): Promise<SnapshotDiff> {
+    try {
+      const response = await api.get('/snapshots/diff', { params: { from, to } });
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error(`[Snapshot Service] Failed to diff ${from} -> ${to}:`, error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Roll back to a snapshot
+  async restoreSnapshot(id: string): Promise<{ restored: Snapshot; preRestoreSnapshot: Snapshot }> {
+    try {
+      const response = await api.post(`/snapshots/${id}/restore`);
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error(`[Snapshot Service] Failed to restore snapshot ${id}:`, error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Delete a snapshot
+  async deleteSnapshot(id: string): Promise<void> {
+    try {
+      await api.delete(`/snapshots/${id}`);
+    } catch (error: any) {
+      console.error(`[Snapshot Service] Failed to delete snapshot ${id}:`, error.response?.data || error.message);
+      throw error;
+    }
+  },
+};
@@ -1,14 +1,36 @@
-import api from './api';
-import { UploadFile, UploadStatus } from '../types';
+import api, { getActiveWorkspaceId } from './api';
+import {
+  UploadFile,
+  UploadStatus,
+  EntityType,
+  StagedUpload,
+  StagedUploadCommit,
+  StagedUploadPreview,
+  ColumnMapping,
+  UploadMode,
+  UploadProgress,
+  IngestionReport,
+  IngestionReportKind,
+} from '../types';
 
-export type EntityType = 'clients' | 'workers' | 'tasks';
+export type { EntityType };
+
+export interface StagedUploadCommitRequest {
+  entity: EntityType;
+  mapping: ColumnMapping;
+  profileId?: string;
+  saveProfile?: { name: string; description?: string };
+  mode?: UploadMode;
+  decimalSeparator?: '.' | ',';
+}
 
 export const uploadService = {
-  // Upload file with entity type
-  async uploadFile(file: File, entityType: EntityType): Promise<UploadFile> {
+  // Upload file with entity type (progress is published under uploadId, see watchUploadProgress)
+  async uploadFile(file: File, entityType: EntityType, uploadId?: string): Promise<UploadFile> {
     console.log('Uploading file:', file.name, 'as entity type:', entityType);
     
     const formData = new FormData();
+    if (uploadId) formData.append('uploadId', uploadId);
     formData.append(entityType, file); // Use entity type as field name
     
     console.log('FormData created with field:', entityType);
@@ -51,6 +73,129 @@ export const uploadService = {
     }
   },
 
+  // Stage a file for mapping review; entity data is untouched until the mapping is committed
+  async stageFile(file: File, entityType: EntityType, uploadId?: string): Promise<StagedUpload> {
+    const formData = new FormData();
+    if (uploadId) formData.append('uploadId', uploadId);
+    formData.append(entityType, file);
+
+    try {
+      const response = await api.post('/upload/stage', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+      return response.data.data[0];
+    } catch (error: any) {
+      console.error('[Upload Service] Failed to stage file:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Stage every sheet of a workbook (or file of a .zip) under the entity its columns fit best
+  async stageDetectedFile(file: File): Promise<StagedUpload[]> {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+      const response = await api.post('/upload/auto', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+      return response.data.data;
+    } catch (error: any) {
+      console.error('[Upload Service] Failed to stage detected file:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Follow an upload's parsing progress (server-sent events); call the returned function to stop.
+  // EventSource cannot send the workspace header, so the workspace goes in the path.
+  watchUploadProgress(uploadId: string, onProgress: (progress: UploadProgress) => void): () => void {
+    const workspaceId = encodeURIComponent(getActiveWorkspaceId());
+    const source = new EventSource(
+      `${api.defaults.baseURL}/workspaces/${workspaceId}/upload/progress/${encodeURIComponent(uploadId)}`
+    );
+
+    source.onmessage = (event) => {
+      const progress: UploadProgress = JSON.parse(event.data);
+      onProgress(progress);
+      if (progress.status === 'done' || progress.status === 'failed') {
+        source.close();
+      }
+    };
+    source.onerror = () => {
+      // The upload request still reports the outcome; progress is best effort
+      source.close();
+    };
+
+    return () => source.close();
+  },
+
+  // Rows of an upload that could not be read, were rejected or had values changed, with their source lines
+  async getIngestionReport(uploadId: string, kind?: IngestionReportKind): Promise<IngestionReport> {
+    try {
+      const response = await api.get(`/upload/${encodeURIComponent(uploadId)}/report`, { params: { kind } });
+      return response.data.data;
+    } catch (error: any) {
+      console.error('[Upload Service] Failed to get ingestion report:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Download link of an upload's ingestion report as CSV (workspace in the path, like progress)
+  getIngestionReportUrl(uploadId: string): string {
+    const workspaceId = encodeURIComponent(getActiveWorkspaceId());
+    return `${api.defaults.baseURL}/workspaces/${workspaceId}/upload/${encodeURIComponent(uploadId)}/report/export`;
+  },
+
+  // Get a staged upload, optionally mapped for another entity or with a chosen profile ('none' for no profile)
+  async getStagedUpload(stagingId: string, entityType?: EntityType, profileId?: string): Promise<StagedUpload> {
+    try {
+      const response = await api.get(`/upload/staged/${stagingId}`, {
+        params: { entity: entityType, profile: profileId },
+      });
+      return response.data.data;
+    } catch (error: any) {
+      console.error('[Upload Service] Failed to get staged upload:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // What the commit would insert, update and delete, without writing anything
+  async previewStagedCommit(stagingId: string, commit: StagedUploadCommitRequest): Promise<StagedUploadPreview> {
+    try {
+      const response = await api.post(`/upload/staged/${stagingId}/preview`, commit);
+      return response.data.data;
+    } catch (error: any) {
+      console.error('[Upload Service] Failed to preview staged upload:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Load the staged rows into the entity (in the chosen mode) using the confirmed mapping
+  // and optionally save that mapping as a profile for the next file from the same source
+  async commitStagedUpload(stagingId: string, commit: StagedUploadCommitRequest): Promise<StagedUploadCommit> {
+    try {
+      const response = await api.post(`/upload/staged/${stagingId}/commit`, commit);
+      return response.data.data;
+    } catch (error: any) {
+      console.error('[Upload Service] Failed to commit staged upload:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Throw a staged upload away
+  async discardStagedUpload(stagingId: string): Promise<void> {
+    try {
+      await api.delete(`/upload/staged/${stagingId}`);
+    } catch (error: any) {
+      console.error('[Upload Service] Failed to discard staged upload:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
   // Get upload status (using the general status endpoint)
   async getUploadStatus(filename: string): Promise<UploadStatus> {
     const response = await api.get('/upload/status');
@@ -0,0 +1,47 @@
+import api from './api';
+import { Workspace } from '../types';
+
+export const workspaceService = {
+  // Get all workspaces
+  async getWorkspaces(): Promise<Workspace[]> {
+    try {
+      const response = await api.get('/workspaces');
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error('[Workspace Service] Failed to get workspaces:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Create an empty workspace
+  async createWorkspace(workspace: { name: string; description?: string }): Promise<Workspace> {
+    try {
+      const response = await api.post('/workspaces', workspace);
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error('[Workspace Service] Failed to create workspace:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Clone a workspace with its data, rules and priorities
+  async cloneWorkspace(id: string, workspace: { name?: string; description?: string } = {}): Promise<Workspace> {
+    try {
+      const response = await api.post(`/workspaces/${id}/clone`, workspace);
+      return response.data.success ? response.data.data : response.data;
+    } catch (error: any) {
+      console.error(`[Workspace Service] Failed to clone workspace ${id}:`, error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Delete a workspace
+  async deleteWorkspace(id: string): Promise<void> {
+    try {
+      await api.delete(`/workspaces/${id}`);
+    } catch (error: any) {
+      console.error(`[Workspace Service] Failed to delete workspace ${id}:`, error.response?.data || error.message);
+      throw error;
+    }
+  },
+};
@@ -0,0 +1,408 @@
+'use client';
+
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { constraintService } from '../../../services/constraints';
+import { schemaService } from '../../../services/schema';
+import { Constraint, ConstraintPreview } from '../../../types';
+
+interface ConstraintForm {
+  name: string;
+  description: string;
+  entity: string;
+  field: string;
+  check: string;
+  when: string;
+  assert: string;
+  severity: 'error' | 'warning';
+  message: string;
+}
+
+const EMPTY_FORM: ConstraintForm = {
+  name: '',
+  description: '',
+  entity: 'clients',
+  field: '',
+  check: '',
+  when: '',
+  assert: '',
+  severity: 'error',
+  message: '',
+};
+
+const toJson = (value: unknown) => (value && Object.keys(value).length > 0 ? JSON.stringify(value, null, 2) : '');
+
+const fromJson = (label: string, text: string) => {
+  if (!text.trim()) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`${label} is not valid JSON`);
+  }
+};
+
+export default function ConstraintsPage() {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState<ConstraintForm>(EMPTY_FORM);
+  const [editing, setEditing] = useState<Constraint | null>(null);
+  const [preview, setPreview] = useState<ConstraintPreview | null>(null);
+
+  const { data: constraints, isLoading } = useQuery({
+    queryKey: ['constraints'],
+    queryFn: () => constraintService.getConstraints(),
+  });
+
+  const { data: schemas } = useQuery({
+    queryKey: ['schemas'],
+    queryFn: schemaService.getSchemas,
+  });
+
+  const fields = schemas?.find((schema) => schema.entity === form.entity)?.fields ?? [];
+
+  const onError = (fallback: string) => (error: any) => {
+    toast.error(error.response?.data?.message || error.message || fallback);
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditing(null);
+    setPreview(null);
+  };
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['constraints'] });
+    // Constraints change what validation reports
+    queryClient.invalidateQueries({ queryKey: ['validation-summary'] });
+    queryClient.invalidateQueries({ queryKey: ['validation-errors'] });
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (constraint: Partial<Constraint>) =>
+      editing
+        ? constraintService.updateConstraint(editing.id, constraint, editing.metadata?.version)
+        : constraintService.createConstraint(constraint),
+    onSuccess: (constraint) => {
+      toast.success(`Constraint "${constraint.name}" saved`);
+      invalidate();
+      resetForm();
+    },
+    onError: (error: any) => {
+      if (error.response?.status === 409) {
+        toast.error('This constraint was changed by someone else. Reload it and try again.');
+        invalidate();
+        return;
+      }
+      onError('Failed to save constraint')(error);
+    },
+  });
+
+  const previewMutation = useMutation({
+    mutationFn: constraintService.previewConstraint,
+    onSuccess: setPreview,
+    onError: onError('Failed to preview constraint'),
+  });
+
+  const toggleMutation = useMutation({
+    mutationFn: (constraint: Constraint) =>
+      constraintService.updateConstraint(
+        constraint.id,
+        { isActive: !constraint.isActive },
+        constraint.metadata?.version
+      ),
+    onSuccess: invalidate,
+    onError: onError('Failed to update constraint'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: constraintService.deleteConstraint,
+    onSuccess: () => {
+      toast.success('Constraint deleted');
+      invalidate();
+    },
+    onError: onError('Failed to delete constraint'),
+  });
+
+  const buildConstraint = (): Partial<Constraint> | null => {
+    try {
+      return {
+        name: form.name.trim(),
+        description: form.description.trim(),
+        entity: form.entity,
+        field: form.field || null,
+        check: fromJson('Check', form.check) ?? {},
+        when: fromJson('When', form.when),
+        assert: fromJson('Assert', form.assert),
+        severity: form.severity,
+        message: form.message.trim() || null,
+      };
+    } catch (error: any) {
+      toast.error(error.message);
+      return null;
+    }
+  };
+
+  const handleSave = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast.error('Constraint name is required');
+      return;
+    }
+    const constraint = buildConstraint();
+    if (constraint) saveMutation.mutate(constraint);
+  };
+
+  const handlePreview = () => {
+    const constraint = buildConstraint();
+    if (constraint) previewMutation.mutate(constraint);
+  };
+
+  const handleEdit = (constraint: Constraint) => {
+    setEditing(constraint);
+    setPreview(null);
+    setForm({
+      name: constraint.name,
+      description: constraint.description,
+      entity: constraint.entity,
+      field: constraint.field ?? '',
+      check: toJson(constraint.check),
+      when: toJson(constraint.when),
+      assert: toJson(constraint.assert),
+      severity: constraint.severity,
+      message: constraint.message ?? '',
+    });
+  };
+
+  const handleDelete = (constraint: Constraint) => {
+    if (confirm(`Delete constraint "${constraint.name}"?`)) {
+      deleteMutation.mutate(constraint.id);
+    }
+  };
+
+  const update = (changes: Partial<ConstraintForm>) => setForm((current) => ({ ...current, ...changes }));
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Constraints</h1>
+        <p className="text-gray-600 mt-1">
+          Field checks and cross-field conditions that validation reports alongside the built-in checks
+        </p>
+      </div>
+
+      {/* Constraint Editor */}
+      <div className="card">
+        <h3 className="text-lg font-semibold mb-4">
+          {editing ? `Edit "${editing.name}"` : 'New Constraint'}
+        </h3>
+        <form onSubmit={handleSave} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => update({ name: e.target.value })}
+              placeholder="Name (e.g. Budget set for top priority)"
+              className="input-field"
+            />
+            <select
+              value={form.entity}
+              onChange={(e) => update({ entity: e.target.value, field: '' })}
+              className="input-field"
+            >
+              {(schemas ?? []).map((schema) => (
+                <option key={schema.entity} value={schema.entity}>
+                  {schema.label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={form.field}
+              onChange={(e) => update({ field: e.target.value })}
+              className="input-field"
+            >
+              <option value="">No field (assert only)</option>
+              {fields.map((field) => (
+                <option key={field.name} value={field.name}>
+                  {field.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <label className="block">
+              <span className="text-sm text-gray-700">Check</span>
+              <textarea
+                value={form.check}
+                onChange={(e) => update({ check: e.target.value })}
+                placeholder={'{ "exclusiveMin": 0 }'}
+                rows={5}
+                className="input-field font-mono text-sm"
+              />
+            </label>
+            <label className="block">
+              <span className="text-sm text-gray-700">When (optional)</span>
+              <textarea
+                value={form.when}
+                onChange={(e) => update({ when: e.target.value })}
+                placeholder={'{ "field": "PriorityLevel", "op": "eq", "value": 5 }'}
+                rows={5}
+                className="input-field font-mono text-sm"
+              />
+            </label>
+            <label className="block">
+              <span className="text-sm text-gray-700">Assert (optional)</span>
+              <textarea
+                value={form.assert}
+                onChange={(e) => update({ assert: e.target.value })}
+                placeholder={'{ "field": "MaxLoadPerPhase", "op": "lte", "valueField": "QualificationLevel" }'}
+                rows={5}
+                className="input-field font-mono text-sm"
+              />
+            </label>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <select
+              value={form.severity}
+              onChange={(e) => update({ severity: e.target.value as ConstraintForm['severity'] })}
+              className="input-field"
+            >
+              <option value="error">Error</option>
+              <option value="warning">Warning</option>
+            </select>
+            <input
+              type="text"
+              value={form.message}
+              onChange={(e) => update({ message: e.target.value })}
+              placeholder="Message (optional)"
+              className="input-field"
+            />
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => update({ description: e.target.value })}
+              placeholder="Description (optional)"
+              className="input-field"
+            />
+          </div>
+
+          <div className="flex gap-2">
+            <button type="submit" className="btn-primary" disabled={saveMutation.isPending}>
+              {saveMutation.isPending ? 'Saving...' : editing ? 'Update Constraint' : 'Save Constraint'}
+            </button>
+            <button
+              type="button"
+              onClick={handlePreview}
+              className="btn-secondary"
+              disabled={previewMutation.isPending}
+            >
+              {previewMutation.isPending ? 'Checking...' : 'Preview'}
+            </button>
+            {(editing || preview) && (
+              <button type="button" onClick={resetForm} className="text-gray-600 hover:text-gray-800 text-sm px-3">
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+
+        {preview && (
+          <div className="mt-4 border-t pt-4">
+            <p className="text-sm text-gray-700 mb-2">
+              {preview.violations.length} of {preview.recordsChecked} record(s) break this constraint
+            </p>
+            {preview.violations.length > 0 && (
+              <ul className="space-y-1 max-h-64 overflow-y-auto">
+                {preview.violations.map((violation) => (
+                  <li key={`${violation.row}-${violation.field}`} className="text-sm">
+                    <span className="font-mono text-gray-500 mr-2">
+                      {violation.recordId ?? `row ${violation.row}`}
+                    </span>
+                    {violation.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Constraints List */}
+      <div className="card">
+        <h3 className="text-lg font-semibold mb-4">All Constraints</h3>
+        {isLoading ? (
+          <div className="space-y-4">
+            {[1, 2].map((i) => (
+              <div key={i} className="loading-skeleton h-20"></div>
+            ))}
+          </div>
+        ) : constraints && constraints.length > 0 ? (
+          <div className="space-y-4">
+            {constraints.map((constraint) => (
+              <div
+                key={constraint.id}
+                className="border rounded-lg p-4 hover:bg-gray-50 transition-colors"
+              >
+                <div className="flex justify-between items-start">
+                  <div className="flex-1">
+                    <div className="flex items-center gap-2 mb-1">
+                      <h4 className="font-semibold">{constraint.name}</h4>
+                      <span className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded-full font-mono">
+                        {constraint.entity}
+                        {constraint.field ? `.${constraint.field}` : ''}
+                      </span>
+                      <span
+                        className={`px-2 py-1 text-xs rounded-full ${
+                          constraint.severity === 'error'
+                            ? 'bg-red-100 text-red-800'
+                            : 'bg-yellow-100 text-yellow-800'
+                        }`}
+                      >
+                        {constraint.severity}
+                      </span>
+                      {!constraint.isActive && (
+                        <span className="px-2 py-1 text-xs bg-gray-100 text-gray-500 rounded-full">
+                          Inactive
+                        </span>
+                      )}
+                    </div>
+                    {constraint.description && (
+                      <p className="text-gray-600 text-sm mb-2">{constraint.description}</p>
+                    )}
+                    <div className="text-xs text-gray-500 font-mono">
+                      {toJson(constraint.check) && <div>check: {JSON.stringify(constraint.check)}</div>}
+                      {constraint.when && <div>when: {JSON.stringify(constraint.when)}</div>}
+                      {constraint.assert && <div>assert: {JSON.stringify(constraint.assert)}</div>}
+                    </div>
+                  </div>
+                  <div className="flex gap-2 ml-4">
+                    <button onClick={() => handleEdit(constraint)} className="btn-secondary text-sm">
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => toggleMutation.mutate(constraint)}
+                      className="btn-secondary text-sm"
+                      disabled={toggleMutation.isPending}
+                    >
+                      {constraint.isActive ? 'Disable' : 'Enable'}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(constraint)}
+                      className="text-red-600 hover:text-red-800 text-sm px-3"
+                      disabled={deleteMutation.isPending}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-gray-500">No constraints yet</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -6,7 +6,8 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import toast from 'react-hot-toast';
 import Link from 'next/link';
 import { dataService } from '../../../../../../services/data';
-import { EntityType } from '../../../../../../types';
+import { EntityType, WriteFieldError } from '../../../../../../types';
+import ConflictDialog from '../../../../../../components/ConflictDialog';
 
 export default function EditEntityPage() {
   const params = useParams();
@@ -17,6 +18,11 @@ export default function EditEntityPage() {
   const id = params.id as string;
 
   const [formData, setFormData] = useState<any>({});
+  // Server copy the form was loaded from; its version guards the save
+  const [baseRecord, setBaseRecord] = useState<any>(null);
+  const [conflict, setConflict] = useState<{ mine: any; theirs: any } | null>(null);
+  // Field errors of a save the entity's write policy rejected, with what was sent
+  const [rejected, setRejected] = useState<{ errors: WriteFieldError[]; data: any; version?: number } | null>(null);
 
   // Fetch the entity data
   const { data: entityData, isLoading } = useQuery({
@@ -26,33 +32,54 @@ export default function EditEntityPage() {
 
   // Update mutation
   const updateMutation = useMutation({
-    mutationFn: (data: any) => dataService.updateEntity(entity, id, data),
+    mutationFn: ({ data, version, force }: { data: any; version?: number; force?: boolean }) =>
+      dataService.updateEntity(entity, id, data, version, force),
     onSuccess: () => {
       toast.success(`${entity.slice(0, -1)} updated successfully`);
+      setConflict(null);
+      setRejected(null);
       queryClient.invalidateQueries({ queryKey: ['entities', entity] });
       queryClient.invalidateQueries({ queryKey: ['entity', entity, id] });
       router.push(`/data/${entity}`);
     },
-    onError: (error: any) => {
-      toast.error(error.response?.data?.message || 'Update failed');
+    onError: (error: any, variables) => {
+      // Someone else saved first: let the user merge instead of overwriting
+      if (error.response?.status === 409 && error.response.data?.error?.current) {
+        setConflict({ mine: variables.data, theirs: error.response.data.error.current });
+        toast.error('This record was changed by someone else');
+        return;
+      }
+      // The write policy rejected the save: list what to fix
+      const details = error.response?.data?.error?.details;
+      if (error.response?.status === 400 && Array.isArray(details)) {
+        setRejected({ errors: details, data: variables.data, version: variables.version });
+        toast.error(error.response.data.error.message);
+        return;
+      }
+      toast.error(error.response?.data?.error?.message || error.response?.data?.message || 'Update failed');
     },
   });
 
+  const toFormData = (record: any) => {
+    const data = { ...record };
+    
+    // Handle special cases for different entity types
+    if (entity === 'workers' && data.skills && Array.isArray(data.skills)) {
+      data.skills = data.skills.join(', ');
+    }
+    
+    if (entity === 'tasks' && data.deadline) {
+      data.deadline = new Date(data.deadline).toISOString().split('T')[0];
+    }
+    
+    return data;
+  };
+
   // Initialize form data when entity data loads
   useEffect(() => {
     if (entityData) {
-      const data = { ...entityData };
-      
-      // Handle special cases for different entity types
-      if (entity === 'workers' && (data as any).skills && Array.isArray((data as any).skills)) {
-        (data as any).skills = (data as any).skills.join(', ');
-      }
-      
-      if (entity === 'tasks' && (data as any).deadline) {
-        (data as any).deadline = new Date((data as any).deadline).toISOString().split('T')[0];
-      }
-      
-      setFormData(data);
+      setBaseRecord(entityData);
+      setFormData(toFormData(entityData));
     }
   }, [entityData, entity]);
 
@@ -73,7 +100,21 @@ export default function EditEntityPage() {
       submitData.skills = submitData.skills.split(',').map((s: string) => s.trim()).filter(Boolean);
     }
     
-    updateMutation.mutate(submitData);
+    updateMutation.mutate({ data: submitData, version: baseRecord?._metadata?.version ?? 1 });
+  };
+
+  const handleMerge = (merged: any) => {
+    if (!conflict) return;
+    updateMutation.mutate({ data: merged, version: conflict.theirs._metadata?.version ?? 1 });
+  };
+
+  const handleDiscard = () => {
+    if (!conflict) return;
+    setBaseRecord(conflict.theirs);
+    setFormData(toFormData(conflict.theirs));
+    queryClient.setQueryData(['entity', entity, id], conflict.theirs);
+    setConflict(null);
+    toast.success('Loaded the latest saved version');
   };
 
   if (isLoading) {
@@ -108,6 +149,20 @@ export default function EditEntityPage() {
 
   return (
     <div className="space-y-6">
+      {conflict && (
+        <ConflictDialog
+          key={conflict.theirs._metadata?.version}
+          title={`Conflicting changes to this ${entity.slice(0, -1)}`}
+          base={baseRecord || {}}
+          mine={conflict.mine}
+          theirs={conflict.theirs}
+          onMerge={handleMerge}
+          onDiscard={handleDiscard}
+          onCancel={() => setConflict(null)}
+          isSaving={updateMutation.isPending}
+        />
+      )}
+
       {/* Breadcrumb */}
       <nav className="flex" aria-label="Breadcrumb">
         <ol className="flex items-center space-x-4">
@@ -366,6 +421,27 @@ export default function EditEntityPage() {
             </>
           )}
 
+          {rejected && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+              <h4 className="font-medium text-red-900 mb-2">Fix these fields before saving</h4>
+              <ul className="text-sm text-red-800 space-y-1">
+                {rejected.errors.map((fieldError, index) => (
+                  <li key={`${fieldError.field}-${index}`}>
+                    <span className="font-mono">{fieldError.field}</span>: {fieldError.message}
+                  </li>
+                ))}
+              </ul>
+              <button
+                type="button"
+                onClick={() => updateMutation.mutate({ data: rejected.data, version: rejected.version, force: true })}
+                className="mt-3 text-sm text-red-700 hover:text-red-900 underline"
+                disabled={updateMutation.isPending}
+              >
+                Save anyway (admins only)
+              </button>
+            </div>
+          )}
+
           {/* Form Actions */}
           <div className="flex gap-4 pt-6 border-t">
             <button
@@ -5,43 +5,31 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useState } from 'react';
 import toast from 'react-hot-toast';
 import { dataService } from '../../../../services/data';
+import { schemaService } from '../../../../services/schema';
 import { useDataStore } from '../../../../store/useDataStore';
 import EntityTable from '../../../../components/table/EntityTable';
-import { EntityType, TableColumn } from '../../../../types';
-
-const entityConfigs = {
-  clients: {
-    columns: [
-      { key: 'ClientName', label: 'Name', editable: true, type: 'text' },
-      { key: 'ClientEmail', label: 'Email', editable: true, type: 'email' },
-      { key: 'PriorityLevel', label: 'Priority', editable: true, type: 'number' },
-      { key: 'Budget', label: 'Budget', editable: true, type: 'number' },
-      { key: '_metadata.processedAt', label: 'Uploaded', type: 'date' },
-    ] as TableColumn[],
-  },
-  workers: {
-    columns: [
-      { key: 'WorkerName', label: 'Name', editable: true, type: 'text' },
-      { key: 'WorkerEmail', label: 'Email', editable: true, type: 'email' },
-      { key: 'Skills', label: 'Skills', editable: true, type: 'text' },
-      { key: 'HourlyRate', label: 'Hourly Rate', editable: true, type: 'number' },
-      { key: 'Availability', label: 'Availability', editable: true, type: 'select', options: ['available', 'busy', 'unavailable'] },
-      { key: '_metadata.processedAt', label: 'Uploaded', type: 'date' },
-    ] as TableColumn[],
-  },
-  tasks: {
-    columns: [
-      { key: 'TaskTitle', label: 'Title', editable: true, type: 'text' },
-      { key: 'TaskDescription', label: 'Description', editable: true, type: 'text' },
-      { key: 'PriorityLevel', label: 'Priority', editable: true, type: 'number' },
-      { key: 'EstimatedHours', label: 'Est. Hours', editable: true, type: 'number' },
-      { key: 'Status', label: 'Status', editable: true, type: 'select', options: ['pending', 'in_progress', 'completed', 'cancelled'] },
-      { key: 'Deadline', label: 'Deadline', editable: true, type: 'date' },
-      { key: '_metadata.processedAt', label: 'Uploaded', type: 'date' },
-    ] as TableColumn[],
-  },
+import DuplicateReviewPanel from '../../../../components/DuplicateReviewPanel';
+import { BatchOperation, BatchRollback, CellEdit, EntitySchema, EntityType, SchemaField, TableColumn } from '../../../../types';
+
+const columnInputTypes: Partial<Record<SchemaField['type'], TableColumn['type']>> = {
+  number: 'number',
+  integer: 'number',
+  date: 'date',
 };
 
+// Table columns come from the entity schema; JSON fields are too wide to show inline
+const getSchemaColumns = (schema: EntitySchema): TableColumn[] => [
+  ...schema.fields
+    .filter((field) => field.type !== 'json')
+    .map((field) => ({
+      key: field.name,
+      label: field.label,
+      editable: field.name !== schema.idField,
+      type: columnInputTypes[field.type] || 'text',
+    })),
+  { key: '_metadata.processedAt', label: 'Uploaded', type: 'date' },
+];
+
 export default function EntityPage() {
   const params = useParams();
   const searchParams = useSearchParams();
@@ -53,6 +41,12 @@ export default function EntityPage() {
   
   const { pagination, setPagination } = useDataStore();
 
+  const { data: schema, isLoading: isSchemaLoading } = useQuery({
+    queryKey: ['schema', entity],
+    queryFn: () => schemaService.getSchema(entity),
+    retry: false,
+  });
+
   const { data: entityData, isLoading } = useQuery({
     queryKey: ['entities', entity, pagination.page, pagination.limit, searchQuery, statusFilter],
     queryFn: () => dataService.getEntities(entity, pagination.page, pagination.limit, {
@@ -61,11 +55,12 @@ export default function EntityPage() {
     }),
   });
 
-  const updateMutation = useMutation({
-    mutationFn: ({ id, field, value }: { id: string; field: string; value: any }) =>
-      dataService.updateEntity(entity, id, { [field]: value }),
-    onSuccess: () => {
-      toast.success('Updated successfully');
+  // Staged cell edits go out as one atomic batch: one update per record, checked against the
+  // version each record had when it was edited
+  const saveEditsMutation = useMutation({
+    mutationFn: (operations: BatchOperation[]) => dataService.applyBatch(operations),
+    onSuccess: (result) => {
+      toast.success(`Saved ${result.results.length} record(s)`);
       queryClient.invalidateQueries({ queryKey: ['entities', entity] });
     },
   });
@@ -78,8 +73,45 @@ export default function EntityPage() {
     },
   });
 
-  const handleEdit = (id: string, field: string, value: any) => {
-    updateMutation.mutate({ id, field, value });
+  const handleSaveEdits = async (edits: CellEdit[]): Promise<CellEdit[]> => {
+    const operations = Object.values(
+      edits.reduce<Record<string, BatchOperation>>((byRecord, edit) => {
+        const operation = byRecord[edit.id] || { op: 'update', entity, id: edit.id, data: {}, version: edit.version };
+        operation.data = { ...operation.data, [edit.field]: edit.value };
+        byRecord[edit.id] = operation;
+        return byRecord;
+      }, {})
+    );
+
+    try {
+      await saveEditsMutation.mutateAsync(operations);
+      return [];
+    } catch (error: any) {
+      // The batch was rolled back, so nothing was saved
+      const rollback: BatchRollback | undefined = error.response?.data?.error?.details;
+      const failures = rollback?.results?.filter((result) => !result.success) || [];
+
+      // Someone else saved first: reload the rows and drop the edits made over the old values
+      if (error.response?.status === 409) {
+        const stale = new Set(
+          failures
+            .filter((result) => result.error?.includes('Version conflict'))
+            .map((result) => operations[result.index].id)
+        );
+        toast.error(`${stale.size} record(s) were changed by someone else. Nothing was saved; review the reloaded rows and save again`);
+        queryClient.invalidateQueries({ queryKey: ['entities', entity] });
+        return edits.filter((edit) => !stale.has(edit.id));
+      }
+
+      // Operations name rows by internal id; show the record ID instead
+      const recordId = (id: string | null) => {
+        const row = entityData?.items.find((item) => String((item as any).id) === id);
+        return row && schema ? String((row as any)[schema.idField]) : id;
+      };
+      const reasons = failures.map((result) => `${recordId(result.id)}: ${result.error}`).join('; ');
+      toast.error(`Nothing was saved${reasons ? ` (${reasons})` : `: ${error.response?.data?.error?.message || error.message}`}`);
+      return edits;
+    }
   };
 
   const handleDelete = (id: string) => {
@@ -93,18 +125,17 @@ export default function EntityPage() {
     setPagination({ page: 1 });
   };
 
-  const config = entityConfigs[entity];
-  if (!config) {
-    return <div>Invalid entity type</div>;
+  if (!schema) {
+    return isSchemaLoading ? <div className="loading-skeleton h-8 w-48" /> : <div>Invalid entity type</div>;
   }
 
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <div>
-          <h1 className="text-3xl font-bold text-gray-900 capitalize">{entity}</h1>
+          <h1 className="text-3xl font-bold text-gray-900 capitalize">{schema.label}</h1>
           <p className="text-gray-600 mt-1">
-            Manage your {entity} data
+            Manage your {schema.label.toLowerCase()} data
           </p>
         </div>
       </div>
@@ -145,10 +176,10 @@ export default function EntityPage() {
       <EntityTable
         entity={entity}
         data={entityData?.items || []}
-        columns={config.columns}
+        columns={getSchemaColumns(schema)}
         loading={isLoading}
-        onEdit={handleEdit}
         onDelete={handleDelete}
+        onSaveEdits={handleSaveEdits}
       />
 
       {/* Pagination */}
@@ -183,6 +214,9 @@ export default function EntityPage() {
           </div>
         </div>
       )}
+
+      {/* Near-duplicate review */}
+      <DuplicateReviewPanel key={entity} entity={entity} idField={schema.idField} />
     </div>
   );
 }
\ No newline at end of file
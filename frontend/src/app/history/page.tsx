@@ -0,0 +1,288 @@
+'use client';
+
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { snapshotService } from '../../../services/snapshots';
+import { CollectionDiff, Snapshot } from '../../../types';
+
+const reasonLabels: Record<Snapshot['reason'], string> = {
+  manual: 'Manual',
+  upload: 'Before upload',
+  'apply-fixes': 'Before fixes',
+  'pre-restore': 'Before restore',
+};
+
+const formatValue = (value: any) => {
+  if (value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+function DiffSection({ title, diff }: { title: string; diff: CollectionDiff }) {
+  const total = diff.added.length + diff.removed.length + diff.changed.length;
+
+  return (
+    <div className="border rounded-lg p-4">
+      <div className="flex items-center gap-2 mb-2">
+        <h4 className="font-semibold capitalize">{title}</h4>
+        <span className="px-2 py-1 text-xs bg-green-100 text-green-800 rounded-full">
+          +{diff.added.length}
+        </span>
+        <span className="px-2 py-1 text-xs bg-red-100 text-red-800 rounded-full">
+          -{diff.removed.length}
+        </span>
+        <span className="px-2 py-1 text-xs bg-yellow-100 text-yellow-800 rounded-full">
+          ~{diff.changed.length}
+        </span>
+      </div>
+
+      {total === 0 ? (
+        <p className="text-sm text-gray-500">No differences</p>
+      ) : (
+        <div className="space-y-1 text-sm max-h-64 overflow-y-auto">
+          {diff.added.map((item) => (
+            <div key={`added-${item.id}`} className="text-green-700 font-mono text-xs">
+              + {item.id}
+            </div>
+          ))}
+          {diff.removed.map((item) => (
+            <div key={`removed-${item.id}`} className="text-red-700 font-mono text-xs">
+              - {item.id}
+            </div>
+          ))}
+          {diff.changed.map((item) => (
+            <div key={`changed-${item.id}`} className="font-mono text-xs">
+              <span className="text-yellow-700">~ {item.id}</span>
+              {item.changes.map((change) => (
+                <div key={change.field} className="ml-4 text-gray-600">
+                  {change.field}: <span className="line-through">{formatValue(change.from)}</span>{' '}
+                  → {formatValue(change.to)}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function HistoryPage() {
+  const queryClient = useQueryClient();
+  const [label, setLabel] = useState('');
+  const [compareFrom, setCompareFrom] = useState<string | null>(null);
+  const [compareTo, setCompareTo] = useState('current');
+
+  const { data: snapshots, isLoading } = useQuery({
+    queryKey: ['snapshots'],
+    queryFn: snapshotService.getSnapshots,
+  });
+
+  const { data: diff, isFetching: isDiffLoading } = useQuery({
+    queryKey: ['snapshot-diff', compareFrom, compareTo],
+    queryFn: () => snapshotService.diffSnapshots(compareFrom as string, compareTo),
+    enabled: !!compareFrom,
+  });
+
+  const createMutation = useMutation({
+    mutationFn: (snapshotLabel?: string) => snapshotService.createSnapshot(snapshotLabel),
+    onSuccess: () => {
+      toast.success('Snapshot created');
+      queryClient.invalidateQueries({ queryKey: ['snapshots'] });
+      setLabel('');
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to create snapshot');
+    },
+  });
+
+  const restoreMutation = useMutation({
+    mutationFn: snapshotService.restoreSnapshot,
+    onSuccess: (result) => {
+      toast.success(`Restored "${result.restored.label}"`);
+      // Data, rules and priorities all changed
+      queryClient.invalidateQueries();
+      setCompareFrom(null);
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to restore snapshot');
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: snapshotService.deleteSnapshot,
+    onSuccess: (_, id) => {
+      toast.success('Snapshot deleted');
+      queryClient.invalidateQueries({ queryKey: ['snapshots'] });
+      if (compareFrom === id) setCompareFrom(null);
+      if (compareTo === id) setCompareTo('current');
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to delete snapshot');
+    },
+  });
+
+  const handleRestore = (snapshot: Snapshot) => {
+    if (confirm(`Roll back to "${snapshot.label}"? The current data is snapshotted first.`)) {
+      restoreMutation.mutate(snapshot.id);
+    }
+  };
+
+  const handleDelete = (snapshot: Snapshot) => {
+    if (confirm(`Delete snapshot "${snapshot.label}"?`)) {
+      deleteMutation.mutate(snapshot.id);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">History</h1>
+          <p className="text-gray-600 mt-1">
+            Browse dataset snapshots, compare them and roll back
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="Snapshot label (optional)"
+            className="input-field"
+          />
+          <button
+            onClick={() => createMutation.mutate(label.trim() || undefined)}
+            className="btn-primary whitespace-nowrap"
+            disabled={createMutation.isPending}
+          >
+            {createMutation.isPending ? 'Saving...' : 'Take Snapshot'}
+          </button>
+        </div>
+      </div>
+
+      {/* Snapshots List */}
+      <div className="card">
+        <h3 className="text-lg font-semibold mb-4">Snapshots</h3>
+        {isLoading ? (
+          <div className="space-y-4">
+            {[1, 2, 3].map((i) => (
+              <div key={i} className="loading-skeleton h-16"></div>
+            ))}
+          </div>
+        ) : snapshots && snapshots.length > 0 ? (
+          <div className="space-y-3">
+            {snapshots.map((snapshot) => (
+              <div
+                key={snapshot.id}
+                className={`border rounded-lg p-4 transition-colors ${
+                  compareFrom === snapshot.id ? 'border-blue-400 bg-blue-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                <div className="flex justify-between items-start">
+                  <div className="flex-1">
+                    <div className="flex items-center gap-2 mb-1">
+                      <h4 className="font-semibold">{snapshot.label}</h4>
+                      <span className="px-2 py-1 text-xs bg-purple-100 text-purple-800 rounded-full">
+                        {reasonLabels[snapshot.reason] || snapshot.reason}
+                      </span>
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {new Date(snapshot.createdAt).toLocaleString()} |{' '}
+                      {snapshot.recordCounts.clients ?? 0} clients |{' '}
+                      {snapshot.recordCounts.workers ?? 0} workers |{' '}
+                      {snapshot.recordCounts.tasks ?? 0} tasks | {snapshot.rulesCount} rules
+                    </div>
+                  </div>
+                  <div className="flex gap-2 ml-4">
+                    <button
+                      onClick={() => setCompareFrom(snapshot.id)}
+                      className="btn-secondary text-sm"
+                    >
+                      Compare
+                    </button>
+                    <button
+                      onClick={() => handleRestore(snapshot)}
+                      className="btn-primary text-sm"
+                      disabled={restoreMutation.isPending}
+                    >
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => handleDelete(snapshot)}
+                      className="text-red-600 hover:text-red-800 text-sm px-3"
+                      disabled={deleteMutation.isPending}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-gray-500">
+            No snapshots yet. They are taken automatically before uploads and bulk fixes.
+          </p>
+        )}
+      </div>
+
+      {/* Diff Viewer */}
+      {compareFrom && (
+        <div className="card space-y-4">
+          <div className="flex justify-between items-center">
+            <h3 className="text-lg font-semibold">Changes</h3>
+            <div className="flex items-center gap-2 text-sm">
+              <span className="text-gray-600">Compared with</span>
+              <select
+                value={compareTo}
+                onChange={(e) => setCompareTo(e.target.value)}
+                className="input-field py-1"
+              >
+                <option value="current">Current data</option>
+                {snapshots
+                  ?.filter((snapshot) => snapshot.id !== compareFrom)
+                  .map((snapshot) => (
+                    <option key={snapshot.id} value={snapshot.id}>
+                      {snapshot.label} ({new Date(snapshot.createdAt).toLocaleString()})
+                    </option>
+                  ))}
+              </select>
+              <button onClick={() => setCompareFrom(null)} className="btn-secondary text-sm">
+                Close
+              </button>
+            </div>
+          </div>
+
+          {isDiffLoading || !diff ? (
+            <div className="loading-skeleton h-32"></div>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600">
+                {diff.summary.added} added, {diff.summary.removed} removed,{' '}
+                {diff.summary.changed} changed
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {Object.entries(diff.entities).map(([entity, entityDiff]) => (
+                  <DiffSection key={entity} title={entity} diff={entityDiff} />
+                ))}
+                <DiffSection title="rules" diff={diff.rules} />
+              </div>
+              {diff.priorities.length > 0 && (
+                <div className="border rounded-lg p-4 text-sm">
+                  <h4 className="font-semibold mb-2">Priorities</h4>
+                  {diff.priorities.map((change) => (
+                    <div key={change.field} className="font-mono text-xs text-gray-600">
+                      {change.field}: {formatValue(change.from)} → {formatValue(change.to)}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
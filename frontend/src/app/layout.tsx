@@ -4,6 +4,7 @@ import { Metadata } from 'next';
 import './globals.css';
 import Navbar from '../../components/layout/Navbar';
 import QueryProvider from '../../components/providers/QueryProvider';
+import UndoRedoShortcuts from '../../components/layout/UndoRedoShortcuts';
 
 const inter = Inter({ subsets: ['latin'] });
 
@@ -21,6 +22,7 @@ export default function RootLayout({
     <html lang="en">
       <body className={inter.className}>
         <QueryProvider>
+          <UndoRedoShortcuts />
           <div className="min-h-screen bg-gray-50">
             <Navbar />
             <main className="container mx-auto px-4 py-8">
@@ -59,7 +59,7 @@ export default function Dashboard() {
   const quickActions = [
     { 
       title: 'Upload Files',
-      description: 'Upload CSV/XLSX files to start processing',
+      description: 'Upload CSV, XLSX or JSON files to start processing',
       href: '/upload',
       icon: '📁'
     },
@@ -1,9 +1,11 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { systemService, validationService } from '../../../services/api';
+import { systemService, validationService, getActorName, setActorName, getAuthToken, setAuthToken } from '../../../services/api';
 import { rulesService } from '../../../services/rules';
 import { uploadService } from '../../../services/upload';
+import MappingProfilesPanel from '../../../components/MappingProfilesPanel';
+import WritePolicyPanel from '../../../components/WritePolicyPanel';
 
 interface HealthStatus {
   status: string;
@@ -67,6 +69,8 @@ export default function SettingsPage() {
   const [loading, setLoading] = useState(true);
   const [updating, setUpdating] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState<boolean | null>(null);
+  const [actorName, setActorNameInput] = useState('');
+  const [authToken, setAuthTokenInput] = useState('');
 
   const loadSystemStatus = async () => {
     setLoading(true);
@@ -169,8 +173,20 @@ export default function SettingsPage() {
     loadSystemStatus();
   };
 
+  const saveActorName = () => {
+    setActorName(actorName.trim());
+    alert('Name saved. Your changes will be attributed to it in the audit trail.');
+  };
+
+  const saveAuthToken = () => {
+    setAuthToken(authToken.trim());
+    alert(authToken.trim() ? 'Token saved. Requests are now signed in as its actor.' : 'Token removed.');
+  };
+
   useEffect(() => {
     loadSystemStatus();
+    setActorNameInput(getActorName());
+    setAuthTokenInput(getAuthToken());
   }, []);
 
   const StatusBadge = ({ status, label }: { status: boolean | string; label: string }) => (
@@ -491,6 +507,49 @@ export default function SettingsPage() {
         </div>
       </div>
 
+      {/* Audit Identity */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold">👤 Audit Identity</h2>
+          <p className="text-sm text-gray-600">Name recorded with your data and rule changes</p>
+        </div>
+        <div className="card-body">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={actorName}
+              onChange={(e) => setActorNameInput(e.target.value)}
+              placeholder="e.g. alice@example.com"
+              className="input-field flex-1"
+            />
+            <button onClick={saveActorName} className="btn btn-primary">
+              Save Name
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mt-4 mb-2">
+            Admin token (from <code>node create-auth-token.js</code>), needed to change write policies and force rejected saves
+          </p>
+          <div className="flex gap-2">
+            <input
+              type="password"
+              value={authToken}
+              onChange={(e) => setAuthTokenInput(e.target.value)}
+              placeholder="Signed token"
+              className="input-field flex-1"
+            />
+            <button onClick={saveAuthToken} className="btn btn-primary">
+              Save Token
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Header Mapping Profiles */}
+      <MappingProfilesPanel />
+
+      {/* Validate-on-Write Policy */}
+      <WritePolicyPanel />
+
       {/* Environment Information */}
       <div className="card">
         <div className="card-header">
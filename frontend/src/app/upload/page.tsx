@@ -4,39 +4,125 @@ import { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useDropzone } from 'react-dropzone';
 import toast from 'react-hot-toast';
-import { uploadService, EntityType } from '../../../services/upload';
+import { uploadService, EntityType, StagedUploadCommitRequest } from '../../../services/upload';
+import { entityTypeService } from '../../../services/entityTypes';
 import { useUploadStore } from '../../../store/useUploadStore';
+import MappingWizard from '../../../components/MappingWizard';
+import { StagedUpload, StagedUploadCommit, UploadProgress } from '../../../types';
 
 export default function UploadPage() {
   const queryClient = useQueryClient();
   const { files, addFile, removeFile, setUploadProgress } = useUploadStore();
   const [selectedDataType, setSelectedDataType] = useState<EntityType>('clients');
+  // Route each sheet of a workbook (or file of a .zip) to the entity its columns fit best
+  const [autoDetect, setAutoDetect] = useState(false);
+  // Files waiting for their column mapping to be confirmed, reviewed one at a time
+  const [stagedUploads, setStagedUploads] = useState<StagedUpload[]>([]);
+  const currentStaged = stagedUploads[0];
+  const [lastCommittedEntity, setLastCommittedEntity] = useState<EntityType | null>(null);
+  // Skipped and coerced rows of the last import, listed in its ingestion report
+  const [lastCommit, setLastCommit] = useState<StagedUploadCommit | null>(null);
+  // Parsing progress of files being staged, by upload id
+  const [liveProgress, setLiveProgress] = useState<Record<string, UploadProgress>>({});
   
   const { data: uploadedFiles, isLoading } = useQuery({
     queryKey: ['uploaded-files'],
     queryFn: uploadService.getUploadedFiles,
   });
 
-  const uploadMutation = useMutation({
-    mutationFn: ({ file, entityType }: { file: File; entityType: EntityType }) => 
-      uploadService.uploadFile(file, entityType),
-    onSuccess: (data, variables) => {
-      addFile(data);
-      toast.success(`${variables.entityType} file uploaded successfully!`);
+  const { data: entityTypes } = useQuery({
+    queryKey: ['entity-types'],
+    queryFn: entityTypeService.getEntityTypes,
+  });
+
+  // Step 1: parse the file and get a proposed column mapping, without touching the data
+  const stageMutation = useMutation({
+    mutationFn: async ({ file, entityType }: { file: File; entityType: EntityType }) => {
+      const uploadId = crypto.randomUUID();
+      const stopWatching = uploadService.watchUploadProgress(uploadId, (progress) =>
+        setLiveProgress((prev) => ({ ...prev, [uploadId]: progress }))
+      );
+      try {
+        return await uploadService.stageFile(file, entityType, uploadId);
+      } finally {
+        stopWatching();
+        setLiveProgress((prev) => Object.fromEntries(Object.entries(prev).filter(([id]) => id !== uploadId)));
+      }
+    },
+    onSuccess: (staged) => {
+      setLastCommittedEntity(null);
+      setStagedUploads((prev) => [...prev, staged]);
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.error?.message || error.response?.data?.message || 'Upload failed');
+    },
+  });
+
+  // Step 1 without a data type: every sheet or file is staged under its detected entity
+  const stageDetectedMutation = useMutation({
+    mutationFn: (file: File) => uploadService.stageDetectedFile(file),
+    onSuccess: (stagedTables) => {
+      setLastCommittedEntity(null);
+      setStagedUploads((prev) => [...prev, ...stagedTables]);
+      if (stagedTables.length > 1) {
+        toast.success(`${stagedTables.length} tables found, review each mapping below`);
+      }
+    },
+    onError: (error: any) => {
+      const details = error.response?.data?.error?.details;
+      toast.error(typeof details === 'string' ? details : error.response?.data?.error?.message || 'Upload failed');
+    },
+  });
+  const isStaging = stageMutation.isPending || stageDetectedMutation.isPending;
+  const parsingProgress = Object.values(liveProgress).filter((progress) => progress.status !== 'pending');
+
+  // Step 2: replace the entity data using the confirmed mapping
+  const commitMutation = useMutation({
+    mutationFn: ({ staged, commit }: { staged: StagedUpload; commit: StagedUploadCommitRequest }) =>
+      uploadService.commitStagedUpload(staged.id, commit),
+    onSuccess: (result, variables) => {
+      addFile({
+        filename: result.fileName,
+        originalName: result.fileName,
+        size: variables.staged.size,
+        uploadedAt: new Date().toISOString(),
+        status: 'completed',
+      });
+      setStagedUploads((prev) => prev.filter((staged) => staged.id !== variables.staged.id));
+      setLastCommittedEntity(result.entity);
+      setLastCommit(result);
+      const { inserted, updated, deleted } = result.changes;
+      toast.success(
+        result.changes.mode === 'replace'
+          ? `${result.recordCount} ${result.entity} records imported`
+          : `${result.entity}: ${inserted.count} added, ${updated.count} updated, ${deleted.count} deleted`
+      );
+      if (result.savedProfile) {
+        toast.success(`Mapping saved as profile "${result.savedProfile.name}"`);
+        queryClient.invalidateQueries({ queryKey: ['mapping-profiles'] });
+      }
       
       // Invalidate relevant queries to refresh data
       queryClient.invalidateQueries({ queryKey: ['uploaded-files'] });
-      queryClient.invalidateQueries({ queryKey: ['entities', variables.entityType] });
-      queryClient.invalidateQueries({ queryKey: ['entity-stats', variables.entityType] });
+      queryClient.invalidateQueries({ queryKey: ['entities', result.entity] });
+      queryClient.invalidateQueries({ queryKey: ['entity-stats', result.entity] });
       
       // Also invalidate dashboard stats
       queryClient.invalidateQueries({ queryKey: ['entity-stats'] });
     },
     onError: (error: any) => {
-      toast.error(error.response?.data?.message || 'Upload failed');
+      const details = error.response?.data?.error?.details;
+      toast.error(typeof details === 'string' ? details : error.response?.data?.error?.message || 'Import failed');
     },
   });
 
+  const handleCancelStaged = (staged: StagedUpload) => {
+    setStagedUploads((prev) => prev.filter((item) => item.id !== staged.id));
+    uploadService.discardStagedUpload(staged.id).catch(() => {
+      // Unconfirmed uploads expire on the server anyway
+    });
+  };
+
   const deleteMutation = useMutation({
     mutationFn: uploadService.deleteFile,
     onSuccess: (_, filename) => {
@@ -52,13 +138,21 @@ export default function UploadPage() {
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     accept: {
       'text/csv': ['.csv'],
+      'text/tab-separated-values': ['.tsv'],
+      'application/json': ['.json'],
+      'application/x-ndjson': ['.ndjson', '.jsonl'],
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
       'application/vnd.ms-excel': ['.xls'],
+      ...(autoDetect ? { 'application/zip': ['.zip'] } : {}),
     },
     maxSize: 10 * 1024 * 1024, // 10MB
     onDrop: (acceptedFiles) => {
       acceptedFiles.forEach((file) => {
-        uploadMutation.mutate({ file, entityType: selectedDataType });
+        if (autoDetect) {
+          stageDetectedMutation.mutate(file);
+        } else {
+          stageMutation.mutate({ file, entityType: selectedDataType });
+        }
       });
     },
     onDropRejected: (rejectedFiles) => {
@@ -79,6 +173,13 @@ export default function UploadPage() {
     { value: 'clients' as EntityType, label: 'Clients', description: 'Client information and budgets' },
     { value: 'workers' as EntityType, label: 'Workers', description: 'Worker profiles and skills' },
     { value: 'tasks' as EntityType, label: 'Tasks', description: 'Task assignments and status' },
+    ...(entityTypes || [])
+      .filter((type) => !type.builtIn)
+      .map((type) => ({
+        value: type.id as EntityType,
+        label: type.label,
+        description: `Custom type keyed by ${type.idField}`,
+      })),
   ];
 
   return (
@@ -86,7 +187,7 @@ export default function UploadPage() {
       <div>
         <h1 className="text-3xl font-bold text-gray-900">Upload Files</h1>
         <p className="text-gray-600 mt-2">
-          Upload CSV or XLSX files for processing. Select the data type and upload your files.
+          Upload CSV, TSV, XLSX, JSON or NDJSON files for processing. Select the data type and upload your files.
         </p>
       </div>
 
@@ -94,11 +195,29 @@ export default function UploadPage() {
       <div className="card">
         <h3 className="text-lg font-semibold mb-4">Select Data Type</h3>
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <label
+            className={`p-4 border rounded-lg cursor-pointer transition-colors ${
+              autoDetect ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-gray-400'
+            }`}
+          >
+            <input
+              type="radio"
+              name="dataType"
+              value="auto"
+              checked={autoDetect}
+              onChange={() => setAutoDetect(true)}
+              className="sr-only"
+            />
+            <div className="text-center">
+              <h4 className="font-medium text-gray-900">Auto-detect</h4>
+              <p className="text-sm text-gray-600 mt-1">One workbook or .zip, each sheet routed by its columns</p>
+            </div>
+          </label>
           {dataTypeOptions.map((option) => (
             <label
               key={option.value}
               className={`p-4 border rounded-lg cursor-pointer transition-colors ${
-                selectedDataType === option.value
+                !autoDetect && selectedDataType === option.value
                   ? 'border-blue-500 bg-blue-50'
                   : 'border-gray-300 hover:border-gray-400'
               }`}
@@ -107,8 +226,11 @@ export default function UploadPage() {
                 type="radio"
                 name="dataType"
                 value={option.value}
-                checked={selectedDataType === option.value}
-                onChange={(e) => setSelectedDataType(e.target.value as EntityType)}
+                checked={!autoDetect && selectedDataType === option.value}
+                onChange={(e) => {
+                  setSelectedDataType(e.target.value as EntityType);
+                  setAutoDetect(false);
+                }}
                 className="sr-only"
               />
               <div className="text-center">
@@ -137,13 +259,16 @@ export default function UploadPage() {
           ) : (
             <div>
               <p className="text-gray-600 mb-2">
-                Drag & drop {selectedDataType} files here, or click to select files
+                Drag & drop {autoDetect ? 'a workbook or .zip' : `${selectedDataType} files`} here, or click to select files
               </p>
               <p className="text-sm text-gray-500">
-                Supports CSV and XLSX files up to 10MB
+                Supports CSV, TSV, XLSX, JSON and NDJSON files{autoDetect ? ' and .zip archives of them' : ''} up to 10MB
               </p>
               <p className="text-sm text-blue-600 mt-2">
-                Selected data type: <strong>{dataTypeOptions.find(opt => opt.value === selectedDataType)?.label}</strong>
+                Selected data type:{' '}
+                <strong>
+                  {autoDetect ? 'Auto-detect' : dataTypeOptions.find(opt => opt.value === selectedDataType)?.label}
+                </strong>
               </p>
             </div>
           )}
@@ -151,28 +276,77 @@ export default function UploadPage() {
       </div>
 
       {/* Upload Progress */}
-      {uploadMutation.isPending && (
+      {isStaging && (
         <div className="card">
-          <h3 className="font-semibold mb-4">Uploading {selectedDataType} data...</h3>
-          <div className="bg-gray-200 rounded-full h-2">
-            <div className="bg-blue-600 h-2 rounded-full animate-pulse w-1/2"></div>
-          </div>
-          <p className="text-sm text-gray-600 mt-2">
-            Processing file and storing data...
-          </p>
+          <h3 className="font-semibold mb-4">Uploading {autoDetect ? 'file' : `${selectedDataType} data`}...</h3>
+          {parsingProgress.length > 0 ? (
+            <div className="space-y-4">
+              {parsingProgress.map((progress) => {
+                const errorCount = (progress.errors?.parse || 0) + (progress.errors?.rejected || 0);
+                return (
+                  <div key={progress.uploadId}>
+                    <div className="flex justify-between text-sm text-gray-700 mb-1">
+                      <span>{progress.fileName || 'Reading file'}</span>
+                      <span>{progress.percent || 0}%</span>
+                    </div>
+                    <div className="bg-gray-200 rounded-full h-2">
+                      <div
+                        className={`h-2 rounded-full transition-all ${progress.status === 'failed' ? 'bg-red-600' : 'bg-blue-600'}`}
+                        style={{ width: `${progress.percent || 0}%` }}
+                      ></div>
+                    </div>
+                    <p className="text-sm text-gray-600 mt-2">
+                      {(progress.rowsParsed || 0).toLocaleString()} rows parsed
+                      {errorCount > 0 && <span className="text-red-600"> • {errorCount} errors</span>}
+                      {progress.etaSeconds ? ` • about ${progress.etaSeconds}s left` : ''}
+                    </p>
+                  </div>
+                );
+              })}
+            </div>
+          ) : (
+            <>
+              <div className="bg-gray-200 rounded-full h-2">
+                <div className="bg-blue-600 h-2 rounded-full animate-pulse w-1/2"></div>
+              </div>
+              <p className="text-sm text-gray-600 mt-2">
+                Reading file and matching its columns...
+              </p>
+            </>
+          )}
         </div>
       )}
 
+      {/* Column Mapping */}
+      {currentStaged && (
+        <MappingWizard
+          key={currentStaged.id}
+          staged={currentStaged}
+          entityOptions={dataTypeOptions}
+          onConfirm={(commit) => commitMutation.mutate({ staged: currentStaged, commit })}
+          onCancel={() => handleCancelStaged(currentStaged)}
+          isSaving={commitMutation.isPending}
+        />
+      )}
+
       {/* Success Message */}
-      {uploadMutation.isSuccess && (
+      {lastCommittedEntity && !currentStaged && (
         <div className="card bg-green-50 border-green-200">
           <div className="flex items-center">
             <div className="text-green-600 text-xl mr-3">✅</div>
             <div>
               <h3 className="font-semibold text-green-800">Upload Successful!</h3>
               <p className="text-green-700 text-sm">
-                Your {selectedDataType} data has been processed and is now available in the data section.
+                Your {lastCommittedEntity} data has been processed and is now available in the data section.
               </p>
+              {lastCommit?.uploadId && (lastCommit.skippedRows > 0 || lastCommit.coercedRows > 0) && (
+                <p className="text-green-700 text-sm mt-1">
+                  {lastCommit.skippedRows} rows skipped, {lastCommit.coercedRows} rows adjusted.{' '}
+                  <a href={uploadService.getIngestionReportUrl(lastCommit.uploadId)} className="underline">
+                    Download the row report
+                  </a>
+                </p>
+              )}
             </div>
           </div>
         </div>
@@ -0,0 +1,202 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { workspaceService } from '../../../services/workspaces';
+import {
+  DEFAULT_WORKSPACE_ID,
+  getActiveWorkspaceId,
+  setActiveWorkspaceId,
+} from '../../../services/api';
+import { Workspace } from '../../../types';
+
+export default function WorkspacesPage() {
+  const queryClient = useQueryClient();
+  const [activeId, setActiveId] = useState<string>(DEFAULT_WORKSPACE_ID);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+
+  useEffect(() => {
+    setActiveId(getActiveWorkspaceId());
+  }, []);
+
+  const { data: workspaces, isLoading } = useQuery({
+    queryKey: ['workspaces'],
+    queryFn: workspaceService.getWorkspaces,
+  });
+
+  const createMutation = useMutation({
+    mutationFn: workspaceService.createWorkspace,
+    onSuccess: (workspace) => {
+      toast.success(`Workspace "${workspace.name}" created`);
+      queryClient.invalidateQueries({ queryKey: ['workspaces'] });
+      setName('');
+      setDescription('');
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to create workspace');
+    },
+  });
+
+  const cloneMutation = useMutation({
+    mutationFn: (id: string) => workspaceService.cloneWorkspace(id),
+    onSuccess: (workspace) => {
+      toast.success(`Workspace cloned as "${workspace.name}"`);
+      queryClient.invalidateQueries({ queryKey: ['workspaces'] });
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to clone workspace');
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: workspaceService.deleteWorkspace,
+    onSuccess: (_, id) => {
+      toast.success('Workspace deleted');
+      if (id === activeId) {
+        handleSwitch(DEFAULT_WORKSPACE_ID);
+        return;
+      }
+      queryClient.invalidateQueries({ queryKey: ['workspaces'] });
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to delete workspace');
+    },
+  });
+
+  const handleCreate = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      toast.error('Workspace name is required');
+      return;
+    }
+    createMutation.mutate({ name: name.trim(), description: description.trim() });
+  };
+
+  const handleSwitch = (id: string) => {
+    setActiveWorkspaceId(id);
+    // Reload so every page and store picks up the new workspace's data
+    window.location.reload();
+  };
+
+  const handleDelete = (workspace: Workspace) => {
+    if (confirm(`Delete workspace "${workspace.name}" with all its data and rules?`)) {
+      deleteMutation.mutate(workspace.id);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Workspaces</h1>
+        <p className="text-gray-600 mt-1">
+          Each workspace keeps its own data, rules, priorities and validation results
+        </p>
+      </div>
+
+      {/* Create Workspace */}
+      <div className="card">
+        <h3 className="text-lg font-semibold mb-4">Create Workspace</h3>
+        <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name (e.g. Portfolio A)"
+            className="input-field"
+          />
+          <input
+            type="text"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder="Description (optional)"
+            className="input-field"
+          />
+          <button
+            type="submit"
+            className="btn-primary"
+            disabled={createMutation.isPending}
+          >
+            {createMutation.isPending ? 'Creating...' : 'Create Workspace'}
+          </button>
+        </form>
+      </div>
+
+      {/* Workspaces List */}
+      <div className="card">
+        <h3 className="text-lg font-semibold mb-4">All Workspaces</h3>
+        {isLoading ? (
+          <div className="space-y-4">
+            {[1, 2].map((i) => (
+              <div key={i} className="loading-skeleton h-20"></div>
+            ))}
+          </div>
+        ) : workspaces && workspaces.length > 0 ? (
+          <div className="space-y-4">
+            {workspaces.map((workspace) => (
+              <div
+                key={workspace.id}
+                className="border rounded-lg p-4 hover:bg-gray-50 transition-colors"
+              >
+                <div className="flex justify-between items-start">
+                  <div className="flex-1">
+                    <div className="flex items-center gap-2 mb-1">
+                      <h4 className="font-semibold">{workspace.name}</h4>
+                      <span className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded-full font-mono">
+                        {workspace.id}
+                      </span>
+                      {workspace.id === activeId && (
+                        <span className="px-2 py-1 text-xs bg-green-100 text-green-800 rounded-full">
+                          Active
+                        </span>
+                      )}
+                    </div>
+                    {workspace.description && (
+                      <p className="text-gray-600 text-sm mb-2">{workspace.description}</p>
+                    )}
+                    <div className="text-xs text-gray-500">
+                      {workspace.stats.recordCounts.clients ?? 0} clients |{' '}
+                      {workspace.stats.recordCounts.workers ?? 0} workers |{' '}
+                      {workspace.stats.recordCounts.tasks ?? 0} tasks |{' '}
+                      {workspace.stats.rulesCount} rules | Created:{' '}
+                      {new Date(workspace.createdAt).toLocaleDateString()}
+                    </div>
+                  </div>
+                  <div className="flex gap-2 ml-4">
+                    {workspace.id !== activeId && (
+                      <button
+                        onClick={() => handleSwitch(workspace.id)}
+                        className="btn-primary text-sm"
+                      >
+                        Switch
+                      </button>
+                    )}
+                    <button
+                      onClick={() => cloneMutation.mutate(workspace.id)}
+                      className="btn-secondary text-sm"
+                      disabled={cloneMutation.isPending}
+                    >
+                      Clone
+                    </button>
+                    {workspace.id !== DEFAULT_WORKSPACE_ID && (
+                      <button
+                        onClick={() => handleDelete(workspace)}
+                        className="text-red-600 hover:text-red-800 text-sm px-3"
+                        disabled={deleteMutation.isPending}
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-gray-500">No workspaces found</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,74 +1,48 @@
-// Core entity types - updated to match backend structure
+// Core entity types - fields follow the backend schema registry (GET /api/schema).
+// Uploaded files may carry extra columns, which pass through untouched.
+export interface RecordMetadata {
+  processedAt: string;
+  source: string;
+  entity: string;
+  version?: number;
+}
+
 export interface Client {
   id?: string;
-  ClientID: number;
+  ClientID: string;
   ClientName: string;
-  ClientEmail: string;
   PriorityLevel: number;
-  Budget: number;
-  _metadata?: {
-    processedAt: string;
-    source: string;
-    entity: string;
-  };
-  // Legacy fields for compatibility
-  name?: string;
-  email?: string;
-  priority?: number;
-  createdAt?: string;
-  updatedAt?: string;
+  RequestedTaskIDs?: string[];
+  GroupTag?: string;
+  AttributesJSON?: Record<string, any>;
+  _metadata?: RecordMetadata;
+  [key: string]: any;
   }
   
   export interface Worker {
   id?: string;
-  WorkerID: number;
+  WorkerID: string;
   WorkerName: string;
-  WorkerEmail: string;
   Skills: string[];
-  HourlyRate: number;
-  Availability: 'available' | 'busy' | 'unavailable';
-  _metadata?: {
-    processedAt: string;
-    source: string;
-    entity: string;
-  };
-  // Legacy fields for compatibility
-  name?: string;
-  email?: string;
-  skills?: string[];
-  hourlyRate?: number;
-  availability?: 'available' | 'busy' | 'unavailable';
-  createdAt?: string;
-  updatedAt?: string;
+  AvailableSlots: number[];
+  MaxLoadPerPhase: number;
+  WorkerGroup?: string;
+  QualificationLevel?: string;
+  _metadata?: RecordMetadata;
+  [key: string]: any;
   }
   
   export interface Task {
   id?: string;
-  TaskID: number;
-  TaskTitle: string;
-  TaskDescription: string;
-  ClientID: number;
-  WorkerID?: number;
-  PriorityLevel: number;
-  EstimatedHours: number;
-  Status: 'pending' | 'in_progress' | 'completed' | 'cancelled';
-  Deadline: string;
-  _metadata?: {
-    processedAt: string;
-    source: string;
-    entity: string;
-  };
-  // Legacy fields for compatibility
-  title?: string;
-  description?: string;
-  clientId?: string;
-    workerId?: string;
-  priority?: number;
-  estimatedHours?: number;
-  status?: 'pending' | 'in_progress' | 'completed' | 'cancelled';
-  deadline?: string;
-  createdAt?: string;
-  updatedAt?: string;
+  TaskID: string;
+  TaskName: string;
+  Category?: string;
+  Duration: number;
+  RequiredSkills: string[];
+  PreferredPhases?: number[];
+  MaxConcurrent?: number;
+  _metadata?: RecordMetadata;
+  [key: string]: any;
   }
   
   export interface Rule {
@@ -82,6 +56,10 @@ export interface Client {
     type: string;
     createdAt: string;
     updatedAt: string;
+    metadata?: {
+      version?: number;
+      [key: string]: any;
+    };
   }
   
   // API response types
@@ -137,6 +115,205 @@ export interface BackendPaginatedResponse<T> {
     message?: string;
   }
   
+  // Two-phase upload: a column's proposed target field ('exact' name, 'alias' or saved 'profile')
+  export type HeaderMatchKind = 'exact' | 'alias' | 'fuzzy' | 'shape' | 'profile';
+
+  export interface HeaderCandidate {
+    field: string;
+    score: number;
+    matchedBy: HeaderMatchKind;
+  }
+
+  export interface StagedColumn {
+    source: string;
+    target: string | null;
+    confidence: number;
+    matchedBy: HeaderMatchKind | null;
+    ignored?: boolean; // dropped by the mapping profile
+    candidates: HeaderCandidate[]; // ranked, best first
+    samples: any[];
+  }
+
+  export interface MappingProfileMatch {
+    id: string;
+    name: string;
+    score: number;
+  }
+
+  export interface EntityRanking {
+    entity: EntityType;
+    score: number;
+    confidence: number;
+    mappedColumns: number;
+  }
+
+  export interface EntityClassification {
+    entity: EntityType | null; // null when the columns fit no entity or two equally well
+    confidence: number;
+    ranking: EntityRanking[];
+  }
+
+  // How a CSV file was read; detected unless overridden on upload
+  export interface CsvDialect {
+    encoding: 'utf-8' | 'utf-16le' | 'utf-16be' | 'windows-1252';
+    bom: boolean;
+    delimiter: ',' | ';' | '\t' | '|';
+    quoteChar: '"' | "'";
+    decimalSeparator: '.' | ',';
+    decimalColumns: string[];
+  }
+
+  export interface StagedUpload {
+    id: string;
+    entity: EntityType;
+    detectedEntity: EntityType | null;
+    classification: EntityClassification;
+    batchId: string | null; // shared by the sheets and files of one workbook or .zip
+    fileName: string;
+    sheetName: string | null;
+    size: number;
+    rowCount: number;
+    headers: string[];
+    parseErrors: number;
+    dialect: CsvDialect | null; // null for workbooks
+    warnings: string[];
+    createdAt: string;
+    expiresAt: string;
+    profile: MappingProfileMatch | null;
+    columns: StagedColumn[];
+    unmappedColumns: string[];
+    missingRequired: string[];
+    missingIdentifier: boolean;
+  }
+
+  // Column -> schema field, the column itself (kept as an extra column) or null (dropped)
+  export type ColumnMapping = Record<string, string | null>;
+
+  // How an upload combines with the stored records
+  export type UploadMode = 'replace' | 'upsert' | 'append' | 'sync';
+
+  export interface ChangeBucket {
+    count: number;
+    ids: string[];
+  }
+
+  export interface UploadChangeSummary {
+    mode: UploadMode;
+    inserted: ChangeBucket;
+    updated: ChangeBucket & { changes: Record<string, string[]> }; // ID -> changed fields
+    unchanged: ChangeBucket;
+    deleted: ChangeBucket;
+    skipped: ChangeBucket; // append: IDs already stored
+    totalBefore: number;
+    totalAfter: number;
+  }
+
+  export interface StagedUploadPreview {
+    entity: EntityType;
+    fileName: string;
+    recordCount: number;
+    skippedRows: number;
+    coercedRows: number; // kept with values clamped, defaulted or dropped
+    mapping: ColumnMapping;
+    changes: UploadChangeSummary;
+    duplicates: DuplicateCluster[]; // near-duplicates the rows would bring in
+  }
+
+  export interface StagedUploadCommit extends StagedUploadPreview {
+    profile: MappingProfileMatch | null;
+    savedProfile: MappingProfile | null;
+    snapshotId: string;
+    uploadId: string | null; // ingestion report of the upload
+  }
+
+  // Live progress of a streamed upload, pushed as server-sent events under its upload id
+  export interface UploadProgress {
+    uploadId: string;
+    status: 'pending' | 'parsing' | 'done' | 'failed';
+    fileName?: string | null;
+    entity?: EntityType | null;
+    filesTotal?: number;
+    filesDone?: number;
+    rowsParsed?: number;
+    rowsAccepted?: number;
+    errors?: { parse: number; rejected: number; fieldIssues: number };
+    bytesTotal?: number;
+    bytesRead?: number;
+    percent?: number;
+    etaSeconds?: number | null;
+    message?: string | null;
+  }
+
+  export type IngestionReportKind = 'parse_error' | 'rejected' | 'coerced';
+
+  export interface IngestionCoercion {
+    field: string;
+    rule: 'clamp' | 'default' | 'invalid_json' | 'dropped_items';
+    from: any;
+    to: any;
+    message: string;
+  }
+
+  export interface IngestionCounts {
+    rows: number;
+    parseErrors: number;
+    rejected: number;
+    coerced: number;
+  }
+
+  // A row of an upload that could not be read, was rejected or had values changed
+  export interface IngestionReportEntry {
+    fileName: string;
+    sheetName: string | null;
+    entity: EntityType | null;
+    kind: IngestionReportKind;
+    line: number | null; // line (or sheet row) of the source file
+    row: number | null; // 1-based data row
+    reason: string;
+    coercions: IngestionCoercion[];
+    raw: any;
+  }
+
+  export interface IngestionReport {
+    uploadId: string;
+    createdAt: string;
+    updatedAt: string;
+    totals: IngestionCounts;
+    files: (IngestionCounts & { fileName: string; sheetName: string | null; entity: EntityType | null })[];
+    entries: IngestionReportEntry[];
+    truncated: boolean; // entries stop at the server's limit; counts stay exact
+  }
+
+  // Value transform of a mapping profile, applied before schema normalization
+  export interface ProfileTransform {
+    type: 'trim' | 'uppercase' | 'lowercase' | 'prefix' | 'suffix' | 'replace' | 'map' | 'multiply';
+    value?: string;
+    pattern?: string;
+    replacement?: string;
+    flags?: string;
+    values?: Record<string, any>;
+    factor?: number;
+  }
+
+  // Saved header mapping of a recurring data source
+  export interface MappingProfile {
+    id: string;
+    name: string;
+    description: string;
+    entity: EntityType;
+    headers: string[];
+    signature: string[];
+    mapping: ColumnMapping;
+    aliases: Record<string, string>;
+    transforms: Record<string, ProfileTransform[]>;
+    defaults: Record<string, any>;
+    createdAt: string;
+    createdBy: string;
+    updatedAt: string;
+    lastUsedAt: string | null;
+    useCount: number;
+  }
+
   // AI types
   export interface AIQueryResult {
   success: boolean;
@@ -190,8 +367,316 @@ export interface BackendPaginatedResponse<T> {
   costWeight: number;
   }
   
-  // Entity types union
-  export type EntityType = 'clients' | 'workers' | 'tasks';
+  // Workspace (isolated dataset with its own data, rules and priorities)
+  export interface Workspace {
+    id: string;
+    name: string;
+    description: string;
+    createdAt: string;
+    storage: string;
+    stats: {
+      totalRecords: number;
+      recordCounts: Record<string, number>;
+      rulesCount: number;
+      lastUpdated: number;
+    };
+  }
+
+  // Point-in-time snapshot of all entities, rules and priorities
+  export interface Snapshot {
+    id: string;
+    label: string;
+    reason: 'manual' | 'upload' | 'apply-fixes' | 'pre-restore';
+    createdAt: string;
+    recordCounts: Record<string, number>;
+    rulesCount: number;
+  }
+
+  export interface FieldChange {
+    field: string;
+    from: any;
+    to: any;
+  }
+
+  export interface CollectionDiff {
+    added: { id: string; record: Record<string, any> }[];
+    removed: { id: string; record: Record<string, any> }[];
+    changed: { id: string; changes: FieldChange[] }[];
+  }
+
+  export interface SnapshotDiff {
+    from: string;
+    to: string;
+    entities: Record<string, CollectionDiff>;
+    rules: CollectionDiff;
+    priorities: FieldChange[];
+    summary: {
+      added: number;
+      removed: number;
+      changed: number;
+    };
+  }
+
+  // Undo/redo journal
+  export interface JournalEntry {
+    id: string;
+    type: string;
+    entity: string | null;
+    index: number | null;
+    description: string;
+    timestamp: string;
+  }
+
+  export interface HistoryState {
+    undo: JournalEntry[];
+    redo: JournalEntry[];
+    canUndo: boolean;
+    canRedo: boolean;
+  }
+
+  export interface BatchOperation {
+    op: 'create' | 'update' | 'delete';
+    entity: EntityType;
+    id?: string;
+    data?: Partial<EntityData>;
+    version?: number; // update/delete: the version read earlier, a stale one fails the batch with 409
+  }
+
+  export interface BatchOperationResult {
+    index: number;
+    success: boolean;
+    op: BatchOperation['op'];
+    entity: EntityType;
+    id: string | null;
+    record?: EntityData | null;
+    error?: string;
+  }
+
+  export interface BatchResult {
+    committed: boolean;
+    results: BatchOperationResult[];
+    validation?: Record<string, { totalRecords: number; errorCount: number; errors: any[] }>;
+  }
+
+  // error.details of a rolled-back batch (400, or 409 on a stale version)
+  export interface BatchRollback {
+    results: BatchOperationResult[];
+    failed: number;
+  }
+
+  // Near-duplicate records (GET /api/data/:entity/duplicates, upload results and staged previews)
+  export type DuplicateSignal = 'name' | 'email' | 'skills' | 'attributes' | 'id';
+
+  export interface DuplicateCluster {
+    members: { id: string; source: 'stored' | 'upload'; row: number | null; record: EntityData }[];
+    survivor: { id: string; source: 'stored' | 'upload'; reason: string };
+    score: number; // highest pair score, 0-1
+    pairs: { ids: [string, string]; score: number; signals: Partial<Record<DuplicateSignal, number>> }[];
+  }
+
+  export interface DuplicateReport {
+    entity: EntityType;
+    minScore: number;
+    recordsCompared: number;
+    pairsScored: number;
+    clusters: DuplicateCluster[];
+  }
+
+  export interface DuplicateMergeRequest {
+    survivorId: string;
+    duplicateIds: string[];
+    fields?: Record<string, string>; // field -> ID of the record whose value is kept
+  }
+
+  export interface DuplicateMergeResult {
+    entity: EntityType;
+    survivor: EntityData;
+    removedIds: string[];
+    references: { entity: EntityType; id: string; field: string; from: any; to: any }[];
+    operationId: string;
+    validation?: BatchResult['validation'];
+  }
+
+  // Deterministic fixes for enhanced validation errors (POST /api/data/apply-fixes)
+  export type AutoFixMode = 'preview' | 'apply';
+
+  export interface AutoFixRequest {
+    id?: string;
+    type: 'duplicate_id' | 'malformed_data' | 'out_of_range' | 'unknown_reference' | string;
+    entity: EntityType;
+    recordId?: string;
+    row?: number;
+    field?: string;
+    value?: string; // unknown_reference: the reference to fix
+    action?: 'drop' | 'remap';
+    replacement?: string;
+  }
+
+  export interface AutoFixOutcome {
+    fixId: string;
+    type: string | null;
+    entity: EntityType | null;
+    recordId: string | null;
+    field: string | null;
+    success: boolean;
+    status: 'planned' | 'applied' | 'skipped';
+    message: string;
+    changes: { entity: EntityType; recordId: string; field: string; from: any; to: any }[];
+  }
+
+  export interface AutoFixResult {
+    mode: AutoFixMode;
+    appliedFixes: AutoFixOutcome[];
+    totalAttempted: number;
+    successCount: number;
+    operationId: string | null;
+    snapshotId: string | null;
+    validation: {
+      before: { errors: number; warnings: number };
+      after: { errors: number; warnings: number };
+      resolved: any[];
+      introduced: any[];
+    };
+  }
+
+  // User-defined field constraint (GET /api/constraints)
+  export type ConditionOperator =
+    | 'eq' | 'ne' | 'gt' | 'gte' | 'lt' | 'lte'
+    | 'in' | 'notIn' | 'contains' | 'matches' | 'empty' | 'notEmpty';
+
+  export type ConstraintCondition =
+    | { field: string; op: ConditionOperator; value?: any; valueField?: string }
+    | { all: ConstraintCondition[] }
+    | { any: ConstraintCondition[] }
+    | { not: ConstraintCondition };
+
+  export interface ConstraintCheck {
+    required?: boolean;
+    type?: SchemaField['type'];
+    enum?: any[];
+    pattern?: string;
+    min?: number;
+    max?: number;
+    exclusiveMin?: number;
+    exclusiveMax?: number;
+  }
+
+  export interface Constraint {
+    id: string;
+    name: string;
+    description: string;
+    entity: EntityType;
+    field: string | null;
+    check: ConstraintCheck;
+    when: ConstraintCondition | null;
+    assert: ConstraintCondition | null;
+    severity: 'error' | 'warning';
+    message: string | null;
+    isActive: boolean;
+    createdAt: string;
+    updatedAt: string;
+    metadata?: {
+      version?: number;
+      [key: string]: any;
+    };
+  }
+
+  export interface ConstraintViolation {
+    constraintId: string;
+    constraintName: string;
+    severity: 'error' | 'warning';
+    entity: EntityType;
+    field: string | null;
+    recordId: string | null;
+    row: number;
+    value: any;
+    message: string;
+  }
+
+  export interface ConstraintPreview {
+    constraint: Constraint;
+    violations: ConstraintViolation[];
+    recordsChecked: number;
+  }
+
+  // Validate-on-write policy of record creates and updates (GET /api/data/write-policy)
+  export type WritePolicy = 'off' | 'warn' | 'reject';
+
+  export interface WritePolicies {
+    default: WritePolicy;
+    entities: Record<string, WritePolicy>;
+  }
+
+  // Field error of a record write; a rejected write lists them in error.details
+  export interface WriteFieldError {
+    recordId?: string | null;
+    field: string;
+    message: string;
+    type: string;
+    severity: string;
+    value?: any;
+  }
+
+  // Body of a 409 response: the server copy that won the race
+  export interface VersionConflict<T> {
+    message: string;
+    type: 'conflict';
+    current: T;
+  }
+
+  // Field of an entity schema (GET /api/schema)
+  export interface SchemaField {
+    name: string;
+    label: string;
+    type: 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'array' | 'json';
+    items?: 'string' | 'integer';
+    ranges?: boolean;
+    required?: boolean;
+    min?: number;
+    max?: number;
+    minItems?: number;
+    clamp?: boolean;
+    default?: any;
+    lowercase?: boolean;
+    references?: string;
+    aliases: string[];
+  }
+
+  export interface EntitySchema {
+    entity: string;
+    label: string;
+    idField: string;
+    idPrefix: string;
+    nameField: string | null;
+    builtIn: boolean;
+    fields: SchemaField[];
+  }
+
+  // Column of a custom entity type
+  export interface EntityColumnDefinition {
+    name: string;
+    type: 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'array' | 'json';
+    required: boolean;
+    aliases: string[];
+  }
+
+  // Built-in or runtime-registered entity type
+  export interface EntityTypeDefinition {
+    id: string;
+    label: string;
+    idField: string;
+    idPrefix: string;
+    builtIn: boolean;
+    columns?: EntityColumnDefinition[];
+    headerAliases?: Record<string, string>;
+    indexedFields?: string[];
+    createdAt?: string;
+    createdBy?: string;
+  }
+
+  // Entity types union (custom types are any other registered id)
+  export type BuiltInEntityType = 'clients' | 'workers' | 'tasks';
+  export type EntityType = BuiltInEntityType | (string & {});
   export type EntityData = Client | Worker | Task;
   
   // Table column definition
@@ -203,4 +688,12 @@ export interface BackendPaginatedResponse<T> {
     editable?: boolean;
     type?: 'text' | 'number' | 'date' | 'select' | 'email';
     options?: string[];
+  }
+
+  // A cell edit staged in EntityTable until the pending edits are saved together
+  export interface CellEdit {
+    id: string;
+    field: string;
+    value: any;
+    version?: number; // version of the row when it was edited
   }
\ No newline at end of file